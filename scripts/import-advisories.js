@@ -0,0 +1,17 @@
+// backend/scripts/import-advisories.js
+// Usage: node scripts/import-advisories.js <advisories.json>
+const advisoryDb = require('../src/services/advisoryDb');
+
+const src = process.argv[2];
+if (!src) {
+  console.error('Usage: node scripts/import-advisories.js <advisories.json>');
+  process.exit(1);
+}
+
+try {
+  const result = advisoryDb.importFromFile(src);
+  console.log(JSON.stringify({ level: 'info', msg: 'advisories.imported', path: advisoryDb.DB_PATH, ...result }));
+} catch (err) {
+  console.error(JSON.stringify({ level: 'error', msg: 'advisories.import_failed', error: err.message }));
+  process.exit(1);
+}
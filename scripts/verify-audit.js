@@ -0,0 +1,21 @@
+// backend/scripts/verify-audit.js
+// Usage: node scripts/verify-audit.js [<anchor_seq> <anchor_hash>]
+const auditStore = require('../src/db/auditStore');
+const connection = require('../src/db/connection');
+
+async function main() {
+  const [seq, hash] = process.argv.slice(2);
+  await auditStore.init();
+  const result = await auditStore.verifyChain({ anchor: seq && hash ? { seq: parseInt(seq, 10), hash } : null });
+  await connection.close().catch(() => {});
+  if (!result.ok) {
+    console.error(JSON.stringify({ level: 'error', msg: 'audit.chain_broken', checked: result.checked, ...result.error }));
+    process.exit(2);
+  }
+  console.log(JSON.stringify({ level: 'info', msg: 'audit.chain_verified', checked: result.checked, head: result.head }));
+}
+
+main().catch((err) => {
+  console.error(JSON.stringify({ level: 'error', msg: 'audit.verify_failed', error: err.message }));
+  process.exit(1);
+});
@@ -2,11 +2,32 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const webhookRoutes = require('./src/routes/webhook');
+const apiRoutes = require('./src/routes/api');
 const fpStore = require('./src/db/fingerprintStore');
+const jobQueue = require('./src/db/jobQueue');
+const deliveryStore = require('./src/db/deliveryStore');
+const jobHistoryStore = require('./src/db/jobHistoryStore');
+const analysisHistoryStore = require('./src/db/analysisHistoryStore');
+const analysisCacheStore = require('./src/db/analysisCacheStore');
+const aiUsageStore = require('./src/db/aiUsageStore');
+const auditStore = require('./src/db/auditStore');
+const projectStore = require('./src/db/projectStore');
+const connection = require('./src/db/connection');
+const analysisWorker = require('./src/services/analysisWorker');
+const metricsService = require('./src/services/metricsService');
+const notifier = require('./src/services/notifier');
 
 async function bootstrap() {
   try {
     await fpStore.init();
+    await jobQueue.init();
+    await deliveryStore.init();
+    await jobHistoryStore.init();
+    await analysisHistoryStore.init();
+    await analysisCacheStore.init();
+    await aiUsageStore.init();
+    await auditStore.init();
+    await projectStore.init();
     console.log(JSON.stringify({
       level: 'info',
       msg: 'fingerprint.db.initialized',
@@ -27,10 +48,19 @@ async function bootstrap() {
 
   // routes
   app.use('/webhook', webhookRoutes);
+  app.use('/api', apiRoutes);
 
   // health endpoints
   app.get('/health', (req, res) => res.status(200).json({ status: 'ok' }));
-  app.get('/ready', (req, res) => res.status(200).json({ status: 'ready' }));
+  app.get('/metrics', (req, res) => res.status(200).type('text/plain; version=0.0.4').send(metricsService.render()));
+  app.get('/ready', async (req, res) => {
+    try {
+      const queue = await jobQueue.stats();
+      res.status(200).json({ status: 'ready', queue });
+    } catch (err) {
+      res.status(503).json({ status: 'not-ready', error: err.message });
+    }
+  });
 
 
   const port = process.env.PORT || 3000;
@@ -42,10 +72,18 @@ async function bootstrap() {
     }));
   });
 
-  // graceful shutdown
+  // background analysis of queued webhook events
+  await analysisWorker.start();
+
+  // graceful shutdown: stop accepting webhooks, let in-flight analyses finish,
+  // anything still running is recovered from the queue on next start
   function gracefulShutdown(signal) {
     console.log(JSON.stringify({ level: 'info', msg: 'shutdown.signal', signal }));
-    server.close(() => {
+    server.close(async () => {
+      await analysisWorker.stop(8000);
+      // send held notification digests rather than dropping them
+      await notifier.flush().catch(() => {});
+      await connection.close().catch(() => {});
       console.log(JSON.stringify({ level: 'info', msg: 'shutdown.complete' }));
       process.exit(0);
     });
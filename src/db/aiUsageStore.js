@@ -0,0 +1,87 @@
+// backend/src/db/aiUsageStore.js
+const connection = require('./connection');
+
+/**
+ * One row per model call: project, job, provider/model, token counts and estimated
+ * cost (USD). Summed per project and period for budget checks (services/budgetService.js)
+ * and the usage API.
+ */
+
+const RETENTION_SEC = Math.max(35 * 86400, parseInt(process.env.AI_USAGE_RETENTION_SEC || String(400 * 24 * 3600), 10));
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT,
+      job_id TEXT,
+      job_name TEXT,
+      provider TEXT,
+      model TEXT,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_project ON ai_usage(project_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+  `);
+  await prune();
+}
+
+async function recordCall({ projectId = null, jobId = null, jobName = null, provider = null, model = null, promptTokens = 0, completionTokens = 0, costUsd = 0, at = nowSec() }) {
+  const { lastID } = await connection.run(
+    `INSERT INTO ai_usage(project_id, job_id, job_name, provider, model, prompt_tokens, completion_tokens, cost_usd, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [projectId != null ? String(projectId) : null, jobId != null ? String(jobId) : null, jobName, provider, model, promptTokens, completionTokens, costUsd, at]
+  );
+  return lastID;
+}
+
+/**
+ * Totals since `since` (epoch seconds), for one project or (projectId null) all of them:
+ * { calls, prompt_tokens, completion_tokens, cost_usd }.
+ */
+async function totals({ projectId = null, since }) {
+  const row = await connection.get(
+    `SELECT COUNT(*) AS calls, COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+            COALESCE(SUM(completion_tokens), 0) AS completion_tokens, COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM ai_usage
+      WHERE created_at >= ? AND (? IS NULL OR project_id = ?)`,
+    [since, projectId != null ? String(projectId) : null, projectId != null ? String(projectId) : null]
+  );
+  return row;
+}
+
+/**
+ * Per-project totals since `since`, most expensive first.
+ */
+async function totalsByProject({ since }) {
+  return connection.all(
+    `SELECT project_id, COUNT(*) AS calls, SUM(prompt_tokens) AS prompt_tokens,
+            SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd
+       FROM ai_usage
+      WHERE created_at >= ?
+      GROUP BY project_id
+      ORDER BY cost_usd DESC, project_id`,
+    [since]
+  );
+}
+
+async function prune(olderThanSec = RETENTION_SEC) {
+  const { changes } = await connection.run('DELETE FROM ai_usage WHERE created_at < ?', [nowSec() - olderThanSec]);
+  return changes;
+}
+
+module.exports = {
+  init,
+  recordCall,
+  totals,
+  totalsByProject,
+  prune
+};
@@ -0,0 +1,67 @@
+// backend/src/db/analysisCacheStore.js
+const connection = require('./connection');
+
+/**
+ * AI analysis results keyed by prompt version + failure signature (see aiService), so
+ * near-identical failures (parallel jobs, reruns of a commit) reuse one model call.
+ * Entries expire after their TTL; expired rows are ignored and pruned at startup.
+ */
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS analysis_cache (
+      cache_key TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      job_name TEXT,
+      prompt_version INTEGER NOT NULL,
+      analysis TEXT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_analysis_cache_expires ON analysis_cache(expires_at);
+  `);
+  await prune();
+}
+
+/**
+ * Unexpired entry for a key ({ analysis, created_at, hits }) or null. Counts the hit.
+ */
+async function get(cacheKey) {
+  const row = await connection.get(
+    'SELECT analysis, created_at, hits FROM analysis_cache WHERE cache_key = ? AND expires_at > ?',
+    [cacheKey, nowSec()]
+  );
+  if (!row) return null;
+  await connection.run('UPDATE analysis_cache SET hits = hits + 1 WHERE cache_key = ?', [cacheKey]);
+  return { analysis: JSON.parse(row.analysis), created_at: row.created_at, hits: row.hits + 1 };
+}
+
+/**
+ * Store (or replace) the analysis for a key for `ttlSec` seconds.
+ */
+async function put({ cacheKey, projectId, jobName = null, promptVersion, analysis, ttlSec }) {
+  const now = nowSec();
+  await connection.run(
+    `INSERT OR REPLACE INTO analysis_cache(cache_key, project_id, job_name, prompt_version, analysis, hits, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
+    [cacheKey, String(projectId), jobName, promptVersion, JSON.stringify(analysis), now, now + ttlSec]
+  );
+}
+
+async function prune() {
+  const { changes } = await connection.run('DELETE FROM analysis_cache WHERE expires_at <= ?', [nowSec()]);
+  return changes;
+}
+
+module.exports = {
+  init,
+  get,
+  put,
+  prune
+};
@@ -0,0 +1,86 @@
+// backend/src/db/analysisHistoryStore.js
+const connection = require('./connection');
+
+/**
+ * Past failure analyses, one row per project issue: the normalized error text the issue
+ * was created from and the latest AI root cause / fix. Searched for similar cases when a
+ * new failure is analyzed (services/historyService.js). The resolution state comes from
+ * the issue's fingerprint rows (fingerprintStore).
+ */
+
+const RETENTION_SEC = Math.max(86400, parseInt(process.env.ANALYSIS_HISTORY_RETENTION_SEC || String(365 * 24 * 3600), 10));
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS analysis_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT NOT NULL,
+      issue_iid INTEGER NOT NULL,
+      issue_url TEXT,
+      job_name TEXT,
+      error_text TEXT NOT NULL,
+      root_cause TEXT,
+      suggested_fix TEXT,
+      occurrences INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE(project_id, issue_iid)
+    );
+    CREATE INDEX IF NOT EXISTS idx_analysis_history_project ON analysis_history(project_id, updated_at);
+  `);
+  await prune();
+}
+
+/**
+ * Insert or refresh the analysis of an issue. A new occurrence replaces the stored
+ * analysis but keeps the issue URL when the caller does not know it.
+ */
+async function upsertAnalysis({ projectId, issueIid, issueUrl = null, jobName = null, errorText, rootCause = null, suggestedFix = null }) {
+  const now = nowSec();
+  await connection.run(
+    `INSERT INTO analysis_history(project_id, issue_iid, issue_url, job_name, error_text, root_cause, suggested_fix, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(project_id, issue_iid) DO UPDATE SET
+       issue_url = COALESCE(excluded.issue_url, issue_url),
+       job_name = COALESCE(excluded.job_name, job_name),
+       error_text = excluded.error_text,
+       root_cause = excluded.root_cause,
+       suggested_fix = excluded.suggested_fix,
+       occurrences = occurrences + 1,
+       updated_at = excluded.updated_at`,
+    [String(projectId), issueIid, issueUrl, jobName, errorText, rootCause, suggestedFix, now, now]
+  );
+}
+
+/**
+ * Most recently updated analyses of a project, with the issue's status ('open' | 'closed').
+ */
+async function listRecent(projectId, limit = 500) {
+  return connection.all(
+    `SELECT h.issue_iid, h.issue_url, h.job_name, h.error_text, h.root_cause, h.suggested_fix, h.occurrences, h.updated_at,
+            COALESCE((SELECT f.status FROM fingerprints f WHERE f.project_id = h.project_id AND f.issue_iid = h.issue_iid
+                      ORDER BY f.last_seen DESC LIMIT 1), 'open') AS status
+       FROM analysis_history h
+      WHERE h.project_id = ?
+      ORDER BY h.updated_at DESC, h.id DESC
+      LIMIT ?`,
+    [String(projectId), limit]
+  );
+}
+
+async function prune(olderThanSec = RETENTION_SEC) {
+  const { changes } = await connection.run('DELETE FROM analysis_history WHERE updated_at < ?', [nowSec() - olderThanSec]);
+  return changes;
+}
+
+module.exports = {
+  init,
+  upsertAnalysis,
+  listRecent,
+  prune
+};
@@ -0,0 +1,169 @@
+// backend/src/db/auditStore.js
+const crypto = require('crypto');
+const connection = require('./connection');
+
+/**
+ * Append-only, hash-chained audit log of Guardian decisions.
+ *
+ * Each record stores the hash of the previous record (`prev_hash`) and its own hash over
+ * [seq, prev_hash, created_at, type, project_id, pipeline_id, job_id, data]. UPDATE and
+ * DELETE are rejected by triggers, sequence numbers are consecutive and a prev_hash can be
+ * used only once, so editing, removing or re-ordering rows breaks the chain (verifyChain).
+ * Removing rows from the end is only detectable against a previously recorded head().
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH = 500;
+
+// Appends are serialized so every record links to the one written before it
+let tail = Promise.resolve();
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function recordHash(row) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([row.seq, row.prev_hash, row.created_at, row.type, row.project_id, row.pipeline_id, row.job_id, row.data]))
+    .digest('hex');
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      seq INTEGER PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      project_id TEXT,
+      pipeline_id TEXT,
+      job_id TEXT,
+      data TEXT NOT NULL,
+      prev_hash TEXT NOT NULL UNIQUE,
+      hash TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_project ON audit_log(project_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_type ON audit_log(type, created_at);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+}
+
+function field(name) {
+  return `json_extract(data, '$.${name}')`;
+}
+
+function id(value) {
+  return value != null ? String(value) : null;
+}
+
+async function insert({ type, projectId, pipelineId, jobId, data, at }) {
+  const last = await connection.get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+  const row = {
+    seq: last ? last.seq + 1 : 1,
+    prev_hash: last ? last.hash : GENESIS_HASH,
+    created_at: at,
+    type,
+    project_id: id(projectId),
+    pipeline_id: id(pipelineId),
+    job_id: id(jobId),
+    data: JSON.stringify(data || {})
+  };
+  row.hash = recordHash(row);
+  await connection.run(
+    `INSERT INTO audit_log(seq, created_at, type, project_id, pipeline_id, job_id, data, prev_hash, hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.seq, row.created_at, row.type, row.project_id, row.pipeline_id, row.job_id, row.data, row.prev_hash, row.hash]
+  );
+  return { seq: row.seq, hash: row.hash };
+}
+
+/**
+ * Append a record; resolves to { seq, hash }.
+ */
+function append({ type, projectId = null, pipelineId = null, jobId = null, data = {}, at = nowSec() }) {
+  if (!type) return Promise.reject(new Error('audit record needs a type'));
+  const next = tail.then(() => insert({ type, projectId, pipelineId, jobId, data, at }));
+  tail = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Latest record ({ seq, hash }) or null. Keep it outside the database to detect truncation later.
+ */
+async function head() {
+  return connection.get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+}
+
+/**
+ * Records in sequence order, data parsed. Filters: projectId (one or an array), type (one or
+ * an array), since/until (epoch seconds, until exclusive), jobName, category and
+ * minConfidence/maxConfidence (matched against the record data), afterSeq (exclusive) and limit.
+ */
+async function list({ projectId = null, type = null, since = null, until = null, jobName = null, category = null, minConfidence = null, maxConfidence = null, afterSeq = 0, limit = 100 } = {}) {
+  const where = ['seq > ?'];
+  const params = [afterSeq];
+  const anyOf = (column, value) => {
+    const values = (Array.isArray(value) ? value : [value]).map(id);
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  };
+  if (projectId != null && (!Array.isArray(projectId) || projectId.length > 0)) anyOf('project_id', projectId);
+  if (type != null && (!Array.isArray(type) || type.length > 0)) anyOf('type', type);
+  if (since != null) { where.push('created_at >= ?'); params.push(since); }
+  if (until != null) { where.push('created_at < ?'); params.push(until); }
+  if (jobName != null) { where.push(`${field('job')} = ?`); params.push(jobName); }
+  if (category != null) { where.push(`${field('category')} = ?`); params.push(category); }
+  if (minConfidence != null) { where.push(`${field('confidence')} >= ?`); params.push(minConfidence); }
+  if (maxConfidence != null) { where.push(`${field('confidence')} <= ?`); params.push(maxConfidence); }
+  params.push(limit);
+
+  const rows = await connection.all(`SELECT * FROM audit_log WHERE ${where.join(' AND ')} ORDER BY seq LIMIT ?`, params);
+  return rows.map(r => ({ ...r, data: JSON.parse(r.data) }));
+}
+
+/**
+ * Walk the chain from the first record and report the first break:
+ * { ok, checked, head, error?: { seq, reason, expected, actual } } where reason is
+ * 'gap' (missing sequence numbers), 'prev_hash_mismatch', 'hash_mismatch' or
+ * 'anchor_mismatch' (`anchor` = an earlier head() that is no longer part of the chain).
+ */
+async function verifyChain({ anchor = null } = {}) {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  let anchorSeen = false;
+  const fail = (seq, reason, expected, actual) => ({ ok: false, checked, head: checked ? { seq: expectedSeq - 1, hash: prevHash } : null, error: { seq, reason, expected, actual } });
+
+  for (;;) {
+    const rows = await connection.all('SELECT * FROM audit_log WHERE seq >= ? ORDER BY seq LIMIT ?', [expectedSeq, VERIFY_BATCH]);
+    for (const row of rows) {
+      if (row.seq !== expectedSeq) return fail(expectedSeq, 'gap', expectedSeq, row.seq);
+      if (row.prev_hash !== prevHash) return fail(row.seq, 'prev_hash_mismatch', prevHash, row.prev_hash);
+      const hash = recordHash(row);
+      if (hash !== row.hash) return fail(row.seq, 'hash_mismatch', hash, row.hash);
+      if (anchor && row.seq === anchor.seq) {
+        if (row.hash !== anchor.hash) return fail(row.seq, 'anchor_mismatch', anchor.hash, row.hash);
+        anchorSeen = true;
+      }
+      checked += 1;
+      prevHash = row.hash;
+      expectedSeq += 1;
+    }
+    if (rows.length < VERIFY_BATCH) break;
+  }
+
+  if (anchor && !anchorSeen) return fail(anchor.seq, 'anchor_mismatch', anchor.hash, null);
+  return { ok: true, checked, head: checked ? { seq: expectedSeq - 1, hash: prevHash } : null };
+}
+
+module.exports = {
+  init,
+  append,
+  head,
+  list,
+  verifyChain,
+  GENESIS_HASH
+};
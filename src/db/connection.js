@@ -0,0 +1,114 @@
+// backend/src/db/connection.js
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * Shared SQLite connection for every store under src/db.
+ * FP_DB_FILE=':memory:' keeps everything in memory (tests).
+ */
+const DB_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
+const DB_FILE = process.env.FP_DB_FILE || 'fingerprints.db';
+const DB_PATH = DB_FILE === ':memory:' ? ':memory:' : path.join(DB_DIR, DB_FILE);
+
+let db = null;
+let opening = null;
+
+function open() {
+  if (db) return Promise.resolve(db);
+  if (opening) return opening;
+
+  if (DB_PATH !== ':memory:' && !fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
+
+  opening = new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        opening = null;
+        return reject(err);
+      }
+      conn.configure('busyTimeout', 5000);
+      db = conn;
+      resolve(db);
+    });
+  });
+  return opening;
+}
+
+function getDb() {
+  if (!db) throw new Error('database not initialized; call open() first');
+  return db;
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDb().run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDb().get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDb().all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    getDb().exec(sql, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Add any missing columns to an existing table (lightweight forward-only migration).
+ * `columns` maps column name -> SQL type/default clause, e.g. { fp_version: 'INTEGER DEFAULT 1' }.
+ * Returns the names of the columns that were added.
+ */
+async function ensureColumns(table, columns) {
+  const existing = new Set((await all(`PRAGMA table_info(${table})`)).map(c => c.name));
+  const added = [];
+  for (const [name, definition] of Object.entries(columns)) {
+    if (existing.has(name)) continue;
+    await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    added.push(name);
+  }
+  return added;
+}
+
+function close() {
+  if (!db) return Promise.resolve();
+  const conn = db;
+  db = null;
+  opening = null;
+  return new Promise((resolve, reject) => {
+    conn.close((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = {
+  open,
+  getDb,
+  run,
+  get,
+  all,
+  exec,
+  ensureColumns,
+  close,
+  DB_PATH
+};
@@ -0,0 +1,75 @@
+// backend/src/db/deliveryStore.js
+const connection = require('./connection');
+
+/**
+ * Record of accepted webhook deliveries, used to drop GitLab re-deliveries.
+ *
+ * A delivery is identified by its X-Gitlab-Event-UUID and, as a fallback for
+ * senders that don't set it, by a hash of the payload. Either one being seen
+ * before marks the delivery as a duplicate.
+ */
+
+const RETENTION_SEC = Math.max(3600, parseInt(process.env.WEBHOOK_DEDUPE_RETENTION_SEC || String(7 * 24 * 3600), 10));
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_uuid TEXT UNIQUE,
+      payload_hash TEXT NOT NULL UNIQUE,
+      object_kind TEXT,
+      project_id TEXT,
+      received_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+  `);
+  await prune();
+}
+
+/**
+ * Try to record a delivery. Returns { duplicate: false, id } when it is new, or
+ * { duplicate: true, reason, first_seen } when the UUID or payload was seen before.
+ */
+async function recordDelivery({ eventUuid, payloadHash, objectKind, projectId }) {
+  try {
+    const { lastID } = await connection.run(
+      `INSERT INTO webhook_deliveries(event_uuid, payload_hash, object_kind, project_id, received_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [eventUuid || null, payloadHash, objectKind || null, projectId != null ? String(projectId) : null, nowSec()]
+    );
+    return { duplicate: false, id: lastID };
+  } catch (err) {
+    if (!(err && (err.code === 'SQLITE_CONSTRAINT' || String(err.message).includes('UNIQUE')))) throw err;
+  }
+
+  if (eventUuid) {
+    const byUuid = await connection.get('SELECT received_at FROM webhook_deliveries WHERE event_uuid = ?', [eventUuid]);
+    if (byUuid) return { duplicate: true, reason: 'duplicate_event_uuid', first_seen: byUuid.received_at };
+  }
+  const byHash = await connection.get('SELECT received_at FROM webhook_deliveries WHERE payload_hash = ?', [payloadHash]);
+  return { duplicate: true, reason: 'duplicate_payload', first_seen: byHash ? byHash.received_at : null };
+}
+
+/**
+ * Forget a delivery so a GitLab retry is accepted again (used when queuing failed).
+ */
+async function releaseDelivery(id) {
+  await connection.run('DELETE FROM webhook_deliveries WHERE id = ?', [id]);
+}
+
+async function prune(olderThanSec = RETENTION_SEC) {
+  const { changes } = await connection.run('DELETE FROM webhook_deliveries WHERE received_at < ?', [nowSec() - olderThanSec]);
+  return changes;
+}
+
+module.exports = {
+  init,
+  recordDelivery,
+  releaseDelivery,
+  prune
+};
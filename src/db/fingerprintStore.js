@@ -1,68 +1,62 @@
 // backend/src/db/fingerprintStore.js
-const path = require('path');
-const fs = require('fs');
-const sqlite3 = require('sqlite3').verbose();
+const connection = require('./connection');
 
-const DB_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
-const DB_PATH = path.join(DB_DIR, process.env.FP_DB_FILE || 'fingerprints.db');
-
-if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
+const DB_PATH = connection.DB_PATH;
 
 let db;
 
-function init() {
-  return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) return reject(err);
-      const create = `
-        CREATE TABLE IF NOT EXISTS fingerprints (
-          fingerprint TEXT PRIMARY KEY,
-          project_id TEXT,
-          issue_iid INTEGER,
-          first_seen INTEGER,
-          last_seen INTEGER,
-          occurrences INTEGER DEFAULT 1
-        );
-      `;
-      db.run(create, (err2) => {
-        if (err2) return reject(err2);
-        resolve();
-      });
-    });
+async function init() {
+  db = await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS fingerprints (
+      fingerprint TEXT PRIMARY KEY,
+      project_id TEXT,
+      issue_iid INTEGER,
+      first_seen INTEGER,
+      last_seen INTEGER,
+      occurrences INTEGER DEFAULT 1
+    );
+  `);
+  // rows written before fingerprints were versioned are v1 (aiHelpers.makeFingerprint)
+  await connection.ensureColumns('fingerprints', {
+    fp_version: 'INTEGER NOT NULL DEFAULT 1',
+    // issue lifecycle: 'open' until enough green runs of job_name close it, 'closed' until it recurs
+    status: 'TEXT NOT NULL DEFAULT \'open\'',
+    job_name: 'TEXT',
+    green_streak: 'INTEGER NOT NULL DEFAULT 0',
+    // job id of the last green run counted, so a retried or replayed job counts once
+    last_green_job_id: 'TEXT',
+    closed_at: 'INTEGER',
+    reopened_count: 'INTEGER NOT NULL DEFAULT 0'
   });
+  await connection.exec('CREATE INDEX IF NOT EXISTS idx_fingerprints_project_job ON fingerprints(project_id, job_name, status)');
 }
 
+const COLUMNS = 'fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences, fp_version, status, job_name, green_streak, closed_at, reopened_count';
+
 /**
  * Atomically try to insert a mapping fingerprint -> issue_iid.
  * If it already exists, return the existing mapping.
- * Returns { fingerprint, issue_iid, first_seen, last_seen, occurrences }
+ * Returns the fingerprint row ({ fingerprint, issue_iid, first_seen, last_seen, occurrences, fp_version, status, ... })
  */
-function insertMappingAtomic({ fingerprint, projectId, issueIid }) {
+function insertMappingAtomic({ fingerprint, projectId, issueIid, fpVersion = 1, jobName = null }) {
   return new Promise((resolve, reject) => {
     const now = Math.floor(Date.now() / 1000);
     const insertSql = `
-      INSERT INTO fingerprints(fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences)
-      VALUES (?, ?, ?, ?, ?, 1)
+      INSERT INTO fingerprints(fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences, fp_version, job_name)
+      VALUES (?, ?, ?, ?, ?, 1, ?, ?)
     `;
-    db.run(insertSql, [fingerprint, String(projectId), issueIid, now, now], function (err) {
+    db.run(insertSql, [fingerprint, String(projectId), issueIid, now, now, fpVersion, jobName], function (err) {
       if (!err) {
         // Insert succeeded
-        return resolve({ fingerprint, issue_iid: issueIid, first_seen: now, last_seen: now, occurrences: 1 });
+        return resolve({ fingerprint, issue_iid: issueIid, first_seen: now, last_seen: now, occurrences: 1, fp_version: fpVersion, status: 'open', job_name: jobName, green_streak: 0 });
       }
       // If unique constraint violated, fetch existing row
       if (err && (err.code === 'SQLITE_CONSTRAINT' || err.message.includes('UNIQUE'))) {
-        const sel = `SELECT fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences FROM fingerprints WHERE fingerprint = ? LIMIT 1`;
+        const sel = `SELECT ${COLUMNS} FROM fingerprints WHERE fingerprint = ? LIMIT 1`;
         db.get(sel, [fingerprint], (err2, row) => {
           if (err2) return reject(err2);
-          if (!row) return resolve(null);
-          return resolve({
-            fingerprint: row.fingerprint,
-            project_id: row.project_id,
-            issue_iid: row.issue_iid,
-            first_seen: row.first_seen,
-            last_seen: row.last_seen,
-            occurrences: row.occurrences
-          });
+          resolve(row || null);
         });
       } else {
         return reject(err);
@@ -73,7 +67,7 @@ function insertMappingAtomic({ fingerprint, projectId, issueIid }) {
 
 function getByFingerprint(fingerprint) {
   return new Promise((resolve, reject) => {
-    const sel = `SELECT fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences FROM fingerprints WHERE fingerprint = ? LIMIT 1`;
+    const sel = `SELECT ${COLUMNS} FROM fingerprints WHERE fingerprint = ? LIMIT 1`;
     db.get(sel, [fingerprint], (err, row) => {
       if (err) return reject(err);
       resolve(row || null);
@@ -84,11 +78,12 @@ function getByFingerprint(fingerprint) {
 function bumpOccurrence(fingerprint) {
   return new Promise((resolve, reject) => {
     const now = Math.floor(Date.now() / 1000);
-    const sql = `UPDATE fingerprints SET occurrences = occurrences + 1, last_seen = ? WHERE fingerprint = ?`;
+    // a new occurrence breaks any run of green jobs
+    const sql = 'UPDATE fingerprints SET occurrences = occurrences + 1, last_seen = ?, green_streak = 0 WHERE fingerprint = ?';
     db.run(sql, [now, fingerprint], function (err) {
       if (err) return reject(err);
       // return updated row
-      db.get(`SELECT fingerprint, project_id, issue_iid, first_seen, last_seen, occurrences FROM fingerprints WHERE fingerprint = ?`, [fingerprint], (e, row) => {
+      db.get(`SELECT ${COLUMNS} FROM fingerprints WHERE fingerprint = ?`, [fingerprint], (e, row) => {
         if (e) return reject(e);
         resolve(row || null);
       });
@@ -96,10 +91,63 @@ function bumpOccurrence(fingerprint) {
   });
 }
 
+/**
+ * Open fingerprint rows recorded for a job, one per tracked failure.
+ */
+function getOpenByJob(projectId, jobName) {
+  return connection.all(
+    `SELECT ${COLUMNS} FROM fingerprints WHERE project_id = ? AND job_name = ? AND status = ? ORDER BY first_seen`,
+    [String(projectId), jobName, 'open']
+  );
+}
+
+/**
+ * Count one more green run for every open fingerprint of an issue. A run of `jobId` that was
+ * already counted is not counted again. Returns the new streak.
+ */
+async function incrementGreenStreak(projectId, issueIid, jobId = null) {
+  const job = jobId == null ? null : String(jobId);
+  await connection.run(
+    `UPDATE fingerprints SET green_streak = green_streak + 1, last_green_job_id = ?
+      WHERE project_id = ? AND issue_iid = ? AND status = ?
+        AND (? IS NULL OR last_green_job_id IS NULL OR last_green_job_id != ?)`,
+    [job, String(projectId), issueIid, 'open', job, job]
+  );
+  const row = await connection.get(
+    'SELECT MAX(green_streak) AS streak FROM fingerprints WHERE project_id = ? AND issue_iid = ? AND status = ?',
+    [String(projectId), issueIid, 'open']
+  );
+  return row && row.streak ? row.streak : 0;
+}
+
+/**
+ * Mark every fingerprint mapped to an issue closed (after auto-close) or open again (regression).
+ */
+async function setIssueStatus(projectId, issueIid, status) {
+  const now = Math.floor(Date.now() / 1000);
+  const sql = status === 'closed'
+    ? 'UPDATE fingerprints SET status = ?, closed_at = ?, green_streak = 0 WHERE project_id = ? AND issue_iid = ?'
+    : 'UPDATE fingerprints SET status = ?, closed_at = NULL, green_streak = 0, reopened_count = reopened_count + 1 WHERE project_id = ? AND issue_iid = ?';
+  const params = status === 'closed' ? [status, now, String(projectId), issueIid] : [status, String(projectId), issueIid];
+  const { changes } = await connection.run(sql, params);
+  return changes;
+}
+
+/**
+ * Fill in job_name on a row created before it was tracked, so its issue can be auto-closed.
+ */
+async function setJobName(fingerprint, jobName) {
+  await connection.run('UPDATE fingerprints SET job_name = ? WHERE fingerprint = ? AND job_name IS NULL', [jobName, fingerprint]);
+}
+
 module.exports = {
   init,
   insertMappingAtomic,
   getByFingerprint,
   bumpOccurrence,
+  getOpenByJob,
+  incrementGreenStreak,
+  setIssueStatus,
+  setJobName,
   DB_PATH
 };
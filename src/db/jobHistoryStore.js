@@ -0,0 +1,85 @@
+// backend/src/db/jobHistoryStore.js
+const connection = require('./connection');
+
+/**
+ * Outcome of every analyzed job run, keyed by project, job name, ref and commit.
+ * Used to tell flaky jobs (mixed results on the same code) from real breakages.
+ */
+
+const RETENTION_SEC = Math.max(86400, parseInt(process.env.JOB_HISTORY_RETENTION_SEC || String(90 * 24 * 3600), 10));
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS job_outcomes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT NOT NULL,
+      job_id TEXT NOT NULL,
+      job_name TEXT NOT NULL,
+      ref TEXT,
+      commit_sha TEXT,
+      pipeline_id TEXT,
+      status TEXT NOT NULL,
+      recorded_at INTEGER NOT NULL,
+      UNIQUE(project_id, job_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_outcomes_job_ref ON job_outcomes(project_id, job_name, ref, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_job_outcomes_commit ON job_outcomes(project_id, job_name, commit_sha);
+  `);
+  await prune();
+}
+
+/**
+ * Record one job run. A run already recorded (queue retry, re-delivery) is ignored.
+ * Returns true when a new row was written.
+ */
+async function recordOutcome({ projectId, jobId, jobName, ref = null, commitSha = null, pipelineId = null, status }) {
+  const { changes } = await connection.run(
+    `INSERT OR IGNORE INTO job_outcomes(project_id, job_id, job_name, ref, commit_sha, pipeline_id, status, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [String(projectId), String(jobId), jobName, ref, commitSha, pipelineId != null ? String(pipelineId) : null, status, nowSec()]
+  );
+  return changes > 0;
+}
+
+/**
+ * Most recent outcomes of a job on a ref, oldest first.
+ */
+async function getRecentOutcomes(projectId, jobName, ref, limit = 20) {
+  const rows = await connection.all(
+    `SELECT job_id, commit_sha, pipeline_id, status, recorded_at FROM job_outcomes
+      WHERE project_id = ? AND job_name = ? AND ref IS ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT ?`,
+    [String(projectId), jobName, ref, limit]
+  );
+  return rows.reverse();
+}
+
+/**
+ * Distinct statuses a job has had on one commit.
+ */
+async function getCommitStatuses(projectId, jobName, commitSha) {
+  const rows = await connection.all(
+    'SELECT DISTINCT status FROM job_outcomes WHERE project_id = ? AND job_name = ? AND commit_sha = ?',
+    [String(projectId), jobName, commitSha]
+  );
+  return rows.map(r => r.status);
+}
+
+async function prune(olderThanSec = RETENTION_SEC) {
+  const { changes } = await connection.run('DELETE FROM job_outcomes WHERE recorded_at < ?', [nowSec() - olderThanSec]);
+  return changes;
+}
+
+module.exports = {
+  init,
+  recordOutcome,
+  getRecentOutcomes,
+  getCommitStatuses,
+  prune
+};
@@ -0,0 +1,149 @@
+// backend/src/db/jobQueue.js
+const connection = require('./connection');
+
+/**
+ * Durable analysis queue stored next to the fingerprints table.
+ *
+ * Rows move pending -> running -> done, or back to pending with a later run_at
+ * when an attempt fails, until max_attempts is reached and the row is
+ * dead-lettered (status 'dead'). Rows left 'running' by a crash or shutdown are
+ * returned to 'pending' by recoverStale() at startup.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10));
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS analysis_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      run_at INTEGER NOT NULL,
+      locked_at INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_analysis_queue_status_run_at ON analysis_queue(status, run_at);
+  `);
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+/**
+ * Add work to the queue. Returns the new row id.
+ */
+async function enqueue({ kind, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = nowSec() }) {
+  const now = nowSec();
+  const { lastID } = await connection.run(
+    `INSERT INTO analysis_queue(kind, payload, status, attempts, max_attempts, run_at, created_at, updated_at)
+     VALUES (?, ?, 'pending', 0, ?, ?, ?, ?)`,
+    [kind, JSON.stringify(payload), maxAttempts, runAt, now, now]
+  );
+  return lastID;
+}
+
+/**
+ * Atomically claim the oldest due pending row, marking it running.
+ * Returns the job ({ id, kind, payload, attempts, ... }) or null.
+ */
+async function claimNext() {
+  const now = nowSec();
+  const row = await connection.get(
+    `UPDATE analysis_queue
+        SET status = 'running', attempts = attempts + 1, locked_at = ?, updated_at = ?
+      WHERE id = (
+        SELECT id FROM analysis_queue
+         WHERE status = 'pending' AND run_at <= ?
+         ORDER BY run_at, id
+         LIMIT 1
+      )
+      RETURNING *`,
+    [now, now, now]
+  );
+  return toJob(row);
+}
+
+async function complete(id) {
+  await connection.run(
+    'UPDATE analysis_queue SET status = ?, locked_at = NULL, last_error = NULL, updated_at = ? WHERE id = ?',
+    ['done', nowSec(), id]
+  );
+}
+
+/**
+ * Record a failed attempt. The row is rescheduled at `retryAt` or, when it has
+ * used all its attempts, dead-lettered. `payload` replaces the row's payload, e.g. to
+ * keep the progress of the failed attempt. Returns the new status.
+ */
+async function fail(id, error, { retryAt, payload = null } = {}) {
+  const row = await connection.get('SELECT attempts, max_attempts FROM analysis_queue WHERE id = ?', [id]);
+  if (!row) return null;
+  const status = row.attempts >= row.max_attempts ? 'dead' : 'pending';
+  await connection.run(
+    `UPDATE analysis_queue
+        SET status = ?, run_at = ?, locked_at = NULL, last_error = ?, payload = COALESCE(?, payload), updated_at = ?
+      WHERE id = ?`,
+    [status, retryAt || nowSec(), String(error || '').slice(0, 2000), payload ? JSON.stringify(payload) : null, nowSec(), id]
+  );
+  return status;
+}
+
+/**
+ * Return rows stuck in 'running' (crash, shutdown mid-analysis) to 'pending'.
+ * With `olderThanSec`, only rows locked longer than that are recovered.
+ */
+async function recoverStale({ olderThanSec = 0 } = {}) {
+  const cutoff = nowSec() - olderThanSec;
+  const { changes } = await connection.run(
+    `UPDATE analysis_queue SET status = 'pending', locked_at = NULL, updated_at = ?
+      WHERE status = 'running' AND (locked_at IS NULL OR locked_at <= ?)`,
+    [nowSec(), cutoff]
+  );
+  return changes;
+}
+
+/**
+ * Delete finished rows older than the given age. Dead-lettered rows are kept.
+ */
+async function purgeCompleted(olderThanSec) {
+  const { changes } = await connection.run(
+    'DELETE FROM analysis_queue WHERE status = ? AND updated_at < ?',
+    ['done', nowSec() - olderThanSec]
+  );
+  return changes;
+}
+
+async function getById(id) {
+  return toJob(await connection.get('SELECT * FROM analysis_queue WHERE id = ?', [id]));
+}
+
+async function stats() {
+  const rows = await connection.all('SELECT status, COUNT(*) AS count FROM analysis_queue GROUP BY status');
+  const out = { pending: 0, running: 0, done: 0, dead: 0 };
+  for (const r of rows) out[r.status] = r.count;
+  return out;
+}
+
+module.exports = {
+  init,
+  enqueue,
+  claimNext,
+  complete,
+  fail,
+  recoverStale,
+  purgeCompleted,
+  getById,
+  stats
+};
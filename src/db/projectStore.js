@@ -0,0 +1,110 @@
+// backend/src/db/projectStore.js
+const connection = require('./connection');
+
+/**
+ * Project registry: per-project or per-group (scope 'group', `ref` = full group path)
+ * GitLab token, webhook secret and settings. Secrets are stored sealed (utils/secretBox.js);
+ * this store never sees them in clear. `project_paths` remembers each project's full path
+ * from its webhooks so group entries can be matched from a project id alone.
+ */
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function init() {
+  await connection.open();
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS project_registry (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL CHECK (scope IN ('project', 'group')),
+      ref TEXT NOT NULL,
+      name TEXT,
+      token_enc TEXT,
+      webhook_secret_enc TEXT,
+      settings TEXT NOT NULL DEFAULT '{}',
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE(scope, ref)
+    );
+    CREATE TABLE IF NOT EXISTS project_paths (
+      project_id TEXT PRIMARY KEY,
+      path TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+}
+
+function parse(row) {
+  return row ? { ...row, settings: JSON.parse(row.settings || '{}') } : null;
+}
+
+async function get(scope, ref) {
+  return parse(await connection.get('SELECT * FROM project_registry WHERE scope = ? AND ref = ?', [scope, String(ref)]));
+}
+
+/**
+ * Insert or replace the entry for (scope, ref); resolves to its id.
+ */
+async function save({ scope, ref, name = null, tokenEnc = null, webhookSecretEnc = null, settings = {} }) {
+  const now = nowSec();
+  await connection.run(
+    `INSERT INTO project_registry(scope, ref, name, token_enc, webhook_secret_enc, settings, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(scope, ref) DO UPDATE SET
+       name = excluded.name, token_enc = excluded.token_enc, webhook_secret_enc = excluded.webhook_secret_enc,
+       settings = excluded.settings, updated_at = excluded.updated_at`,
+    [scope, String(ref), name, tokenEnc, webhookSecretEnc, JSON.stringify(settings || {}), now, now]
+  );
+  const row = await connection.get('SELECT id FROM project_registry WHERE scope = ? AND ref = ?', [scope, String(ref)]);
+  return row.id;
+}
+
+async function remove(scope, ref) {
+  const { changes } = await connection.run('DELETE FROM project_registry WHERE scope = ? AND ref = ?', [scope, String(ref)]);
+  return changes > 0;
+}
+
+async function list() {
+  const rows = await connection.all('SELECT * FROM project_registry ORDER BY scope, ref');
+  return rows.map(parse);
+}
+
+/**
+ * Entries that apply to a project: groups containing `path` (outermost first), then the
+ * project's own entry.
+ */
+async function findForProject(projectId, path = null) {
+  const rows = await connection.all(
+    `SELECT * FROM project_registry
+      WHERE (scope = 'project' AND ref = ?)
+         OR (scope = 'group' AND ? IS NOT NULL AND substr(?, 1, length(ref) + 1) = ref || '/')
+      ORDER BY scope = 'project', length(ref)`,
+    [String(projectId), path, path]
+  );
+  return rows.map(parse);
+}
+
+async function setProjectPath(projectId, path) {
+  await connection.run(
+    `INSERT INTO project_paths(project_id, path, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(project_id) DO UPDATE SET path = excluded.path, updated_at = excluded.updated_at`,
+    [String(projectId), path, nowSec()]
+  );
+}
+
+async function getProjectPath(projectId) {
+  const row = await connection.get('SELECT path FROM project_paths WHERE project_id = ?', [String(projectId)]);
+  return row ? row.path : null;
+}
+
+module.exports = {
+  init,
+  get,
+  save,
+  remove,
+  list,
+  findForProject,
+  setProjectPath,
+  getProjectPath
+};
@@ -0,0 +1,203 @@
+// backend/src/routes/api.js
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+const jobQueue = require('../db/jobQueue');
+const gitlabService = require('../services/gitlabService');
+const budgetService = require('../services/budgetService');
+const auditService = require('../services/auditService');
+const exportService = require('../services/exportService');
+const projectRegistry = require('../services/projectRegistry');
+
+// Operator endpoints are disabled until a token is configured
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+function validAdminToken(incoming) {
+  if (!incoming) return false;
+  const a = Buffer.from(incoming);
+  const b = Buffer.from(ADMIN_API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Accepts `Authorization: Bearer <token>` or `X-Admin-Token: <token>`.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ ok: false, message: 'admin API disabled (ADMIN_API_TOKEN not set)' });
+  }
+  const auth = req.get('Authorization') || '';
+  const incoming = auth.startsWith('Bearer ') ? auth.slice(7).trim() : (req.get('X-Admin-Token') || '');
+  if (!validAdminToken(incoming)) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'api.invalid_token', path: req.path, ip: req.ip }));
+    return res.status(401).json({ ok: false, message: 'invalid admin token' });
+  }
+  return next();
+}
+
+router.use(requireAdmin);
+
+/**
+ * Queue a fresh analysis of a job, bypassing the AI analysis cache.
+ */
+router.post('/projects/:projectId/jobs/:jobId/reanalyze', async (req, res) => {
+  const { projectId, jobId } = req.params;
+  try {
+    const job = await gitlabService.getJob(projectId, jobId);
+    const pipelineId = (job.pipeline && job.pipeline.id) || null;
+    const commitSha = (job.commit && job.commit.id) || (job.pipeline && job.pipeline.sha) || null;
+    const event = {
+      object_kind: 'build',
+      build_id: job.id,
+      build_name: job.name,
+      build_stage: job.stage,
+      build_status: job.status,
+      project_id: projectId,
+      pipeline_id: pipelineId,
+      sha: commitSha,
+      ref: job.ref
+    };
+    const ctx = { event, projectId, pipelineId, job, jobName: job.name, commitSha, forceFresh: true };
+    const queueId = await jobQueue.enqueue({ kind: 'job', payload: ctx });
+    console.log(JSON.stringify({ level: 'info', msg: 'api.reanalysis_queued', queueId, projectId, jobId: job.id, job: job.name, status: job.status }));
+    await auditService.record('webhook.queued', { projectId, pipelineId, jobId: job.id, kind: 'job', queue_id: queueId, job: job.name, status: job.status, trigger: 'api.reanalyze', ip: req.ip || null });
+    return res.status(202).json({ ok: true, msg: 'job-queued', job: job.name, queueId });
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.reanalysis_failed', projectId, jobId, error: err && err.message ? err.message : String(err) }));
+    return res.status(502).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/**
+ * AI spend of the current day and month against the budgets, globally and per project.
+ * `?project_id=` limits the project list to one project.
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const projectId = req.query.project_id ? String(req.query.project_id) : null;
+    return res.status(200).json(await budgetService.usageReport({ projectId }));
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.usage_failed', error: err && err.message ? err.message : String(err) }));
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/**
+ * Registered projects and groups with their settings; tokens and secrets are never returned.
+ */
+router.get('/registry', async (req, res) => {
+  try {
+    return res.status(200).json({ entries: await projectRegistry.list() });
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.registry_failed', error: err && err.message ? err.message : String(err) }));
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/**
+ * Register or update a project (`ref` = project id) or group (`ref` = URL-encoded full path,
+ * e.g. acme%2Fplatform). Body: { name, token, webhook_secret, settings } (see projectRegistry).
+ */
+router.put('/registry/:scope/:ref', async (req, res) => {
+  const { scope, ref } = req.params;
+  const body = req.body || {};
+  try {
+    const entry = await projectRegistry.register({
+      scope,
+      ref,
+      name: body.name || null,
+      token: body.token,
+      webhookSecret: body.webhook_secret,
+      settings: body.settings
+    });
+    console.log(JSON.stringify({ level: 'info', msg: 'api.registry_updated', scope, ref: entry.ref, has_token: entry.has_token, has_webhook_secret: entry.has_webhook_secret }));
+    await auditService.record('registry.updated', {
+      projectId: scope === 'project' ? entry.ref : null,
+      scope,
+      ref: entry.ref,
+      name: entry.name,
+      token: body.token === undefined ? 'kept' : (body.token === null ? 'cleared' : 'set'),
+      webhook_secret: body.webhook_secret === undefined ? 'kept' : (body.webhook_secret === null ? 'cleared' : 'set'),
+      settings: entry.settings,
+      ip: req.ip || null
+    });
+    return res.status(200).json(entry);
+  } catch (err) {
+    if (err && err.status === 400) return res.status(400).json({ ok: false, error: err.message });
+    console.error(JSON.stringify({ level: 'error', msg: 'api.registry_update_failed', scope, ref, error: err && err.message ? err.message : String(err) }));
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+router.delete('/registry/:scope/:ref', async (req, res) => {
+  const { scope, ref } = req.params;
+  try {
+    if (!(await projectRegistry.remove(scope, ref))) return res.status(404).json({ ok: false, error: 'not registered' });
+    await auditService.record('registry.removed', { projectId: scope === 'project' ? ref : null, scope, ref, ip: req.ip || null });
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.registry_remove_failed', scope, ref, error: err && err.message ? err.message : String(err) }));
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/**
+ * Verify the audit log hash chain. Pass a previously returned head as
+ * `?anchor_seq=&anchor_hash=` to also detect records removed from the end.
+ * 200 when the chain is intact, 409 with the first break otherwise.
+ */
+router.get('/audit/verify', async (req, res) => {
+  try {
+    const anchor = req.query.anchor_seq && req.query.anchor_hash
+      ? { seq: parseInt(req.query.anchor_seq, 10), hash: String(req.query.anchor_hash) }
+      : null;
+    const result = await auditService.verifyChain({ anchor });
+    if (!result.ok) {
+      console.error(JSON.stringify({ level: 'error', msg: 'audit.chain_broken', ...result.error }));
+    }
+    return res.status(result.ok ? 200 : 409).json(result);
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.audit_verify_failed', error: err && err.message ? err.message : String(err) }));
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/**
+ * Stream analyses, issue actions or audit records as JSONL (default) or CSV.
+ * Filters are described in exportService.parseQuery. A failure mid-stream aborts the
+ * response, so a cut-off export is never mistaken for a complete one.
+ */
+router.get('/export/:kind', async (req, res) => {
+  const { kind } = req.params;
+  const parsed = exportService.parseQuery(kind, req.query);
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+  const { format, filters } = parsed;
+  await auditService.record('api.export', { kind, format, filters, ip: req.ip || null });
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="guardian-${kind}-${stamp}.${format}"`);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+  let rows = 0;
+  try {
+    if (format === 'csv') res.write(exportService.csvHeader(kind));
+    for await (const row of exportService.exportRows(kind, filters)) {
+      if (closed) break;
+      rows += 1;
+      if (!res.write(exportService.formatRow(kind, row, format))) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+    console.log(JSON.stringify({ level: 'info', msg: 'api.export_completed', kind, format, rows, aborted: closed }));
+    return res.end();
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'api.export_failed', kind, rows, error: err && err.message ? err.message : String(err) }));
+    return res.destroy(err);
+  }
+});
+
+module.exports = router;
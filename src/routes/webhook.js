@@ -1,14 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
 
+const jobQueue = require('../db/jobQueue');
+const deliveryStore = require('../db/deliveryStore');
+const auditService = require('../services/auditService');
+const projectRegistry = require('../services/projectRegistry');
 const gitlabService = require('../services/gitlabService');
-const aiService = require('../services/aiService');
-const issueService = require('../services/issueService');
-const logParser = require('../utils/logParser');
-const detectorService = require('../services/detectorService'); 
+const { extractIds, writeRawWebhookPayload } = require('../services/jobAnalyzer');
 
 const WEBHOOK_SECRET = process.env.GITLAB_WEBHOOK_SECRET || '';
 const MONITORED_JOB_NAMES = (process.env.MONITORED_JOB_NAMES || 'lint,test,build')
@@ -21,12 +20,21 @@ const MONITORED_STAGES_NAMES = (process.env.MONITORED_STAGES || 'lint,test,build
   .map(s => s.trim())
   .filter(Boolean);
 
-function validWebhookToken(incoming) {
-  if (!WEBHOOK_SECRET) return true; 
+// Only accept events of projects in the registry (projectRegistry), directly or through a group
+const PROJECT_REGISTRY_REQUIRED = String(process.env.PROJECT_REGISTRY_REQUIRED || 'false').toLowerCase() === 'true';
+
+// Deliveries whose event timestamp is older than this are rejected as replays (0 disables)
+const WEBHOOK_MAX_AGE_SEC = Math.max(0, parseInt(process.env.WEBHOOK_MAX_AGE_SEC || '86400', 10));
+
+/**
+ * Check the X-Gitlab-Token against the project's registered webhook secret, else GITLAB_WEBHOOK_SECRET.
+ */
+function validWebhookToken(incoming, secret = WEBHOOK_SECRET) {
+  if (!secret) return true; 
   if (!incoming) return false;
   try {
     const a = Buffer.from(incoming);
-    const b = Buffer.from(WEBHOOK_SECRET);
+    const b = Buffer.from(secret);
     if (a.length !== b.length) return false;
     return crypto.timingSafeEqual(a, b);
   } catch {
@@ -34,303 +42,132 @@ function validWebhookToken(incoming) {
   }
 }
 
-
-
-function canonicalJobName(job) {
-
-  return job && (job.name || job.build_name || job.stage || job.job_name) ? (job.name || job.build_name || job.stage || job.job_name) : '';
+/**
+ * Best-effort event time (ms) from a job or pipeline payload, or null if none is present.
+ */
+function eventTimestamp(event) {
+  const attrs = event.object_attributes || {};
+  const candidates = [
+    event.build_finished_at, event.build_started_at, event.build_created_at,
+    attrs.finished_at, attrs.created_at
+  ];
+  for (const value of candidates) {
+    if (!value) continue;
+    const ts = Date.parse(value);
+    if (!Number.isNaN(ts)) return ts;
+  }
+  return null;
 }
 
-/** Ensure debug directory exists and write raw webhook payload */
-function writeRawWebhookPayload(event) {
-  try {
-    const debugDir = path.join(process.cwd(), 'debug');
-    fs.mkdirSync(debugDir, { recursive: true });
-    const raw = JSON.stringify(event, null, 2);
-    const hash = crypto.createHash('sha256').update(raw).digest('hex');
-    const filename = path.join(debugDir, `webhook-${hash}.json`);
-    if (!fs.existsSync(filename)) {
-      fs.writeFileSync(filename, raw, { encoding: 'utf8' });
+/**
+ * Replay/duplicate check run right after token validation. Returns
+ * { drop: true, reason } for deliveries that must not be processed, otherwise
+ * { drop: false, deliveryId } once the delivery has been recorded.
+ */
+async function checkDelivery(req, event) {
+  if (WEBHOOK_MAX_AGE_SEC > 0) {
+    const ts = eventTimestamp(event);
+    if (ts !== null && Date.now() - ts > WEBHOOK_MAX_AGE_SEC * 1000) {
+      return { drop: true, reason: 'stale_event', event_age_sec: Math.floor((Date.now() - ts) / 1000) };
     }
-    return { path: filename, hash };
-  } catch (e) {
-    console.warn('Failed to write debug webhook payload:', e && e.message ? e.message : String(e));
-    return { path: null, hash: null };
   }
-}
 
-function extractIds(event) {
+  const eventUuid = req.get('X-Gitlab-Event-UUID') || null;
+  const payloadHash = crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex');
   const project = event.project || (event.project_id ? { id: event.project_id } : null);
-  const projectId = project && project.id;
-  const pipelineId = (event.pipeline && event.pipeline.id) || (event.object_attributes && event.object_attributes.id) || (event.build && event.build.pipeline && event.build.pipeline.id) || event.pipeline_id || null;
-  // job object may be under many keys depending on event type
-  const job = event.build || event.job || event;
-  const jobId = job && (job.id || job.build_id || event.build_id || job.job_id || null);
-  const commitSha = event.commit.sha || null;
-  return { projectId, pipelineId, jobId, job, commitSha };
-}
-
-
-async function analyzeSingleJob(eventContext) {
-  const { event, projectId, pipelineId, job, jobName, commitSha } = eventContext;
-  console.log('[ANALYZE] Start', {
-    projectId,
-    pipelineId,
-    jobId: job && (job.id || job.build_id || job.job_id),
-    jobName,
-    commitSha
+  const recorded = await deliveryStore.recordDelivery({
+    eventUuid,
+    payloadHash,
+    objectKind: event.object_kind,
+    projectId: project && project.id
   });
-
-
-  const buildIdParam = event && (event.build_id || null);
-  const jobIdFallback = job && (job.id || job.build_id || job.job_id || null);
-
-  if (!projectId) {
-    console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.missing_project', event_summary: event && event.object_kind ? event.object_kind : 'unknown' }));
-    return { status: 'ignored', reason: 'missing_project' };
-  }
-
-
-  if (!buildIdParam && !jobIdFallback) {
-    const { path: rawPath, hash: rawHash } = writeRawWebhookPayload(event);
-    console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.missing_job_id', projectId, pipelineId, raw_payload_hash: rawHash, raw_path: rawPath }));
-    return { status: 'ignored', reason: 'missing_job_id', debug: { raw_payload_hash: rawHash, raw_path: rawPath } };
+  if (recorded.duplicate) {
+    return { drop: true, reason: recorded.reason, event_uuid: eventUuid, payload_hash: payloadHash, first_seen: recorded.first_seen };
   }
+  return { drop: false, deliveryId: recorded.id };
+}
 
-
-  let logs = '';
-  try {
-    const traceJobId = buildIdParam || jobIdFallback;
-    logs = await gitlabService.getJobTrace(projectId, traceJobId);
-  } catch (err) {
-    const { path: rawPath, hash: rawHash } = writeRawWebhookPayload(event);
-    console.error(JSON.stringify({ level: 'error', msg: 'trace.fetch_failed', projectId, jobId: (event && event.build_id) || (job && job.id) || null, error: err && err.message ? err.message : String(err), raw_payload_hash: rawHash, raw_path: rawPath }));
-    return { status: 'failed', reason: 'failed_to_fetch_trace', error: err && err.message ? err.message : String(err), debug: { raw_payload_path: rawPath } };
-  }
-
-
-  const safeLog = logParser.sanitize(logs);
-  const lines = safeLog.split('\n');
-  const excerpt = lines.slice(-40).join('\n'); 
-  const traceTail = lines.slice(-1200).join('\n'); 
-
-
-  const runDebugDir = path.join(process.cwd(), 'debug');
-  try { fs.mkdirSync(runDebugDir, { recursive: true }); } catch (e) {}
-  const traceHash = crypto.createHash('sha256').update(traceTail).digest('hex');
-  const runDebugPath = path.join(runDebugDir, `run-${traceHash}.json`);
-  try {
-    const snapshot = {
-      meta: { projectId, pipelineId, jobId: (event && event.build_id) || (job && job.id) || null, jobName, commitSha, traceHash },
-      trace_tail: traceTail.slice(-10000) 
-    };
-    if (!fs.existsSync(runDebugPath)) {
-      fs.writeFileSync(runDebugPath, JSON.stringify(snapshot, null, 2), 'utf8');
-    }
-  } catch (e) {
-    console.warn('Failed to write run debug file:', e && e.message ? e.message : String(e));
-  }
-
-  // Deterministic detection via detectorService (fetch files at commit, verify matches, detect deps)
-  let detectorResult = null;
-  try {
-    detectorResult = await detectorService.loadAndVerifyArtifacts({
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      commitSha,
-      traceTail
-    });
-    console.log('[DETECTOR] Completed', {
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      repoHits: (detectorResult.repoHits || []).length,
-      dependencyHigh: (detectorResult.dependencyHigh || []).length
-    });
-    try {
-      const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
-      existing.detector = { summary: { repoHits: (detectorResult.repoHits || []).length, dependencyHigh: (detectorResult.dependencyHigh || []).length } , details: detectorResult };
-      fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
-    } catch (e) {
-      // ignore write errors
-    }
-  } catch (e) {
-    console.warn('Detector service failed:', e && e.message ? e.message : String(e));
-    detectorResult = { repoHits: [], dependencyHigh: [], dependencyOther: [], error: e && e.message ? e.message : String(e) };
-  }
-
-  const jobStatus = (event.build_status|| '').toLowerCase();
-
-  if (jobStatus === 'success' || jobStatus === 'running') {
-    // START: AI-on-success conditions block ----
-    // Patterns and threshold for 'suspicious' successful jobs
-    const suspiciousPatterns = [
-      /flaky/i,
-      /deprecation warning/i,
-      /deprecated/i,
-      /out of memory/i,
-      /memory leak/i,
-      /retrying/i,
-      /could not resolve dependency/i,
-      /npm WARN/i,
-      /disk quota/i,
-      /no space left on device/i,
-      /rate limit/i,
-      /429/i,
-      /throttled/i,
-      /skipped/i,
-      /quarantined/i,
-      /pending/i,
-      /build succeeded with warnings/i
-    ];
-
-    const matched = suspiciousPatterns.some(pattern => pattern.test(traceTail));
-    const warningCount = (traceTail.match(/warn/gi) || []).length;
-
-    if (matched || warningCount > 2) {
-      console.log('[AI GUARD] Success job triggers AI', {
-        projectId,
-        pipelineId,
-        jobId: (event && event.build_id) || (job && job.id) || null,
-        warningCount,
-        matchedPattern: matched
+/**
+ * Registry credentials of the project an event claims to come from. Group entries are matched by
+ * the project's path as remembered or looked up from GitLab, never by the path in the payload:
+ * it is not authenticated yet, and a made-up path would pick another secret. The lookup spends
+ * group tokens and GitLab rate limit, so it only runs once `incomingToken` matches a group's or
+ * the global webhook secret. Resolves to { tenant, path, remembered }.
+ */
+async function resolveTenant(projectId, incomingToken) {
+  const remembered = await projectRegistry.pathOf(projectId);
+  let path = remembered;
+  if (!path && projectId != null && incomingToken) {
+    const candidates = (await projectRegistry.groupWebhookSecrets()).concat(WEBHOOK_SECRET || []);
+    const hasGroups = (await projectRegistry.list()).some(e => e.scope === 'group');
+    if (hasGroups && candidates.some(secret => validWebhookToken(incomingToken, secret))) {
+      path = await gitlabService.lookupProjectPath(projectId).catch((err) => {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.project_lookup_failed', projectId, error: err && err.message ? err.message : String(err) }));
+        return null;
       });
-      let analysis = null;
-      try {
-        analysis = await aiService.analyzeFailure({
-          projectId,
-          pipelineId,
-          jobId: (event && event.build_id) || (job && job.id) || null,
-          jobName: jobName || job.name,
-          logs: traceTail
-        });
-        analysis._detectorSummary = { repoHits: detectorResult.repoHits || [], dependencyHigh: detectorResult.dependencyHigh || [], dependencyOther: detectorResult.dependencyOther || [] };
-        try {
-          const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
-          existing.ai = { analysis: analysis };
-          fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
-        } catch (e) {}
-      } catch (err) {
-        console.error('AI analyze failure:', err && err.message ? err.message : String(err));
-        analysis = {
-          stage: jobName || job.name,
-          root_cause: 'AI_UNAVAILABLE',
-          suggested_fix: 'Manual triage required',
-          confidence: 0,
-          explain: err && err.message ? err.message : String(err)
-        };
-      }
-      try {
-        const issue = await issueService.createIssueFromAnalysis(event , projectId, {
-          pipelineId,
-          job,
-          analysis,
-          logExcerpt: excerpt,
-          commitSha
-        });
-        console.log('[ISSUE] Created for success job', {
-          projectId,
-          pipelineId,
-          jobId: (event && event.build_id) || (job && job.id) || null,
-          issueId: issue && issue.iid
-        });
-        return { status: 'issue_created_ai_success', issue, analysis };
-      } catch (err) {
-        console.error('Failed to create/append issue (AI path - success):', err && err.message ? err.message : String(err));
-        return { status: 'failed', reason: 'issue_creation_failed_success', error: err && err.message ? err.message : String(err) };
-      }
     }
-    // END: AI-on-success conditions block
-    console.log('[ANALYZE] Success job skipped (no suspicious signals)', {
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      warningCount
-    });
-    return { status: 'skipped', reason: 'success-no-deterministic-findings-or-ai-triggers' };
   }
+  return { tenant: await projectRegistry.resolve(projectId, { path }), path, remembered: !!remembered };
+}
 
-  // Double guard: Only failed jobs (not success, not any other case)
-  if (jobStatus !== 'failed' && jobStatus !== 'canceled' && jobStatus !== 'manual') {
-    // If job status can't be identified as failure, do not call AI
-    console.log('[ANALYZE] Job skipped (non failure state)', {
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      jobStatus
-    });
-    return { status: 'skipped', reason: `job-status-${jobStatus}-not-failure` };
-  }
+function canonicalJobName(job) {
 
-  // === ONLY HERE: AI called ===
-  console.log('[AI GUARD] Failure job triggers AI', { projectId, pipelineId, jobId: (event && event.build_id) || (job && job.id) || null, jobStatus });
-  let analysis = null;
-  try {
-    analysis = await aiService.analyzeFailure({
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      jobName: jobName || job.name,
-      logs: traceTail
-    });
-    // attach detector summary for audit
-    analysis._detectorSummary = {
-      repoHits: detectorResult.repoHits || [],
-      dependencyHigh: detectorResult.dependencyHigh || [],
-      dependencyOther: detectorResult.dependencyOther || []
-    };
-    // store AI result in debug run file
-    try {
-      const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
-      existing.ai = { analysis: analysis };
-      fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
-    } catch (e) {}
-  } catch (err) {
-    console.error('AI analyze failure:', err && err.message ? err.message : String(err));
-    analysis = {
-      stage: jobName || job.name,
-      root_cause: 'AI_UNAVAILABLE',
-      suggested_fix: 'Manual triage required',
-      confidence: 0,
-      explain: err && err.message ? err.message : String(err)
-    };
-  }
+  return job && (job.name || job.build_name || job.stage || job.job_name) ? (job.name || job.build_name || job.stage || job.job_name) : '';
+}
 
-  // Create or append to issue (dedupe done inside service) — AI path
-  try {
-    const issue = await issueService.createIssueFromAnalysis(event , projectId, {
-      pipelineId,
-      job,
-      analysis,
-      logExcerpt: excerpt,
-      commitSha
-    });
-    console.log('[ISSUE] Created for failed job', {
-      projectId,
-      pipelineId,
-      jobId: (event && event.build_id) || (job && job.id) || null,
-      issueId: issue && issue.iid
-    });
-    return { status: 'issue_created_ai', issue, analysis };
-  } catch (err) {
-    console.error('Failed to create/append issue (AI path):', err && err.message ? err.message : String(err));
-    return { status: 'failed', reason: 'issue_creation_failed', error: err && err.message ? err.message : String(err) };
-  }
+// Fraction (0..1) of successful job events that go through the success-path analysis
+const SUCCESS_SAMPLE_RATE = Math.max(0, Math.min(1, Number(process.env.SUCCESS_SAMPLE_RATE || '1')));
+
+function shouldSampleSuccess(rate = SUCCESS_SAMPLE_RATE) {
+  return rate >= 1 || Math.random() < rate;
 }
 
 router.post('/', async (req, res) => {
+  let deliveryId = null;
   try {
+    const event = req.body && typeof req.body === 'object' ? req.body : {};
+    // Credentials and settings of the project the event claims to come from; the token check decides whether to believe it
+    const claimedProject = event.project || (event.project_id ? { id: event.project_id } : null);
+    const claimedProjectId = claimedProject && claimedProject.id != null ? claimedProject.id : null;
     const incomingToken = req.get('X-Gitlab-Token') || req.headers['x-gitlab-token'] || '';
-    if (!validWebhookToken(incomingToken)) {
-      console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.invalid_token', ip: req.ip }));
+    const { tenant, path: projectPath, remembered } = await resolveTenant(claimedProjectId, incomingToken);
+
+    if (!validWebhookToken(incomingToken, tenant.webhookSecret || WEBHOOK_SECRET)) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.invalid_token', projectId: claimedProjectId, registered: tenant.entries.length > 0, ip: req.ip }));
+      await auditService.record('webhook.rejected', { projectId: claimedProjectId, reason: 'invalid_token', registered: tenant.entries.length > 0, ip: req.ip || null });
       return res.status(401).json({ ok: false, message: 'invalid webhook token' });
     }
+    if (PROJECT_REGISTRY_REQUIRED && tenant.entries.length === 0) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.project_not_registered', projectId: claimedProjectId, path: projectPath, ip: req.ip }));
+      await auditService.record('webhook.rejected', { projectId: claimedProjectId, reason: 'project_not_registered', path: projectPath, ip: req.ip || null });
+      return res.status(403).json({ ok: false, message: 'project not registered' });
+    }
 
-    const event = req.body;
-    if (!event || typeof event !== 'object') {
+    if (!req.body || typeof req.body !== 'object') {
       return res.status(200).json({ ok: true, msg: 'ignored' });
     }
+    // GitLab API calls later only know the project id; keep the path once the registered secret vouched for the project
+    if (projectPath && !remembered && tenant.webhookSecret) {
+      await projectRegistry.rememberPath(claimedProjectId, projectPath);
+    }
+    const settings = tenant.settings;
+
+    const delivery = await checkDelivery(req, event);
+    const eventProject = event.project || (event.project_id ? { id: event.project_id } : null);
+    const audit = (type, data) => auditService.record(type, { projectId: eventProject && eventProject.id, object_kind: event.object_kind || null, ...data });
+    await audit('webhook.received', {
+      event_uuid: req.get('X-Gitlab-Event-UUID') || null,
+      delivery_id: delivery.deliveryId || null,
+      payload_sha256: auditService.sha256(JSON.stringify(event))
+    });
+    if (delivery.drop) {
+      const { drop: _drop, ...details } = delivery;
+      console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.delivery_dropped', object_kind: event.object_kind || null, ...details }));
+      await audit('webhook.filtered', { decision: 'delivery-dropped', ...details });
+      // 200 so GitLab stops re-delivering
+      return res.status(200).json({ ok: true, msg: 'delivery-dropped', reason: delivery.reason });
+    }
+    deliveryId = delivery.deliveryId;
 
     if (event.object_kind === 'build' || event.object_kind === 'job') {
       const job = event.build || event.job || event;
@@ -340,26 +177,36 @@ router.post('/', async (req, res) => {
 
 
       const jobStage = job.stage || job.stage_name || job.build_stage || job.stageName || '';
-      const isMonitoredByName = MONITORED_JOB_NAMES.length > 0 ? MONITORED_JOB_NAMES.includes(jobName) : false;
-      const isMonitoredByStage = MONITORED_STAGES_NAMES.length > 0 ? MONITORED_STAGES_NAMES.includes((jobStage || '').toString()) : false;
+      const monitoredJobs = settings.monitored_jobs || MONITORED_JOB_NAMES;
+      const monitoredStages = settings.monitored_stages || MONITORED_STAGES_NAMES;
+      const isMonitoredByName = monitoredJobs.length > 0 ? monitoredJobs.includes(jobName) : false;
+      const isMonitoredByStage = monitoredStages.length > 0 ? monitoredStages.includes((jobStage || '').toString()) : false;
 
       if (!isMonitoredByName && !isMonitoredByStage) {
+        await audit('webhook.filtered', { decision: 'job-not-monitored', job: jobName, stage: jobStage });
         return res.status(200).json({ ok: true, msg: 'job-not-monitored', job: jobName, stage: jobStage });
       }
       
-      // If job succeeded and success-analysis not enabled, maybe sample; otherwise skip
-      const status = (job.status || job.state || '').toLowerCase();
-      if (status === 'success' && !shouldSampleSuccess()) {
-        return res.status(200).json({ ok: true, msg: 'success-sampled-out', job: jobName });
-      }
+      // Successful jobs are always queued so they count towards auto-closing issues;
+      // sampling only decides whether the success-path analysis runs
+      const status = (job.status || job.state || event.build_status || '').toLowerCase();
+      const sampled = status === 'success' ? shouldSampleSuccess(settings.success_sample_rate ?? SUCCESS_SAMPLE_RATE) : true;
 
-      // Extract canonical ids and analyze this job
+      // Extract canonical ids and queue this job; the analysis worker picks it up
       const { projectId: pId, pipelineId, jobId, job: canonicalJob, commitSha } = extractIds(event);
-      const ctx = { event, projectId: pId || projectId, pipelineId, job: canonicalJob, jobName, commitSha };
-      const result = await analyzeSingleJob(ctx);
+      if (!(pId || projectId) || !jobId) {
+        const { path: rawPath, hash: rawHash } = writeRawWebhookPayload(event);
+        console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.invalid_job_event', projectId: pId || projectId || null, jobId: jobId || null, raw_payload_hash: rawHash, raw_path: rawPath }));
+        await audit('webhook.filtered', { decision: 'ignored-invalid-job-event', job: jobName, raw_payload_hash: rawHash });
+        return res.status(200).json({ ok: true, msg: 'ignored-invalid-job-event' });
+      }
+      const ctx = { event, projectId: pId || projectId, pipelineId, job: canonicalJob, jobName, commitSha, sampled };
+      const queueId = await jobQueue.enqueue({ kind: 'job', payload: ctx });
+      console.log(JSON.stringify({ level: 'info', msg: 'webhook.job_queued', queueId, projectId: ctx.projectId, pipelineId, job: jobName, status, sampled }));
+      await auditService.record('webhook.queued', { projectId: ctx.projectId, pipelineId, jobId, kind: 'job', queue_id: queueId, job: jobName, status, sampled });
 
-      // Respond 200 with a concise summary for webhook caller (do not expose sensitive info)
-      return res.status(200).json({ ok: true, msg: 'job-analyzed', job: jobName, result: { status: result.status, reason: result.reason } });
+      // Respond 202 with a concise summary for webhook caller (do not expose sensitive info)
+      return res.status(202).json({ ok: true, msg: 'job-queued', job: jobName, queueId });
     }
 
     // --- PIPELINE event handling (legacy / aggregate) ---
@@ -368,31 +215,27 @@ router.post('/', async (req, res) => {
       const pipelineId = event.object_attributes && event.object_attributes.id;
       const status = (event.object_attributes && event.object_attributes.status || '').toLowerCase();
 
-      // If pipeline failed -> analyze failed jobs (existing flow)
+      // If pipeline failed -> queue it; the worker fans out one queue entry per failed job
       if (status === 'failed') {
-        const jobs = await gitlabService.getPipelineJobs(projectId, pipelineId);
-        const failedJobs = jobs.filter(j => j.status === 'failed' || j.status === 'canceled' || j.status === 'manual');
-        for (const job of failedJobs) {
-          try {
-            const ctx = { event, projectId, pipelineId, job, jobName: job.name, commitSha: event.checkout_sha || '' };
-            // reuse the single-job analyzer
-            await analyzeSingleJob(ctx);
-          } catch (err) {
-            console.error('Failed to analyze a failed job in pipeline:', err && err.message ? err.message : String(err));
-            // continue analyzing other failed jobs
-          }
-        }
-        return res.status(200).json({ ok: true, msg: 'pipeline-failed-analyzed' });
+        const ctx = { event, projectId, pipelineId, commitSha: event.checkout_sha || (event.object_attributes && event.object_attributes.sha) || '' };
+        const queueId = await jobQueue.enqueue({ kind: 'pipeline', payload: ctx });
+        console.log(JSON.stringify({ level: 'info', msg: 'webhook.pipeline_queued', queueId, projectId, pipelineId }));
+        await auditService.record('webhook.queued', { projectId, pipelineId, kind: 'pipeline', queue_id: queueId, status });
+        return res.status(202).json({ ok: true, msg: 'pipeline-failed-queued', queueId });
       }
 
       // default: ignore non-failed pipelines unless sampling enabled
+      await audit('webhook.filtered', { decision: 'pipeline-ignored', pipelineId, status });
       return res.status(200).json({ ok: true, msg: 'pipeline-ignored' });
     }
 
     // Other event types: ignore
+    await audit('webhook.filtered', { decision: 'ignored-event-type' });
     return res.status(200).json({ ok: true, msg: 'ignored-event-type' });
 
   } catch (err) {
+    // Forget the delivery so GitLab's retry of this request is not dropped as a duplicate
+    if (deliveryId) await deliveryStore.releaseDelivery(deliveryId).catch(() => {});
     console.error('Webhook handler error:', err && err.stack ? err.stack : err);
     return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
   }
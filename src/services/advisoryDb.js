@@ -0,0 +1,143 @@
+// backend/src/services/advisoryDb.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('../utils/versions');
+
+/**
+ * Offline advisory database.
+ *
+ * Advisories are stored as a single JSON document (OSV-like shape):
+ *   {
+ *     "advisories": [
+ *       { "id": "GHSA-...", "aliases": ["CVE-..."], "ecosystem": "npm",
+ *         "package": "lodash", "severity": "high", "summary": "...",
+ *         "ranges": [{ "introduced": "0", "fixed": "4.17.21" }] }
+ *     ]
+ *   }
+ *
+ * The active database lives in ADVISORY_DB_PATH (default: data/advisories.json).
+ * When that file does not exist the bundled seed in src/data is used.
+ * The file is re-read whenever its mtime changes, so updating the database is
+ * a matter of replacing the file or calling importFromFile().
+ */
+
+const DATA_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
+const DB_PATH = path.resolve(process.env.ADVISORY_DB_PATH || path.join(DATA_DIR, 'advisories.json'));
+const SEED_PATH = path.join(__dirname, '../data/advisories.seed.json');
+
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
+let cache = { path: null, mtimeMs: 0, index: new Map(), count: 0 };
+
+function normalizeName(ecosystem, name) {
+  const n = String(name || '').trim();
+  if (ecosystem === 'PyPI') return n.toLowerCase().replace(/[._]+/g, '-');
+  return n;
+}
+
+function indexKey(ecosystem, name) {
+  return `${ecosystem}:${normalizeName(ecosystem, name)}`;
+}
+
+function normalizeSeverity(s) {
+  const v = String(s || '').toLowerCase();
+  if (v === 'medium') return 'moderate';
+  return SEVERITIES.includes(v) ? v : 'moderate';
+}
+
+function inRange(version, range) {
+  const introduced = range.introduced && range.introduced !== '0' ? range.introduced : null;
+  if (introduced && compareVersions(version, introduced) < 0) return false;
+  if (range.fixed && compareVersions(version, range.fixed) >= 0) return false;
+  if (range.last_affected && compareVersions(version, range.last_affected) > 0) return false;
+  return true;
+}
+
+function validateDocument(doc) {
+  if (!doc || !Array.isArray(doc.advisories)) {
+    throw new Error('advisory document must contain an "advisories" array');
+  }
+  doc.advisories.forEach((a, i) => {
+    if (!a || !a.id || !a.ecosystem || !a.package || !Array.isArray(a.ranges)) {
+      throw new Error(`advisory #${i} is missing id, ecosystem, package or ranges`);
+    }
+  });
+  return doc;
+}
+
+function buildIndex(doc) {
+  const index = new Map();
+  for (const adv of doc.advisories) {
+    const key = indexKey(adv.ecosystem, adv.package);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ ...adv, severity: normalizeSeverity(adv.severity) });
+  }
+  return index;
+}
+
+function activePath() {
+  return fs.existsSync(DB_PATH) ? DB_PATH : SEED_PATH;
+}
+
+/**
+ * Load (or reload when changed on disk) the advisory index.
+ */
+function load() {
+  const p = activePath();
+  const stat = fs.statSync(p);
+  if (cache.path === p && cache.mtimeMs === stat.mtimeMs) return cache;
+
+  const doc = validateDocument(JSON.parse(fs.readFileSync(p, 'utf8')));
+  cache = { path: p, mtimeMs: stat.mtimeMs, index: buildIndex(doc), count: doc.advisories.length };
+  console.log(JSON.stringify({ level: 'info', msg: 'advisories.loaded', path: p, count: cache.count }));
+  return cache;
+}
+
+/**
+ * Merge advisories from an external file into the active database.
+ * Entries with the same id are replaced. Returns { added, replaced, total }.
+ */
+function importFromFile(srcPath) {
+  const incoming = validateDocument(JSON.parse(fs.readFileSync(srcPath, 'utf8')));
+  const current = JSON.parse(fs.readFileSync(activePath(), 'utf8'));
+
+  const byId = new Map((current.advisories || []).map(a => [a.id, a]));
+  let added = 0;
+  let replaced = 0;
+  for (const adv of incoming.advisories) {
+    if (byId.has(adv.id)) replaced++; else added++;
+    byId.set(adv.id, adv);
+  }
+
+  const merged = { updated: new Date().toISOString(), advisories: Array.from(byId.values()) };
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  const tmp = `${DB_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(merged, null, 2), 'utf8');
+  fs.renameSync(tmp, DB_PATH);
+  load();
+  return { added, replaced, total: merged.advisories.length };
+}
+
+/**
+ * Return all advisories affecting ecosystem/package@version.
+ */
+function findAdvisories(ecosystem, pkg, version) {
+  const { index } = load();
+  const candidates = index.get(indexKey(ecosystem, pkg)) || [];
+  return candidates.filter(adv => adv.ranges.some(r => inRange(version, r)));
+}
+
+function isHighSeverity(severity) {
+  return severity === 'high' || severity === 'critical';
+}
+
+module.exports = {
+  DB_PATH,
+  load,
+  importFromFile,
+  findAdvisories,
+  compareVersions,
+  isHighSeverity
+};
@@ -1,21 +1,34 @@
 'use strict';
 
-const util = require('util');
-const Groq = require('groq-sdk');
-const aiHelpers = require('../utils/aiHelpers');
-
-const API_KEY = process.env.GROQ_API_KEY;
-if (!API_KEY) {
-  throw new Error('GROQ_API_KEY is not set in environment');
-}
+const crypto = require('crypto');
 
-const MODEL = process.env.GROQ_MODEL || 'llama3-8b-8192';
-const MAX_RETRIES = Math.max(0, parseInt(process.env.GROQ_MAX_RETRIES || '3', 10));
-const TIMEOUT_MS = Math.max(1000, parseInt(process.env.GROQ_TIMEOUT_MS || '30000', 10));
-const BASE_BACKOFF_MS = Math.max(100, parseInt(process.env.GROQ_BASE_BACKOFF_MS || '400', 10));
-const MAX_BACKOFF_MS = Math.max(1000, parseInt(process.env.GROQ_MAX_BACKOFF_MS || '8000', 10));
-const CONCURRENCY_LIMIT = Math.max(1, parseInt(process.env.GROQ_CONCURRENCY_LIMIT || '4', 10));
+const aiHelpers = require('../utils/aiHelpers');
+const analysisSchema = require('../utils/analysisSchema');
+const { verifyClaims } = require('../utils/evidenceGuard');
+const analysisCacheStore = require('../db/analysisCacheStore');
+const budgetService = require('./budgetService');
+const auditService = require('./auditService');
+const ruleEngine = require('./ruleEngine');
+const projectRegistry = require('./projectRegistry');
+const { formatErrorBlocks } = require('../utils/logParser');
+const providers = require('./providers');
+const { safeTruncate } = require('./providers/providerUtils');
+
+const MAX_RETRIES = Math.max(0, parseInt(process.env.AI_MAX_RETRIES || process.env.GROQ_MAX_RETRIES || '3', 10));
+const TIMEOUT_MS = Math.max(1000, parseInt(process.env.AI_TIMEOUT_MS || process.env.GROQ_TIMEOUT_MS || '30000', 10));
+const BASE_BACKOFF_MS = Math.max(100, parseInt(process.env.AI_BASE_BACKOFF_MS || process.env.GROQ_BASE_BACKOFF_MS || '400', 10));
+const MAX_BACKOFF_MS = Math.max(1000, parseInt(process.env.AI_MAX_BACKOFF_MS || process.env.GROQ_MAX_BACKOFF_MS || '8000', 10));
+const CONCURRENCY_LIMIT = Math.max(1, parseInt(process.env.AI_CONCURRENCY_LIMIT || process.env.GROQ_CONCURRENCY_LIMIT || '4', 10));
 const DEMO_FALLBACK = String(process.env.DEMO_FALLBACK || '0') === '1';
+const SYSTEM_PROMPT = 'You are a helpful assistant specialized in CI/CD failure analysis.';
+// Log tail sent alongside extracted error blocks (the blocks carry the failure itself)
+const CONTEXT_TAIL_LINES = 200;
+// Bump whenever buildPrompt(), the response schema or its post-processing changes, so cached analyses are not reused
+const PROMPT_VERSION = 3;
+// How long an analysis is reused for the same failure signature (0 disables the cache)
+const AI_CACHE_TTL_SEC = Math.max(0, parseInt(process.env.AI_CACHE_TTL_SEC || String(7 * 24 * 3600), 10));
+// Offline rule pack (ruleEngine): 'fallback' when the model gives no usable answer, 'first' to skip the model on a match, 'off'
+const AI_RULES_MODE = ['first', 'fallback', 'off'].includes(process.env.AI_RULES_MODE) ? process.env.AI_RULES_MODE : 'fallback';
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function jitter(max) { return Math.floor(Math.random() * max); }
@@ -23,10 +36,13 @@ function backoffDelay(attempt) {
   const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
   return Math.min(MAX_BACKOFF_MS, exp) + jitter(300);
 }
-function safeTruncate(s, max = 2000) {
-  const str = (typeof s === 'string') ? s : util.inspect(s, { depth: 4 });
-  if (str.length <= max) return str;
-  return str.slice(0, max) + '...[truncated]';
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('ai_timeout')), TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 // concurrency throttle
@@ -43,8 +59,31 @@ const waitForSlot = () => new Promise(resolve => {
 });
 const releaseSlot = () => { currentConcurrency = Math.max(0, currentConcurrency - 1); };
 
+// Active LLM provider, created lazily from config on first use
+let provider = null;
+
+function getProvider() {
+  if (!provider) provider = providers.createProvider();
+  return provider;
+}
+
+/**
+ * Replace the active provider (tests, or switching providers at runtime).
+ * Passing null resets to the configured provider on next use.
+ */
+function setProvider(p) {
+  provider = p || null;
+}
 
-const client = new Groq({ apiKey: API_KEY });
+const SAFEGUARDS = `IMPORTANT SAFEGUARDS (do not remove):
+- Do NOT invent file names, line numbers, CVE identifiers, or package advisory URLs that are not present in the provided evidence.
+- evidence_lines must be copied from the logs exactly; affected_files must appear in the logs or evidence. Use [] when there are none.
+- If there is not enough concrete evidence in the logs or the supplied verified evidence to determine a root cause, you MUST return root_cause: "INSUFFICIENT_EVIDENCE", category: "unknown" and confidence: 0.0.
+- Keep the explanation truthful, concise, and only based on the provided logs/evidence.`;
+
+function describeCategories() {
+  return Object.entries(analysisSchema.CATEGORIES).map(([name, desc]) => `  - ${name}: ${desc}`).join('\n');
+}
 
 /**
  * Build a strict prompt using the tail of logs and optional verified evidence.
@@ -56,71 +95,137 @@ const client = new Groq({ apiKey: API_KEY });
  *  - Return ONLY valid JSON matching the schema.
  *  - Do NOT invent file names, CVEs, or line numbers.
  *  - If insufficient evidence, return a JSON with root_cause: "INSUFFICIENT_EVIDENCE".
+ * The response contract is analysisSchema.ANALYSIS_SCHEMA.
  */
-function buildPrompt({ jobName, logs, evidence = null, maxLines = 1200 }) {
+/**
+ * Prompt section with the verified detector evidence (repoHits / deps), or '' without any.
+ */
+function evidenceText(evidence) {
+  if (!evidence || typeof evidence !== 'object') return '';
+  let text;
+  try {
+    text = JSON.stringify({
+      repo_hits: (evidence.repoHits || []).filter(Boolean).map(h => ({ file: h.file, line: h.line || null, rule: h.rule || null, verified: !!h.verified, reason: h.reason || null })),
+      dependencies: (evidence.dependencyHigh || []).concat(evidence.dependencyOther || [])
+    }, null, 2);
+  } catch (e) {
+    text = '"[evidence serialization failed]"';
+  }
+  return `${text}\n\n`;
+}
+
+/**
+ * Prompt section with similar past failures (historyService.findSimilar), or '' without any.
+ */
+function similarCasesText(similarCases) {
+  if (!Array.isArray(similarCases) || similarCases.length === 0) return '';
+  const cases = similarCases.map((c, i) => [
+    `Past case ${i + 1}: issue #${c.issue_iid} (${c.status === 'closed' ? 'resolved' : 'still open'}, similarity ${c.similarity}${c.job_name ? `, job "${c.job_name}"` : ''})`,
+    `  Root cause then: ${c.root_cause}`,
+    `  Suggested fix then: ${c.suggested_fix || 'n/a'}`
+  ].join('\n'));
+  return `Similar past failures in this project (earlier AI analyses, NOT verified evidence; use them only as hints and confirm against the current logs):\n${cases.join('\n')}\n\n`;
+}
+
+function buildPrompt({ jobName, logs, evidence = null, errorBlocks = [], section = null, similarCases = [], maxLines = 1200 }) {
+  const categories = describeCategories();
   const header =
 `You are an expert DevOps CI/CD assistant. You will be given sanitized CI logs and optional verified evidence.
-You MUST respond ONLY with valid JSON matching this exact schema (no extra text, no markdown):
+You MUST respond ONLY with valid JSON matching this exact schema (analysis schema v${analysisSchema.SCHEMA_VERSION}; no extra text, no markdown, no other keys):
 
 {
   "stage": "<pipeline stage or job name>",
-  "root_cause": "<one sentence explanation or the literal string INS UFFICIENT_EVIDENCE if you cannot determine>",
+  "category": "<one of the categories below>",
+  "root_cause": "<one sentence explanation or the literal string INSUFFICIENT_EVIDENCE if you cannot determine>",
   "suggested_fix": "<short fix steps or an explicit 'insufficient_evidence' value>",
   "confidence": <0.0 - 1.0>,
-  "explain": "<2-3 sentence explanation>"
+  "explain": "<2-3 sentence explanation>",
+  "evidence_lines": ["<log lines copied verbatim that show the failure, at most 10>"],
+  "affected_files": ["<repository paths named in the logs or evidence, at most 20>"],
+  "reproduction_commands": ["<shell commands that reproduce the failure locally, at most 10>"],
+  "blocking": <true if the failure must be fixed before merging, false for warnings or flaky failures>
 }
 
-IMPORTANT SAFEGUARDS (do not remove):
-- Do NOT invent file names, line numbers, CVE identifiers, or package advisory URLs that are not present in the provided evidence.
-- If there is not enough concrete evidence in the logs or the supplied verified evidence to determine a root cause, you MUST return root_cause: "INSUFFICIENT_EVIDENCE" and confidence: 0.0.
-- Keep the explanation truthful, concise, and only based on the provided logs/evidence.
+Categories:
+${categories}
+
+${SAFEGUARDS}
 
 Here is the evidence (if any). Only use verified items listed here:
 
 `;
-  let evText = '';
-  if (evidence && typeof evidence === 'object') {
-    try {
-      evText += JSON.stringify({
-        repo_hits: (evidence.repoHits || []).filter(Boolean).map(h => ({ file: h.file, verified: !!h.verified, reason: h.reason || null })),
-        dependencies: (evidence.dependencyHigh || []).concat(evidence.dependencyOther || [])
-      }, null, 2);
-    } catch (e) {
-      evText += '"[evidence serialization failed]"';
-    }
-    evText += '\n\n';
+  const evText = evidenceText(evidence);
+
+  let blocksText = '';
+  let tailLines = maxLines;
+  if (Array.isArray(errorBlocks) && errorBlocks.length > 0) {
+    blocksText = `Errors extracted from the log (tool, test, file:line, message):\n${formatErrorBlocks(errorBlocks)}\n\n`;
+    tailLines = Math.min(maxLines, CONTEXT_TAIL_LINES);
   }
 
-  const safelyTruncated = (String(logs || '')).split('\n').slice(-maxLines).join('\n');
+  const historyText = similarCasesText(similarCases);
 
-  const footer =
-`\n\nLogs (sanitized tail):\n`;
+  const safelyTruncated = (String(logs || '')).split('\n').slice(-tailLines).join('\n');
 
-  return `${header}${evText}${footer}${safelyTruncated}\n\nReturn only JSON that strictly conforms to the schema above.`;
+  const footer = section
+    ? `\n\nLogs (sanitized tail of the "${section}" job section):\n`
+    : '\n\nLogs (sanitized tail):\n';
+
+  return `${header}${evText}${blocksText}${historyText}${footer}${safelyTruncated}\n\nReturn only JSON that strictly conforms to the schema above.`;
 }
 
 
-function extractTextFromResponse(resp) {
-  try {
-    if (!resp) return '';
-    if (Array.isArray(resp.choices) && resp.choices.length > 0) {
-      const c = resp.choices[0];
-      if (c.message && typeof c.message.content === 'string') return c.message.content;
-      if (typeof c.text === 'string') return c.text;
-      if (c.delta && typeof c.delta.content === 'string') return c.delta.content;
-    }
-    if (Array.isArray(resp.output) && resp.output.length > 0) {
-      const out = resp.output[0];
-      if (out && typeof out.content === 'string') return out.content;
-      if (Array.isArray(out?.content) && out.content.length) {
-        return out.content.map(x => x.text || JSON.stringify(x)).join('\n');
-      }
-    }
-    if (typeof resp === 'string') return resp;
-    return safeTruncate(JSON.stringify(resp));
-  } catch (e) {
-    return safeTruncate(String(resp));
-  }
+// Log lines of each job in a pipeline prompt (the excerpts hold the error blocks)
+const PIPELINE_JOB_EXCERPT_LINES = 80;
+
+/**
+ * Prompt for one correlated analysis of all failed jobs of a pipeline. Each job comes with
+ * its stage, status, dependencies, the role derived from the job graph and its error excerpt.
+ * The response contract is analysisSchema.PIPELINE_ANALYSIS_SCHEMA.
+ */
+function buildPipelinePrompt({ pipelineId, stages = [], jobs, evidence = null, similarCases = [] }) {
+  const roles = Object.entries(analysisSchema.JOB_ROLES).map(([name, desc]) => `  - ${name}: ${desc}`).join('\n');
+  const jobText = jobs.map((j, i) => [
+    `### Job ${i + 1}: "${j.name}" (stage "${j.stage || 'unknown'}", status ${j.status})`,
+    `Depends on: ${j.needs && j.needs.length > 0 ? j.needs.map(n => `"${n}"`).join(', ') : 'nothing'}${j.upstreamFailed && j.upstreamFailed.length > 0 ? ` (failed upstream: ${j.upstreamFailed.map(n => `"${n}"`).join(', ')})` : ''}`,
+    `Role suggested by the job graph: ${j.role}`,
+    'Error excerpt (sanitized):',
+    String(j.excerpt || '(no log captured)').split('\n').slice(-PIPELINE_JOB_EXCERPT_LINES).join('\n')
+  ].join('\n')).join('\n\n');
+
+  return `You are an expert DevOps CI/CD assistant. Pipeline ${pipelineId} failed in ${jobs.length} jobs${stages.length > 0 ? ` (stages in order: ${stages.join(' -> ')})` : ''}.
+Failures often cascade: one broken job makes the jobs that depend on it fail too. Identify the root job and classify every failed job.
+You MUST respond ONLY with valid JSON matching this exact schema (analysis schema v${analysisSchema.SCHEMA_VERSION}; no extra text, no markdown, no other keys):
+
+{
+  "stage": "<stage of the root job>",
+  "category": "<category of the root failure, one of the categories below>",
+  "root_cause": "<one sentence explanation of the root failure or the literal string INSUFFICIENT_EVIDENCE>",
+  "suggested_fix": "<short fix steps or an explicit 'insufficient_evidence' value>",
+  "confidence": <0.0 - 1.0>,
+  "explain": "<2-3 sentences on how the failures are related>",
+  "evidence_lines": ["<log lines copied verbatim that show the root failure, at most 10>"],
+  "affected_files": ["<repository paths named in the logs, at most 20>"],
+  "reproduction_commands": ["<shell commands that reproduce the root failure locally, at most 10>"],
+  "blocking": <true if the failure must be fixed before merging>,
+  "root_job": "<name of the root job, exactly as listed below>",
+  "jobs": [{ "name": "<job name>", "role": "<root | casualty | independent>", "reason": "<one sentence>" }]
+}
+
+Categories:
+${describeCategories()}
+
+Job roles:
+${roles}
+
+${SAFEGUARDS}
+- List every failed job below in "jobs" exactly once, using its exact name. A job can only be a casualty of a job it depends on.
+
+Here is the evidence for the pipeline's commit (if any). Only use verified items listed here:
+
+${evidenceText(evidence)}${similarCasesText(similarCases)}${jobText}
+
+Return only JSON that strictly conforms to the schema above.`;
 }
 
 
@@ -143,101 +248,281 @@ function parseJsonFromText(text) {
   return { parsed: null, cleaned };
 }
 
-// Try multiple SDK call shapes
-async function callGroq(prompt) {
-  const payload = {
-    model: MODEL,
-    messages: [
-      { role: 'system', content: 'You are a helpful assistant specialized in CI/CD failure analysis.' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: 1200,
-    temperature: 0
-  };
-
-  const attempts = [
-    async () => client.chat?.completions?.create ? await client.chat.completions.create(payload) : null,
-    async () => client.chat?.completions ? await client.chat.completions(payload) : null,
-    async () => client.createChatCompletion ? await client.createChatCompletion(payload) : null,
-    async () => client.request ? await client.request({ path: 'https://api.groq.com/openai/v1/chat/completions', method: 'POST', body: payload }) : null
-  ];
-
-  let lastErr;
-  for (const fn of attempts) {
-    try {
-      const resp = await fn();
-      if (resp) return resp;
-    } catch (err) {
-      lastErr = err;
-    }
+/**
+ * One model call; its token usage is recorded against the project's AI budget.
+ */
+async function callModel(prompt, { projectId = null, jobId = null, jobName = null } = {}) {
+  const p = getProvider();
+  const call = { projectId, jobId, job: jobName, provider: p.name, model: p.model, prompt_version: PROMPT_VERSION, prompt_sha256: auditService.sha256(`${SYSTEM_PROMPT}\n${prompt}`), prompt_chars: prompt.length };
+  let completion;
+  try {
+    completion = await p.complete({ system: SYSTEM_PROMPT, prompt, maxTokens: 1200, temperature: 0 });
+  } catch (err) {
+    await auditService.record('ai.call', { ...call, error: err && err.message ? err.message : String(err) });
+    throw err;
   }
-  throw lastErr || new Error('Groq client did not expose a known chat completion method');
+  await auditService.record('ai.call', { ...call, response: auditService.clip(completion && completion.text), usage: (completion && completion.usage) || null });
+  await budgetService.recordCall({ projectId, jobId, jobName, provider: p.name, model: p.model, usage: (completion && completion.usage) || {} }).catch((err) => {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.usage_record_failed', projectId, error: err && err.message ? err.message : String(err) }));
+  });
+  return completion;
 }
 
 
-function processGroqResponse(rawResp, { jobName = 'unknown', jobId = 'unknown' } = {}) {
-  try {
-    console.debug(JSON.stringify({ level: 'debug', msg: 'groq.raw_response', resp: safeTruncate(rawResp, 2000) }));
-  } catch {
-    console.debug('groq.raw_response (string)', safeTruncate(rawResp, 2000));
-  }
+function processModelResponse(completion, { jobName = 'unknown', jobId = 'unknown' } = {}) {
+  const p = getProvider();
+  console.debug(JSON.stringify({ level: 'debug', msg: 'ai.raw_response', provider: p.name, model: p.model, text: safeTruncate(completion && completion.text, 2000) }));
 
-  const text = extractTextFromResponse(rawResp);
-  const { parsed, cleaned } = parseJsonFromText(text);
+  const { parsed, cleaned } = parseJsonFromText(completion && completion.text);
 
   if (parsed && typeof parsed === 'object') {
     return parsed;
   }
 
   // Not parseable: return fallback that includes extracted text for diagnosis
-  return {
+  return analysisSchema.withDefaults({
     stage: jobName || jobId || 'unknown',
     root_cause: 'AI_UNAVAILABLE',
     suggested_fix: 'Manual triage required',
     confidence: 0,
     explain: `Model returned unparseable output. Extracted text (truncated): ${safeTruncate(cleaned, 1500)}`
-  };
+  });
+}
+
+
+/**
+ * Cache key of an analysis: prompt version + failure signature (project, job name, normalized
+ * error lines of `signatureText`, else of the logs) + a digest of the evidence, if any.
+ * Returns null when the failure cannot be identified.
+ */
+function analysisCacheKey({ projectId, jobName, logs, signatureText = null }, evidence = null) {
+  if (!projectId || !jobName) return null;
+  const signature = aiHelpers.makeSignatureFingerprint({ projectId, jobName, excerpt: signatureText || logs || '' });
+  const evidenceDigest = evidence
+    ? `:${crypto.createHash('sha256').update(JSON.stringify(evidence)).digest('hex').slice(0, 12)}`
+    : '';
+  return `p${PROMPT_VERSION}:${signature}${evidenceDigest}`;
 }
 
+// Category of an extracted error block's tool, for analyses made without the model
+const TOOL_CATEGORIES = {
+  jest: 'test-assertion', mocha: 'test-assertion', pytest: 'test-assertion',
+  npm: 'dependency', yarn: 'dependency',
+  docker: 'infra'
+};
 
-async function analyzeFailure({ projectId, pipelineId, jobId, jobName, logs }, opts = {}) {
+/**
+ * Analysis without a model call, from the first extracted error block (or the error lines
+ * of the log). Used when the AI budget is exhausted; `budget_exceeded` says which one.
+ */
+function heuristicAnalysis({ jobId, jobName, logs, errorBlocks = [] }, exceeded) {
+  const block = errorBlocks[0];
+  const location = block && block.file ? ` (${block.file}${block.line ? `:${block.line}` : ''})` : '';
+  const rootCause = block
+    ? `${block.tool} failure${block.test ? ` in ${block.test}` : ''}: ${block.message || 'see log excerpt'}${location}`
+    : (aiHelpers.extractErrorSignature(logs || '', { maxFrames: 1 })[0] || 'Unknown failure');
+  // compile errors carry a file and line but no test
+  const category = block ? (TOOL_CATEGORIES[block.tool] || (block.file && !block.test ? 'compile' : 'unknown')) : 'unknown';
+  return analysisSchema.withDefaults({
+    stage: jobName || jobId || 'unknown',
+    category,
+    root_cause: rootCause.slice(0, 300),
+    suggested_fix: 'Manual triage required: inspect the error above in the job log',
+    confidence: 0.2,
+    explain: `Heuristic analysis only: the ${exceeded.scope} ${exceeded.period} AI budget ($${exceeded.limit_usd}) is exhausted.`,
+    evidence_lines: block ? (block.context || []).filter(l => l.trim()).slice(0, 10).map(l => l.slice(0, 500)) : [],
+    affected_files: block && block.file ? [block.file] : [],
+    source: 'heuristic',
+    budget_exceeded: exceeded
+  });
+}
+
+/** AI_RULES_MODE of a project: its registered ai_rules_mode, else the environment's */
+async function rulesModeFor(projectId) {
+  return (await projectRegistry.settingsFor(projectId)).ai_rules_mode || AI_RULES_MODE;
+}
+
+function ruleAnalysis(input, mode = AI_RULES_MODE) {
+  if (mode === 'off') return null;
+  try {
+    return ruleEngine.analyze(input);
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.rules_failed', error: err && err.message ? err.message : String(err) }));
+    return null;
+  }
+}
+
+function isUnusable(analysis) {
+  return !analysis || analysis.root_cause === 'AI_UNAVAILABLE' || /demo fallback/i.test(analysis.root_cause || '');
+}
+
+// Only model answers are cached; fallbacks and "cannot tell" answers are retried next time
+function isCacheable(analysis) {
+  return aiHelpers.isValidAnalysis(analysis) &&
+    !analysis.source &&
+    !['AI_UNAVAILABLE', 'INSUFFICIENT_EVIDENCE'].includes(analysis.root_cause) &&
+    Number(analysis.confidence) > 0 &&
+    !/demo fallback/i.test(analysis.root_cause);
+}
+
+/**
+ * Analyze a failed job, reusing a cached analysis of the same failure signature within
+ * AI_CACHE_TTL_SEC. Cached results carry `cached: true` and `cached_at`.
+ * `opts.force` skips the cache lookup (the fresh result replaces the cached one);
+ * `signatureText` (e.g. the error excerpt) identifies the failure better than the log tail.
+ * Once the project's or the global AI budget is exhausted (budgetService), a heuristic
+ * analysis is returned without calling the model.
+ * The offline rule pack (ruleEngine, `source: 'rules'`) answers when the model is
+ * unavailable or over budget, or before the model with AI_RULES_MODE=first (per project:
+ * the registered ai_rules_mode).
+ */
+async function analyzeFailure(input, opts = {}) {
+  const rulesMode = await rulesModeFor(input.projectId);
+  const rules = rulesMode === 'first' ? ruleAnalysis(input, rulesMode) : null;
+  if (rules) {
+    console.log(JSON.stringify({ level: 'info', msg: 'ai.rules_match', projectId: input.projectId, jobId: input.jobId, job: input.jobName, rule: rules.rule_id, mode: rulesMode }));
+    return rules;
+  }
+
+  const cacheKey = AI_CACHE_TTL_SEC > 0 ? analysisCacheKey(input, opts.evidence || null) : null;
+
+  if (cacheKey && !opts.force) {
+    const hit = await analysisCacheStore.get(cacheKey).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'ai.cache_read_failed', error: err && err.message ? err.message : String(err) }));
+      return null;
+    });
+    if (hit) {
+      console.log(JSON.stringify({ level: 'info', msg: 'ai.cache_hit', projectId: input.projectId, jobId: input.jobId, job: input.jobName, cache_key: cacheKey, cached_at: hit.created_at, hits: hit.hits }));
+      return { ...hit.analysis, cached: true, cached_at: hit.created_at };
+    }
+  }
+
+  const exceeded = await budgetService.checkBudget(input.projectId).catch((err) => {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.budget_check_failed', projectId: input.projectId, error: err && err.message ? err.message : String(err) }));
+    return null;
+  });
+  if (exceeded) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.budget_exhausted', projectId: input.projectId, jobId: input.jobId, job: input.jobName, ...exceeded }));
+    const fallback = ruleAnalysis(input, rulesMode);
+    return fallback ? { ...fallback, budget_exceeded: exceeded } : heuristicAnalysis(input, exceeded);
+  }
+
+  const analysis = await runAnalysis(input, opts);
+  if (isUnusable(analysis)) {
+    const fallback = ruleAnalysis(input, rulesMode);
+    if (fallback) {
+      console.log(JSON.stringify({ level: 'info', msg: 'ai.rules_match', projectId: input.projectId, jobId: input.jobId, job: input.jobName, rule: fallback.rule_id, mode: rulesMode }));
+      return { ...fallback, ai_error: analysis && analysis.explain ? String(analysis.explain).slice(0, 500) : null };
+    }
+  }
+
+  if (cacheKey && isCacheable(analysis)) {
+    await analysisCacheStore.put({
+      cacheKey,
+      projectId: input.projectId,
+      jobName: input.jobName,
+      promptVersion: PROMPT_VERSION,
+      analysis,
+      ttlSec: AI_CACHE_TTL_SEC
+    }).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'ai.cache_write_failed', error: err && err.message ? err.message : String(err) }));
+    });
+  }
+  return analysis;
+}
+
+/**
+ * One correlated analysis of the failed jobs of a pipeline ({ name, id, stage, status, needs,
+ * role, upstreamFailed, excerpt, blocks } each; `role` is the graph's suggestion).
+ * Returns a PIPELINE_ANALYSIS_SCHEMA analysis with `root_job` and `jobs`; budget, rules and
+ * error fallbacks (see analyzeFailure) describe the suggested root job only and carry neither.
+ * `similarCases` and `opts.evidence` (detector findings for the commit) work as in analyzeFailure.
+ */
+async function analyzePipelineFailure({ projectId, pipelineId, stages = [], jobs, similarCases = [] }, opts = {}) {
+  const root = jobs.find(j => j.role === 'root') || jobs[0];
+  const rootInput = { projectId, pipelineId, jobId: root.id, jobName: root.name, logs: root.excerpt, errorBlocks: root.blocks || [] };
+
+  const rulesMode = await rulesModeFor(projectId);
+  const rules = rulesMode === 'first' ? ruleAnalysis(rootInput, rulesMode) : null;
+  if (rules) return rules;
+
+  const exceeded = await budgetService.checkBudget(projectId).catch((err) => {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.budget_check_failed', projectId, error: err && err.message ? err.message : String(err) }));
+    return null;
+  });
+  if (exceeded) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'ai.budget_exhausted', projectId, pipelineId, ...exceeded }));
+    const fallback = ruleAnalysis(rootInput, rulesMode);
+    return fallback ? { ...fallback, budget_exceeded: exceeded } : heuristicAnalysis(rootInput, exceeded);
+  }
+
+  const analysis = await runAnalysis({
+    projectId,
+    jobId: root.id,
+    jobName: root.name,
+    logs: jobs.map(j => j.excerpt || '').join('\n'),
+    errorBlocks: jobs.flatMap(j => j.blocks || [])
+  }, {
+    prompt: buildPipelinePrompt({ pipelineId, stages, jobs, evidence: opts.evidence || null, similarCases }),
+    evidence: opts.evidence || null,
+    schema: analysisSchema.PIPELINE_ANALYSIS_SCHEMA,
+    insufficient: { root_job: root.name, jobs: jobs.map(j => ({ name: j.name, role: j.role, reason: 'insufficient evidence' })) }
+  });
+  if (isUnusable(analysis)) {
+    const fallback = ruleAnalysis(rootInput, rulesMode);
+    if (fallback) return { ...fallback, ai_error: analysis && analysis.explain ? String(analysis.explain).slice(0, 500) : null };
+  }
+  return analysis;
+}
+
+async function runAnalysis({ projectId, jobId, jobName, logs, errorBlocks = [], section = null, similarCases = [] }, opts = {}) {
+  const callContext = { projectId, jobId, jobName };
   await waitForSlot();
   try {
-    // build prompt using tail of logs and optional evidence (verified repoHits / deps)
-    const prompt = buildPrompt({ jobName, logs, evidence: opts.evidence || null, maxLines: 1200 });
+    // build prompt from extracted error blocks, similar past cases, the tail of logs and optional evidence (verified repoHits / deps)
+    const prompt = opts.prompt || buildPrompt({ jobName, logs, evidence: opts.evidence || null, errorBlocks, section, similarCases, maxLines: 1200 });
+    // Claims the model makes must be backed by what it was shown (hallucination guard)
+    const accept = (parsed) => {
+      const guarded = verifyClaims({ ...parsed, schema_version: analysisSchema.SCHEMA_VERSION }, { logs, errorBlocks, evidence: opts.evidence || null });
+      const check = guarded.evidence_check;
+      if (check.verified < check.total) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'ai.claims_unverified', jobId, job: jobName, verified: check.verified, total: check.total, confidence_before: check.confidence_before, confidence: guarded.confidence }));
+      }
+      return guarded;
+    };
 
     let lastErr = null;
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
       try {
-        const rawResp = await Promise.race([
-          callGroq(prompt),
-          (async () => { await sleep(TIMEOUT_MS); throw new Error('groq_timeout'); })()
-        ]);
-
-        let analysis = processGroqResponse(rawResp, { jobName, jobId });
-
-        // If parsed result looks valid (has required keys), return it
-        if (aiHelpers.isValidAnalysis(analysis)) {
-          // clamp confidence to valid range
-          analysis.confidence = Number(Math.max(0, Math.min(1, Number(analysis.confidence || 0))));
-          return analysis;
+        const completion = await withTimeout(callModel(prompt, callContext));
+
+        let analysis = analysisSchema.coerceAnalysis(processModelResponse(completion, { jobName, jobId }));
+        let check = analysisSchema.validateAnalysis(analysis, { schema: opts.schema });
+        if (check.valid) {
+          return accept(analysis);
         }
 
-        // If not valid, attempt a single corrective retry with an extra strict instruction appended
+        // If not valid, attempt a single corrective retry naming the validation errors
         try {
-          console.warn('aiService: first response invalid or unparsable, attempting one corrective retry');
-          const strictPrompt = prompt + '\n\nSTRICT REPEAT: If you are able to produce the JSON that matches the schema, do so now. Otherwise return {"stage": "' + (jobName || 'unknown') + '", "root_cause": "INSUFFICIENT_EVIDENCE", "suggested_fix": "insufficient_evidence", "confidence": 0.0, "explain": "Insufficient evidence to determine root cause." }';
-          const rawResp2 = await Promise.race([
-            callGroq(strictPrompt),
-            (async () => { await sleep(TIMEOUT_MS); throw new Error('groq_timeout'); })()
-          ]);
-          const analysis2 = processGroqResponse(rawResp2, { jobName, jobId });
-          if (aiHelpers.isValidAnalysis(analysis2)) {
-            analysis2.confidence = Number(Math.max(0, Math.min(1, Number(analysis2.confidence || 0))));
-            return analysis2;
+          const problems = analysisSchema.formatErrors(check.errors);
+          console.warn(JSON.stringify({ level: 'warn', msg: 'ai.response_invalid', jobId, job: jobName, errors: problems }));
+          const fallbackJson = JSON.stringify(analysisSchema.withDefaults({
+            stage: jobName || 'unknown',
+            root_cause: 'INSUFFICIENT_EVIDENCE',
+            suggested_fix: 'insufficient_evidence',
+            confidence: 0,
+            explain: 'Insufficient evidence to determine root cause.',
+            ...(opts.insufficient || {})
+          }));
+          const strictPrompt = `${prompt}\n\nSTRICT REPEAT: Your previous response failed schema validation: ${problems}. If you are able to produce the JSON that matches the schema, do so now. Otherwise return ${fallbackJson}`;
+          const completion2 = await withTimeout(callModel(strictPrompt, callContext));
+          const analysis2 = analysisSchema.coerceAnalysis(processModelResponse(completion2, { jobName, jobId }));
+          check = analysisSchema.validateAnalysis(analysis2, { schema: opts.schema });
+          if (check.valid) {
+            return accept(analysis2);
           }
-          // fall through to fallback handling below
           analysis = analysis2;
+          console.warn(JSON.stringify({ level: 'warn', msg: 'ai.response_invalid', jobId, job: jobName, retry: true, errors: analysisSchema.formatErrors(check.errors) }));
         } catch (retryErr) {
           // log and continue to fallback
           console.warn('aiService: corrective retry failed:', retryErr && retryErr.message ? retryErr.message : String(retryErr));
@@ -245,23 +530,30 @@ async function analyzeFailure({ projectId, pipelineId, jobId, jobName, logs }, o
 
         // If DEMO_FALLBACK is enabled, return a friendly demo object
         if (DEMO_FALLBACK) {
-          return {
+          return analysisSchema.withDefaults({
             stage: jobName || jobId || 'unknown',
             root_cause: 'Detected failure (demo fallback)',
             suggested_fix: 'Run failing tests locally and inspect logs; check dependency installation',
             confidence: 0.6,
             explain: 'Demo fallback used because model output was unavailable or unparsable'
-          };
+          });
         }
 
-        // otherwise return whatever we have (likely AI_UNAVAILABLE style object)
-        return analysis;
+        // an unparseable response is already an AI_UNAVAILABLE fallback; never pass on a response that broke the contract
+        if (analysis && analysis.root_cause === 'AI_UNAVAILABLE') return analysis;
+        return analysisSchema.withDefaults({
+          stage: jobName || jobId || 'unknown',
+          root_cause: 'AI_UNAVAILABLE',
+          suggested_fix: 'Manual triage required',
+          confidence: 0,
+          explain: `Model response failed schema validation: ${analysisSchema.formatErrors(check.errors)}`
+        });
       } catch (err) {
         lastErr = err;
         const msg = (err && err.message) ? err.message : String(err);
         console.warn(`ai.call attempt ${attempt} failed: ${msg}`);
 
-        const transient = /503|429|timeout|overload|unavailable|ECONNRESET|ETIMEDOUT|groq_timeout/i.test(msg);
+        const transient = /503|429|timeout|overload|unavailable|ECONNRESET|ETIMEDOUT|ai_timeout/i.test(msg);
         if (!transient || attempt === MAX_RETRIES) {
           break;
         }
@@ -273,25 +565,25 @@ async function analyzeFailure({ projectId, pipelineId, jobId, jobName, logs }, o
     // persistent failure -> fallback result (optionally demo fallback)
     console.error('AI persistent failure:', lastErr && lastErr.message ? lastErr.message : String(lastErr));
     if (DEMO_FALLBACK) {
-      return {
+      return analysisSchema.withDefaults({
         stage: jobName || jobId || 'unknown',
         root_cause: 'Detected failure (demo fallback)',
         suggested_fix: 'Run failing tests locally and inspect logs; check dependency installation',
         confidence: 0.6,
         explain: 'Demo fallback used due to persistent AI errors'
-      };
+      });
     }
 
-    return {
+    return analysisSchema.withDefaults({
       stage: jobName || jobId || 'unknown',
       root_cause: 'AI_UNAVAILABLE',
       suggested_fix: 'Manual triage required',
       confidence: 0,
       explain: lastErr && lastErr.message ? String(lastErr.message) : 'unknown error'
-    };
+    });
   } finally {
     releaseSlot();
   }
 }
 
-module.exports = { analyzeFailure };
+module.exports = { analyzeFailure, analyzePipelineFailure, buildPrompt, buildPipelinePrompt, analysisCacheKey, getProvider, setProvider, PROMPT_VERSION };
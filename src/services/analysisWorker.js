@@ -0,0 +1,169 @@
+// backend/src/services/analysisWorker.js
+'use strict';
+
+const jobQueue = require('../db/jobQueue');
+const gitlabService = require('./gitlabService');
+const jobAnalyzer = require('./jobAnalyzer');
+const pipelineAnalyzer = require('./pipelineAnalyzer');
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY || '2', 10));
+const POLL_MS = Math.max(50, parseInt(process.env.QUEUE_POLL_MS || '1000', 10));
+const BASE_BACKOFF_SEC = Math.max(1, parseInt(process.env.QUEUE_BASE_BACKOFF_SEC || '15', 10));
+const MAX_BACKOFF_SEC = Math.max(BASE_BACKOFF_SEC, parseInt(process.env.QUEUE_MAX_BACKOFF_SEC || '900', 10));
+const RETENTION_SEC = Math.max(3600, parseInt(process.env.QUEUE_RETENTION_SEC || String(7 * 24 * 3600), 10));
+// 'consolidated': one analysis and issue per pipeline with several failed jobs; 'per-job': one per failed job
+const PIPELINE_ANALYSIS = process.env.PIPELINE_ANALYSIS === 'per-job' ? 'per-job' : 'consolidated';
+
+// Analyzer outcomes that should be retried rather than recorded as done
+const RETRYABLE_REASONS = new Set(['failed_to_fetch_trace', 'issue_creation_failed', 'issue_creation_failed_success']);
+
+let running = false;
+let pollTimer = null;
+const inflight = new Set();
+
+/**
+ * Throw for results worth retrying. A finished analysis whose issue write failed travels on the
+ * error (`pendingIssue`) so that the retry only files the issue.
+ */
+function throwIfRetryable(result) {
+  if (result && result.status === 'failed' && RETRYABLE_REASONS.has(result.reason)) {
+    throw Object.assign(new Error(`${result.reason}: ${result.error || 'unknown error'}`), { pendingIssue: result.pendingIssue || null });
+  }
+}
+
+function backoffSec(attempts) {
+  const exp = Math.min(MAX_BACKOFF_SEC, BASE_BACKOFF_SEC * Math.pow(2, Math.max(0, attempts - 1)));
+  return exp + Math.floor(Math.random() * BASE_BACKOFF_SEC);
+}
+
+/**
+ * Analyze a failed pipeline with several failed jobs as a whole (pipelineAnalyzer), or fan
+ * it out into one durable queue entry per failed job (single failure, PIPELINE_ANALYSIS=per-job).
+ */
+async function handlePipeline(payload) {
+  const { event, projectId, pipelineId, commitSha } = payload;
+  const jobs = await gitlabService.getPipelineJobs(projectId, pipelineId);
+  if (PIPELINE_ANALYSIS === 'consolidated' && jobs.filter(j => j.status === 'failed').length > 1) {
+    const result = payload.pendingIssue
+      ? await jobAnalyzer.retryIssue(payload.pendingIssue)
+      : await pipelineAnalyzer.analyzePipeline(payload, { jobs });
+    throwIfRetryable(result);
+    // manual jobs are not part of the failure; they are still analyzed on their own
+    for (const job of jobs.filter(j => j.status === 'manual')) {
+      await jobQueue.enqueue({ kind: 'job', payload: { event, projectId, pipelineId, job, jobName: job.name, commitSha } });
+    }
+    return result;
+  }
+
+  const failedJobs = jobs.filter(j => j.status === 'failed' || j.status === 'canceled' || j.status === 'manual');
+  for (const job of failedJobs) {
+    await jobQueue.enqueue({
+      kind: 'job',
+      payload: { event, projectId, pipelineId, job, jobName: job.name, commitSha }
+    });
+  }
+  return { status: 'fanned_out', jobs: failedJobs.length };
+}
+
+async function handleJob(payload) {
+  const result = payload.pendingIssue
+    ? await jobAnalyzer.retryIssue(payload.pendingIssue)
+    : await jobAnalyzer.analyzeSingleJob(payload);
+  throwIfRetryable(result);
+  return result;
+}
+
+const HANDLERS = {
+  job: handleJob,
+  pipeline: handlePipeline
+};
+
+async function processEntry(entry) {
+  const handler = HANDLERS[entry.kind];
+  try {
+    if (!handler) throw new Error(`unknown queue entry kind: ${entry.kind}`);
+    const result = await handler(entry.payload);
+    await jobQueue.complete(entry.id);
+    console.log(JSON.stringify({ level: 'info', msg: 'queue.entry_done', id: entry.id, kind: entry.kind, attempts: entry.attempts, result: result && result.status }));
+  } catch (err) {
+    const message = err && err.message ? err.message : String(err);
+    const retryAt = Math.floor(Date.now() / 1000) + backoffSec(entry.attempts);
+    const payload = err && err.pendingIssue ? { ...entry.payload, pendingIssue: err.pendingIssue } : null;
+    const status = await jobQueue.fail(entry.id, message, { retryAt, payload }).catch(() => null);
+    if (status === 'dead') {
+      console.error(JSON.stringify({ level: 'error', msg: 'queue.entry_dead_lettered', id: entry.id, kind: entry.kind, attempts: entry.attempts, error: message }));
+    } else {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'queue.entry_retry_scheduled', id: entry.id, kind: entry.kind, attempts: entry.attempts, retry_at: retryAt, error: message }));
+    }
+  }
+}
+
+/**
+ * Claim and start as many entries as there are free slots.
+ */
+async function tick() {
+  while (running && inflight.size < CONCURRENCY) {
+    let entry;
+    try {
+      entry = await jobQueue.claimNext();
+    } catch (err) {
+      console.error(JSON.stringify({ level: 'error', msg: 'queue.claim_failed', error: err && err.message ? err.message : String(err) }));
+      return;
+    }
+    if (!entry) return;
+
+    const p = processEntry(entry).finally(() => {
+      inflight.delete(p);
+      if (running) setImmediate(schedule);
+    });
+    inflight.add(p);
+  }
+}
+
+function schedule() {
+  if (!running) return;
+  clearTimeout(pollTimer);
+  tick().finally(() => {
+    if (running) pollTimer = setTimeout(schedule, POLL_MS);
+  });
+}
+
+/**
+ * Start polling the queue. Entries left 'running' by a previous process are
+ * recovered first so no analysis is lost across restarts.
+ */
+async function start() {
+  if (running) return;
+  const recovered = await jobQueue.recoverStale();
+  await jobQueue.purgeCompleted(RETENTION_SEC).catch(() => 0);
+  running = true;
+  console.log(JSON.stringify({ level: 'info', msg: 'queue.worker_started', concurrency: CONCURRENCY, recovered }));
+  schedule();
+}
+
+/**
+ * Stop claiming new work and wait (up to timeoutMs) for in-flight entries.
+ * Entries still running after the timeout stay 'running' in the database and are
+ * recovered on next start.
+ */
+async function stop(timeoutMs = 8000) {
+  running = false;
+  clearTimeout(pollTimer);
+  if (inflight.size === 0) return { drained: true };
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  const drained = await Promise.race([Promise.allSettled(Array.from(inflight)).then(() => true), timeout]);
+  clearTimeout(timer);
+  console.log(JSON.stringify({ level: 'info', msg: 'queue.worker_stopped', drained, inflight: inflight.size }));
+  return { drained };
+}
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  processEntry
+};
@@ -0,0 +1,53 @@
+// backend/src/services/auditService.js
+'use strict';
+
+const crypto = require('crypto');
+const auditStore = require('../db/auditStore');
+
+/**
+ * Audit trail of every decision Guardian takes (stored in the hash-chained audit_log).
+ *
+ * Record types:
+ *   webhook.received / webhook.rejected / webhook.filtered / webhook.queued (also API reanalysis)
+ *   analysis.skipped, trace.fetched / trace.fetch_failed, detectors.completed
+ *   ai.call (prompt hash, model, response), analysis.completed
+ *   gate.decision (confidence, verification, resulting issue action), gitlab.write
+ *   registry.updated / registry.removed (project registry changes; secrets only as set/kept/cleared)
+ *   notify.sent / notify.failed (outbound notifications: channel, message count, attempts)
+ *
+ * Only redacted text is recorded (traces are redacted when loaded); prompts are stored as
+ * a hash. Writing the trail never fails the analysis: errors are logged and swallowed.
+ */
+
+// Longest text (e.g. a model response) kept in a record
+const AUDIT_MAX_TEXT_CHARS = Math.max(1000, parseInt(process.env.AUDIT_MAX_TEXT_CHARS || '20000', 10));
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+function clip(text) {
+  const s = String(text || '');
+  return s.length > AUDIT_MAX_TEXT_CHARS ? `${s.slice(0, AUDIT_MAX_TEXT_CHARS)}…[truncated ${s.length - AUDIT_MAX_TEXT_CHARS} chars]` : s;
+}
+
+/**
+ * Append a record of `type`; `projectId`, `pipelineId` and `jobId` become indexed columns,
+ * every other field is stored as the record data. Resolves to { seq, hash } or null.
+ */
+async function record(type, { projectId = null, pipelineId = null, jobId = null, ...data } = {}) {
+  try {
+    return await auditStore.append({ type, projectId, pipelineId, jobId, data });
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'audit.write_failed', type, projectId, error: err && err.message ? err.message : String(err) }));
+    return null;
+  }
+}
+
+module.exports = {
+  record,
+  sha256,
+  clip,
+  verifyChain: auditStore.verifyChain,
+  head: auditStore.head
+};
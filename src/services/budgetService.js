@@ -0,0 +1,161 @@
+// backend/src/services/budgetService.js
+'use strict';
+
+const aiUsageStore = require('../db/aiUsageStore');
+const projectRegistry = require('./projectRegistry');
+
+/**
+ * AI spend accounting and budgets.
+ *
+ * Every model call is recorded with its token counts and an estimated cost from the
+ * model's price (USD per 1M prompt / completion tokens; AI_PRICING overrides or adds
+ * models). Daily and monthly budgets (UTC calendar periods) apply globally and per
+ * project; 0 means unlimited. Per-project limits come from the project registry
+ * (ai_budget_daily_usd / ai_budget_monthly_usd), then AI_PROJECT_BUDGETS, e.g.
+ * {"42": {"daily": 1, "monthly": 20}}, else from AI_PROJECT_BUDGET_DAILY_USD/_MONTHLY_USD.
+ */
+
+const DEFAULT_PRICING = {
+  'llama3-8b-8192': { prompt: 0.05, completion: 0.08 },
+  'llama3-70b-8192': { prompt: 0.59, completion: 0.79 },
+  'gemini-1.5-flash': { prompt: 0.075, completion: 0.3 },
+  'gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 }
+};
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]) || {};
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'budget.config_invalid', name, error: err && err.message ? err.message : String(err) }));
+    return {};
+  }
+}
+
+function usdEnv(name) {
+  return Math.max(0, Number(process.env[name] || '0') || 0);
+}
+
+const PRICING = { ...DEFAULT_PRICING, ...parseJsonEnv('AI_PRICING') };
+const GLOBAL_BUDGET = { daily: usdEnv('AI_BUDGET_DAILY_USD'), monthly: usdEnv('AI_BUDGET_MONTHLY_USD') };
+const PROJECT_BUDGET = { daily: usdEnv('AI_PROJECT_BUDGET_DAILY_USD'), monthly: usdEnv('AI_PROJECT_BUDGET_MONTHLY_USD') };
+const PROJECT_BUDGETS = parseJsonEnv('AI_PROJECT_BUDGETS');
+
+const PERIODS = ['daily', 'monthly'];
+
+function roundUsd(v) {
+  return Math.round(Number(v || 0) * 1e6) / 1e6;
+}
+
+/**
+ * Estimated cost (USD) of a call; unknown models (local, scripted) cost 0.
+ */
+function estimateCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const price = PRICING[model];
+  if (!price) return 0;
+  return roundUsd((promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6);
+}
+
+/** Start (epoch seconds) of the current UTC day / month */
+function periodStart(period, now = Date.now()) {
+  const d = new Date(now);
+  const start = period === 'monthly'
+    ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)
+    : Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return Math.floor(start / 1000);
+}
+
+async function projectBudget(projectId) {
+  const settings = await projectRegistry.settingsFor(projectId);
+  const override = PROJECT_BUDGETS[String(projectId)] || {};
+  const limit = (registered, configured, fallback) => {
+    if (registered != null) return registered;
+    return configured != null ? Math.max(0, Number(configured) || 0) : fallback;
+  };
+  return {
+    daily: limit(settings.ai_budget_daily_usd, override.daily, PROJECT_BUDGET.daily),
+    monthly: limit(settings.ai_budget_monthly_usd, override.monthly, PROJECT_BUDGET.monthly)
+  };
+}
+
+/**
+ * Record one model call. Returns the estimated cost.
+ */
+async function recordCall({ projectId = null, jobId = null, jobName = null, provider = null, model = null, usage = {} }) {
+  const promptTokens = Math.max(0, parseInt(usage.promptTokens || 0, 10) || 0);
+  const completionTokens = Math.max(0, parseInt(usage.completionTokens || 0, 10) || 0);
+  const costUsd = estimateCost(model, { promptTokens, completionTokens });
+  await aiUsageStore.recordCall({ projectId, jobId, jobName, provider, model, promptTokens, completionTokens, costUsd });
+  return costUsd;
+}
+
+/**
+ * First exhausted budget for a project ({ scope: 'project' | 'global', period, limit_usd, spent_usd }),
+ * or null when the project may still call the model.
+ */
+async function checkBudget(projectId, now = Date.now()) {
+  const scopes = [];
+  if (projectId != null) scopes.push({ scope: 'project', projectId, limits: await projectBudget(projectId) });
+  scopes.push({ scope: 'global', projectId: null, limits: GLOBAL_BUDGET });
+
+  for (const { scope, projectId: pid, limits } of scopes) {
+    for (const period of PERIODS) {
+      if (!limits[period]) continue;
+      const { cost_usd: spent } = await aiUsageStore.totals({ projectId: pid, since: periodStart(period, now) });
+      if (spent >= limits[period]) {
+        return { scope, period, limit_usd: limits[period], spent_usd: roundUsd(spent) };
+      }
+    }
+  }
+  return null;
+}
+
+function withBudget(totals, budgetUsd) {
+  return {
+    calls: totals.calls || 0,
+    prompt_tokens: totals.prompt_tokens || 0,
+    completion_tokens: totals.completion_tokens || 0,
+    cost_usd: roundUsd(totals.cost_usd),
+    budget_usd: budgetUsd || null,
+    exhausted: budgetUsd ? totals.cost_usd >= budgetUsd : false
+  };
+}
+
+/**
+ * Spend of the current day and month, globally and per project (or for `projectId` only).
+ */
+async function usageReport({ projectId = null, now = Date.now() } = {}) {
+  const report = { generated_at: new Date(now).toISOString(), global: {}, projects: [] };
+  const byProject = new Map();
+
+  for (const period of PERIODS) {
+    const since = periodStart(period, now);
+    report.global[period] = withBudget(await aiUsageStore.totals({ since }), GLOBAL_BUDGET[period]);
+
+    const rows = projectId != null
+      ? [{ project_id: String(projectId), ...(await aiUsageStore.totals({ projectId, since })) }]
+      : await aiUsageStore.totalsByProject({ since });
+    for (const row of rows) {
+      if (!row.project_id) continue;
+      if (!byProject.has(row.project_id)) byProject.set(row.project_id, { project_id: row.project_id });
+      byProject.get(row.project_id)[period] = withBudget(row, (await projectBudget(row.project_id))[period]);
+    }
+  }
+
+  // projects with calls this month but none today
+  for (const entry of byProject.values()) {
+    if (!entry.daily) entry.daily = withBudget({}, (await projectBudget(entry.project_id)).daily);
+    report.projects.push(entry);
+  }
+  return report;
+}
+
+module.exports = {
+  estimateCost,
+  recordCall,
+  checkBudget,
+  usageReport,
+  periodStart
+};
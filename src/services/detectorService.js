@@ -1,17 +1,152 @@
 'use strict';
 
+const gitlab = require('./gitlabService');
+const advisoryDb = require('./advisoryDb');
+const { parseLockfile, SUPPORTED_LOCKFILES } = require('../utils/lockfileParser');
+const secretScanner = require('../utils/secretScanner');
+
+// Lockfile paths (relative to repo root) inspected at the failing commit
+const LOCKFILE_PATHS = (process.env.DETECTOR_LOCKFILES || SUPPORTED_LOCKFILES.join(','))
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const LOCKFILE_MAX_BYTES = Math.max(1024, parseInt(process.env.DETECTOR_LOCKFILE_MAX_BYTES || String(20 * 1024 * 1024), 10));
+const SECRET_SCAN_MAX_FILES = Math.max(1, parseInt(process.env.SECRET_SCAN_MAX_FILES || '50', 10));
+const SECRET_SCAN_MAX_BYTES = Math.max(1024, parseInt(process.env.SECRET_SCAN_MAX_BYTES || String(512 * 1024), 10));
+
+// Files that are never scanned for secrets (binary assets, lockfiles full of integrity hashes, minified bundles)
+const SECRET_SCAN_SKIP_RE = /\.(png|jpe?g|gif|ico|svg|pdf|zip|gz|tgz|jar|war|class|so|dylib|dll|exe|woff2?|ttf|eot|mp4|mp3|lock)$|(^|\/)(package-lock\.json|yarn\.lock|go\.sum|pnpm-lock\.yaml)$|\.min\.(js|css)$/i;
+
+/**
+ * Fetch each known lockfile at the commit and match its pinned packages
+ * against the offline advisory database.
+ *
+ * Returns { dependencyHigh, dependencyOther, lockfiles, errors }.
+ */
+async function scanDependencies({ projectId, commitSha }) {
+  const dependencyHigh = [];
+  const dependencyOther = [];
+  const lockfiles = [];
+  const errors = [];
+
+  for (const filePath of LOCKFILE_PATHS) {
+    let content;
+    try {
+      content = await gitlab.getFileAtCommit(projectId, filePath, commitSha, { maxBytes: LOCKFILE_MAX_BYTES });
+    } catch (err) {
+      errors.push({ file: filePath, error: err && err.message ? err.message : String(err) });
+      continue;
+    }
+    if (!content) continue;
+
+    let packages;
+    try {
+      packages = parseLockfile(filePath, content);
+    } catch (err) {
+      errors.push({ file: filePath, error: `parse_failed: ${err && err.message ? err.message : String(err)}` });
+      continue;
+    }
+    if (!packages) continue;
+    lockfiles.push({ file: filePath, packages: packages.length });
+
+    for (const pkg of packages) {
+      for (const adv of advisoryDb.findAdvisories(pkg.ecosystem, pkg.package, pkg.version)) {
+        const finding = {
+          package: pkg.package,
+          version: pkg.version,
+          ecosystem: pkg.ecosystem,
+          advisory: adv.id,
+          aliases: adv.aliases || [],
+          severity: adv.severity,
+          summary: adv.summary || null,
+          fixed: (adv.ranges.find(r => r.fixed) || {}).fixed || null,
+          file: filePath
+        };
+        if (advisoryDb.isHighSeverity(adv.severity)) dependencyHigh.push(finding);
+        else dependencyOther.push(finding);
+      }
+    }
+  }
+
+  return { dependencyHigh, dependencyOther, lockfiles, errors };
+}
+
+/**
+ * Scan the files touched by the commit for hard-coded credentials.
+ *
+ * Returns { repoHits, scannedFiles, errors }. Hits with `verified: true` are
+ * provider-specific credential formats (AWS, GitHub, private keys, ...) that
+ * passed the entropy/placeholder checks; generic high-entropy hits stay unverified.
+ */
+async function scanRepositorySecrets({ projectId, commitSha }) {
+  const repoHits = [];
+  const scannedFiles = [];
+  const errors = [];
+
+  let diffs;
+  try {
+    diffs = await gitlab.getCommitDiff(projectId, commitSha);
+  } catch (err) {
+    errors.push({ file: null, error: `diff_failed: ${err && err.message ? err.message : String(err)}` });
+    return { repoHits, scannedFiles, errors };
+  }
+
+  const files = (diffs || [])
+    .filter(d => d && !d.deleted_file && d.new_path && !SECRET_SCAN_SKIP_RE.test(d.new_path))
+    .map(d => d.new_path)
+    .slice(0, SECRET_SCAN_MAX_FILES);
+
+  for (const filePath of files) {
+    let content;
+    try {
+      content = await gitlab.getFileAtCommit(projectId, filePath, commitSha, { maxBytes: SECRET_SCAN_MAX_BYTES });
+    } catch (err) {
+      // oversized files are skipped, not reported
+      if (err && err.code === 'FILE_TOO_LARGE') continue;
+      errors.push({ file: filePath, error: err && err.message ? err.message : String(err) });
+      continue;
+    }
+    if (!content || content.includes('\u0000')) continue;
+
+    scannedFiles.push(filePath);
+    repoHits.push(...secretScanner.scanContent(filePath, content));
+  }
+
+  return { repoHits, scannedFiles, errors };
+}
+
 async function loadAndVerifyArtifacts(opts = {}) {
   const { projectId, pipelineId, jobId, commitSha } = opts || {};
   const timestamp = new Date().toISOString();
+
+  let deps = { dependencyHigh: [], dependencyOther: [], lockfiles: [], errors: [] };
+  let secrets = { repoHits: [], scannedFiles: [], errors: [] };
+  if (projectId && commitSha) {
+    deps = await scanDependencies({ projectId, commitSha });
+    secrets = await scanRepositorySecrets({ projectId, commitSha });
+  }
+
   return {
-    repoHits: [],
-    dependencyHigh: [],
-    dependencyOther: [],
-    metadata: { projectId, pipelineId, jobId, commitSha, checked_at: timestamp }
+    repoHits: secrets.repoHits,
+    dependencyHigh: deps.dependencyHigh,
+    dependencyOther: deps.dependencyOther,
+    metadata: {
+      projectId,
+      pipelineId,
+      jobId,
+      commitSha,
+      checked_at: timestamp,
+      lockfiles: deps.lockfiles,
+      scannedFiles: secrets.scannedFiles,
+      errors: deps.errors.concat(secrets.errors)
+    }
   };
 }
 
 
 module.exports = {
   loadAndVerifyArtifacts,
+  scanDependencies,
+  scanRepositorySecrets
 };
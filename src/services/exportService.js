@@ -0,0 +1,216 @@
+// backend/src/services/exportService.js
+'use strict';
+
+const crypto = require('crypto');
+const auditStore = require('../db/auditStore');
+const { createRedactor } = require('../utils/redaction');
+const { CATEGORIES } = require('../utils/analysisSchema');
+
+/**
+ * Compliance exports of the audit trail (see auditService) as JSONL or CSV rows.
+ *
+ * Kinds:
+ *   analyses       one row per analysis (analysis.completed records)
+ *   issue-actions  one row per issue decision: create, append, reopen, close, ... (gate.decision)
+ *   audit          every audit record, with its data and chain hashes
+ *
+ * Records are read in pages, so exports of any size stream in constant memory. Every string
+ * is passed through the project's redaction rules again before it leaves the service.
+ *
+ * Audit rows keep the original `prev_hash`/`hash` and add `data_sha256` (sha256 of the stored
+ * data JSON) and `data_redacted`. A row whose data was not redacted can be rehashed as
+ * sha256(JSON.stringify([seq, prev_hash, created_at, type, project_id, pipeline_id, job_id, data]))
+ * with created_at in epoch seconds and data as compact JSON. A redacted row cannot: check its
+ * link to the previous row's hash, and verify the chain itself with GET /api/audit/verify.
+ */
+
+const PAGE_SIZE = 500;
+const FORMATS = ['jsonl', 'csv'];
+const VERIFICATION = ['verified', 'partial', 'unverified', 'none'];
+
+const KINDS = {
+  analyses: {
+    types: ['analysis.completed'],
+    columns: ['seq', 'time', 'project_id', 'pipeline_id', 'job_id', 'job', 'source', 'rule_id', 'category', 'confidence', 'verification', 'claims_verified', 'claims_total', 'root_cause', 'budget_exceeded']
+  },
+  'issue-actions': {
+    types: ['gate.decision'],
+    columns: ['seq', 'time', 'project_id', 'pipeline_id', 'job_id', 'job', 'decision', 'issue_iid', 'category', 'confidence', 'verification', 'claims_verified', 'claims_total', 'labels']
+  },
+  audit: {
+    types: null,
+    columns: ['seq', 'time', 'type', 'project_id', 'pipeline_id', 'job_id', 'data', 'data_sha256', 'data_redacted', 'prev_hash', 'hash']
+  }
+};
+
+/**
+ * 'verified' (deterministic evidence or every claim found), 'partial', 'unverified'
+ * (no claim found) or 'none' (nothing to verify).
+ */
+function verificationOf(data) {
+  if (data.deterministic_verified || data.ai_claim_verified) return 'verified';
+  const total = Number(data.claims_total) || 0;
+  if (total === 0) return 'none';
+  const verified = Number(data.claims_verified) || 0;
+  if (verified >= total) return 'verified';
+  return verified === 0 ? 'unverified' : 'partial';
+}
+
+function flatten(kind, record) {
+  const base = {
+    seq: record.seq,
+    time: new Date(record.created_at * 1000).toISOString(),
+    project_id: record.project_id,
+    pipeline_id: record.pipeline_id,
+    job_id: record.job_id
+  };
+  if (kind === 'audit') {
+    const stored = JSON.stringify(record.data);
+    return {
+      ...base,
+      type: record.type,
+      data: record.data,
+      data_sha256: crypto.createHash('sha256').update(stored).digest('hex'),
+      data_redacted: false,
+      prev_hash: record.prev_hash,
+      hash: record.hash
+    };
+  }
+  const row = { ...base, verification: verificationOf(record.data) };
+  for (const column of KINDS[kind].columns) {
+    if (!(column in row)) row[column] = record.data[column] ?? null;
+  }
+  return row;
+}
+
+function redactValue(value, redactor) {
+  if (typeof value === 'string') return redactor.redact(value);
+  if (Array.isArray(value)) return value.map(v => redactValue(v, redactor));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, redactor)]));
+  }
+  return value;
+}
+
+/**
+ * Redact a flattened row. Audit rows only have their data redacted, so the chain hashes
+ * survive; `data_redacted` records whether that changed anything.
+ */
+function redactRow(kind, row, redactor) {
+  if (kind !== 'audit') return redactValue(row, redactor);
+  const data = redactValue(row.data, redactor);
+  return { ...row, data, data_redacted: JSON.stringify(data) !== JSON.stringify(row.data) };
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const s = String(value);
+  const ms = /^\d+$/.test(s) ? Number(s) * 1000 : Date.parse(s);
+  return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
+
+function parseList(value) {
+  if (value == null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validate export query parameters: { kind, format, filters } or { error }.
+ *   project_id   one or more ids (repeat the parameter or separate with commas)
+ *   from, to     ISO-8601 time or epoch seconds (`to` exclusive)
+ *   job, category, type (audit only; comma-separated)
+ *   min_confidence, max_confidence   confidence band, 0..1 inclusive
+ *   verification verified | partial | unverified | none
+ *   format       jsonl (default) | csv
+ */
+function parseQuery(kind, query = {}) {
+  if (!KINDS[kind]) return { error: `unknown export "${kind}" (expected ${Object.keys(KINDS).join(', ')})` };
+  const format = String(query.format || 'jsonl').toLowerCase();
+  if (!FORMATS.includes(format)) return { error: `format must be one of ${FORMATS.join(', ')}` };
+
+  const since = parseTime(query.from);
+  const until = parseTime(query.to);
+  if (Number.isNaN(since) || Number.isNaN(until)) return { error: 'from/to must be ISO-8601 times or epoch seconds' };
+
+  const band = {};
+  for (const [param, key] of [['min_confidence', 'minConfidence'], ['max_confidence', 'maxConfidence']]) {
+    if (query[param] == null || query[param] === '') continue;
+    const n = Number(query[param]);
+    if (!Number.isFinite(n) || n < 0 || n > 1) return { error: `${param} must be a number between 0 and 1` };
+    band[key] = n;
+  }
+
+  const category = query.category ? String(query.category) : null;
+  if (category && !Object.prototype.hasOwnProperty.call(CATEGORIES, category)) {
+    return { error: `category must be one of ${Object.keys(CATEGORIES).join(', ')}` };
+  }
+  const verification = query.verification ? String(query.verification) : null;
+  if (verification && !VERIFICATION.includes(verification)) return { error: `verification must be one of ${VERIFICATION.join(', ')}` };
+
+  const types = kind === 'audit' ? parseList(query.type) : KINDS[kind].types;
+  return {
+    kind,
+    format,
+    filters: {
+      projectId: parseList(query.project_id),
+      type: types,
+      since,
+      until,
+      jobName: query.job ? String(query.job) : null,
+      category,
+      ...band,
+      verification
+    }
+  };
+}
+
+/**
+ * Redacted export rows of `kind` matching `filters` (see parseQuery), oldest first.
+ */
+async function* exportRows(kind, { verification = null, ...filters } = {}) {
+  const redactors = new Map();
+  let afterSeq = 0;
+  for (;;) {
+    const records = await auditStore.list({ ...filters, afterSeq, limit: PAGE_SIZE });
+    for (const record of records) {
+      if (verification && verificationOf(record.data) !== verification) continue;
+      if (!redactors.has(record.project_id)) redactors.set(record.project_id, createRedactor({ projectId: record.project_id }));
+      yield redactRow(kind, flatten(kind, record), redactors.get(record.project_id));
+    }
+    if (records.length < PAGE_SIZE) return;
+    afterSeq = records[records.length - 1].seq;
+  }
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // keep spreadsheets from evaluating exported text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function columnsOf(kind) {
+  return KINDS[kind].columns;
+}
+
+/**
+ * One serialized line (with trailing newline) of a row in `format`.
+ */
+function formatRow(kind, row, format) {
+  if (format === 'csv') return `${columnsOf(kind).map(c => csvCell(row[c])).join(',')}\r\n`;
+  return `${JSON.stringify(row)}\n`;
+}
+
+function csvHeader(kind) {
+  return `${columnsOf(kind).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseQuery,
+  exportRows,
+  formatRow,
+  csvHeader,
+  verificationOf,
+  KINDS
+};
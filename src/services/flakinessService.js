@@ -0,0 +1,79 @@
+// backend/src/services/flakinessService.js
+'use strict';
+
+const jobHistoryStore = require('../db/jobHistoryStore');
+
+/**
+ * Flaky job classification from recorded job outcomes.
+ *
+ * A job is flaky when it both failed and passed on the same commit (retry went
+ * green), or when its recent results on a ref flip between pass and fail at
+ * least FLAKY_FLIP_THRESHOLD of the time over a window of FLAKY_WINDOW runs.
+ */
+
+const FLAKY_WINDOW = Math.max(2, parseInt(process.env.FLAKY_WINDOW || '20', 10));
+const FLAKY_MIN_SAMPLES = Math.max(2, parseInt(process.env.FLAKY_MIN_SAMPLES || '5', 10));
+const FLAKY_FLIP_THRESHOLD = Math.max(0, Math.min(1, Number(process.env.FLAKY_FLIP_THRESHOLD || '0.3')));
+
+// Only these outcomes say something about the code; canceled/manual/skipped runs are ignored
+const COUNTED_STATUSES = new Set(['success', 'failed']);
+
+/**
+ * Share of consecutive counted runs whose result differs from the previous one (0..1).
+ */
+function flipRate(statuses) {
+  const counted = statuses.filter(s => COUNTED_STATUSES.has(s));
+  if (counted.length < 2) return 0;
+  let flips = 0;
+  for (let i = 1; i < counted.length; i++) {
+    if (counted[i] !== counted[i - 1]) flips++;
+  }
+  return flips / (counted.length - 1);
+}
+
+/**
+ * Record a job run in the outcome history. Returns false for statuses that are not
+ * tracked or runs recorded before.
+ */
+async function recordOutcome({ projectId, jobId, jobName, ref, commitSha, pipelineId, status }) {
+  if (!projectId || !jobId || !jobName || !COUNTED_STATUSES.has(status)) return false;
+  return jobHistoryStore.recordOutcome({ projectId, jobId, jobName, ref, commitSha, pipelineId, status });
+}
+
+/**
+ * Classify a job from its history.
+ * Returns { flaky, score, reasons[], samples, flip_rate, same_commit }, where score (0..1)
+ * is the flip rate, raised to at least the threshold when the same commit saw both results.
+ */
+async function assess({ projectId, jobName, ref = null, commitSha = null }) {
+  const recent = await jobHistoryStore.getRecentOutcomes(projectId, jobName, ref, FLAKY_WINDOW);
+  const statuses = recent.map(r => r.status).filter(s => COUNTED_STATUSES.has(s));
+  const rate = flipRate(statuses);
+
+  let sameCommit = false;
+  if (commitSha) {
+    const commitStatuses = await jobHistoryStore.getCommitStatuses(projectId, jobName, commitSha);
+    sameCommit = commitStatuses.includes('success') && commitStatuses.includes('failed');
+  }
+
+  const reasons = [];
+  if (sameCommit) reasons.push('passed_and_failed_on_same_commit');
+  if (statuses.length >= FLAKY_MIN_SAMPLES && rate >= FLAKY_FLIP_THRESHOLD) reasons.push('flip_rate_above_threshold');
+
+  const score = sameCommit ? Math.max(rate, FLAKY_FLIP_THRESHOLD) : rate;
+  return {
+    flaky: reasons.length > 0,
+    score: Math.round(score * 100) / 100,
+    reasons,
+    samples: statuses.length,
+    flip_rate: Math.round(rate * 100) / 100,
+    same_commit: sameCommit
+  };
+}
+
+module.exports = {
+  recordOutcome,
+  assess,
+  flipRate,
+  FLAKY_FLIP_THRESHOLD
+};
@@ -1,21 +1,59 @@
 // backend/src/services/gitlabService.js
 const fetch = require('node-fetch');
 const fetchWithRetries = require('../utils/fetchWithRetries');
+const repoContentCache = require('./repoContentCache');
+const auditService = require('./auditService');
+const projectRegistry = require('./projectRegistry');
 
 const GITLAB_API = process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4';
+const GITLAB_GRAPHQL_URL = process.env.GITLAB_GRAPHQL_URL || GITLAB_API.replace(/\/v4\/?$/, '/graphql');
 const TOKEN = process.env.GITLAB_TOKEN;
 
-function authHeaders(extra = {}) {
-  if (!TOKEN) throw new Error('GITLAB_TOKEN not configured');
+/**
+ * Headers for a request on behalf of `projectId`: the token registered for the project or
+ * its group (projectRegistry), else GITLAB_TOKEN.
+ */
+async function authHeaders(projectId, extra = {}) {
+  const { token: registered } = await projectRegistry.resolve(projectId);
+  const token = registered || TOKEN;
+  if (!token) throw new Error(`No GitLab token for project ${projectId} (register one or set GITLAB_TOKEN)`);
+  return tokenHeaders(token, extra);
+}
 
+function tokenHeaders(token, extra = {}) {
   return {
     'Content-Type': 'application/json',
-    'PRIVATE-TOKEN': TOKEN,
-    'Authorization': `Bearer ${TOKEN}`,
+    'PRIVATE-TOKEN': token,
+    'Authorization': `Bearer ${token}`,
     ...extra
   };
 }
 
+// Long texts (issue descriptions, comments) are audited as a hash
+function auditedBody(body) {
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    out[key] = typeof value === 'string' && value.length > 200 ? { sha256: auditService.sha256(value), chars: value.length } : value;
+  }
+  return out;
+}
+
+/**
+ * Send a write request to GitLab and record it in the audit trail (also when it fails).
+ */
+async function sendWrite(action, projectId, url, method, body) {
+  const entry = { projectId, action, method, path: url.slice(GITLAB_API.length), body: auditedBody(body) };
+  let res;
+  try {
+    res = await fetch(url, { method, headers: await authHeaders(projectId), body: JSON.stringify(body) });
+  } catch (err) {
+    await auditService.record('gitlab.write', { ...entry, ok: false, error: err && err.message ? err.message : String(err) });
+    throw err;
+  }
+  await auditService.record('gitlab.write', { ...entry, ok: res.ok, status: res.status });
+  return res;
+}
+
 
 async function getPipelineJobs(projectId, pipelineId) {
   const perPage = 100;
@@ -24,7 +62,7 @@ async function getPipelineJobs(projectId, pipelineId) {
 
   for (;;) {
     const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/pipelines/${pipelineId}/jobs?per_page=${perPage}&page=${page}`;
-    const res = await fetchWithRetries(url, { headers: authHeaders() });
+    const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
 
     if (!res.ok)
       throw new Error(`Failed to fetch jobs: ${res.status}`);
@@ -41,12 +79,82 @@ async function getPipelineJobs(projectId, pipelineId) {
   return allJobs;
 }
 
+const PIPELINE_GRAPH_QUERY = `
+query($fullPath: ID!, $pipelineId: CiPipelineID!) {
+  project(fullPath: $fullPath) {
+    pipeline(id: $pipelineId) {
+      stages { nodes { name } }
+      jobs(first: 100) {
+        nodes { name schedulingType stage { name } needs { nodes { name } } }
+      }
+    }
+  }
+}`;
+
+/**
+ * Full path of a project as GitLab reports it, or null when no token can read the project.
+ * Tries the project's own token (or GITLAB_TOKEN), then the token of each registered group.
+ */
+async function lookupProjectPath(projectId) {
+  const { token: registered } = await projectRegistry.resolve(projectId);
+  const groups = await projectRegistry.groupTokens();
+  const tokens = [...new Set([registered || TOKEN, ...groups.map(g => g.token)].filter(Boolean))];
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}`;
+  for (const token of tokens) {
+    const res = await fetchWithRetries(url, { headers: tokenHeaders(token) });
+    if (!res.ok) continue;
+    const project = await res.json();
+    if (project && project.path_with_namespace) return project.path_with_namespace;
+  }
+  return null;
+}
+
+/**
+ * Stage order and job dependencies of a pipeline (GraphQL; the REST API has no `needs`).
+ * Returns { stages: [name], jobs: [{ name, stage, schedulingType: 'stage' | 'dag', needs: [name] }] }.
+ */
+async function getPipelineGraph(projectId, projectPath, pipelineId) {
+  const res = await fetchWithRetries(GITLAB_GRAPHQL_URL, {
+    method: 'POST',
+    headers: await authHeaders(projectId),
+    body: JSON.stringify({ query: PIPELINE_GRAPH_QUERY, variables: { fullPath: projectPath, pipelineId: `gid://gitlab/Ci::Pipeline/${pipelineId}` } })
+  });
+  if (!res.ok)
+    throw new Error(`Failed to fetch pipeline graph: ${res.status}`);
+  const body = await res.json();
+  if (body.errors && body.errors.length > 0) {
+    throw new Error(`Failed to fetch pipeline graph: ${body.errors.map(e => e.message).join('; ')}`);
+  }
+  const pipeline = body.data && body.data.project && body.data.project.pipeline;
+  if (!pipeline) throw new Error('Failed to fetch pipeline graph: pipeline not found');
+  return {
+    stages: ((pipeline.stages && pipeline.stages.nodes) || []).map(s => s.name),
+    jobs: ((pipeline.jobs && pipeline.jobs.nodes) || []).map(j => ({
+      name: j.name,
+      stage: j.stage ? j.stage.name : null,
+      schedulingType: String(j.schedulingType || 'stage').toLowerCase(),
+      needs: ((j.needs && j.needs.nodes) || []).map(n => n.name)
+    }))
+  };
+}
+
+/**
+ * Fetch a single job (name, status, stage, ref, pipeline, commit).
+ */
+async function getJob(projectId, jobId) {
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/jobs/${encodeURIComponent(jobId)}`;
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
+  if (!res.ok)
+    throw new Error(`Failed to fetch job: ${res.status}`);
+  return res.json();
+}
+
 /**
  * Fetch job trace — enhanced diagnostic behavior.
  */
 async function getJobTrace(projectId, jobId) {
   const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/jobs/${jobId}/trace`;
-  const res = await fetch(url, { headers: authHeaders() });
+  const res = await fetch(url, { headers: await authHeaders(projectId) });
 
   if (!res.ok) {
     let body = '';
@@ -57,20 +165,64 @@ async function getJobTrace(projectId, jobId) {
   return res.text();
 }
 
+async function* bodyChunks(res) {
+  if (!res.body || Buffer.isBuffer(res.body)) {
+    yield Buffer.from(await res.arrayBuffer());
+    return;
+  }
+  for await (const chunk of res.body) yield chunk;
+}
+
+/**
+ * Open a job trace for incremental reading.
+ *
+ * With `tailBytes`, only the end of the trace is requested (HTTP suffix Range). When
+ * GitLab serves the range (206) just those bytes are streamed; when it ignores it (200,
+ * e.g. live traces) the full trace is streamed and the caller keeps what it needs.
+ * Returns { chunks (async iterable of Buffers), method: 'range' | 'full', startOffset, totalBytes }.
+ */
+async function openJobTrace(projectId, jobId, { tailBytes = 0 } = {}) {
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/jobs/${jobId}/trace`;
+  const headers = await authHeaders(projectId, tailBytes > 0 ? { Range: `bytes=-${tailBytes}` } : {});
+  const res = await fetchWithRetries(url, { headers });
+
+  // 416: nothing to serve for the range (empty trace)
+  if (res.status === 416) {
+    return { chunks: [], method: 'range', startOffset: 0, totalBytes: 0 };
+  }
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`Failed to fetch job trace (${res.status}): ${body}`);
+  }
+
+  if (res.status === 206) {
+    // Content-Range: bytes <start>-<end>/<total>
+    const m = String(res.headers.get('content-range') || '').match(/bytes (\d+)-\d+\/(\d+|\*)/);
+    return {
+      chunks: bodyChunks(res),
+      method: 'range',
+      startOffset: m ? Number(m[1]) : 0,
+      totalBytes: m && m[2] !== '*' ? Number(m[2]) : null
+    };
+  }
+
+  const declared = parseInt(res.headers.get('content-length') || '', 10);
+  return { chunks: bodyChunks(res), method: 'full', startOffset: 0, totalBytes: Number.isFinite(declared) ? declared : null };
+}
+
 /**
- * Create a GitLab issue (unchanged).
+ * Create a GitLab issue. `confidential` issues are only visible to project members
+ * with at least Reporter access.
  */
-async function createIssue(projectId, title, description, labels = []) {
+async function createIssue(projectId, title, description, labels = [], { confidential = false, assigneeIds = [] } = {}) {
   const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues`;
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: authHeaders(),
-    body: JSON.stringify({
-      title,
-      description,
-      labels: labels.join(',')
-    })
+  const res = await sendWrite('issue.create', projectId, url, 'POST', {
+    title,
+    description,
+    labels: labels.join(','),
+    ...(confidential ? { confidential: true } : {}),
+    ...(assigneeIds.length > 0 ? { assignee_ids: assigneeIds } : {})
   });
 
   if (!res.ok) {
@@ -87,11 +239,7 @@ async function createIssue(projectId, title, description, labels = []) {
 async function createIssueComment(projectId, issueIid, body) {
   const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues/${issueIid}/notes`;
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: authHeaders(),
-    body: JSON.stringify({ body })
-  });
+  const res = await sendWrite('issue.comment', projectId, url, 'POST', { body });
 
   if (!res.ok) {
     const text = await res.text();
@@ -101,24 +249,78 @@ async function createIssueComment(projectId, issueIid, body) {
   return res.json();
 }
 
+/**
+ * Close or reopen an issue. `stateEvent` is GitLab's state_event ('close' | 'reopen');
+ * `addLabels` are added without touching the issue's other labels.
+ */
+async function updateIssueState(projectId, issueIid, stateEvent, { addLabels = [] } = {}) {
+  if (stateEvent !== 'close' && stateEvent !== 'reopen') {
+    throw new Error(`Invalid issue state event: ${stateEvent}`);
+  }
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues/${issueIid}`;
+  const body = { state_event: stateEvent };
+  if (addLabels.length > 0) body.add_labels = addLabels.join(',');
+
+  const res = await sendWrite(`issue.${stateEvent}`, projectId, url, 'PUT', body);
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Failed to ${stateEvent} issue: ${res.status} ${text}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * Add and/or remove labels on an issue without replacing its other labels.
+ */
+async function updateIssueLabels(projectId, issueIid, { add = [], remove = [] } = {}) {
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues/${issueIid}`;
+  const body = {};
+  if (add.length > 0) body.add_labels = add.join(',');
+  if (remove.length > 0) body.remove_labels = remove.join(',');
+
+  const res = await sendWrite('issue.labels', projectId, url, 'PUT', body);
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Failed to update issue labels: ${res.status} ${text}`);
+  }
+
+  return res.json();
+}
+
 /**
  * Search open issues (unchanged).
  */
 async function searchOpenIssues(projectId, search) {
   const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues?state=opened&search=${encodeURIComponent(search)}&per_page=20`;
 
-  const res = await fetchWithRetries(url, { headers: authHeaders() });
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
   if (!res.ok)
     throw new Error(`Failed to search issues: ${res.status}`);
 
   return res.json();
 }
 
+/**
+ * Fetch a single issue (its `state` is 'opened' or 'closed').
+ */
+async function getIssue(projectId, issueIid) {
+  const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/issues/${issueIid}`;
+
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
+  if (!res.ok)
+    throw new Error(`Failed to fetch issue: ${res.status}`);
+
+  return res.json();
+}
+
 async function getRepositoryTree(projectId, path = '', ref) {
   const url =
     `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/repository/tree?path=${encodeURIComponent(path)}&ref=${encodeURIComponent(ref)}&per_page=100`;
 
-  const res = await fetchWithRetries(url, { headers: authHeaders() });
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
 
   if (!res.ok) {
     const text = await res.text().catch(() => '');
@@ -128,11 +330,187 @@ async function getRepositoryTree(projectId, path = '', ref) {
   return res.json();
 }
 
+const REPO_FILE_MAX_BYTES = Math.max(1024, parseInt(process.env.REPO_FILE_MAX_BYTES || String(1024 * 1024), 10));
+
+/**
+ * Errors raised by repository file retrieval. `code` is one of
+ * FILE_TOO_LARGE, REF_NOT_FOUND, PROJECT_NOT_FOUND or FETCH_FAILED.
+ */
+class GitlabFileError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'GitlabFileError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * GitLab answers 404 for a missing file, ref or project; only a missing file
+ * means "does not exist at this commit", the others are caller errors.
+ */
+async function classifyNotFound(res, filePath, ref) {
+  let message = '';
+  try {
+    const body = await res.json();
+    message = String((body && (body.message || body.error)) || '');
+  } catch {
+    message = '';
+  }
+  if (/commit|ref|branch|tag/i.test(message)) {
+    throw new GitlabFileError(`Ref not found: ${ref}`, 'REF_NOT_FOUND', 404);
+  }
+  if (/project/i.test(message)) {
+    throw new GitlabFileError(`Project not found while fetching ${filePath}`, 'PROJECT_NOT_FOUND', 404);
+  }
+  return null;
+}
+
+function tooLarge(filePath, ref, size, maxBytes) {
+  return new GitlabFileError(`File ${filePath}@${ref} is ${size} bytes (limit ${maxBytes})`, 'FILE_TOO_LARGE', 413);
+}
+
+/**
+ * Read a response body as a Buffer, aborting once it grows past maxBytes.
+ */
+async function readBodyCapped(res, maxBytes, filePath, ref) {
+  const declared = parseInt(res.headers.get('content-length') || '', 10);
+  if (Number.isFinite(declared) && declared > maxBytes) {
+    if (res.body && res.body.destroy) res.body.destroy();
+    throw tooLarge(filePath, ref, declared, maxBytes);
+  }
+
+  if (!res.body || Buffer.isBuffer(res.body)) {
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (buf.length > maxBytes) throw tooLarge(filePath, ref, buf.length, maxBytes);
+    return buf;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      res.body.destroy();
+      throw tooLarge(filePath, ref, `>${maxBytes}`, maxBytes);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function fetchRawFile(projectId, filePath, ref, maxBytes) {
+  const url =
+    `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`;
+
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
+
+  if (res.status === 404) return classifyNotFound(res, filePath, ref);
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new GitlabFileError(`Failed to fetch file ${filePath}@${ref}: ${res.status} ${text}`, 'FETCH_FAILED', res.status);
+  }
+
+  const buf = await readBodyCapped(res, maxBytes, filePath, ref);
+  return buf.toString('utf8');
+}
+
+async function fetchBase64File(projectId, filePath, ref, maxBytes) {
+  const url =
+    `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/repository/files/${encodeURIComponent(filePath)}?ref=${encodeURIComponent(ref)}`;
+
+  const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
+
+  if (res.status === 404) return classifyNotFound(res, filePath, ref);
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new GitlabFileError(`Failed to fetch file ${filePath}@${ref}: ${res.status} ${text}`, 'FETCH_FAILED', res.status);
+  }
+
+  // base64 inflates content by ~4/3; cap the JSON envelope accordingly
+  const raw = await readBodyCapped(res, Math.ceil(maxBytes * 4 / 3) + 4096, filePath, ref);
+  const meta = JSON.parse(raw.toString('utf8'));
+  if (Number(meta.size) > maxBytes) throw tooLarge(filePath, ref, meta.size, maxBytes);
+
+  if (meta.encoding === 'base64') return meta.content || '';
+  return Buffer.from(String(meta.content || ''), 'utf8').toString('base64');
+}
+
+/**
+ * Fetch a file's content at a given ref (commit SHA, branch or tag).
+ *
+ * - Returns null when the file does not exist at that ref.
+ * - Throws GitlabFileError REF_NOT_FOUND / PROJECT_NOT_FOUND for other 404s,
+ *   FILE_TOO_LARGE when the file exceeds `maxBytes`.
+ * - `encoding: 'utf8'` (default) uses the raw endpoint; `encoding: 'base64'`
+ *   uses the files API and returns the base64 payload (for binary files).
+ *
+ * Results for full commit SHAs are cached in repoContentCache, so detectors and
+ * claim verification touching the same files within an analysis share one request.
+ */
+async function getFileAtCommit(projectId, filePath, ref, { encoding = 'utf8', maxBytes = REPO_FILE_MAX_BYTES, bypassCache = false } = {}) {
+  if (!projectId || !filePath || !ref) {
+    throw new GitlabFileError('projectId, filePath and ref are required', 'FETCH_FAILED', 400);
+  }
+  const cleanPath = String(filePath).replace(/^\.?\//, '');
+
+  const load = () => (encoding === 'base64'
+    ? fetchBase64File(projectId, cleanPath, ref, maxBytes)
+    : fetchRawFile(projectId, cleanPath, ref, maxBytes));
+
+  const content = bypassCache
+    ? await load()
+    : await repoContentCache.getOrLoad({ projectId, ref, filePath: cleanPath, encoding }, load);
+
+  // A cached entry may have been loaded by a caller with a larger limit
+  const size = content ? (encoding === 'base64' ? Math.floor(content.length * 3 / 4) : Buffer.byteLength(content)) : 0;
+  if (size > maxBytes) throw tooLarge(cleanPath, ref, size, maxBytes);
+
+  return content;
+}
+
+/**
+ * List the file changes introduced by a commit (paginated).
+ */
+async function getCommitDiff(projectId, sha) {
+  const perPage = 100;
+  let page = 1;
+  const all = [];
+
+  for (;;) {
+    const url = `${GITLAB_API}/projects/${encodeURIComponent(projectId)}/repository/commits/${encodeURIComponent(sha)}/diff?per_page=${perPage}&page=${page}`;
+    const res = await fetchWithRetries(url, { headers: await authHeaders(projectId) });
+
+    if (!res.ok)
+      throw new Error(`Failed to fetch commit diff: ${res.status}`);
+
+    const diffs = await res.json();
+    if (!Array.isArray(diffs) || diffs.length === 0) break;
+
+    all.push(...diffs);
+    if (diffs.length < perPage) break;
+
+    page++;
+  }
+
+  return all;
+}
+
 module.exports = {
   getPipelineJobs,
+  getPipelineGraph,
+  lookupProjectPath,
+  getJob,
+  getCommitDiff,
   getJobTrace,
+  openJobTrace,
   createIssue,
   searchOpenIssues,
+  getIssue,
   createIssueComment,
-  getRepositoryTree
+  updateIssueState,
+  updateIssueLabels,
+  getRepositoryTree,
+  getFileAtCommit,
+  GitlabFileError
 };
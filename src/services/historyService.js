@@ -0,0 +1,139 @@
+// backend/src/services/historyService.js
+'use strict';
+
+const analysisHistoryStore = require('../db/analysisHistoryStore');
+const { normalizeSignatureLine } = require('../utils/aiHelpers');
+
+/**
+ * Similar past failures of a project, found with TF-IDF cosine similarity over the
+ * normalized error text of earlier analyses. The top matches are given to the AI
+ * prompt as hints and linked from the issue.
+ */
+
+const HISTORY_TOP_K = Math.max(0, parseInt(process.env.HISTORY_TOP_K || '3', 10));
+const HISTORY_MIN_SIMILARITY = Math.max(0, Math.min(1, Number(process.env.HISTORY_MIN_SIMILARITY || '0.35')));
+const HISTORY_MAX_CANDIDATES = Math.max(1, parseInt(process.env.HISTORY_MAX_CANDIDATES || '500', 10));
+
+// Stored error text is capped; the head of an excerpt (first error blocks) identifies it best
+const MAX_ERROR_TEXT_CHARS = 4000;
+
+// Analyses that say nothing useful about a past failure
+const UNINFORMATIVE_ROOT_CAUSES = new Set(['AI_UNAVAILABLE', 'INSUFFICIENT_EVIDENCE', 'UNKNOWN']);
+
+// Common words plus the placeholders left by normalizeSignatureLine()
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'was', 'are', 'not', 'but', 'you', 'has', 'have',
+  'ts', 'uuid', 'hex', 'tmp', 'dur', 'id', 'n'
+]);
+
+function normalizeErrorText(text) {
+  return String(text || '')
+    .split('\n')
+    .map(normalizeSignatureLine)
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_ERROR_TEXT_CHARS);
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Rank `docs` ({ error_text, ... }) by TF-IDF cosine similarity to `queryText`.
+ * Returns [{ doc, score }] with score >= minScore, best first.
+ */
+function rankSimilar(queryText, docs, { limit = HISTORY_TOP_K, minScore = HISTORY_MIN_SIMILARITY } = {}) {
+  const query = termCounts(tokenize(normalizeErrorText(queryText)));
+  if (query.size === 0 || docs.length === 0) return [];
+  const docCounts = docs.map(d => termCounts(tokenize(d.error_text)));
+
+  // document frequency over the candidates and the query
+  const df = new Map();
+  for (const counts of docCounts.concat([query])) {
+    for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = docCounts.length + 1;
+  const weigh = (counts) => {
+    const vec = new Map();
+    let norm = 0;
+    for (const [term, tf] of counts) {
+      const w = (1 + Math.log(tf)) * (Math.log((n + 1) / (df.get(term) + 1)) + 1);
+      vec.set(term, w);
+      norm += w * w;
+    }
+    return { vec, norm: Math.sqrt(norm) };
+  };
+
+  const q = weigh(query);
+  return docCounts
+    .map((counts, i) => {
+      const d = weigh(counts);
+      let dot = 0;
+      for (const [term, w] of q.vec) {
+        if (d.vec.has(term)) dot += w * d.vec.get(term);
+      }
+      return { doc: docs[i], score: d.norm && q.norm ? dot / (d.norm * q.norm) : 0 };
+    })
+    .filter(r => r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Past analyses of the project most similar to `text` (an error excerpt).
+ * Returns [{ issue_iid, issue_url, job_name, root_cause, suggested_fix, status, occurrences, similarity }].
+ */
+async function findSimilar({ projectId, text, limit = HISTORY_TOP_K, minScore = HISTORY_MIN_SIMILARITY }) {
+  if (!projectId || !text || limit === 0) return [];
+  const rows = (await analysisHistoryStore.listRecent(projectId, HISTORY_MAX_CANDIDATES))
+    .filter(r => r.root_cause && !UNINFORMATIVE_ROOT_CAUSES.has(String(r.root_cause).toUpperCase()));
+
+  return rankSimilar(text, rows, { limit, minScore }).map(({ doc, score }) => ({
+    issue_iid: doc.issue_iid,
+    issue_url: doc.issue_url || null,
+    job_name: doc.job_name,
+    root_cause: doc.root_cause,
+    suggested_fix: doc.suggested_fix,
+    status: doc.status,
+    occurrences: doc.occurrences,
+    similarity: Math.round(score * 100) / 100
+  }));
+}
+
+/**
+ * Remember the analysis an issue was created from (or appended to). Returns false when
+ * nothing was stored.
+ */
+async function recordAnalysis({ projectId, issueIid, issueUrl = null, jobName = null, text, analysis }) {
+  if (!projectId || !issueIid || !text || !analysis) return false;
+  // keep the earlier diagnosis rather than overwrite it with "AI unavailable"
+  if (!analysis.root_cause || UNINFORMATIVE_ROOT_CAUSES.has(String(analysis.root_cause).toUpperCase())) return false;
+  if (analysis.source === 'heuristic') return false;
+  await analysisHistoryStore.upsertAnalysis({
+    projectId,
+    issueIid,
+    issueUrl,
+    jobName,
+    errorText: normalizeErrorText(text),
+    rootCause: analysis.root_cause || null,
+    suggestedFix: analysis.suggested_fix || null
+  });
+  return true;
+}
+
+module.exports = {
+  findSimilar,
+  recordAnalysis,
+  rankSimilar,
+  normalizeErrorText
+};
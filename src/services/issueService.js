@@ -1,11 +1,31 @@
 // backend/src/services/issueService.js
 const gitlab = require('./gitlabService');
-const { makeFingerprint, normStr, isValidAnalysis } = require('../utils/aiHelpers');
+const { formatDuration } = require('../utils/traceParser');
+const { makeFingerprint, makeSignatureFingerprint, makeSecretLeakFingerprint, canonicalSignatureJobName, FINGERPRINT_VERSION, normStr, isValidAnalysis } = require('../utils/aiHelpers');
 const fpStore = require('../db/fingerprintStore');
-const event = require('../routes/webhook');
+const metricsService = require('./metricsService');
+const auditService = require('./auditService');
+const projectRegistry = require('./projectRegistry');
+const notifier = require('./notifier');
+const { CATEGORIES } = require('../utils/analysisSchema');
 const MIN_CONF_TO_AUTOCREATE = Number(process.env.MIN_CONF_CREATE || 0.6);
+// Consecutive green runs of a job before its open issues are closed (0 disables auto-close)
+const AUTO_CLOSE_GREEN_RUNS = Math.max(0, parseInt(process.env.AUTO_CLOSE_GREEN_RUNS || '3', 10));
+const REGRESSION_LABEL = process.env.REGRESSION_LABEL || 'regression';
+const FLAKY_LABEL = process.env.FLAKY_LABEL || 'flaky';
+const SECURITY_LABEL = 'ai:security';
+// Affected files checked at the failing commit before AI claims count as verified
+const AI_CLAIM_MAX_FILES = 5;
 const GITLAB_BASE_URL = process.env.GITLAB_BASE_URL || 'https://gitlab.com';
 
+// Extra labels / assignees per failure category, e.g. {"infra": {"labels": ["team::platform"], "assignee_ids": [12]}}
+let CATEGORY_ROUTES = {};
+try {
+  CATEGORY_ROUTES = JSON.parse(process.env.ISSUE_CATEGORY_ROUTES || '{}') || {};
+} catch (err) {
+  console.error(JSON.stringify({ level: 'error', msg: 'issue.category_routes_invalid', error: err && err.message ? err.message : String(err) }));
+}
+
 
 async function verifyFileClaim({ projectId, filePath, line, match, commitSha }) {
   if (!projectId || !filePath || !commitSha) {
@@ -34,17 +54,131 @@ async function verifyFileClaim({ projectId, filePath, line, match, commitSha })
     if (match && content.includes(match)) {
       return { verified: true, reason: 'match_found_elsewhere' };
     }
+    if (!match && !lineno) {
+      return { verified: true, reason: 'file_exists' };
+    }
 
     return { verified: false, reason: 'evidence_not_found' };
   } catch (err) {
+    if (err && err.code === 'FILE_TOO_LARGE') return { verified: false, reason: 'file_too_large' };
     return { verified: false, reason: `fetch_error: ${err && err.message ? err.message : String(err)}` };
   }
 }
 
-async function createIssueFromAnalysis(event , projectId, { pipelineId, job, analysis, logExcerpt = '', commitSha = '' }) {
+function describeFlakiness(flakiness) {
+  return `**Flakiness:** score ${flakiness.score} over ${flakiness.samples} runs (${flakiness.reasons.join(', ')})`;
+}
+
+/**
+ * Markdown table of the runner sections (prepare_executor, get_sources, step_script, ...) with durations.
+ */
+function describeTraceSections(traceSections) {
+  if (!traceSections || !Array.isArray(traceSections.timings) || traceSections.timings.length === 0) return [];
+  const rows = traceSections.timings.map(t => `| \`${t.name}\`${t.failed ? ' ❌' : ''} | ${t.partial ? 'n/a (started before fetched tail)' : formatDuration(t.duration_sec)} |`);
+  return ['', '**Job sections:**', '', '| Section | Duration |', '| --- | --- |', ...rows];
+}
+
+/**
+ * Links to earlier issues with a similar failure (historyService.findSimilar), excluding `currentIid`.
+ */
+function describeSimilarCases(similarCases, currentIid = null) {
+  const cases = (similarCases || []).filter(c => c.issue_iid && c.issue_iid !== currentIid);
+  if (cases.length === 0) return [];
+  return [
+    '',
+    '**Similar past issues:**',
+    ...cases.map(c => `- #${c.issue_iid} (${c.status === 'closed' ? 'resolved' : 'open'}, ${Math.round(c.similarity * 100)}% similar): ${c.root_cause}`)
+  ];
+}
+
+/** Failure category of an analysis (analysisSchema.CATEGORIES), 'unknown' when missing */
+function categoryOf(analysis) {
+  const category = analysis && typeof analysis.category === 'string' ? analysis.category : '';
+  return Object.prototype.hasOwnProperty.call(CATEGORIES, category) ? category : 'unknown';
+}
+
+/**
+ * Severity of a notification: flaky or non-blocking failures are low, security findings
+ * critical, new issues and regressions high, everything else medium.
+ */
+function severityOf(analysis, { flaky = false, critical = false, action }) {
+  const category = categoryOf(analysis);
+  if (flaky || category === 'flaky' || analysis.blocking === false) return 'low';
+  if (critical || category === 'security') return 'critical';
+  return action === 'created' || action === 'reopened' ? 'high' : 'medium';
+}
+
+function issueUrl(projectId, projectPath, issue) {
+  return (issue && issue.web_url) || `${GITLAB_BASE_URL}/${projectPath || projectId}/-/issues/${issue.iid}`;
+}
+
+/**
+ * Evidence lines, affected files and reproduction commands of a schema v2 analysis.
+ */
+function describeAnalysisDetails(analysis) {
+  const parts = [];
+  const list = (v) => (Array.isArray(v) ? v.filter(x => typeof x === 'string' && x) : []);
+  const evidence = list(analysis.evidence_lines);
+  const files = list(analysis.affected_files);
+  const commands = list(analysis.reproduction_commands);
+  if (evidence.length > 0) parts.push('', '**Evidence:**', '```', ...evidence, '```');
+  if (files.length > 0) parts.push('', '**Affected files:**', ...files.map(f => `- \`${f}\``));
+  if (commands.length > 0) parts.push('', '**Reproduce:**', '```sh', ...commands, '```');
+  return parts;
+}
+
+/**
+ * Which claims of the analysis were found in the trace or detector evidence (utils/evidenceGuard.js).
+ */
+function describeEvidenceCheck(analysis) {
+  const check = analysis && analysis.evidence_check;
+  if (!check || !check.total) return [];
+  const lines = [`- Claim check: ${check.verified} of ${check.total} claims found in the job log or detector evidence` +
+    (check.confidence_before !== analysis.confidence ? ` (confidence lowered from ${check.confidence_before} to ${analysis.confidence}).` : '.')];
+  for (const c of check.claims.slice(0, 20)) {
+    const value = String(c.value).replace(/`/g, '').slice(0, 160);
+    const label = c.type.replace('_', ' ');
+    lines.push(c.verified
+      ? `  - ✅ ${label} \`${value}\` (found in ${c.found_in === 'detector' ? 'detector evidence' : 'job log'})`
+      : `  - ⚠️ ${label} \`${value}\` not found — ${c.action === 'removed' ? 'removed' : 'unverified, treat with care'}`);
+  }
+  if (check.claims.length > 20) lines.push(`  - … ${check.claims.length - 20} more`);
+  return lines;
+}
+
+/**
+ * Per-job breakdown of a pipeline analysis (pipelineAnalyzer): which failed job is the root
+ * and which only failed because of it.
+ */
+function describePipelineBreakdown(analysis) {
+  if (!analysis || !Array.isArray(analysis.jobs) || analysis.jobs.length === 0) return [];
+  const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').slice(0, 200);
+  const rows = analysis.jobs.map(j => `| \`${cell(j.name)}\`${j.stage ? ` (${cell(j.stage)})` : ''} | ${j.role === 'root' ? '**root**' : j.role} | ${cell(j.reason)} |`);
+  return ['', `**Failed jobs in this pipeline (root: \`${cell(analysis.root_job)}\`):**`, '', '| Job | Role | Reason |', '| --- | --- | --- |', ...rows];
+}
+
+/**
+ * Note explaining that the analysis is heuristic because an AI budget ran out (budgetService).
+ */
+function describeBudgetNote(analysis) {
+  const exceeded = analysis && analysis.budget_exceeded;
+  if (!exceeded) return [];
+  const scope = exceeded.scope === 'global' ? 'The global' : 'This project\'s';
+  return [
+    '',
+    `> **Note:** ${scope} ${exceeded.period} AI budget ($${exceeded.limit_usd}, $${exceeded.spent_usd} spent) is exhausted, so this failure was analyzed ${analysis.source === 'rules' ? 'with the offline rule pack' : 'heuristically'} without the AI model. Use the reanalyze endpoint once the budget resets for a full analysis.`
+  ];
+}
+
+async function createIssueFromAnalysis(event , projectId, { pipelineId, job, analysis, logExcerpt = '', commitSha = '', flakiness = null, traceSections = null, similarCases = [] }) {
+  const flaky = !!(flakiness && flakiness.flaky);
   // Ensure fingerprint store ready (assumes init called elsewhere)
+  const jobName = canonicalSignatureJobName((job && job.name) || event.build_name || '');
+  // Failure signature (job name + normalized error frames) so the same failure on a new commit/pipeline dedupes
+  const fingerprint = makeSignatureFingerprint({ projectId, jobName, excerpt: logExcerpt });
+  // v1 fingerprint, only used to resolve rows recorded before fingerprints were versioned
   const excerptSlice = normStr(logExcerpt).slice(0, 200);
-  const fingerprint = makeFingerprint({
+  const legacyFingerprint = makeFingerprint({
     projectId,
     jobId: event.build_id,
     pipelineId,
@@ -52,18 +186,80 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
     excerpt: excerptSlice
   });
 
+  const auditDecision = (data) => auditService.record('gate.decision', {
+    projectId,
+    pipelineId,
+    jobId: (job && job.id) || event.build_id || null,
+    job: jobName,
+    fingerprint,
+    category: categoryOf(analysis),
+    confidence: typeof analysis.confidence === 'number' ? analysis.confidence : 0,
+    claims_verified: analysis.evidence_check ? analysis.evidence_check.verified : null,
+    claims_total: analysis.evidence_check ? analysis.evidence_check.total : null,
+    ...(analysis.root_job ? { root_job: analysis.root_job, failed_jobs: (analysis.jobs || []).length } : {}),
+    ...data
+  });
+
+  const projectPath = (event.project && event.project.path_with_namespace) || null;
+  const notifyDecision = (action, issue, { critical = false } = {}) => notifier.notify({
+    action,
+    project_id: projectId,
+    project_path: projectPath,
+    pipeline_id: pipelineId,
+    pipeline_url: `${GITLAB_BASE_URL}/${projectPath || projectId}/-/pipelines/${pipelineId}`,
+    job: jobName,
+    branch: (job && job.ref) || event.ref || (event.object_attributes && event.object_attributes.ref) || null,
+    category: categoryOf(analysis),
+    severity: severityOf(analysis, { flaky, critical, action }),
+    confidence: typeof analysis.confidence === 'number' ? analysis.confidence : 0,
+    root_cause: analysis.root_cause || null,
+    suggested_fix: analysis.suggested_fix || null,
+    root_job: analysis.root_job || null,
+    issue_iid: issue.iid,
+    issue_url: issueUrl(projectId, projectPath, issue)
+  });
+
   // 1) Try DB atomic insert fallback: check if exists
-  const existing = await fpStore.getByFingerprint(fingerprint).catch(() => null);
+  let existing = await fpStore.getByFingerprint(fingerprint).catch(() => null);
+  if (!existing) {
+    const legacy = await fpStore.getByFingerprint(legacyFingerprint).catch(() => null);
+    if (legacy && legacy.issue_iid) {
+      // carry the legacy mapping forward so later occurrences resolve through the current signature
+      await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: legacy.issue_iid, fpVersion: FINGERPRINT_VERSION, jobName }).catch(() => {});
+      existing = legacy;
+    }
+  }
   if (existing && existing.issue_iid) {
+    if (!existing.job_name && jobName) await fpStore.setJobName(existing.fingerprint, jobName).catch(() => {});
+
+    // A closed fingerprint recurring is a regression: reopen the issue instead of only commenting
+    const regression = existing.status === 'closed';
     // Append comment instead of creating new issue
-    const commentBody = buildCommentBody({ pipelineId, job, analysis, logExcerpt });
+    const commentBody = buildCommentBody({ pipelineId, job, analysis, logExcerpt, regression, flakiness, traceSections, similarCases, issueIid: existing.issue_iid });
     await gitlab.createIssueComment(projectId, existing.issue_iid, commentBody).catch((err) => {
       console.error('Failed to append comment for existing fingerprint:', err.message);
     });
+    metricsService.inc('guardian_issues_total', { category: categoryOf(analysis), action: 'updated' });
+    if (flaky) {
+      await gitlab.updateIssueLabels(projectId, existing.issue_iid, { add: [FLAKY_LABEL] }).catch((err) => {
+        console.error('Failed to label flaky issue:', err.message);
+      });
+    }
+    if (regression) {
+      try {
+        await gitlab.updateIssueState(projectId, existing.issue_iid, 'reopen', { addLabels: [REGRESSION_LABEL] });
+        await fpStore.setIssueStatus(projectId, existing.issue_iid, 'open');
+        console.log(JSON.stringify({ level: 'info', msg: 'issue.reopened_regression', projectId, issue_iid: existing.issue_iid, fingerprint: existing.fingerprint, pipelineId }));
+      } catch (err) {
+        console.error(JSON.stringify({ level: 'error', msg: 'issue.reopen_failed', projectId, issue_iid: existing.issue_iid, error: err && err.message ? err.message : String(err) }));
+      }
+    }
     // bump occurrence counter
-    await fpStore.bumpOccurrence(fingerprint).catch(() => {});
+    await fpStore.bumpOccurrence(existing.fingerprint).catch(() => {});
+    await auditDecision({ decision: regression ? 'reopen' : 'append', issue_iid: existing.issue_iid, matched_by: 'fingerprint', flaky });
+    notifyDecision(regression ? 'reopened' : 'updated', { iid: existing.issue_iid });
     // return a lightweight object indicating existing issue
-    return { existing: true, issue_iid: existing.issue_iid };
+    return { existing: true, issue_iid: existing.issue_iid, reopened: regression };
   }
 
   // 2) If not in DB, search GitLab open issues for fingerprint (fallback)
@@ -80,14 +276,17 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
   if (foundRemote) {
     // store mapping in DB best-effort
     try {
-      await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: foundRemote.iid });
+      await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: foundRemote.iid, fpVersion: FINGERPRINT_VERSION, jobName });
     } catch (e) {
       // ignore
     }
-    const commentBody = buildCommentBody({ pipelineId, job, analysis, logExcerpt });
+    const commentBody = buildCommentBody({ pipelineId, job, analysis, logExcerpt, flakiness, traceSections, similarCases, issueIid: foundRemote.iid });
     await gitlab.createIssueComment(projectId, foundRemote.iid, commentBody).catch((err) => {
       console.error('Failed to append comment to remote found issue:', err.message);
     });
+    metricsService.inc('guardian_issues_total', { category: categoryOf(analysis), action: 'updated' });
+    await auditDecision({ decision: 'append', issue_iid: foundRemote.iid, matched_by: 'issue_search' });
+    notifyDecision('updated', foundRemote);
     return { existing: true, issue_iid: foundRemote.iid };
   }
 
@@ -110,17 +309,22 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
     // ignore; keep deterministicVerified false
   }
 
-  // If the AI returned explicit file/line claims, attempt to verify them before auto-create
+  // AI claims count as verified when the evidence guard found every claim in the log or detector
+  // evidence and each affected file (`path` or `path:line`) exists at the failing commit
   let aiClaimVerified = false;
   try {
-    if (analysis && typeof analysis === 'object') {
-      // Support a few possible AI claim shapes: analysis.file & analysis.line, or analysis.evidence.file
-      const filePath = analysis.file || (analysis.evidence && analysis.evidence.file) || null;
-      const line = analysis.line || (analysis.evidence && analysis.evidence.line) || null;
-      const match = analysis.match || (analysis.evidence && analysis.evidence.match) || null;
-      if (filePath) {
-        const verify = await verifyFileClaim({ projectId, filePath, line, match, commitSha });
-        if (verify && verify.verified) aiClaimVerified = true;
+    const files = Array.isArray(analysis.affected_files) ? analysis.affected_files.slice(0, AI_CLAIM_MAX_FILES) : [];
+    const check = analysis.evidence_check;
+    const guardPassed = !check || check.verified === check.total;
+    if (files.length > 0 && guardPassed && commitSha) {
+      aiClaimVerified = true;
+      for (const entry of files) {
+        const [, filePath, line] = String(entry).match(/^(.+?)(?::(\d+))?$/);
+        const verify = await verifyFileClaim({ projectId, filePath, line, commitSha });
+        if (!verify.verified) {
+          aiClaimVerified = false;
+          break;
+        }
       }
     }
   } catch (e) {
@@ -128,16 +332,22 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
     aiClaimVerified = false;
   }
 
-  // Decide whether to auto-create issue
+  // Decide whether to auto-create issue (the project's registered threshold, else MIN_CONF_CREATE)
+  const minConfidence = (await projectRegistry.settingsFor(projectId)).min_confidence ?? MIN_CONF_TO_AUTOCREATE;
   const confidence = typeof analysis.confidence === 'number' ? analysis.confidence : 0;
-  const labels = ['ai:analysis'];
-  if (confidence < MIN_CONF_TO_AUTOCREATE) {
+  const category = categoryOf(analysis);
+  const route = CATEGORY_ROUTES[category] || {};
+  const labels = ['ai:analysis', `category:${category}`, ...(Array.isArray(route.labels) ? route.labels : [])];
+  if (confidence < minConfidence) {
     labels.push('ai:triage');
   }
 
-  // Severity label heuristic (simple)
-  if ((analysis.root_cause || '').toLowerCase().includes('secret') || (analysis.root_cause || '').toLowerCase().includes('api key') || deterministicVerified) {
-    labels.push('ai:security', 'severity:critical');
+  // Severity from the failure category; flaky failures never open high-severity issues
+  if (category === 'security' || deterministicVerified) {
+    labels.push(SECURITY_LABEL, flaky ? 'severity:low' : 'severity:critical');
+  }
+  if (flaky || category === 'flaky') {
+    labels.push(FLAKY_LABEL);
   }
 
   // If deterministicVerified (from detector) or AI claim verified, bypass confidence gating and mark validated
@@ -146,7 +356,7 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
     labels.push('ai:validated', 'ai:deterministic');
   } else {
     // not verified by deterministic evidence or AI claim verification
-    if (confidence < MIN_CONF_TO_AUTOCREATE) {
+    if (confidence < minConfidence) {
       labels.push('ai:unverified');
     }
   }
@@ -171,25 +381,43 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
     `**Root cause:** ${analysis.root_cause || 'unknown'}`,
     `**Suggested fix:** ${analysis.suggested_fix || 'manual review'}`,
     `**Confidence:** ${analysis.confidence ?? 0}`,
+    `**Category:** ${category}${analysis.blocking === false ? ' (non-blocking)' : ''}`,
+    ...(analysis.source === 'rules' ? [`**Source:** offline rule \`${analysis.rule_id}\` (no AI model involved)`] : []),
     `**Fingerprint:** ${fingerprint}`,
+    ...(flaky ? [describeFlakiness(flakiness)] : []),
+    ...describeBudgetNote(analysis),
     '',
     '**Verification**'
   ];
 
   if (deterministicVerified) {
     descriptionParts.push(`- Deterministic evidence detected and verified by detector service (see debug artifacts).`);
+    const leaked = (analysis._detectorSummary.repoHits || []).filter(h => h.verified).slice(0, 10);
+    for (const h of leaked) {
+      descriptionParts.push(`  - Hard-coded ${h.rule || 'credential'} in \`${h.file}:${h.line}\` (\`${h.match}\`) — rotate this credential.`);
+    }
+    const vulnerable = (analysis._detectorSummary.dependencyHigh || []).slice(0, 10);
+    for (const d of vulnerable) {
+      descriptionParts.push(`  - \`${d.package}@${d.version}\` — ${d.advisory} (${d.severity})${d.fixed ? `, fixed in ${d.fixed}` : ''}`);
+    }
   } else if (aiClaimVerified) {
-    descriptionParts.push(`- AI-provided file/line evidence verified at commit ${commitSha}.`);
+    descriptionParts.push(`- Every AI claim was found in the job log or detector evidence, and the affected files exist at commit ${commitSha}.`);
   } else {
     descriptionParts.push(`- No deterministic verification found; issue created based on AI analysis and confidence gating.`);
   }
+  descriptionParts.push(...describeEvidenceCheck(analysis));
+
+  descriptionParts.push(...describeAnalysisDetails(analysis));
+  descriptionParts.push(...describePipelineBreakdown(analysis));
+  descriptionParts.push(...describeTraceSections(traceSections));
+  descriptionParts.push(...describeSimilarCases(similarCases));
 
   descriptionParts.push('', `**Pipeline:** ${pipelineUrl}`, `**Job:** ${jobUrl}`, '', '**Log excerpt:**', '```', redactedExcerpt || '(no excerpt captured)', '```', '', '_This issue was auto-generated by the AI DevOps Assistant. Prompt and response stored for audit._');
 
   const description = descriptionParts.join('\n');
 
   // If we are not allowed to auto-create (low confidence & not verified), create as triage (still create issue but label ai:triage)
-  const allowAutoCreate = deterministicVerified || aiClaimVerified || (confidence >= MIN_CONF_TO_AUTOCREATE);
+  const allowAutoCreate = deterministicVerified || aiClaimVerified || (confidence >= minConfidence);
 
   if (!allowAutoCreate) {
     // Create a triage issue (we still create it, but with ai:triage label — original code did this too)
@@ -199,16 +427,27 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
   // 4) Create issue on GitLab
   let newIssue;
   try {
-    newIssue = await gitlab.createIssue(projectId, title, description, labels).catch((err) => {
+    const assigneeIds = Array.isArray(route.assignee_ids) ? route.assignee_ids : [];
+    newIssue = await gitlab.createIssue(projectId, title, description, [...new Set(labels)], { assigneeIds }).catch((err) => {
       throw new Error(`Failed to create issue: ${err.message}`);
     });
   } catch (err) {
     throw err;
   }
+  metricsService.inc('guardian_issues_total', { category, action: 'created' });
+  await auditDecision({
+    decision: allowAutoCreate ? 'create' : 'create-triage',
+    issue_iid: newIssue.iid,
+    min_confidence: minConfidence,
+    deterministic_verified: deterministicVerified,
+    ai_claim_verified: aiClaimVerified,
+    labels: [...new Set(labels)]
+  });
+  notifyDecision(allowAutoCreate ? 'created' : 'triage', newIssue, { critical: deterministicVerified });
 
   // 5) Atomically insert mapping into DB. If another process raced and inserted, insertMappingAtomic will return existing mapping.
   try {
-    const mapping = await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: newIssue.iid });
+    const mapping = await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: newIssue.iid, fpVersion: FINGERPRINT_VERSION, jobName });
     // mapping returned either the new mapping or existing mapping if race occurred
     if (mapping && mapping.issue_iid && mapping.issue_iid !== newIssue.iid) {
       // race: another process created the mapping first — append a comment to the winner and optionally close duplicate (not doing deletion here)
@@ -230,14 +469,21 @@ async function createIssueFromAnalysis(event , projectId, { pipelineId, job, ana
   return newIssue;
 }
 
-function buildCommentBody({ pipelineId, job, analysis, logExcerpt }) {
+function buildCommentBody({ pipelineId, job, analysis, logExcerpt, regression = false, flakiness = null, traceSections = null, similarCases = [], issueIid = null }) {
   const jobUrl = job.web_url || '';
   return [
-    `**New occurrence detected**`,
+    regression ? '**Regression: this failure recurred after the issue was closed**' : '**New occurrence detected**',
     `**Pipeline:** ${pipelineId}`,
     `**Job:** ${job.name} (${job.id})`,
     `**Root cause:** ${analysis.root_cause || 'unknown'}`,
+    `**Category:** ${categoryOf(analysis)}`,
     `**Confidence:** ${analysis.confidence ?? 0}`,
+    ...(analysis.evidence_check && analysis.evidence_check.total ? [`**Claims verified:** ${analysis.evidence_check.verified}/${analysis.evidence_check.total}`] : []),
+    ...(flakiness && flakiness.flaky ? [describeFlakiness(flakiness)] : []),
+    ...(traceSections && traceSections.failing ? [`**Failed in section:** \`${traceSections.failing}\``] : []),
+    ...describeBudgetNote(analysis),
+    ...describePipelineBreakdown(analysis),
+    ...describeSimilarCases(similarCases, issueIid),
     '',
     '**Log excerpt:**',
     '```',
@@ -248,4 +494,188 @@ function buildCommentBody({ pipelineId, job, analysis, logExcerpt }) {
   ].join('\n');
 }
 
-module.exports = { createIssueFromAnalysis };
+/**
+ * Count a green run of a job against the open issues tracked for it. Once an issue has seen
+ * AUTO_CLOSE_GREEN_RUNS (or the project's setting) consecutive green runs it is commented on and closed; if the same
+ * fingerprint fails again later it is reopened as a regression (see createIssueFromAnalysis).
+ * A job id counts once, however often its success is processed (queue retries, replays).
+ */
+async function recordJobSuccess(projectId, { jobName, pipelineId, jobId = null }) {
+  if (!projectId || !jobName) return { tracked: 0, closed: [] };
+  const greenRuns = (await projectRegistry.settingsFor(projectId)).auto_close_green_runs ?? AUTO_CLOSE_GREEN_RUNS;
+  if (!greenRuns) return { tracked: 0, closed: [] };
+
+  const name = canonicalSignatureJobName(jobName);
+  const rows = await fpStore.getOpenByJob(projectId, name);
+  const issueIids = [...new Set(rows.map(r => r.issue_iid).filter(Boolean))];
+  const closed = [];
+
+  for (const issueIid of issueIids) {
+    const streak = await fpStore.incrementGreenStreak(projectId, issueIid, jobId);
+    if (streak < greenRuns) continue;
+    try {
+      await gitlab.updateIssueState(projectId, issueIid, 'close');
+      await fpStore.setIssueStatus(projectId, issueIid, 'closed');
+      const body = [
+        `**Resolved:** job \`${name}\` passed ${streak} consecutive runs (latest pipeline ${pipelineId}).`,
+        '',
+        `Closing automatically. If this failure comes back the issue will be reopened with the \`${REGRESSION_LABEL}\` label.`,
+        '',
+        '_Appended automatically by AI Guardian._'
+      ].join('\n');
+      await gitlab.createIssueComment(projectId, issueIid, body).catch((err) => {
+        console.error('Failed to comment on auto-closed issue:', err.message);
+      });
+      closed.push(issueIid);
+      await auditService.record('gate.decision', { projectId, pipelineId, job: name, decision: 'close', issue_iid: issueIid, green_streak: streak });
+      console.log(JSON.stringify({ level: 'info', msg: 'issue.auto_closed', projectId, issue_iid: issueIid, job: name, green_streak: streak, pipelineId }));
+    } catch (err) {
+      // streak is kept, so the close is retried on the next green run
+      console.error(JSON.stringify({ level: 'error', msg: 'issue.auto_close_failed', projectId, issue_iid: issueIid, error: err && err.message ? err.message : String(err) }));
+    }
+  }
+
+  return { tracked: issueIids.length, closed };
+}
+
+/**
+ * Label the open issues of a job as flaky once its history shows mixed results
+ * (typically a failed run that passed on retry).
+ */
+async function markFlaky(projectId, { jobName, flakiness }) {
+  if (!projectId || !jobName || !flakiness || !flakiness.flaky) return [];
+
+  const rows = await fpStore.getOpenByJob(projectId, canonicalSignatureJobName(jobName));
+  const issueIids = [...new Set(rows.map(r => r.issue_iid).filter(Boolean))];
+  const labeled = [];
+  for (const issueIid of issueIids) {
+    try {
+      await gitlab.updateIssueLabels(projectId, issueIid, { add: [FLAKY_LABEL] });
+      labeled.push(issueIid);
+    } catch (err) {
+      console.error('Failed to label flaky issue:', err.message);
+    }
+  }
+  for (const issueIid of labeled) {
+    await auditService.record('gate.decision', { projectId, job: jobName, decision: 'label-flaky', issue_iid: issueIid, flaky_score: flakiness.score });
+  }
+  if (labeled.length > 0) {
+    console.log(JSON.stringify({ level: 'info', msg: 'issue.marked_flaky', projectId, job: jobName, issues: labeled, score: flakiness.score, reasons: flakiness.reasons }));
+  }
+  return labeled;
+}
+
+/**
+ * Markdown table of leaked credential findings ({ rule, line }), grouped by rule. Never holds values.
+ */
+function describeSecretFindings(findings, { truncated = false } = {}) {
+  const byRule = new Map();
+  for (const f of findings) {
+    if (!byRule.has(f.rule)) byRule.set(f.rule, []);
+    if (f.line) byRule.get(f.rule).push(f.line);
+  }
+  const rows = [...byRule].map(([rule, lines]) => `| \`${rule}\` | ${lines.length > 0 ? lines.slice(0, 10).map(l => `~${l}`).join(', ') : 'unknown'} |`);
+  return [
+    '| Credential type | Approximate log line |',
+    '| --- | --- |',
+    ...rows,
+    ...(truncated ? ['', '_Line numbers count from the start of the retrieved end of the log, not from the start of the job log._'] : [])
+  ];
+}
+
+/**
+ * Report credentials that were printed in a job log (found while redacting the trace).
+ *
+ * Opens one confidential `ai:security` issue per project and job, or comments on (and
+ * reopens) the existing one. The issue names the job, the credential types and approximate
+ * lines only. Leak issues are not tied to the job's green runs, so they are never auto-closed.
+ */
+async function reportSecretLeak(projectId, { job, jobName, pipelineId, findings = [], truncated = false }) {
+  if (!projectId || findings.length === 0) return null;
+
+  const name = canonicalSignatureJobName(jobName || (job && job.name) || '');
+  const fingerprint = makeSecretLeakFingerprint({ projectId, jobName: name });
+  const jobId = job && job.id;
+  const jobUrl = (job && job.web_url) || `${GITLAB_BASE_URL}/${projectId}/-/jobs/${jobId}`;
+  const rules = [...new Set(findings.map(f => f.rule))];
+  const table = describeSecretFindings(findings, { truncated });
+  const notifyLeak = (issue) => notifier.notify({
+    action: 'secret_leak',
+    project_id: projectId,
+    pipeline_id: pipelineId,
+    job: name,
+    branch: (job && job.ref) || null,
+    category: 'security',
+    severity: 'critical',
+    root_cause: `Job log contains credentials (${rules.join(', ')})`,
+    issue_iid: issue.iid,
+    issue_url: issueUrl(projectId, null, issue)
+  });
+
+  const existing = await fpStore.getByFingerprint(fingerprint).catch(() => null);
+  if (existing && existing.issue_iid) {
+    const body = [
+      '**Credentials leaked again**',
+      `**Pipeline:** ${pipelineId}`,
+      `**Job:** ${name} (${jobUrl})`,
+      '',
+      ...table,
+      '',
+      '_Appended automatically by AI Guardian._'
+    ].join('\n');
+    await gitlab.createIssueComment(projectId, existing.issue_iid, body).catch((err) => {
+      console.error('Failed to comment on secret leak issue:', err.message);
+    });
+    // a new leak needs attention even if the issue was closed after an earlier rotation; leak issues
+    // are closed by people in GitLab, so ask GitLab (reopening an open issue is harmless if that fails)
+    const state = await gitlab.getIssue(projectId, existing.issue_iid).then(i => i && i.state, () => null);
+    if (state !== 'opened') {
+      await gitlab.updateIssueState(projectId, existing.issue_iid, 'reopen').catch((err) => {
+        console.error('Failed to reopen secret leak issue:', err.message);
+      });
+      await fpStore.setIssueStatus(projectId, existing.issue_iid, 'open').catch(() => {});
+    }
+    await fpStore.bumpOccurrence(fingerprint).catch(() => {});
+    console.log(JSON.stringify({ level: 'warn', msg: 'security.secret_leak_updated', projectId, issue_iid: existing.issue_iid, job: name, pipelineId, rules }));
+    await auditService.record('gate.decision', { projectId, pipelineId, jobId, job: name, fingerprint, category: 'security', decision: 'secret-leak-append', issue_iid: existing.issue_iid, rules });
+    notifyLeak({ iid: existing.issue_iid });
+    return { existing: true, issue_iid: existing.issue_iid };
+  }
+
+  const title = `🔐 Secret leaked in CI job log | ${name} | Pipeline ${pipelineId}`;
+  const description = [
+    `Job \`${name}\` printed credentials in its log. Anyone who can read this project's job logs can see them.`,
+    'AI Guardian redacted them from its own issues and prompts, but the original job log still contains them.',
+    '',
+    `**Pipeline:** ${pipelineId}`,
+    `**Job:** ${jobUrl}`,
+    '',
+    ...table,
+    '',
+    '**What to do**',
+    '1. Rotate (revoke and reissue) every credential listed above. Treat it as compromised.',
+    '2. Erase the job log (job page → **Erase job log**) once the credential is rotated.',
+    '3. Stop printing it: store it as a masked CI/CD variable and avoid `set -x`, `env` or `echo` of secrets in the job script.',
+    '',
+    `**Fingerprint:** ${fingerprint}`,
+    '',
+    '_This issue was auto-generated by the AI DevOps Assistant. It is confidential and never contains the leaked values._'
+  ].join('\n');
+
+  const issue = await gitlab.createIssue(projectId, title, description, [SECURITY_LABEL, 'severity:critical'], { confidential: true });
+  // no job name on the mapping: green runs must not close a leak issue
+  const mapping = await fpStore.insertMappingAtomic({ fingerprint, projectId, issueIid: issue.iid, fpVersion: FINGERPRINT_VERSION }).catch((err) => {
+    console.warn('Mapping insert warning:', err.message);
+    return null;
+  });
+  if (mapping && mapping.issue_iid && mapping.issue_iid !== issue.iid) {
+    await gitlab.createIssueComment(projectId, issue.iid, `Duplicate issue created (race). See #${mapping.issue_iid}.`).catch(() => {});
+    return { existing: true, issue_iid: mapping.issue_iid, duplicate_created: issue.iid };
+  }
+  console.log(JSON.stringify({ level: 'warn', msg: 'security.secret_leak_reported', projectId, issue_iid: issue.iid, job: name, pipelineId, rules }));
+  await auditService.record('gate.decision', { projectId, pipelineId, jobId, job: name, fingerprint, category: 'security', decision: 'secret-leak-create', issue_iid: issue.iid, rules });
+  notifyLeak(issue);
+  return issue;
+}
+
+module.exports = { createIssueFromAnalysis, recordJobSuccess, markFlaky, reportSecretLeak };
@@ -0,0 +1,513 @@
+// backend/src/services/jobAnalyzer.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const aiService = require('./aiService');
+const issueService = require('./issueService');
+const logParser = require('../utils/logParser');
+const traceParser = require('../utils/traceParser');
+const detectorService = require('./detectorService');
+const flakinessService = require('./flakinessService');
+const traceService = require('./traceService');
+const historyService = require('./historyService');
+const metricsService = require('./metricsService');
+const auditService = require('./auditService');
+const { createRedactor } = require('../utils/redaction');
+const { withDefaults } = require('../utils/analysisSchema');
+const { buildDetectorSummary } = require('../utils/aiHelpers');
+
+// Report credentials printed in job logs as security issues (also for sampled-out green jobs)
+const SECRET_LEAK_SCAN = String(process.env.SECRET_LEAK_SCAN || 'true').toLowerCase() !== 'false';
+
+/** Ensure debug directory exists and write raw webhook payload */
+function writeRawWebhookPayload(event) {
+  try {
+    const debugDir = path.join(process.cwd(), 'debug');
+    fs.mkdirSync(debugDir, { recursive: true });
+    const raw = JSON.stringify(event, null, 2);
+    const hash = crypto.createHash('sha256').update(raw).digest('hex');
+    const filename = path.join(debugDir, `webhook-${hash}.json`);
+    if (!fs.existsSync(filename)) {
+      fs.writeFileSync(filename, raw, { encoding: 'utf8' });
+    }
+    return { path: filename, hash };
+  } catch (e) {
+    console.warn('Failed to write debug webhook payload:', e && e.message ? e.message : String(e));
+    return { path: null, hash: null };
+  }
+}
+
+function extractIds(event) {
+  const project = event.project || (event.project_id ? { id: event.project_id } : null);
+  const projectId = project && project.id;
+  const pipelineId = (event.pipeline && event.pipeline.id) || (event.object_attributes && event.object_attributes.id) || (event.build && event.build.pipeline && event.build.pipeline.id) || event.pipeline_id || null;
+  // job object may be under many keys depending on event type
+  const job = event.build || event.job || event;
+  const jobId = job && (job.id || job.build_id || event.build_id || job.job_id || null);
+  const commitSha = (event.commit && event.commit.sha) || event.sha || null;
+  return { projectId, pipelineId, jobId, job, commitSha };
+}
+
+/** Commit SHAs of the pipeline; they are kept in logs rather than redacted as tokens */
+function pipelineShas(event, commitSha) {
+  const attrs = (event && event.object_attributes) || {};
+  return [commitSha, event && event.sha, event && event.before_sha, event && event.checkout_sha, event && event.commit && event.commit.sha, attrs.sha, attrs.before_sha]
+    .filter(sha => typeof sha === 'string' && /^[0-9a-f]{7,64}$/i.test(sha) && !/^0+$/.test(sha));
+}
+
+function countAnalysis(analysis) {
+  const source = analysis.cached ? 'cache' : (analysis.source || 'ai');
+  metricsService.inc('guardian_analyses_total', { category: analysis.category || 'unknown', source });
+}
+
+/** Audit summary of an analysis (the full analysis is in the ai.call response) */
+function describeAnalysis(analysis) {
+  return {
+    source: analysis.cached ? 'cache' : (analysis.source || 'ai'),
+    rule_id: analysis.rule_id || null,
+    category: analysis.category || 'unknown',
+    root_cause: analysis.root_cause || null,
+    confidence: typeof analysis.confidence === 'number' ? analysis.confidence : 0,
+    claims_verified: analysis.evidence_check ? analysis.evidence_check.verified : null,
+    claims_total: analysis.evidence_check ? analysis.evidence_check.total : null,
+    budget_exceeded: analysis.budget_exceeded || null
+  };
+}
+
+async function analyzeSingleJob(eventContext) {
+  const { event, projectId, pipelineId, job, jobName, commitSha } = eventContext;
+  console.log('[ANALYZE] Start', {
+    projectId,
+    pipelineId,
+    jobId: job && (job.id || job.build_id || job.job_id),
+    jobName,
+    commitSha
+  });
+
+
+  const buildIdParam = event && (event.build_id || null);
+  const jobIdFallback = job && (job.id || job.build_id || job.job_id || null);
+  const audit = (type, data = {}) => auditService.record(type, { projectId, pipelineId, jobId: buildIdParam || jobIdFallback, job: jobName || (job && job.name) || null, ...data });
+
+  if (!projectId) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.missing_project', event_summary: event && event.object_kind ? event.object_kind : 'unknown' }));
+    return { status: 'ignored', reason: 'missing_project' };
+  }
+
+
+  if (!buildIdParam && !jobIdFallback) {
+    const { path: rawPath, hash: rawHash } = writeRawWebhookPayload(event);
+    console.warn(JSON.stringify({ level: 'warn', msg: 'webhook.missing_job_id', projectId, pipelineId, raw_payload_hash: rawHash, raw_path: rawPath }));
+    return { status: 'ignored', reason: 'missing_job_id', debug: { raw_payload_hash: rawHash, raw_path: rawPath } };
+  }
+
+
+  // job events carry build_status; jobs fanned out from a pipeline event carry their own status
+  const jobStatus = (event.build_status || (job && job.status) || '').toLowerCase();
+
+  // Record the outcome first so the flakiness assessment includes this run
+  let flakiness = null;
+  try {
+    const ref = (job && job.ref) || event.ref || (event.object_attributes && event.object_attributes.ref) || null;
+    const recordedJobName = jobName || (job && job.name);
+    await flakinessService.recordOutcome({ projectId, jobId: buildIdParam || jobIdFallback, jobName: recordedJobName, ref, commitSha, pipelineId, status: jobStatus });
+    if (recordedJobName && (jobStatus === 'success' || jobStatus === 'failed')) {
+      flakiness = await flakinessService.assess({ projectId, jobName: recordedJobName, ref, commitSha });
+    }
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'job_history.record_failed', projectId, job: jobName, error: err && err.message ? err.message : String(err) }));
+  }
+
+  if (jobStatus === 'success') {
+    if (flakiness && flakiness.same_commit) {
+      // failed earlier on this commit and passed now: the open issue is most likely a flake
+      await issueService.markFlaky(projectId, { jobName: jobName || (job && job.name), flakiness }).catch((err) => {
+        console.warn('Failed to mark flaky issues:', err && err.message ? err.message : String(err));
+      });
+    }
+
+    // A green run counts towards closing the issues open for this job, whether or not it is analyzed
+    try {
+      const lifecycle = await issueService.recordJobSuccess(projectId, { jobName: jobName || (job && job.name), pipelineId, jobId: buildIdParam || jobIdFallback });
+      if (lifecycle.tracked > 0) {
+        console.log(JSON.stringify({ level: 'info', msg: 'issue.green_run_recorded', projectId, pipelineId, job: jobName, tracked: lifecycle.tracked, closed: lifecycle.closed }));
+      }
+    } catch (err) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'issue.green_run_failed', projectId, job: jobName, error: err && err.message ? err.message : String(err) }));
+    }
+    // sampled-out green jobs are not analyzed, but their log is still scanned for leaked secrets
+    if (eventContext.sampled === false && !SECRET_LEAK_SCAN) {
+      await audit('analysis.skipped', { reason: 'success-sampled-out' });
+      return { status: 'skipped', reason: 'success-sampled-out' };
+    }
+  }
+
+  // One redactor per run (project rules + pipeline SHA allowlist); its report is kept with the run
+  const redactor = createRedactor({ projectId, allowlist: pipelineShas(event, commitSha) });
+  // Only the (redacted) end of the trace is fetched and kept, however large the log is
+  let logs = '';
+  let traceTruncated = false;
+  try {
+    const traceJobId = buildIdParam || jobIdFallback;
+    const trace = await traceService.loadJobTrace(projectId, traceJobId, { redactor });
+    logs = trace.text;
+    traceTruncated = trace.truncated;
+    if (trace.truncated) {
+      console.log(JSON.stringify({ level: 'info', msg: 'trace.tail_loaded', projectId, jobId: traceJobId, method: trace.method, total_bytes: trace.totalBytes, lines: trace.lines, dropped_lines: trace.droppedLines }));
+    }
+    await audit('trace.fetched', {
+      method: trace.method || null,
+      total_bytes: trace.totalBytes ?? null,
+      lines: trace.lines ?? null,
+      truncated: !!trace.truncated,
+      sha256: auditService.sha256(logs),
+      redactions: redactor.report().total
+    });
+  } catch (err) {
+    const { path: rawPath, hash: rawHash } = writeRawWebhookPayload(event);
+    console.error(JSON.stringify({ level: 'error', msg: 'trace.fetch_failed', projectId, jobId: (event && event.build_id) || (job && job.id) || null, error: err && err.message ? err.message : String(err), raw_payload_hash: rawHash, raw_path: rawPath }));
+    await audit('trace.fetch_failed', { error: err && err.message ? err.message : String(err) });
+    return { status: 'failed', reason: 'failed_to_fetch_trace', error: err && err.message ? err.message : String(err), debug: { raw_payload_path: rawPath } };
+  }
+
+  // A credential in the log is readable by everyone with access to the job, whatever its status
+  const leaks = redactor.findings();
+  if (SECRET_LEAK_SCAN && leaks.length > 0) {
+    try {
+      await issueService.reportSecretLeak(projectId, { job, jobName, pipelineId, findings: leaks, truncated: traceTruncated });
+    } catch (err) {
+      console.error(JSON.stringify({ level: 'error', msg: 'security.secret_leak_report_failed', projectId, job: jobName, error: err && err.message ? err.message : String(err) }));
+    }
+  }
+  if (jobStatus === 'success' && eventContext.sampled === false) {
+    await audit('analysis.skipped', { reason: 'success-sampled-out', secret_leaks: leaks.length });
+    return { status: 'skipped', reason: 'success-sampled-out', secret_leaks: leaks.length };
+  }
+
+
+  // Split the trace into runner sections; the section the job failed in is the main analysis input
+  const parsedTrace = traceParser.parseTrace(logs);
+  const traceSections = {
+    failing: parsedTrace.failingSection ? parsedTrace.failingSection.name : null,
+    timings: traceParser.sectionTimings(parsedTrace)
+  };
+  const analysisInput = traceParser.analysisText(parsedTrace, logs);
+
+  // Excerpt from toolchain error blocks (jest, pytest, go, maven, ...); falls back to the last 40 lines
+  const { excerpt, blocks: errorBlocks } = logParser.buildErrorExcerpt(analysisInput, { fallbackLines: 40, redactor });
+  const redactionReport = redactor.report();
+  if (redactionReport.total > 0) {
+    console.log(JSON.stringify({ level: 'info', msg: 'trace.redacted', projectId, jobId: (event && event.build_id) || (job && job.id) || null, total: redactionReport.total, rules: redactionReport.rules }));
+  }
+  // Log window for analysis: around the first error when one was found, else the end of the log
+  const traceTail = traceService.focusWindow(analysisInput, errorBlocks.length > 0 ? errorBlocks[0].index : null);
+
+
+  const runDebugDir = path.join(process.cwd(), 'debug');
+  try { fs.mkdirSync(runDebugDir, { recursive: true }); } catch (e) { /* debug dir is best-effort */ }
+  const traceHash = crypto.createHash('sha256').update(traceTail).digest('hex');
+  const runDebugPath = path.join(runDebugDir, `run-${traceHash}.json`);
+  try {
+    const snapshot = {
+      meta: { projectId, pipelineId, jobId: (event && event.build_id) || (job && job.id) || null, jobName, commitSha, traceHash },
+      trace_sections: traceSections,
+      redaction_report: redactionReport,
+      error_blocks: errorBlocks,
+      trace_tail: traceTail.slice(-10000) 
+    };
+    if (!fs.existsSync(runDebugPath)) {
+      fs.writeFileSync(runDebugPath, JSON.stringify(snapshot, null, 2), 'utf8');
+    }
+  } catch (e) {
+    console.warn('Failed to write run debug file:', e && e.message ? e.message : String(e));
+  }
+
+  // Deterministic detection via detectorService (fetch files at commit, verify matches, detect deps)
+  let detectorResult = null;
+  try {
+    detectorResult = await detectorService.loadAndVerifyArtifacts({
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      commitSha,
+      traceTail
+    });
+    console.log('[DETECTOR] Completed', {
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      repoHits: (detectorResult.repoHits || []).length,
+      dependencyHigh: (detectorResult.dependencyHigh || []).length
+    });
+    try {
+      const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
+      existing.detector = { summary: { repoHits: (detectorResult.repoHits || []).length, dependencyHigh: (detectorResult.dependencyHigh || []).length } , details: detectorResult };
+      fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
+    } catch (e) {
+      // ignore write errors
+    }
+  } catch (e) {
+    console.warn('Detector service failed:', e && e.message ? e.message : String(e));
+    detectorResult = { repoHits: [], dependencyHigh: [], dependencyOther: [], error: e && e.message ? e.message : String(e) };
+  }
+  await audit('detectors.completed', {
+    repo_hits: (detectorResult.repoHits || []).length,
+    repo_hits_verified: (detectorResult.repoHits || []).filter(h => h && h.verified).length,
+    dependency_high: (detectorResult.dependencyHigh || []).length,
+    dependency_other: (detectorResult.dependencyOther || []).length,
+    error: detectorResult.error || null
+  });
+  // verified findings go into the prompt and back the claim check
+  const detectorEvidence = buildDetectorSummary(detectorResult);
+
+  if (jobStatus === 'success' || jobStatus === 'running') {
+    // START: AI-on-success conditions block ----
+    // Patterns and threshold for 'suspicious' successful jobs
+    const suspiciousPatterns = [
+      /flaky/i,
+      /deprecation warning/i,
+      /deprecated/i,
+      /out of memory/i,
+      /memory leak/i,
+      /retrying/i,
+      /could not resolve dependency/i,
+      /npm WARN/i,
+      /disk quota/i,
+      /no space left on device/i,
+      /rate limit/i,
+      /429/i,
+      /throttled/i,
+      /skipped/i,
+      /quarantined/i,
+      /pending/i,
+      /build succeeded with warnings/i
+    ];
+
+    const matched = suspiciousPatterns.some(pattern => pattern.test(traceTail));
+    const warningCount = (traceTail.match(/warn/gi) || []).length;
+
+    if (matched || warningCount > 2) {
+      console.log('[AI GUARD] Success job triggers AI', {
+        projectId,
+        pipelineId,
+        jobId: (event && event.build_id) || (job && job.id) || null,
+        warningCount,
+        matchedPattern: matched
+      });
+      let analysis = null;
+      try {
+        analysis = await aiService.analyzeFailure({
+          projectId,
+          pipelineId,
+          jobId: (event && event.build_id) || (job && job.id) || null,
+          jobName: jobName || job.name,
+          logs: traceTail,
+          signatureText: excerpt,
+          errorBlocks,
+          section: traceSections.failing
+        }, { force: eventContext.forceFresh === true, evidence: detectorEvidence });
+        analysis._detectorSummary = { repoHits: detectorResult.repoHits || [], dependencyHigh: detectorResult.dependencyHigh || [], dependencyOther: detectorResult.dependencyOther || [] };
+        try {
+          const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
+          existing.ai = { analysis: analysis, cached: !!analysis.cached };
+          fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
+        } catch (e) { /* debug write is best-effort */ }
+      } catch (err) {
+        console.error('AI analyze failure:', err && err.message ? err.message : String(err));
+        analysis = withDefaults({
+          stage: jobName || job.name,
+          root_cause: 'AI_UNAVAILABLE',
+          suggested_fix: 'Manual triage required',
+          confidence: 0,
+          explain: err && err.message ? err.message : String(err)
+        });
+      }
+      countAnalysis(analysis);
+      await audit('analysis.completed', describeAnalysis(analysis));
+      try {
+        const issue = await issueService.createIssueFromAnalysis(event , projectId, {
+          pipelineId,
+          job,
+          analysis,
+          logExcerpt: excerpt,
+          commitSha,
+          traceSections
+        });
+        console.log('[ISSUE] Created for success job', {
+          projectId,
+          pipelineId,
+          jobId: (event && event.build_id) || (job && job.id) || null,
+          issueId: issue && issue.iid
+        });
+        return { status: 'issue_created_ai_success', issue, analysis };
+      } catch (err) {
+        console.error('Failed to create/append issue (AI path - success):', err && err.message ? err.message : String(err));
+        return {
+          status: 'failed',
+          reason: 'issue_creation_failed_success',
+          error: err && err.message ? err.message : String(err),
+          pendingIssue: { event, projectId, issue: { pipelineId, job, analysis, logExcerpt: excerpt, commitSha, traceSections }, status: 'issue_created_ai_success', reason: 'issue_creation_failed_success' }
+        };
+      }
+    }
+    // END: AI-on-success conditions block
+    console.log('[ANALYZE] Success job skipped (no suspicious signals)', {
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      warningCount
+    });
+    await audit('analysis.skipped', { reason: 'success-no-deterministic-findings-or-ai-triggers', warnings: warningCount });
+    return { status: 'skipped', reason: 'success-no-deterministic-findings-or-ai-triggers' };
+  }
+
+  // Double guard: Only failed jobs (not success, not any other case)
+  if (jobStatus !== 'failed' && jobStatus !== 'canceled' && jobStatus !== 'manual') {
+    // If job status can't be identified as failure, do not call AI
+    console.log('[ANALYZE] Job skipped (non failure state)', {
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      jobStatus
+    });
+    await audit('analysis.skipped', { reason: `job-status-${jobStatus}-not-failure` });
+    return { status: 'skipped', reason: `job-status-${jobStatus}-not-failure` };
+  }
+
+  // === ONLY HERE: AI called ===
+  console.log('[AI GUARD] Failure job triggers AI', { projectId, pipelineId, jobId: (event && event.build_id) || (job && job.id) || null, jobStatus, flaky: !!(flakiness && flakiness.flaky) });
+  // Earlier analyses of similar failures in this project, as hints for the model and links in the issue
+  let similarCases = [];
+  try {
+    similarCases = await historyService.findSimilar({ projectId, text: excerpt });
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'history.search_failed', projectId, error: err && err.message ? err.message : String(err) }));
+  }
+
+  let analysis = null;
+  try {
+    analysis = await aiService.analyzeFailure({
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      jobName: jobName || job.name,
+      logs: traceTail,
+      errorBlocks,
+      signatureText: excerpt,
+      section: traceSections.failing,
+      similarCases
+    }, { force: eventContext.forceFresh === true, evidence: detectorEvidence });
+    // attach detector summary for audit
+    analysis._detectorSummary = {
+      repoHits: detectorResult.repoHits || [],
+      dependencyHigh: detectorResult.dependencyHigh || [],
+      dependencyOther: detectorResult.dependencyOther || []
+    };
+    // store AI result in debug run file
+    try {
+      const existing = JSON.parse(fs.readFileSync(runDebugPath, 'utf8'));
+      existing.ai = { analysis: analysis, cached: !!analysis.cached };
+      fs.writeFileSync(runDebugPath, JSON.stringify(existing, null, 2), 'utf8');
+    } catch (e) { /* debug write is best-effort */ }
+  } catch (err) {
+    console.error('AI analyze failure:', err && err.message ? err.message : String(err));
+    analysis = withDefaults({
+      stage: jobName || job.name,
+      root_cause: 'AI_UNAVAILABLE',
+      suggested_fix: 'Manual triage required',
+      confidence: 0,
+      explain: err && err.message ? err.message : String(err)
+    });
+  }
+  countAnalysis(analysis);
+  await audit('analysis.completed', describeAnalysis(analysis));
+
+  // Create or append to issue (dedupe done inside service) — AI path
+  try {
+    const issue = await issueService.createIssueFromAnalysis(event , projectId, {
+      pipelineId,
+      job,
+      analysis,
+      logExcerpt: excerpt,
+      commitSha,
+      flakiness,
+      traceSections,
+      similarCases
+    });
+    console.log('[ISSUE] Created for failed job', {
+      projectId,
+      pipelineId,
+      jobId: (event && event.build_id) || (job && job.id) || null,
+      issueId: issue && issue.iid
+    });
+    await historyService.recordAnalysis({
+      projectId,
+      issueIid: issue && (issue.iid || issue.issue_iid),
+      issueUrl: (issue && issue.web_url) || null,
+      jobName: jobName || job.name,
+      text: excerpt,
+      analysis
+    }).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'history.record_failed', projectId, error: err && err.message ? err.message : String(err) }));
+    });
+    return { status: 'issue_created_ai', issue, analysis };
+  } catch (err) {
+    console.error('Failed to create/append issue (AI path):', err && err.message ? err.message : String(err));
+    return {
+      status: 'failed',
+      reason: 'issue_creation_failed',
+      error: err && err.message ? err.message : String(err),
+      pendingIssue: {
+        event,
+        projectId,
+        issue: { pipelineId, job, analysis, logExcerpt: excerpt, commitSha, flakiness, traceSections, similarCases },
+        history: { jobName: jobName || job.name, text: excerpt },
+        status: 'issue_created_ai',
+        reason: 'issue_creation_failed'
+      }
+    };
+  }
+}
+
+/**
+ * File the issue of a finished analysis whose issue write failed (the `pendingIssue` of a failed
+ * result) without analyzing the job again: no second model call, audit record or leak report.
+ * `history` ({ jobName, text }) also records the analysis for the similar-case search.
+ * Returns a result like analyzeSingleJob; a failure carries the same `pendingIssue` again.
+ */
+async function retryIssue(pending) {
+  const { event, projectId, issue: args, history = null, status, reason } = pending;
+  let issue;
+  try {
+    issue = await issueService.createIssueFromAnalysis(event, projectId, args);
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    console.error(JSON.stringify({ level: 'error', msg: 'issue.retry_failed', projectId, pipelineId: args.pipelineId, error }));
+    return { status: 'failed', reason, error, pendingIssue: pending };
+  }
+  console.log(JSON.stringify({ level: 'info', msg: 'issue.retry_filed', projectId, pipelineId: args.pipelineId, issue_iid: issue && (issue.iid || issue.issue_iid) }));
+  if (history) {
+    await historyService.recordAnalysis({
+      projectId,
+      issueIid: issue && (issue.iid || issue.issue_iid),
+      issueUrl: (issue && issue.web_url) || null,
+      jobName: history.jobName,
+      text: history.text,
+      analysis: args.analysis
+    }).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'history.record_failed', projectId, error: err && err.message ? err.message : String(err) }));
+    });
+  }
+  return { status, issue, analysis: args.analysis };
+}
+
+module.exports = {
+  analyzeSingleJob,
+  retryIssue,
+  extractIds,
+  writeRawWebhookPayload,
+  pipelineShas,
+  countAnalysis,
+  describeAnalysis
+};
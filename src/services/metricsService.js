@@ -0,0 +1,53 @@
+// backend/src/services/metricsService.js
+'use strict';
+
+/**
+ * In-process counters exposed in the Prometheus text format on GET /metrics.
+ * Counters reset when the process restarts, which Prometheus handles as a counter reset.
+ */
+
+const METRICS = {
+  guardian_analyses_total: 'Failure analyses by category and source (ai, cache, heuristic, rules)',
+  guardian_issues_total: 'GitLab issues created or updated by category'
+};
+
+const counters = new Map();
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}="${String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+}
+
+function inc(name, labels = {}, by = 1) {
+  if (!METRICS[name]) throw new Error(`unknown metric: ${name}`);
+  if (!counters.has(name)) counters.set(name, new Map());
+  const series = counters.get(name);
+  const key = labelKey(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+function get(name, labels = {}) {
+  const series = counters.get(name);
+  return (series && series.get(labelKey(labels))) || 0;
+}
+
+function render() {
+  const out = [];
+  for (const [name, help] of Object.entries(METRICS)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const [key, value] of counters.get(name) || []) {
+      out.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function reset() {
+  counters.clear();
+}
+
+module.exports = {
+  inc,
+  get,
+  render,
+  reset
+};
@@ -0,0 +1,336 @@
+// backend/src/services/notifier.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const auditService = require('./auditService');
+
+/**
+ * Outbound notifications of issue decisions to chat and generic webhooks.
+ *
+ * Channels and routes live in NOTIFY_CONFIG_PATH (default: data/notifications.json):
+ *   {
+ *     "channels": {
+ *       "oncall": { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+ *       "platform": { "type": "teams", "url": "https://...webhook.office.com/...", "rate_limit": 5 },
+ *       "siem": { "type": "webhook", "url": "https://siem.acme.io/hooks/guardian", "secret": "..." }
+ *     },
+ *     "routes": [
+ *       { "channels": ["oncall"], "branches": ["main", "release/*"], "min_severity": "high" },
+ *       { "channels": ["platform"], "categories": ["infra", "timeout"], "projects": ["acme/*", 42] },
+ *       { "channels": ["siem"], "actions": ["secret_leak"] }
+ *     ]
+ *   }
+ * A notification goes to the channels of every route it matches; a route without a
+ * condition matches everything. `projects` takes ids or path globs, `branches` globs.
+ *
+ * Each channel sends at most `rate_limit` messages (NOTIFY_RATE_LIMIT) per `window_sec`
+ * (NOTIFY_RATE_WINDOW_SEC); notifications over the limit are held and sent as one digest
+ * when the window ends. Failed deliveries (network errors, 429, 5xx) are retried with
+ * backoff. `webhook` channels receive JSON signed with HMAC-SHA256 of
+ * `<timestamp>.<body>` under their `secret` (X-Guardian-Signature: sha256=<hex>).
+ * Deliveries are recorded in the audit trail (notify.sent / notify.failed), never their URL.
+ * The file is re-read whenever its mtime changes.
+ */
+
+const DATA_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
+const CONFIG_PATH = path.resolve(process.env.NOTIFY_CONFIG_PATH || path.join(DATA_DIR, 'notifications.json'));
+const DEFAULT_RATE_LIMIT = Math.max(1, parseInt(process.env.NOTIFY_RATE_LIMIT || '10', 10));
+const DEFAULT_WINDOW_SEC = Math.max(1, parseInt(process.env.NOTIFY_RATE_WINDOW_SEC || '60', 10));
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '4', 10));
+const BASE_BACKOFF_MS = Math.max(0, parseInt(process.env.NOTIFY_BASE_BACKOFF_MS || '1000', 10));
+const TIMEOUT_MS = Math.max(1000, parseInt(process.env.NOTIFY_TIMEOUT_MS || '10000', 10));
+
+const TYPES = ['slack', 'teams', 'webhook'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ACTIONS = ['created', 'triage', 'updated', 'reopened', 'secret_leak'];
+// Notifications listed in a digest; the rest are only counted
+const DIGEST_MAX_ITEMS = 50;
+const THEME_COLORS = { low: '808080', medium: 'FFB300', high: 'E65100', critical: 'B71C1C' };
+
+let cache = { mtimeMs: -1, config: { channels: {}, routes: [] } };
+const windows = new Map();
+const inflight = new Set();
+
+function warn(msg, fields) {
+  console.warn(JSON.stringify({ level: 'warn', msg, ...fields }));
+}
+
+function compileConfig(doc) {
+  const channels = {};
+  for (const [name, channel] of Object.entries((doc && doc.channels) || {})) {
+    if (!channel || !TYPES.includes(channel.type) || !/^https?:\/\//.test(String(channel.url || ''))) {
+      warn('notify.channel_ignored', { channel: name, reason: `needs a type (${TYPES.join(', ')}) and an http(s) url` });
+      continue;
+    }
+    if (channel.type === 'webhook' && !channel.secret) {
+      warn('notify.channel_ignored', { channel: name, reason: 'webhook channels need a secret' });
+      continue;
+    }
+    channels[name] = {
+      ...channel,
+      name,
+      rateLimit: Math.max(1, parseInt(channel.rate_limit || DEFAULT_RATE_LIMIT, 10)),
+      windowMs: Math.max(1, parseInt(channel.window_sec || DEFAULT_WINDOW_SEC, 10)) * 1000
+    };
+  }
+  const routes = [];
+  for (const route of Array.isArray(doc && doc.routes) ? doc.routes : []) {
+    const targets = (route && Array.isArray(route.channels) ? route.channels : []).filter(c => channels[c]);
+    if (targets.length === 0) {
+      warn('notify.route_ignored', { reason: 'no known channels', channels: route && route.channels });
+      continue;
+    }
+    if (route.min_severity && !SEVERITIES.includes(route.min_severity)) {
+      warn('notify.route_ignored', { reason: `min_severity must be one of ${SEVERITIES.join(', ')}`, channels: targets });
+      continue;
+    }
+    if (Array.isArray(route.actions) && !route.actions.every(a => ACTIONS.includes(a))) {
+      warn('notify.route_ignored', { reason: `actions must be among ${ACTIONS.join(', ')}`, channels: targets });
+      continue;
+    }
+    routes.push({ ...route, channels: targets });
+  }
+  return { channels, routes };
+}
+
+function loadConfig() {
+  let stat;
+  try {
+    stat = fs.statSync(CONFIG_PATH);
+  } catch (e) {
+    return { channels: {}, routes: [] };
+  }
+  if (stat.mtimeMs === cache.mtimeMs) return cache.config;
+  let config = { channels: {}, routes: [] };
+  try {
+    config = compileConfig(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')));
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'notify.config_invalid', path: CONFIG_PATH, error: err && err.message ? err.message : String(err) }));
+  }
+  cache = { mtimeMs: stat.mtimeMs, config };
+  return config;
+}
+
+function globMatch(pattern, value) {
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(String(value));
+}
+
+function routeMatches(route, n) {
+  const within = (list, test) => !Array.isArray(list) || list.length === 0 || list.some(test);
+  return within(route.projects, p => String(p) === String(n.project_id) || (!!n.project_path && globMatch(p, n.project_path)))
+    && within(route.branches, b => !!n.branch && globMatch(b, n.branch))
+    && within(route.categories, c => c === n.category)
+    && within(route.actions, a => a === n.action)
+    && (!route.min_severity || SEVERITIES.indexOf(n.severity) >= SEVERITIES.indexOf(route.min_severity));
+}
+
+/**
+ * Names of the channels a notification is routed to.
+ */
+function channelsFor(notification, config = loadConfig()) {
+  const names = new Set();
+  for (const route of config.routes) {
+    if (routeMatches(route, notification)) route.channels.forEach(c => names.add(c));
+  }
+  return [...names];
+}
+
+function headline(n) {
+  const verb = {
+    created: 'New issue',
+    triage: 'New triage issue',
+    updated: 'Failure recurred',
+    reopened: 'Regression, issue reopened',
+    secret_leak: 'Credentials leaked in a job log'
+  }[n.action] || 'Notification';
+  return `[${n.severity}] ${verb}: ${n.job || 'pipeline'} in ${n.project_path || `project ${n.project_id}`}${n.branch ? ` (${n.branch})` : ''}`;
+}
+
+function slackEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackLine(n) {
+  const link = n.issue_url ? ` <${n.issue_url}|#${n.issue_iid}>` : '';
+  return `*${slackEscape(headline(n))}*${link}\n${slackEscape(n.category)} · ${slackEscape(n.root_cause || 'unknown root cause')}`;
+}
+
+function teamsFacts(n) {
+  return [
+    ['Category', n.category],
+    ['Confidence', n.confidence],
+    ['Pipeline', n.pipeline_url || n.pipeline_id],
+    ['Root job', n.root_job],
+    ['Suggested fix', n.suggested_fix]
+  ].filter(([, value]) => value != null && value !== '').map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Request body of a message ({ notifications: [one] } or a digest of several).
+ */
+function buildPayload(channel, { notifications, omitted = 0 }) {
+  const digest = notifications.length > 1 || omitted > 0;
+  const total = notifications.length + omitted;
+  const first = notifications[0];
+  const digestTitle = `Guardian digest: ${total} notifications`;
+  if (channel.type === 'slack') {
+    const lines = notifications.map(slackLine);
+    if (omitted > 0) lines.push(`…and ${omitted} more`);
+    return { text: digest ? `*${digestTitle}*\n\n${lines.join('\n\n')}` : lines[0] };
+  }
+  if (channel.type === 'teams') {
+    const top = SEVERITIES[Math.max(...notifications.map(n => SEVERITIES.indexOf(n.severity)))] || 'medium';
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: digest ? digestTitle : headline(first),
+      themeColor: THEME_COLORS[top],
+      title: digest ? digestTitle : headline(first),
+      sections: notifications.map(n => ({
+        activityTitle: digest ? headline(n) : undefined,
+        text: n.root_cause || 'unknown root cause',
+        facts: teamsFacts(n)
+      })).concat(omitted > 0 ? [{ text: `…and ${omitted} more` }] : []),
+      potentialAction: !digest && first.issue_url
+        ? [{ '@type': 'OpenUri', name: `Open issue #${first.issue_iid}`, targets: [{ os: 'default', uri: first.issue_url }] }]
+        : undefined
+    };
+  }
+  return digest
+    ? { event: 'digest', total, omitted, notifications }
+    : { event: 'notification', notification: first };
+}
+
+function signatureFor(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelayMs(res, attempt) {
+  const retryAfter = res && parseInt(res.headers.get('retry-after') || '', 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, 60000);
+  return BASE_BACKOFF_MS * Math.pow(2, attempt - 1);
+}
+
+async function deliver(channel, message) {
+  const body = JSON.stringify(buildPayload(channel, message));
+  const deliveryId = crypto.randomUUID();
+  const count = message.notifications.length + (message.omitted || 0);
+  const first = message.notifications[0];
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (channel.type === 'webhook') {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      Object.assign(headers, {
+        'X-Guardian-Event': count > 1 ? 'digest' : 'notification',
+        'X-Guardian-Delivery': deliveryId,
+        'X-Guardian-Timestamp': timestamp,
+        'X-Guardian-Signature': signatureFor(channel.secret, timestamp, body)
+      });
+    }
+    let res = null;
+    try {
+      res = await fetch(channel.url, { method: 'POST', headers, body, timeout: TIMEOUT_MS });
+      if (res.ok) {
+        await auditService.record('notify.sent', { projectId: count === 1 ? first.project_id : null, pipelineId: count === 1 ? first.pipeline_id : null, channel: channel.name, type: channel.type, notifications: count, status: res.status, attempts: attempt, delivery_id: deliveryId });
+        return true;
+      }
+      lastError = `status ${res.status}`;
+      // the receiver rejected the message itself; sending it again will not help
+      if (res.status !== 429 && res.status < 500) break;
+    } catch (err) {
+      lastError = err && err.message ? err.message : String(err);
+    }
+    if (attempt < MAX_ATTEMPTS) await new Promise(r => setTimeout(r, retryDelayMs(res, attempt)));
+  }
+  console.error(JSON.stringify({ level: 'error', msg: 'notify.delivery_failed', channel: channel.name, notifications: count, error: lastError }));
+  await auditService.record('notify.failed', { projectId: count === 1 ? first.project_id : null, pipelineId: count === 1 ? first.pipeline_id : null, channel: channel.name, type: channel.type, notifications: count, error: lastError, delivery_id: deliveryId });
+  return false;
+}
+
+function track(promise) {
+  const p = promise.catch(() => false).finally(() => inflight.delete(p));
+  inflight.add(p);
+  return p;
+}
+
+function windowOf(channel, now) {
+  let w = windows.get(channel.name);
+  if (!w || (now - w.start >= channel.windowMs && w.held.length === 0)) {
+    w = { start: now, sent: 0, held: [], omitted: 0, timer: null };
+    windows.set(channel.name, w);
+  }
+  return w;
+}
+
+function sendDigest(channel) {
+  const w = windows.get(channel.name);
+  if (!w || w.held.length === 0) return;
+  if (w.timer) clearTimeout(w.timer);
+  const message = { notifications: w.held, omitted: w.omitted };
+  // the digest opens the next window
+  windows.set(channel.name, { start: Date.now(), sent: 1, held: [], omitted: 0, timer: null });
+  track(deliver(channel, message));
+}
+
+function enqueue(channel, notification) {
+  const now = Date.now();
+  const w = windowOf(channel, now);
+  if (w.sent < channel.rateLimit && w.held.length === 0) {
+    w.sent++;
+    track(deliver(channel, { notifications: [notification] }));
+    return 'sent';
+  }
+  if (w.held.length < DIGEST_MAX_ITEMS) w.held.push(notification);
+  else w.omitted++;
+  if (!w.timer) {
+    w.timer = setTimeout(() => sendDigest(channel), Math.max(0, w.start + channel.windowMs - now));
+    if (w.timer.unref) w.timer.unref();
+  }
+  return 'held';
+}
+
+/**
+ * Route a notification and send it (or hold it for the channel's digest). Never throws and
+ * does not wait for delivery; resolves to { channel: 'sent' | 'held' }.
+ *
+ * `notification`: { action, project_id, project_path, pipeline_id, pipeline_url, job, branch,
+ * category, severity, confidence, root_cause, suggested_fix, root_job, issue_iid, issue_url }
+ */
+function notify(notification) {
+  const out = {};
+  try {
+    const config = loadConfig();
+    for (const name of channelsFor(notification, config)) {
+      out[name] = enqueue(config.channels[name], notification);
+    }
+  } catch (err) {
+    console.error(JSON.stringify({ level: 'error', msg: 'notify.failed', error: err && err.message ? err.message : String(err) }));
+  }
+  return out;
+}
+
+/**
+ * Send held digests now and wait for every delivery in flight (shutdown, tests).
+ */
+async function flush() {
+  const { channels } = loadConfig();
+  for (const name of windows.keys()) {
+    if (channels[name]) sendDigest(channels[name]);
+  }
+  while (inflight.size > 0) await Promise.all([...inflight]);
+}
+
+module.exports = {
+  notify,
+  flush,
+  channelsFor,
+  buildPayload,
+  signatureFor,
+  SEVERITIES,
+  ACTIONS
+};
@@ -0,0 +1,345 @@
+// backend/src/services/pipelineAnalyzer.js
+'use strict';
+
+const gitlabService = require('./gitlabService');
+const aiService = require('./aiService');
+const issueService = require('./issueService');
+const flakinessService = require('./flakinessService');
+const traceService = require('./traceService');
+const historyService = require('./historyService');
+const detectorService = require('./detectorService');
+const auditService = require('./auditService');
+const { pipelineShas, countAnalysis, describeAnalysis } = require('./jobAnalyzer');
+const logParser = require('../utils/logParser');
+const traceParser = require('../utils/traceParser');
+const { createRedactor } = require('../utils/redaction');
+const { withDefaults } = require('../utils/analysisSchema');
+const { buildDetectorSummary } = require('../utils/aiHelpers');
+
+/**
+ * One analysis for a pipeline with several failed jobs. The job graph (stages and `needs`)
+ * tells which failed job broke the pipeline (root) and which only failed because a job they
+ * depend on failed (casualties); one correlated model call confirms or corrects that and a
+ * single issue with a per-job breakdown is filed under the root job.
+ */
+
+// Failed jobs whose traces go into the analysis (root first, then in stage order)
+const PIPELINE_MAX_JOBS = Math.max(2, parseInt(process.env.PIPELINE_MAX_JOBS || '10', 10));
+// Report credentials printed in job logs as security issues (see jobAnalyzer)
+const SECRET_LEAK_SCAN = String(process.env.SECRET_LEAK_SCAN || 'true').toLowerCase() !== 'false';
+
+const ANALYZED_STATUSES = ['failed', 'canceled'];
+
+function isBroken(job) {
+  return job.status === 'failed' && !job.allow_failure;
+}
+
+/**
+ * Stage order: from the job graph, else from the pipeline event, else by first job id per stage.
+ */
+function stageOrder(jobs, graph, eventStages) {
+  if (graph && graph.stages.length > 0) return graph.stages;
+  if (Array.isArray(eventStages) && eventStages.length > 0) return eventStages;
+  const firstId = new Map();
+  for (const job of jobs) {
+    if (!firstId.has(job.stage) || job.id < firstId.get(job.stage)) firstId.set(job.stage, job.id);
+  }
+  return [...firstId.keys()].sort((a, b) => firstId.get(a) - firstId.get(b));
+}
+
+/**
+ * Role of every failed or canceled job from the pipeline's job graph. A job depends on its
+ * `needs` (DAG jobs) or on every job of the earlier stages; a failed job with a failed job
+ * upstream (directly or transitively; allow_failure jobs aside) is a casualty. The earliest
+ * failed job without one is the root, further ones are independent. Without `graph`
+ * (GraphQL unavailable) every job is treated as stage-scheduled.
+ * Returns { stages, root, jobs: [{ id, name, stage, status, needs, upstreamFailed, role, job }] }.
+ */
+function classifyJobs(jobs, graph = null, eventStages = null) {
+  const stages = stageOrder(jobs, graph, eventStages);
+  const stageIndex = (stage) => {
+    const i = stages.indexOf(stage);
+    return i === -1 ? stages.length : i;
+  };
+  const nodes = new Map(((graph && graph.jobs) || []).map(n => [n.name, n]));
+  const byName = new Map();
+  for (const job of jobs) {
+    // retried jobs share a name; the latest attempt counts
+    if (!byName.has(job.name) || job.id > byName.get(job.name).id) byName.set(job.name, job);
+  }
+
+  const upstreamOf = (job) => {
+    const node = nodes.get(job.name);
+    if (node && node.schedulingType === 'dag') return node.needs.filter(n => byName.has(n));
+    return [...byName.values()].filter(j => stageIndex(j.stage) < stageIndex(job.stage)).map(j => j.name);
+  };
+
+  const memo = new Map();
+  const failedUpstream = (name, visiting = new Set()) => {
+    if (memo.has(name)) return memo.get(name);
+    if (visiting.has(name)) return new Set();
+    visiting.add(name);
+    const found = new Set();
+    for (const up of upstreamOf(byName.get(name))) {
+      if (isBroken(byName.get(up))) found.add(up);
+      for (const n of failedUpstream(up, visiting)) found.add(n);
+    }
+    memo.set(name, found);
+    return found;
+  };
+
+  const failed = [...byName.values()]
+    .filter(j => ANALYZED_STATUSES.includes(j.status))
+    .sort((a, b) => stageIndex(a.stage) - stageIndex(b.stage) || a.id - b.id)
+    .map(job => {
+      const node = nodes.get(job.name);
+      return {
+        id: job.id,
+        name: job.name,
+        stage: job.stage || (node && node.stage) || null,
+        status: job.status,
+        needs: node && node.schedulingType === 'dag' ? node.needs : [],
+        upstreamFailed: [...failedUpstream(job.name)],
+        job
+      };
+    });
+
+  const root = failed.find(j => isBroken(j.job) && j.upstreamFailed.length === 0) || failed.find(j => j.status === 'failed') || failed[0] || null;
+  for (const j of failed) {
+    if (j === root) j.role = 'root';
+    else if (j.upstreamFailed.length > 0 || (j.status === 'canceled' && root)) j.role = 'casualty';
+    else j.role = 'independent';
+  }
+  return { stages, root, jobs: failed };
+}
+
+function graphReason(j) {
+  if (j.role === 'root') return 'earliest failed job without a failed job upstream';
+  if (j.upstreamFailed.length > 0) return `depends on failed job${j.upstreamFailed.length > 1 ? 's' : ''} ${j.upstreamFailed.join(', ')}`;
+  if (j.status === 'canceled') return 'canceled after the pipeline failed';
+  return 'failed without a failed job upstream';
+}
+
+/**
+ * Per-job breakdown: the model's roles where it named a known job, the graph's otherwise.
+ * The root must be a failed job whose log was analyzed, else the graph's root stays.
+ */
+function mergeRoles(classified, analyzed, analysis) {
+  const aiJobs = new Map((Array.isArray(analysis.jobs) ? analysis.jobs : [])
+    .filter(j => j && classified.jobs.some(c => c.name === j.name))
+    .map(j => [j.name, j]));
+  const pick = analyzed.find(j => j.name === analysis.root_job && j.status === 'failed');
+  const rootName = (pick || classified.root).name;
+  const analyzedNames = new Set(analyzed.map(j => j.name));
+
+  return {
+    root_job: rootName,
+    jobs: classified.jobs.map(j => {
+      const ai = aiJobs.get(j.name);
+      let role = ai && ai.role !== 'root' ? ai.role : j.role;
+      if (j.name === rootName) role = 'root';
+      else if (role === 'root') role = 'independent';
+      const reason = !analyzedNames.has(j.name)
+        ? `${graphReason(j)} (log not analyzed, PIPELINE_MAX_JOBS=${PIPELINE_MAX_JOBS})`
+        : (ai && ai.reason) || graphReason(j);
+      return { name: j.name, stage: j.stage, role, reason };
+    })
+  };
+}
+
+/**
+ * Trace, error excerpt and flakiness of one failed job; secret leaks in the log are reported.
+ */
+async function loadJob(ctx, j) {
+  const { event, projectId, pipelineId, commitSha } = ctx;
+  const audit = (type, data = {}) => auditService.record(type, { projectId, pipelineId, jobId: j.id, job: j.name, ...data });
+  const ref = j.job.ref || (event.object_attributes && event.object_attributes.ref) || null;
+
+  let flakiness = null;
+  try {
+    await flakinessService.recordOutcome({ projectId, jobId: j.id, jobName: j.name, ref, commitSha, pipelineId, status: j.status });
+    if (j.status === 'failed') flakiness = await flakinessService.assess({ projectId, jobName: j.name, ref, commitSha });
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'job_history.record_failed', projectId, job: j.name, error: err && err.message ? err.message : String(err) }));
+  }
+
+  const redactor = createRedactor({ projectId, allowlist: pipelineShas(event, commitSha) });
+  let trace;
+  try {
+    trace = await traceService.loadJobTrace(projectId, j.id, { redactor });
+    await audit('trace.fetched', {
+      method: trace.method || null,
+      total_bytes: trace.totalBytes ?? null,
+      lines: trace.lines ?? null,
+      truncated: !!trace.truncated,
+      sha256: auditService.sha256(trace.text),
+      redactions: redactor.report().total
+    });
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    console.error(JSON.stringify({ level: 'error', msg: 'trace.fetch_failed', projectId, jobId: j.id, error }));
+    await audit('trace.fetch_failed', { error });
+    return { ...j, excerpt: '', blocks: [], flakiness, traceSections: null, traceError: error };
+  }
+
+  const leaks = redactor.findings();
+  if (SECRET_LEAK_SCAN && leaks.length > 0) {
+    try {
+      await issueService.reportSecretLeak(projectId, { job: j.job, jobName: j.name, pipelineId, findings: leaks, truncated: trace.truncated });
+    } catch (err) {
+      console.error(JSON.stringify({ level: 'error', msg: 'security.secret_leak_report_failed', projectId, job: j.name, error: err && err.message ? err.message : String(err) }));
+    }
+  }
+
+  const parsedTrace = traceParser.parseTrace(trace.text);
+  const { excerpt, blocks } = logParser.buildErrorExcerpt(traceParser.analysisText(parsedTrace, trace.text), { fallbackLines: 40, redactor });
+  const traceSections = {
+    failing: parsedTrace.failingSection ? parsedTrace.failingSection.name : null,
+    timings: traceParser.sectionTimings(parsedTrace)
+  };
+  return { ...j, excerpt, blocks, flakiness, traceSections };
+}
+
+/**
+ * Analyze the failed jobs of a pipeline together and file one issue for the root job.
+ * `jobs` are the pipeline's jobs when the caller already fetched them. Returns a status
+ * object like jobAnalyzer.analyzeSingleJob; 'failed_to_fetch_trace' (root job) and
+ * 'issue_creation_failed' are worth retrying, the latter with jobAnalyzer.retryIssue.
+ */
+async function analyzePipeline({ event, projectId, pipelineId, commitSha }, { jobs = null } = {}) {
+  const allJobs = jobs || await gitlabService.getPipelineJobs(projectId, pipelineId);
+  if (!allJobs.some(j => ANALYZED_STATUSES.includes(j.status))) return { status: 'skipped', reason: 'no_failed_jobs' };
+
+  const projectPath = event && event.project && event.project.path_with_namespace;
+  let graph = null;
+  if (projectPath) {
+    graph = await gitlabService.getPipelineGraph(projectId, projectPath, pipelineId).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'pipeline.graph_failed', projectId, pipelineId, error: err && err.message ? err.message : String(err) }));
+      return null;
+    });
+  }
+  const classified = classifyJobs(allJobs, graph, event && event.object_attributes && event.object_attributes.stages);
+  const selected = [classified.root, ...classified.jobs.filter(j => j !== classified.root)].slice(0, PIPELINE_MAX_JOBS);
+  console.log(JSON.stringify({ level: 'info', msg: 'pipeline.jobs_classified', projectId, pipelineId, graph: !!graph, root: classified.root.name, jobs: classified.jobs.map(j => `${j.name}:${j.role}`), analyzed: selected.length }));
+
+  const ctx = { event, projectId, pipelineId, commitSha };
+  const analyzed = [];
+  for (const j of selected) analyzed.push(await loadJob(ctx, j));
+  const root = analyzed[0];
+  if (root.traceError) {
+    return { status: 'failed', reason: 'failed_to_fetch_trace', error: root.traceError };
+  }
+
+  // Deterministic detection runs once for the pipeline's commit (see jobAnalyzer)
+  let detectorResult;
+  try {
+    detectorResult = await detectorService.loadAndVerifyArtifacts({
+      projectId,
+      pipelineId,
+      jobId: root.id,
+      commitSha,
+      traceTail: analyzed.map(j => j.excerpt || '').join('\n')
+    });
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    console.warn(JSON.stringify({ level: 'warn', msg: 'pipeline.detectors_failed', projectId, pipelineId, error }));
+    detectorResult = { repoHits: [], dependencyHigh: [], dependencyOther: [], error };
+  }
+  await auditService.record('detectors.completed', {
+    projectId,
+    pipelineId,
+    jobId: root.id,
+    job: root.name,
+    repo_hits: (detectorResult.repoHits || []).length,
+    repo_hits_verified: (detectorResult.repoHits || []).filter(h => h && h.verified).length,
+    dependency_high: (detectorResult.dependencyHigh || []).length,
+    dependency_other: (detectorResult.dependencyOther || []).length,
+    error: detectorResult.error || null
+  });
+  const detectorEvidence = buildDetectorSummary(detectorResult);
+
+  let similarCases = [];
+  try {
+    similarCases = await historyService.findSimilar({ projectId, text: root.excerpt });
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'history.search_failed', projectId, error: err && err.message ? err.message : String(err) }));
+  }
+
+  let analysis;
+  try {
+    analysis = await aiService.analyzePipelineFailure({ projectId, pipelineId, stages: classified.stages, jobs: analyzed, similarCases }, { evidence: detectorEvidence });
+    analysis._detectorSummary = {
+      repoHits: detectorResult.repoHits || [],
+      dependencyHigh: detectorResult.dependencyHigh || [],
+      dependencyOther: detectorResult.dependencyOther || []
+    };
+  } catch (err) {
+    console.error('AI pipeline analysis failure:', err && err.message ? err.message : String(err));
+    analysis = withDefaults({
+      stage: root.stage || root.name,
+      root_cause: 'AI_UNAVAILABLE',
+      suggested_fix: 'Manual triage required',
+      confidence: 0,
+      explain: err && err.message ? err.message : String(err)
+    });
+  }
+  analysis = { ...analysis, ...mergeRoles(classified, analyzed, analysis) };
+  const issueJob = analyzed.find(j => j.name === analysis.root_job);
+
+  countAnalysis(analysis);
+  await auditService.record('analysis.completed', {
+    projectId,
+    pipelineId,
+    jobId: issueJob.id,
+    job: issueJob.name,
+    ...describeAnalysis(analysis),
+    root_job: analysis.root_job,
+    job_roles: analysis.jobs.map(j => ({ name: j.name, role: j.role }))
+  });
+
+  try {
+    const issue = await issueService.createIssueFromAnalysis({ ...event, build_name: issueJob.name, build_id: issueJob.id }, projectId, {
+      pipelineId,
+      job: issueJob.job,
+      analysis,
+      logExcerpt: issueJob.excerpt,
+      commitSha,
+      flakiness: issueJob.flakiness || null,
+      traceSections: issueJob.traceSections || null,
+      similarCases
+    });
+    console.log(JSON.stringify({ level: 'info', msg: 'pipeline.issue_filed', projectId, pipelineId, root_job: analysis.root_job, issue_iid: issue && (issue.iid || issue.issue_iid), jobs: analysis.jobs.length }));
+    await historyService.recordAnalysis({
+      projectId,
+      issueIid: issue && (issue.iid || issue.issue_iid),
+      issueUrl: (issue && issue.web_url) || null,
+      jobName: issueJob.name,
+      text: issueJob.excerpt,
+      analysis
+    }).catch((err) => {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'history.record_failed', projectId, error: err && err.message ? err.message : String(err) }));
+    });
+    return { status: 'issue_created_pipeline', issue, analysis, jobs: analysis.jobs.length };
+  } catch (err) {
+    console.error('Failed to create/append issue (pipeline):', err && err.message ? err.message : String(err));
+    return {
+      status: 'failed',
+      reason: 'issue_creation_failed',
+      error: err && err.message ? err.message : String(err),
+      pendingIssue: {
+        event: { ...event, build_name: issueJob.name, build_id: issueJob.id },
+        projectId,
+        issue: { pipelineId, job: issueJob.job, analysis, logExcerpt: issueJob.excerpt, commitSha, flakiness: issueJob.flakiness || null, traceSections: issueJob.traceSections || null, similarCases },
+        history: { jobName: issueJob.name, text: issueJob.excerpt },
+        status: 'issue_created_pipeline',
+        reason: 'issue_creation_failed'
+      }
+    };
+  }
+}
+
+module.exports = {
+  analyzePipeline,
+  classifyJobs,
+  mergeRoles
+};
@@ -0,0 +1,222 @@
+// backend/src/services/projectRegistry.js
+'use strict';
+
+const projectStore = require('../db/projectStore');
+const secretBox = require('../utils/secretBox');
+
+/**
+ * Per-project and per-group credentials and settings (db/projectStore.js).
+ *
+ * A project resolves to the entries of the groups it belongs to (outermost first) and its
+ * own entry; the most specific token, webhook secret and setting wins. Projects without
+ * an entry fall back to GITLAB_TOKEN, GITLAB_WEBHOOK_SECRET and the environment settings.
+ * Tokens and webhook secrets are encrypted with GUARDIAN_ENCRYPTION_KEY and never returned
+ * by list().
+ *
+ * Settings (all optional):
+ *   monitored_jobs, monitored_stages   job names / stages analyzed (MONITORED_JOB_NAMES / MONITORED_STAGES)
+ *   success_sample_rate                0..1 (SUCCESS_SAMPLE_RATE)
+ *   min_confidence                     0..1 confidence needed to auto-create issues (MIN_CONF_CREATE)
+ *   auto_close_green_runs              green runs before an issue is closed (AUTO_CLOSE_GREEN_RUNS)
+ *   ai_rules_mode                      first | fallback | off (AI_RULES_MODE)
+ *   ai_budget_daily_usd, ai_budget_monthly_usd   AI budget of each project (AI_PROJECT_BUDGET_*)
+ */
+
+const CACHE_TTL_MS = Math.max(0, parseInt(process.env.PROJECT_REGISTRY_CACHE_SEC || '60', 10)) * 1000;
+const SCOPES = ['project', 'group'];
+
+const isRatio = v => typeof v === 'number' && v >= 0 && v <= 1;
+const SETTINGS = {
+  monitored_jobs: { check: v => Array.isArray(v) && v.every(s => typeof s === 'string' && s), expect: 'a list of job names' },
+  monitored_stages: { check: v => Array.isArray(v) && v.every(s => typeof s === 'string' && s), expect: 'a list of stage names' },
+  success_sample_rate: { check: isRatio, expect: 'a number between 0 and 1' },
+  min_confidence: { check: isRatio, expect: 'a number between 0 and 1' },
+  auto_close_green_runs: { check: v => Number.isInteger(v) && v >= 0, expect: 'an integer >= 0' },
+  ai_rules_mode: { check: v => ['first', 'fallback', 'off'].includes(v), expect: 'first, fallback or off' },
+  ai_budget_daily_usd: { check: v => typeof v === 'number' && v >= 0, expect: 'a number >= 0' },
+  ai_budget_monthly_usd: { check: v => typeof v === 'number' && v >= 0, expect: 'a number >= 0' }
+};
+
+const cache = new Map();
+let ready = null;
+
+// The registry is read on every GitLab call; its tables are created on first use
+function store() {
+  if (!ready) ready = projectStore.init().catch((err) => { ready = null; throw err; });
+  return ready.then(() => projectStore);
+}
+
+function aad(scope, ref, field) {
+  return `project_registry:${scope}:${ref}:${field}`;
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+/**
+ * Check settings against SETTINGS: { settings } or { error }.
+ */
+function validateSettings(settings) {
+  if (settings == null) return { settings: {} };
+  if (typeof settings !== 'object' || Array.isArray(settings)) return { error: 'settings must be an object' };
+  for (const [key, value] of Object.entries(settings)) {
+    const spec = SETTINGS[key];
+    if (!spec) return { error: `unknown setting "${key}" (expected ${Object.keys(SETTINGS).join(', ')})` };
+    if (!spec.check(value)) return { error: `setting ${key} must be ${spec.expect}` };
+  }
+  return { settings };
+}
+
+function describe(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    ref: row.ref,
+    name: row.name,
+    has_token: !!row.token_enc,
+    has_webhook_secret: !!row.webhook_secret_enc,
+    settings: row.settings,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Create or update the entry of a project (`ref` = project id) or group (`ref` = full path).
+ * `token` / `webhookSecret`: a string sets, null clears, undefined keeps the stored value;
+ * `settings` replaces the stored settings. Resolves to the entry as list() shows it;
+ * invalid input rejects with an error carrying `status: 400`.
+ */
+async function register({ scope = 'project', ref, name = null, token, webhookSecret, settings = {} }) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!SCOPES.includes(scope)) throw invalid(`scope must be one of ${SCOPES.join(', ')}`);
+  const key = String(ref || '').trim().replace(/^\/+|\/+$/g, '');
+  if (!key) throw invalid('ref is required');
+  if (scope === 'project' && !/^\d+$/.test(key)) throw invalid('project ref must be a numeric project id');
+  const checked = validateSettings(settings);
+  if (checked.error) throw invalid(checked.error);
+  for (const [field, value] of [['token', token], ['webhook_secret', webhookSecret]]) {
+    if (value != null && (typeof value !== 'string' || !value.trim())) throw invalid(`${field} must be a non-empty string or null`);
+  }
+  if ((token || webhookSecret) && !secretBox.isConfigured()) {
+    throw invalid('GUARDIAN_ENCRYPTION_KEY must be set to store tokens or webhook secrets');
+  }
+
+  const db = await store();
+  const existing = await db.get(scope, key);
+  const sealed = (field, value, current) => {
+    if (value === undefined) return current;
+    return value === null ? null : secretBox.seal(value.trim(), aad(scope, key, field));
+  };
+  await db.save({
+    scope,
+    ref: key,
+    name: name || (existing && existing.name) || null,
+    tokenEnc: sealed('token', token, existing ? existing.token_enc : null),
+    webhookSecretEnc: sealed('webhook_secret', webhookSecret, existing ? existing.webhook_secret_enc : null),
+    settings: checked.settings
+  });
+  clearCache();
+  return describe(await db.get(scope, key));
+}
+
+async function remove(scope, ref) {
+  const removed = await (await store()).remove(scope, String(ref));
+  clearCache();
+  return removed;
+}
+
+async function list() {
+  return (await (await store()).list()).map(describe);
+}
+
+/**
+ * Credentials and settings of a project: { entries: [{ id, scope, ref }], token, webhookSecret,
+ * settings }. token / webhookSecret are null when no entry sets them. `path` (the project's
+ * full path as GitLab reports it) matches group entries; otherwise the remembered path is used.
+ * Throws when a stored secret cannot be decrypted.
+ */
+async function resolve(projectId, { path = null } = {}) {
+  if (projectId == null) return { entries: [], token: null, webhookSecret: null, settings: {} };
+  const cacheKey = `${projectId}|${path || ''}`;
+  const hit = cache.get(cacheKey);
+  if (hit && hit.expires > Date.now()) return hit.value;
+
+  const db = await store();
+  const rows = await db.findForProject(projectId, path || await db.getProjectPath(projectId));
+  const value = { entries: [], token: null, webhookSecret: null, settings: {} };
+  for (const row of rows) {
+    value.entries.push({ id: row.id, scope: row.scope, ref: row.ref });
+    if (row.token_enc) value.token = secretBox.open(row.token_enc, aad(row.scope, row.ref, 'token'));
+    if (row.webhook_secret_enc) value.webhookSecret = secretBox.open(row.webhook_secret_enc, aad(row.scope, row.ref, 'webhook_secret'));
+    Object.assign(value.settings, row.settings);
+  }
+  if (CACHE_TTL_MS > 0) cache.set(cacheKey, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Settings of a project ({} when it has none or the registry cannot be read).
+ */
+async function settingsFor(projectId) {
+  try {
+    return (await resolve(projectId)).settings;
+  } catch (err) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'registry.resolve_failed', projectId, error: err && err.message ? err.message : String(err) }));
+    return {};
+  }
+}
+
+/**
+ * Tokens of the registered groups: [{ ref, token }], used to look up the path of a project
+ * whose group is not known yet. Throws when a stored token cannot be decrypted.
+ */
+async function groupTokens() {
+  const rows = (await (await store()).list()).filter(row => row.scope === 'group' && row.token_enc);
+  return rows.map(row => ({ ref: row.ref, token: secretBox.open(row.token_enc, aad(row.scope, row.ref, 'token')) }));
+}
+
+/**
+ * Webhook secrets of the registered groups. A webhook request must present one of them (or
+ * the global secret) before a project's group is looked up. Throws when a secret cannot be decrypted.
+ */
+async function groupWebhookSecrets() {
+  const rows = (await (await store()).list()).filter(row => row.scope === 'group' && row.webhook_secret_enc);
+  return rows.map(row => secretBox.open(row.webhook_secret_enc, aad(row.scope, row.ref, 'webhook_secret')));
+}
+
+/**
+ * The full path remembered for a project, or null.
+ */
+async function pathOf(projectId) {
+  if (projectId == null) return null;
+  return (await store()).getProjectPath(projectId);
+}
+
+/**
+ * Remember a project's full path (as GitLab reports it) for matching group entries.
+ * Never pass the path of an unauthenticated payload: it decides which token is used.
+ */
+async function rememberPath(projectId, path) {
+  if (projectId == null || !path) return;
+  const db = await store();
+  if (await db.getProjectPath(projectId) === path) return;
+  await db.setProjectPath(projectId, path);
+  clearCache();
+}
+
+module.exports = {
+  register,
+  remove,
+  list,
+  resolve,
+  settingsFor,
+  rememberPath,
+  groupTokens,
+  groupWebhookSecrets,
+  pathOf,
+  validateSettings,
+  clearCache,
+  SETTINGS
+};
@@ -0,0 +1,40 @@
+// backend/src/services/providers/geminiProvider.js
+'use strict';
+
+/**
+ * Google Gemini via @google/generative-ai.
+ */
+function createGeminiProvider({ apiKey, model } = {}) {
+  let genAI = null;
+
+  function getClient() {
+    if (!apiKey) throw new Error('AI_API_KEY (or GEMINI_API_KEY) is not set for provider gemini');
+    if (!genAI) {
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      genAI = new GoogleGenerativeAI(apiKey);
+    }
+    return genAI;
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    async complete({ system, prompt, maxTokens = 1200, temperature = 0 }) {
+      const generative = getClient().getGenerativeModel({
+        model,
+        systemInstruction: system,
+        generationConfig: { temperature, maxOutputTokens: maxTokens, responseMimeType: 'application/json' }
+      });
+      const result = await generative.generateContent(prompt);
+      const response = result && result.response;
+      const usage = (response && response.usageMetadata) || {};
+      return {
+        text: response && typeof response.text === 'function' ? response.text() : '',
+        usage: { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 },
+        raw: response
+      };
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
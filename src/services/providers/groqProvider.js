@@ -0,0 +1,90 @@
+// backend/src/services/providers/groqProvider.js
+'use strict';
+
+const { safeTruncate } = require('./providerUtils');
+
+function extractTextFromResponse(resp) {
+  try {
+    if (!resp) return '';
+    if (Array.isArray(resp.choices) && resp.choices.length > 0) {
+      const c = resp.choices[0];
+      if (c.message && typeof c.message.content === 'string') return c.message.content;
+      if (typeof c.text === 'string') return c.text;
+      if (c.delta && typeof c.delta.content === 'string') return c.delta.content;
+    }
+    if (Array.isArray(resp.output) && resp.output.length > 0) {
+      const out = resp.output[0];
+      if (out && typeof out.content === 'string') return out.content;
+      if (Array.isArray(out?.content) && out.content.length) {
+        return out.content.map(x => x.text || JSON.stringify(x)).join('\n');
+      }
+    }
+    if (typeof resp === 'string') return resp;
+    return safeTruncate(JSON.stringify(resp));
+  } catch (e) {
+    return safeTruncate(String(resp));
+  }
+}
+
+/**
+ * Groq chat completions via groq-sdk. The SDK client is created lazily so a
+ * missing key only fails the call, not the process.
+ */
+function createGroqProvider({ apiKey, model, baseUrl } = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!apiKey) throw new Error('AI_API_KEY (or GROQ_API_KEY) is not set for provider groq');
+    if (!client) {
+      const Groq = require('groq-sdk');
+      client = new Groq({ apiKey, ...(baseUrl ? { baseURL: baseUrl } : {}) });
+    }
+    return client;
+  }
+
+  // Try multiple SDK call shapes
+  async function callGroq(payload) {
+    const c = getClient();
+    const attempts = [
+      async () => c.chat?.completions?.create ? await c.chat.completions.create(payload) : null,
+      async () => c.chat?.completions ? await c.chat.completions(payload) : null,
+      async () => c.createChatCompletion ? await c.createChatCompletion(payload) : null,
+      async () => c.request ? await c.request({ path: 'https://api.groq.com/openai/v1/chat/completions', method: 'POST', body: payload }) : null
+    ];
+
+    let lastErr;
+    for (const fn of attempts) {
+      try {
+        const resp = await fn();
+        if (resp) return resp;
+      } catch (err) {
+        lastErr = err;
+      }
+    }
+    throw lastErr || new Error('Groq client did not expose a known chat completion method');
+  }
+
+  return {
+    name: 'groq',
+    model,
+    async complete({ system, prompt, maxTokens = 1200, temperature = 0 }) {
+      const raw = await callGroq({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        max_tokens: maxTokens,
+        temperature
+      });
+      const usage = (raw && raw.usage) || {};
+      return {
+        text: extractTextFromResponse(raw),
+        usage: { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 },
+        raw
+      };
+    }
+  };
+}
+
+module.exports = { createGroqProvider, extractTextFromResponse };
@@ -0,0 +1,74 @@
+// backend/src/services/providers/index.js
+'use strict';
+
+const fs = require('fs');
+const { createGroqProvider } = require('./groqProvider');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createScriptedProvider } = require('./scriptedProvider');
+
+/**
+ * LLM provider selection.
+ *
+ * Every provider exposes the same interface:
+ *   { name, model, complete({ system, prompt, maxTokens, temperature }) -> { text, usage, raw } }
+ *
+ * Configuration (environment):
+ *   AI_PROVIDER   groq (default) | gemini | openai | local | scripted
+ *   AI_API_KEY    credential for the selected provider (falls back to GROQ_API_KEY / GEMINI_API_KEY / OPENAI_API_KEY)
+ *   AI_MODEL      model name (falls back to GROQ_MODEL, then a per-provider default)
+ *   AI_BASE_URL   endpoint for openai/local (e.g. http://localhost:11434/v1 for Ollama)
+ *   AI_SCRIPT_PATH  JSON array of canned responses for the scripted provider
+ */
+
+const DEFAULT_MODELS = {
+  groq: 'llama3-8b-8192',
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  local: 'llama3',
+  scripted: 'scripted'
+};
+
+const PROVIDER_KEYS = {
+  groq: 'GROQ_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  openai: 'OPENAI_API_KEY'
+};
+
+function getProviderConfig(env = process.env) {
+  const name = String(env.AI_PROVIDER || 'groq').trim().toLowerCase();
+  const legacyKey = PROVIDER_KEYS[name] ? env[PROVIDER_KEYS[name]] : undefined;
+  return {
+    name,
+    apiKey: env.AI_API_KEY || legacyKey || '',
+    model: env.AI_MODEL || (name === 'groq' ? env.GROQ_MODEL : '') || DEFAULT_MODELS[name],
+    baseUrl: env.AI_BASE_URL || (name === 'local' ? 'http://localhost:11434/v1' : ''),
+    timeoutMs: Math.max(1000, parseInt(env.AI_TIMEOUT_MS || env.GROQ_TIMEOUT_MS || '30000', 10)),
+    scriptPath: env.AI_SCRIPT_PATH || ''
+  };
+}
+
+function createProvider(config = getProviderConfig()) {
+  switch (config.name) {
+    case 'groq':
+      return createGroqProvider(config);
+    case 'gemini':
+      return createGeminiProvider(config);
+    case 'openai':
+      return createOpenAICompatibleProvider({ ...config, name: 'openai' });
+    case 'local':
+      return createOpenAICompatibleProvider({ ...config, name: 'local', requireKey: false });
+    case 'scripted': {
+      const responses = config.scriptPath ? JSON.parse(fs.readFileSync(config.scriptPath, 'utf8')) : [];
+      return createScriptedProvider(responses);
+    }
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.name}" (expected groq, gemini, openai, local or scripted)`);
+  }
+}
+
+module.exports = {
+  getProviderConfig,
+  createProvider,
+  createScriptedProvider
+};
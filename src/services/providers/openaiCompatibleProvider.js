@@ -0,0 +1,55 @@
+// backend/src/services/providers/openaiCompatibleProvider.js
+'use strict';
+
+const fetch = require('node-fetch');
+const { extractTextFromResponse } = require('./groqProvider');
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API: OpenAI itself, Azure-style
+ * gateways, or a self-hosted Ollama / llama.cpp / vLLM server (`local` provider,
+ * where no API key is required).
+ */
+function createOpenAICompatibleProvider({ name = 'openai', apiKey, model, baseUrl, requireKey = true, timeoutMs = 30000 } = {}) {
+  const endpoint = `${String(baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    model,
+    async complete({ system, prompt, maxTokens = 1200, temperature = 0 }) {
+      if (requireKey && !apiKey) throw new Error(`AI_API_KEY is not set for provider ${name}`);
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        timeout: timeoutMs,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ],
+          max_tokens: maxTokens,
+          temperature
+        })
+      });
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        throw new Error(`${name} completion failed: ${res.status} ${text.slice(0, 500)}`);
+      }
+
+      const raw = await res.json();
+      const usage = (raw && raw.usage) || {};
+      return {
+        text: extractTextFromResponse(raw),
+        usage: { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 },
+        raw
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,12 @@
+// backend/src/services/providers/providerUtils.js
+'use strict';
+
+const util = require('util');
+
+function safeTruncate(s, max = 2000) {
+  const str = (typeof s === 'string') ? s : util.inspect(s, { depth: 4 });
+  if (str.length <= max) return str;
+  return str.slice(0, max) + '...[truncated]';
+}
+
+module.exports = { safeTruncate };
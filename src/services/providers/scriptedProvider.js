@@ -0,0 +1,27 @@
+// backend/src/services/providers/scriptedProvider.js
+'use strict';
+
+/**
+ * Deterministic provider that replays a list of canned responses, for tests and
+ * offline demos. Each entry is either a string/object (returned as the model text)
+ * or an Error (thrown). The last entry repeats once the script is exhausted.
+ */
+function createScriptedProvider(responses = [], { name = 'scripted', model = 'scripted' } = {}) {
+  const script = Array.isArray(responses) ? responses.slice() : [responses];
+  const calls = [];
+
+  return {
+    name,
+    model,
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const next = script.length > 1 ? script.shift() : script[0];
+      if (next instanceof Error) throw next;
+      const text = typeof next === 'string' ? next : JSON.stringify(next === undefined ? {} : next);
+      return { text, usage: { promptTokens: 0, completionTokens: 0 }, raw: next };
+    }
+  };
+}
+
+module.exports = { createScriptedProvider };
@@ -0,0 +1,119 @@
+// backend/src/services/repoContentCache.js
+'use strict';
+
+/**
+ * In-memory LRU cache for repository file contents at a commit.
+ *
+ * Content at a commit SHA never changes, so entries are keyed by
+ * project + SHA + path (+ encoding) and shared between claim verification and
+ * detectors working on the same analysis. Missing files (null) are cached too so
+ * repeated lookups for absent lockfiles don't hit the API. Concurrent loads of the
+ * same key share a single in-flight request.
+ */
+
+const MAX_ENTRIES = Math.max(1, parseInt(process.env.REPO_CACHE_MAX_ENTRIES || '500', 10));
+const MAX_BYTES = Math.max(1024, parseInt(process.env.REPO_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10));
+const TTL_MS = Math.max(1000, parseInt(process.env.REPO_CACHE_TTL_MS || String(30 * 60 * 1000), 10));
+
+// Only immutable refs are cached (full SHA-1 or SHA-256 commit ids)
+const COMMIT_SHA_RE = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/i;
+
+const entries = new Map(); // key -> { value, size, expiresAt }
+const inflight = new Map(); // key -> Promise
+let totalBytes = 0;
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+function makeKey({ projectId, ref, filePath, encoding = 'utf8' }) {
+  return `${projectId}@${ref}:${encoding}:${filePath}`;
+}
+
+function isCacheableRef(ref) {
+  return COMMIT_SHA_RE.test(String(ref || ''));
+}
+
+function remove(key) {
+  const e = entries.get(key);
+  if (!e) return;
+  totalBytes -= e.size;
+  entries.delete(key);
+}
+
+function evict() {
+  // Map iteration order is insertion order; get() re-inserts, so the first key is least recently used
+  while (entries.size > MAX_ENTRIES || totalBytes > MAX_BYTES) {
+    const oldest = entries.keys().next().value;
+    if (oldest === undefined) break;
+    remove(oldest);
+    stats.evictions++;
+  }
+}
+
+function get(key) {
+  const e = entries.get(key);
+  if (!e) return undefined;
+  if (e.expiresAt <= Date.now()) {
+    remove(key);
+    return undefined;
+  }
+  entries.delete(key);
+  entries.set(key, e);
+  return e.value;
+}
+
+function set(key, value) {
+  remove(key);
+  const size = value ? Buffer.byteLength(value) : 0;
+  if (size > MAX_BYTES) return;
+  entries.set(key, { value, size, expiresAt: Date.now() + TTL_MS });
+  totalBytes += size;
+  evict();
+}
+
+/**
+ * Return the cached value for the key parts or run `loader` once and cache its result.
+ * Loader errors are not cached.
+ */
+async function getOrLoad(parts, loader) {
+  if (!isCacheableRef(parts.ref)) return loader();
+
+  const key = makeKey(parts);
+  const cached = get(key);
+  if (cached !== undefined) {
+    stats.hits++;
+    return cached;
+  }
+  if (inflight.has(key)) return inflight.get(key);
+
+  stats.misses++;
+  const p = (async () => {
+    try {
+      const value = await loader();
+      set(key, value);
+      return value;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, p);
+  return p;
+}
+
+function clear() {
+  entries.clear();
+  inflight.clear();
+  totalBytes = 0;
+  stats.hits = 0;
+  stats.misses = 0;
+  stats.evictions = 0;
+}
+
+function getStats() {
+  return { ...stats, entries: entries.size, bytes: totalBytes };
+}
+
+module.exports = {
+  getOrLoad,
+  isCacheableRef,
+  clear,
+  getStats
+};
@@ -0,0 +1,159 @@
+// backend/src/services/ruleEngine.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { withDefaults, validateAnalysis, CATEGORIES } = require('../utils/analysisSchema');
+
+/**
+ * Deterministic failure analyzer: regex signatures with canned remediations.
+ *
+ * The bundled pack (src/data/failureRules.seed.json) covers common infrastructure and
+ * dependency failures. Local rules live in FAILURE_RULES_PATH (default:
+ * data/failure-rules.json) with the same shape:
+ *   {
+ *     "rules": [
+ *       { "id": "artifactory-down", "category": "infra", "patterns": ["artifactory\\.acme\\.io.*503"],
+ *         "root_cause": "...", "suggested_fix": "...", "confidence": 0.8 }
+ *     ],
+ *     "disabled": ["registry-rate-limited"]
+ *   }
+ * A local rule with the id of a bundled rule replaces it; other local rules are tried
+ * first. Rules are tried in order and the first match wins. Named groups of the matching
+ * pattern fill the `{{group}}` placeholders of the optional `detail` sentence.
+ * The file is re-read whenever its mtime changes.
+ */
+
+const DATA_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
+const RULES_PATH = path.resolve(process.env.FAILURE_RULES_PATH || path.join(DATA_DIR, 'failure-rules.json'));
+const SEED_PATH = path.join(__dirname, '../data/failureRules.seed.json');
+
+// Lines of the log scanned for signatures (the failure is at the end)
+const MAX_SCAN_LINES = 2000;
+
+let seed = null;
+let cache = { mtimeMs: -1, rules: null };
+
+function compileRule(rule, origin) {
+  if (!rule || !rule.id || !Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+    throw new Error('rule needs an id and patterns');
+  }
+  if (!Object.prototype.hasOwnProperty.call(CATEGORIES, rule.category)) {
+    throw new Error(`unknown category "${rule.category}"`);
+  }
+  if (!rule.root_cause || !rule.suggested_fix) throw new Error('rule needs root_cause and suggested_fix');
+  const flags = String(rule.flags || '').replace(/[gy]/g, '');
+  return { ...rule, origin, regexes: rule.patterns.map(p => new RegExp(p, flags)) };
+}
+
+function compileAll(rules, origin) {
+  const out = [];
+  for (const rule of rules || []) {
+    try {
+      out.push(compileRule(rule, origin));
+    } catch (err) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'rules.rule_ignored', origin, rule: rule && rule.id, reason: err && err.message ? err.message : String(err) }));
+    }
+  }
+  return out;
+}
+
+function readLocal() {
+  let stat;
+  try {
+    stat = fs.statSync(RULES_PATH);
+  } catch (e) {
+    return { mtimeMs: 0, doc: {} };
+  }
+  if (stat.mtimeMs === cache.mtimeMs) return null;
+  try {
+    return { mtimeMs: stat.mtimeMs, doc: JSON.parse(fs.readFileSync(RULES_PATH, 'utf8')) || {} };
+  } catch (err) {
+    // keep the bundled pack rather than no rules at all
+    console.error(JSON.stringify({ level: 'error', msg: 'rules.config_invalid', path: RULES_PATH, error: err && err.message ? err.message : String(err) }));
+    return { mtimeMs: stat.mtimeMs, doc: {} };
+  }
+}
+
+/**
+ * Effective rule list: local rules, then the bundled pack (minus replaced/disabled ids).
+ */
+function loadRules() {
+  if (!seed) seed = compileAll(JSON.parse(fs.readFileSync(SEED_PATH, 'utf8')).rules, 'bundled');
+  const local = readLocal();
+  if (!local) return cache.rules;
+  if (local.mtimeMs === 0 && cache.mtimeMs === 0 && cache.rules) return cache.rules;
+
+  const own = compileAll(local.doc.rules, 'local');
+  const disabled = new Set(local.doc.disabled || []);
+  const replaced = new Set(own.map(r => r.id));
+  const rules = own.concat(seed.filter(r => !replaced.has(r.id))).filter(r => !disabled.has(r.id));
+  cache = { mtimeMs: local.mtimeMs, rules };
+  return rules;
+}
+
+function fillDetail(template, groups) {
+  if (!template) return '';
+  let complete = true;
+  const text = template.replace(/\{\{(\w+)\}\}/g, (_m, name) => {
+    if (!groups || groups[name] === undefined) complete = false;
+    return groups && groups[name] !== undefined ? groups[name] : '';
+  });
+  return complete ? text : '';
+}
+
+/**
+ * First rule matching the log (or the extracted error blocks):
+ * { rule, match: { line, groups } } or null.
+ */
+function matchRules(logs, errorBlocks = [], rules = loadRules()) {
+  const lines = String(logs || '').split('\n').slice(-MAX_SCAN_LINES);
+  for (const b of errorBlocks || []) lines.push(...(b.context || []), b.message || '');
+
+  for (const rule of rules) {
+    for (const re of rule.regexes) {
+      for (const line of lines) {
+        const m = line && re.exec(line);
+        if (m) return { rule, match: { line: line.trim(), groups: m.groups || {} } };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Schema-compliant analysis from the first matching rule, marked `source: 'rules'`
+ * (with `rule_id`), or null when no rule matches.
+ */
+function analyze({ jobId, jobName, logs, errorBlocks = [] }, { rules } = {}) {
+  const found = matchRules(logs, errorBlocks, rules || loadRules());
+  if (!found) return null;
+  const { rule, match } = found;
+  const detail = fillDetail(rule.detail, match.groups);
+
+  const analysis = withDefaults({
+    stage: String(jobName || jobId || 'unknown'),
+    category: rule.category,
+    root_cause: detail ? `${rule.root_cause} ${detail}` : rule.root_cause,
+    suggested_fix: rule.suggested_fix,
+    confidence: Math.max(0, Math.min(1, Number(rule.confidence || 0.7))),
+    explain: `Matched offline rule "${rule.id}". ${rule.explain || ''}`.trim(),
+    evidence_lines: [match.line.slice(0, 500)],
+    reproduction_commands: Array.isArray(rule.reproduction_commands) ? rule.reproduction_commands : [],
+    blocking: rule.blocking !== false
+  });
+  const check = validateAnalysis(analysis);
+  if (!check.valid) {
+    console.warn(JSON.stringify({ level: 'warn', msg: 'rules.analysis_invalid', rule: rule.id, errors: check.errors }));
+    return null;
+  }
+  return { ...analysis, source: 'rules', rule_id: rule.id };
+}
+
+module.exports = {
+  analyze,
+  matchRules,
+  loadRules,
+  RULES_PATH
+};
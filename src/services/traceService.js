@@ -0,0 +1,93 @@
+// backend/src/services/traceService.js
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+
+const gitlabService = require('./gitlabService');
+const { createRedactingTail } = require('../utils/logParser');
+const { createRedactor } = require('../utils/redaction');
+
+/**
+ * Bounded-memory job trace retrieval.
+ *
+ * Only the last TRACE_TAIL_BYTES of a trace are requested (HTTP Range); when GitLab
+ * serves the whole trace instead, it is streamed and redacted chunk by chunk while a
+ * ring buffer keeps the last TRACE_MAX_LINES lines. Either way the full trace is never
+ * held in memory, and no unredacted text leaves this module.
+ */
+
+const TRACE_TAIL_BYTES = Math.max(64 * 1024, parseInt(process.env.TRACE_TAIL_BYTES || String(2 * 1024 * 1024), 10));
+const TRACE_MAX_LINES = Math.max(100, parseInt(process.env.TRACE_MAX_LINES || '20000', 10));
+const TRACE_ERROR_WINDOW_BEFORE = Math.max(0, parseInt(process.env.TRACE_ERROR_WINDOW_BEFORE || '60', 10));
+const TRACE_ERROR_WINDOW_AFTER = Math.max(0, parseInt(process.env.TRACE_ERROR_WINDOW_AFTER || '120', 10));
+const TRACE_ANALYSIS_MAX_CHARS = Math.max(1000, parseInt(process.env.TRACE_ANALYSIS_MAX_CHARS || '6000', 10));
+
+/**
+ * Fetch the end of a job trace, redacted with the project's rules (or `redactor`).
+ * Returns { text, truncated, method: 'range' | 'full', totalBytes, lines, droppedLines, redaction }.
+ * `truncated` is true when the start of the trace is not part of `text`; `redaction` is
+ * the redactor's report.
+ */
+async function loadJobTrace(projectId, jobId, { tailBytes = TRACE_TAIL_BYTES, maxLines = TRACE_MAX_LINES, redactor = null } = {}) {
+  const trace = await gitlabService.openJobTrace(projectId, jobId, { tailBytes });
+  const decoder = new StringDecoder('utf8');
+  const activeRedactor = redactor || createRedactor({ projectId });
+  // a range starting mid-trace begins with a partial line
+  const tail = createRedactingTail({ maxLines, skipFirstLine: trace.startOffset > 0, redactor: activeRedactor });
+
+  for await (const chunk of trace.chunks) {
+    tail.write(decoder.write(chunk));
+  }
+  tail.write(decoder.end());
+  const { text, lines, droppedLines } = tail.end();
+
+  return {
+    text,
+    truncated: trace.startOffset > 0 || droppedLines > 0,
+    method: trace.method,
+    totalBytes: trace.totalBytes,
+    lines,
+    droppedLines,
+    redaction: activeRedactor.report()
+  };
+}
+
+/**
+ * Window of `text` to send for analysis, at most `maxChars` long.
+ *
+ * With an error line index (e.g. from an extracted error block) the window covers
+ * `before` lines above and `after` lines below it, followed by the last lines of the
+ * log (job result) when they fall outside it. Without one, the end of the log is used.
+ */
+function focusWindow(text, errorIndex = null, {
+  before = TRACE_ERROR_WINDOW_BEFORE,
+  after = TRACE_ERROR_WINDOW_AFTER,
+  tailLines = 10,
+  maxChars = TRACE_ANALYSIS_MAX_CHARS
+} = {}) {
+  const lines = String(text || '').split('\n');
+
+  const focused = Number.isInteger(errorIndex) && errorIndex >= 0 && errorIndex < lines.length;
+  let selected;
+  if (focused) {
+    const from = Math.max(0, errorIndex - before);
+    const to = Math.min(lines.length, errorIndex + after + 1);
+    selected = lines.slice(from, to);
+    if (from > 0) selected.unshift(`... ${from} earlier lines omitted ...`);
+    const tailFrom = Math.max(to, lines.length - tailLines);
+    if (tailFrom > to) selected.push(`... ${tailFrom - to} lines omitted ...`);
+    selected = selected.concat(lines.slice(tailFrom));
+  } else {
+    selected = lines;
+  }
+
+  const out = selected.join('\n');
+  if (out.length <= maxChars) return out;
+  // keep the head of a focused window (the error), the end of a plain tail
+  return focused ? `${out.slice(0, maxChars)}\n...TRUNCATED...` : `...TRUNCATED...\n${out.slice(-maxChars)}`;
+}
+
+module.exports = {
+  loadJobTrace,
+  focusWindow
+};
@@ -0,0 +1,56 @@
+const { makeSignatureFingerprint, normalizeSignatureLine, extractErrorSignature, makeFingerprint } = require('../utils/aiHelpers');
+
+const runA = [
+  '2024-01-02T10:11:12.123Z $ npm test',
+  '  FAIL src/cart.test.js (3.2 s)',
+  '  Expected 1 got 2 at /tmp/jest_ab12/cart.js:12:5',
+  '    at Object.<anonymous> (src/cart.test.js:44:7)',
+  'Job 12345 failed after 32s at commit deadbeef1234'
+].join('\n');
+
+const runB = [
+  '2024-03-05T01:01:01Z $ npm test',
+  '  FAIL src/cart.test.js (4.9 s)',
+  '  Expected 1 got 2 at /tmp/jest_zz99/cart.js:13:5',
+  '    at Object.<anonymous> (src/cart.test.js:45:7)',
+  'Job 99999 failed after 1m at commit cafe12345678'
+].join('\n');
+
+describe('aiHelpers.normalizeSignatureLine', () => {
+  test('should strip timestamps, durations, hex ids, temp paths and line numbers', () => {
+    const line = '12:01:02 Error in /tmp/build_x1/app.py:88 (1.5s) job #4411 sha 0a1b2c3d4e';
+    expect(normalizeSignatureLine(line)).toBe('<ts> Error in <tmp>:<n> (<dur>) job #<id> sha <hex>');
+  });
+});
+
+describe('aiHelpers.extractErrorSignature', () => {
+  test('should keep error lines and the stack frames under them', () => {
+    expect(extractErrorSignature(runA)).toEqual([
+      'FAIL src/cart.test.js (<dur>)',
+      'Expected 1 got 2 at <tmp>:<n>',
+      'at Object.<anonymous> (src/cart.test.js:<n>)',
+      'Job <id> failed after <dur> at commit <hex>'
+    ]);
+  });
+
+  test('should fall back to the last lines when nothing looks like an error', () => {
+    expect(extractErrorSignature('one\ntwo\nthree', { maxFrames: 2 })).toEqual(['two', 'three']);
+  });
+});
+
+describe('aiHelpers.makeSignatureFingerprint', () => {
+  test('should give the same versioned fingerprint for the same failure across pipelines', () => {
+    const a = makeSignatureFingerprint({ projectId: 1, jobName: 'test 1/3', excerpt: runA });
+    const b = makeSignatureFingerprint({ projectId: 1, jobName: 'test 2/3', excerpt: runB });
+    expect(a).toMatch(/^v2:[0-9a-f]{16}$/);
+    expect(a).toBe(b);
+    // v1 keys on pipeline/commit and keeps differing
+    expect(makeFingerprint({ projectId: 1, pipelineId: 1, excerpt: runA })).not.toBe(makeFingerprint({ projectId: 1, pipelineId: 2, excerpt: runB }));
+  });
+
+  test('should separate different jobs and different errors', () => {
+    const base = makeSignatureFingerprint({ projectId: 1, jobName: 'test', excerpt: runA });
+    expect(makeSignatureFingerprint({ projectId: 1, jobName: 'lint', excerpt: runA })).not.toBe(base);
+    expect(makeSignatureFingerprint({ projectId: 1, jobName: 'test', excerpt: 'Error: connection refused' })).not.toBe(base);
+  });
+});
@@ -0,0 +1,71 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const analysisCacheStore = require('../db/analysisCacheStore');
+const { createScriptedProvider } = require('../services/providers');
+const aiService = require('../services/aiService');
+
+const logs = [
+  'Running tests',
+  'TypeError: Cannot read properties of undefined (reading \'map\')',
+  '    at render (src/list.js:12:5)',
+  'ERROR: Job failed: exit code 1'
+].join('\n');
+
+const response = '{"stage":"test","root_cause":"items is undefined in src/list.js","suggested_fix":"default items to []","confidence":0.8,"explain":"x","category":"test-assertion","evidence_lines":[],"affected_files":["src/list.js"],"reproduction_commands":["npm test"],"blocking":true}';
+
+describe('analysisCacheStore', () => {
+  beforeAll(() => analysisCacheStore.init());
+
+  test('should count hits and ignore expired entries', async () => {
+    await analysisCacheStore.put({ cacheKey: 'k1', projectId: 1, jobName: 'test', promptVersion: 1, analysis: { root_cause: 'x' }, ttlSec: 60 });
+    await analysisCacheStore.put({ cacheKey: 'k2', projectId: 1, jobName: 'test', promptVersion: 1, analysis: { root_cause: 'y' }, ttlSec: 0 });
+
+    expect(await analysisCacheStore.get('k1')).toMatchObject({ analysis: { root_cause: 'x' }, hits: 1 });
+    expect(await analysisCacheStore.get('k1')).toMatchObject({ hits: 2 });
+    expect(await analysisCacheStore.get('k2')).toBeNull();
+    expect(await analysisCacheStore.prune()).toBe(1);
+  });
+});
+
+describe('aiService.analyzeFailure cache', () => {
+  beforeAll(() => analysisCacheStore.init());
+  afterEach(() => aiService.setProvider(null));
+
+  test('should reuse the analysis of the same failure signature', async () => {
+    const provider = createScriptedProvider([response]);
+    aiService.setProvider(provider);
+
+    const first = await aiService.analyzeFailure({ projectId: 7, jobId: 1, jobName: 'test', logs });
+    // same error on a later run: timestamps and job ids differ, the signature does not
+    const second = await aiService.analyzeFailure({ projectId: 7, jobId: 2, jobName: 'test', logs: `2024-05-01T10:00:00Z job 2\n${logs}` });
+
+    expect(provider.calls).toHaveLength(1);
+    expect(first.cached).toBeUndefined();
+    expect(second).toMatchObject({ root_cause: 'items is undefined in src/list.js', cached: true });
+    expect(typeof second.cached_at).toBe('number');
+  });
+
+  test('should call the provider again when forced', async () => {
+    const provider = createScriptedProvider([response, response.replace('0.8', '0.9')]);
+    aiService.setProvider(provider);
+
+    await aiService.analyzeFailure({ projectId: 8, jobId: 1, jobName: 'test', logs });
+    const fresh = await aiService.analyzeFailure({ projectId: 8, jobId: 2, jobName: 'test', logs }, { force: true });
+    const cached = await aiService.analyzeFailure({ projectId: 8, jobId: 3, jobName: 'test', logs });
+
+    expect(provider.calls).toHaveLength(2);
+    expect(fresh.cached).toBeUndefined();
+    expect(cached).toMatchObject({ confidence: 0.9, cached: true });
+  });
+
+  test('should not cache an unavailable analysis', async () => {
+    aiService.setProvider(createScriptedProvider([new Error('401 invalid api key'), response]));
+
+    const failed = await aiService.analyzeFailure({ projectId: 9, jobId: 1, jobName: 'test', logs });
+    const next = await aiService.analyzeFailure({ projectId: 9, jobId: 2, jobName: 'test', logs });
+
+    expect(failed.root_cause).toBe('AI_UNAVAILABLE');
+    expect(next.cached).toBeUndefined();
+    expect(next.root_cause).toBe('items is undefined in src/list.js');
+  });
+});
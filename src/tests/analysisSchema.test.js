@@ -0,0 +1,66 @@
+const { validateAnalysis, coerceAnalysis, withDefaults, formatErrors } = require('../utils/analysisSchema');
+const metricsService = require('../services/metricsService');
+
+const valid = {
+  stage: 'test',
+  category: 'dependency',
+  root_cause: 'lodash@5.0.0 does not exist in the registry',
+  suggested_fix: 'pin lodash to 4.17.21',
+  confidence: 0.7,
+  explain: 'npm install failed with ETARGET.',
+  evidence_lines: ['npm ERR! notarget No matching version found for lodash@5.0.0.'],
+  affected_files: ['package.json'],
+  reproduction_commands: ['npm ci'],
+  blocking: true
+};
+
+describe('analysisSchema.validateAnalysis', () => {
+  test('should accept a complete analysis', () => {
+    expect(validateAnalysis(valid)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('should report every problem with its JSON path', () => {
+    const { valid: ok, errors } = validateAnalysis({
+      ...valid,
+      category: 'network',
+      confidence: '0.7',
+      evidence_lines: ['ok', 42],
+      blocking: undefined,
+      severity: 'high'
+    });
+
+    expect(ok).toBe(false);
+    expect(errors).toEqual([
+      { path: '$.blocking', message: 'is required' },
+      { path: '$.category', message: expect.stringMatching(/^must be one of dependency, test-assertion/) },
+      { path: '$.confidence', message: 'must be of type number, got string' },
+      { path: '$.evidence_lines[1]', message: 'must be of type string, got integer' },
+      { path: '$.severity', message: 'is not allowed' }
+    ]);
+    expect(formatErrors(errors, 2)).toBe('$.blocking is required; $.category must be one of dependency, test-assertion, compile, infra, timeout, config, security, flaky, unknown; (3 more)');
+  });
+
+  test('should ignore fields added after the model call when asked to', () => {
+    expect(validateAnalysis({ ...valid, cached: true }, { allowExtra: true }).valid).toBe(true);
+    expect(validateAnalysis(withDefaults({ stage: 's', root_cause: 'AI_UNAVAILABLE', suggested_fix: 'x', confidence: 0, explain: '' })).valid).toBe(true);
+  });
+});
+
+describe('analysisSchema.coerceAnalysis', () => {
+  test('should clamp confidence and normalize the category without filling gaps', () => {
+    const out = coerceAnalysis({ root_cause: ' boom ', confidence: 1.4, category: ' Compile ' });
+    expect(out).toEqual({ root_cause: 'boom', confidence: 1, category: 'compile' });
+  });
+});
+
+describe('metricsService.render', () => {
+  afterEach(() => metricsService.reset());
+
+  test('should render labeled counters in the Prometheus text format', () => {
+    metricsService.inc('guardian_analyses_total', { source: 'ai', category: 'dependency' });
+    metricsService.inc('guardian_analyses_total', { category: 'dependency', source: 'ai' });
+
+    expect(metricsService.render()).toContain('guardian_analyses_total{category="dependency",source="ai"} 2\n');
+    expect(() => metricsService.inc('nope')).toThrow(/unknown metric/);
+  });
+});
@@ -0,0 +1,88 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.ADMIN_API_TOKEN = 'admin-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jobQueue = require('../db/jobQueue');
+const aiUsageStore = require('../db/aiUsageStore');
+const auditStore = require('../db/auditStore');
+const gitlabService = require('../services/gitlabService');
+const apiRoutes = require('../routes/api');
+
+jest.mock('../services/gitlabService');
+
+describe('POST /api/projects/:projectId/jobs/:jobId/reanalyze', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  beforeAll(() => jobQueue.init());
+
+  test('should reject requests without the admin token', async () => {
+    const res = await request(app).post('/api/projects/12/jobs/501/reanalyze');
+    expect(res.status).toBe(401);
+    expect(gitlabService.getJob).not.toHaveBeenCalled();
+  });
+
+  test('should queue a forced analysis of the job', async () => {
+    gitlabService.getJob.mockResolvedValue({
+      id: 501, name: 'test', stage: 'test', status: 'failed', ref: 'main',
+      pipeline: { id: 8 }, commit: { id: 'def4567890' }
+    });
+
+    const res = await request(app)
+      .post('/api/projects/12/jobs/501/reanalyze')
+      .set('Authorization', 'Bearer admin-secret');
+
+    expect(res.status).toBe(202);
+    const entry = await jobQueue.getById(res.body.queueId);
+    expect(entry.kind).toBe('job');
+    expect(entry.payload).toMatchObject({
+      projectId: '12',
+      pipelineId: 8,
+      jobName: 'test',
+      commitSha: 'def4567890',
+      forceFresh: true,
+      event: { build_id: 501, build_status: 'failed' }
+    });
+  });
+});
+
+describe('GET /api/usage', () => {
+  const app = express();
+  app.use('/api', apiRoutes);
+
+  beforeAll(() => aiUsageStore.init());
+
+  test('should return the spend of the current day and month', async () => {
+    await aiUsageStore.recordCall({ projectId: 12, model: 'gpt-4o-mini', promptTokens: 1000, completionTokens: 100, costUsd: 0.0002 });
+
+    const res = await request(app).get('/api/usage').set('X-Admin-Token', 'admin-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body.global.daily).toMatchObject({ calls: 1, cost_usd: 0.0002 });
+    expect(res.body.projects).toEqual([expect.objectContaining({ project_id: '12' })]);
+  });
+});
+
+describe('GET /api/audit/verify', () => {
+  const app = express();
+  app.use('/api', apiRoutes);
+
+  beforeAll(() => auditStore.init());
+
+  test('should report an intact chain and reject a stale anchor', async () => {
+    await auditStore.append({ type: 'webhook.received', projectId: 12 });
+    const head = await auditStore.head();
+
+    const ok = await request(app).get('/api/audit/verify').set('X-Admin-Token', 'admin-secret');
+    expect(ok.status).toBe(200);
+    expect(ok.body).toMatchObject({ ok: true, head });
+
+    const stale = await request(app)
+      .get(`/api/audit/verify?anchor_seq=${head.seq}&anchor_hash=${'0'.repeat(64)}`)
+      .set('X-Admin-Token', 'admin-secret');
+    expect(stale.status).toBe(409);
+    expect(stale.body.error).toMatchObject({ seq: head.seq, reason: 'anchor_mismatch' });
+  });
+});
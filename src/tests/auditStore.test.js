@@ -0,0 +1,122 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.GITLAB_TOKEN = 'test-token';
+
+const fetch = require('node-fetch');
+const connection = require('../db/connection');
+const auditStore = require('../db/auditStore');
+const gitlabService = require('../services/gitlabService');
+const aiService = require('../services/aiService');
+const { createScriptedProvider } = require('../services/providers');
+
+jest.mock('node-fetch', () => jest.fn());
+const { Response } = jest.requireActual('node-fetch');
+
+async function resetLog() {
+  await connection.exec(`
+    DROP TRIGGER IF EXISTS audit_log_no_update;
+    DROP TRIGGER IF EXISTS audit_log_no_delete;
+    DROP TABLE IF EXISTS audit_log;
+  `);
+  await auditStore.init();
+}
+
+// Tampering needs the append-only triggers out of the way, as an attacker with file access would
+async function tamper(sql, params = []) {
+  await connection.exec('DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;');
+  await connection.run(sql, params);
+}
+
+async function appendThree() {
+  await auditStore.append({ type: 'webhook.received', projectId: 7, data: { object_kind: 'build' } });
+  await auditStore.append({ type: 'trace.fetched', projectId: 7, jobId: 501, data: { lines: 120 } });
+  await auditStore.append({ type: 'gate.decision', projectId: 7, jobId: 501, data: { decision: 'create', confidence: 0.8 } });
+}
+
+describe('auditStore.verifyChain', () => {
+  beforeAll(() => connection.open());
+  beforeEach(resetLog);
+
+  test('should link every record to the previous one', async () => {
+    await appendThree();
+
+    const rows = await auditStore.list({ projectId: 7 });
+    expect(rows.map(r => r.seq)).toEqual([1, 2, 3]);
+    expect(rows[0].prev_hash).toBe(auditStore.GENESIS_HASH);
+    expect(rows[1].prev_hash).toBe(rows[0].hash);
+    expect(rows[2].data).toEqual({ decision: 'create', confidence: 0.8 });
+    expect(await auditStore.verifyChain()).toEqual({ ok: true, checked: 3, head: { seq: 3, hash: rows[2].hash } });
+  });
+
+  test('should keep the chain linear under concurrent appends', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => auditStore.append({ type: 'ai.call', data: { i } })));
+
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: true, checked: 20 });
+  });
+
+  test('should reject updates and deletes', async () => {
+    await appendThree();
+
+    await expect(connection.run('UPDATE audit_log SET data = ? WHERE seq = 2', ['{}'])).rejects.toThrow(/append-only/);
+    await expect(connection.run('DELETE FROM audit_log WHERE seq = 3')).rejects.toThrow(/append-only/);
+  });
+
+  test('should detect an edited record', async () => {
+    await appendThree();
+    await tamper('UPDATE audit_log SET data = ? WHERE seq = 2', ['{"lines":1}']);
+
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: false, checked: 1, error: { seq: 2, reason: 'hash_mismatch' } });
+  });
+
+  test('should detect a removed record', async () => {
+    await appendThree();
+    await tamper('DELETE FROM audit_log WHERE seq = 2');
+
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: false, error: { seq: 2, reason: 'gap', actual: 3 } });
+  });
+
+  test('should detect a rewritten chain by its broken links', async () => {
+    await appendThree();
+    await tamper('UPDATE audit_log SET prev_hash = ? WHERE seq = 3', ['f'.repeat(64)]);
+
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: false, error: { seq: 3, reason: 'prev_hash_mismatch' } });
+  });
+
+  test('should detect records removed from the end against an anchor', async () => {
+    await appendThree();
+    const anchor = await auditStore.head();
+    await tamper('DELETE FROM audit_log WHERE seq = 3');
+
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: true, checked: 2 });
+    expect(await auditStore.verifyChain({ anchor })).toMatchObject({ ok: false, error: { seq: 3, reason: 'anchor_mismatch' } });
+  });
+});
+
+describe('audit trail of Guardian decisions', () => {
+  beforeAll(() => connection.open());
+  beforeEach(resetLog);
+  afterEach(() => aiService.setProvider(null));
+
+  test('should record GitLab writes with long texts as hashes', async () => {
+    fetch.mockImplementation(async () => new Response('{"iid":3}', { status: 201 }));
+
+    await gitlabService.createIssue(7, 'Build failed', 'x'.repeat(500), ['ai:analysis']);
+
+    const [row] = await auditStore.list({ type: 'gitlab.write' });
+    expect(row).toMatchObject({ project_id: '7', data: { action: 'issue.create', method: 'POST', path: '/projects/7/issues', ok: true, status: 201 } });
+    expect(row.data.body.title).toBe('Build failed');
+    expect(row.data.body.description).toMatchObject({ chars: 500 });
+  });
+
+  test('should record each model call with the prompt hash, model and response', async () => {
+    aiService.setProvider(createScriptedProvider([
+      '{"stage":"test","category":"test-assertion","root_cause":"assertion failed","suggested_fix":"fix the test","confidence":0.7,"explain":"x","evidence_lines":[],"affected_files":[],"reproduction_commands":[],"blocking":true}'
+    ]));
+
+    await aiService.analyzeFailure({ projectId: 7, jobId: 501, jobName: 'test', logs: 'expected 1 to equal 2' });
+
+    const [row] = await auditStore.list({ type: 'ai.call' });
+    expect(row).toMatchObject({ project_id: '7', job_id: '501', data: { provider: 'scripted', model: 'scripted', response: expect.stringContaining('assertion failed') } });
+    expect(row.data.prompt_sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(await auditStore.verifyChain()).toMatchObject({ ok: true });
+  });
+});
@@ -0,0 +1,89 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.AI_PROJECT_BUDGET_DAILY_USD = '0.01';
+process.env.AI_PROJECT_BUDGETS = JSON.stringify({ 99: { daily: 0 } });
+process.env.AI_CACHE_TTL_SEC = '0';
+
+const aiUsageStore = require('../db/aiUsageStore');
+const budgetService = require('../services/budgetService');
+const aiService = require('../services/aiService');
+
+const response = '{"stage":"test","root_cause":"items is undefined","suggested_fix":"default items to []","confidence":0.8,"explain":"x","category":"test-assertion","evidence_lines":[],"affected_files":["src/list.js"],"reproduction_commands":["npm test"],"blocking":true}';
+
+// 100k prompt + 10k completion tokens of gpt-4o-mini: $0.015 + $0.006
+function pricedProvider() {
+  const calls = [];
+  return {
+    name: 'openai',
+    model: 'gpt-4o-mini',
+    calls,
+    async complete(request) {
+      calls.push(request);
+      return { text: response, usage: { promptTokens: 100000, completionTokens: 10000 } };
+    }
+  };
+}
+
+describe('budgetService.estimateCost', () => {
+  test('should price tokens per million and treat unknown models as free', () => {
+    expect(budgetService.estimateCost('gpt-4o-mini', { promptTokens: 100000, completionTokens: 10000 })).toBe(0.021);
+    expect(budgetService.estimateCost('llama3', { promptTokens: 100000 })).toBe(0);
+  });
+});
+
+describe('aiService.analyzeFailure budgets', () => {
+  beforeAll(() => aiUsageStore.init());
+  afterEach(() => aiService.setProvider(null));
+
+  test('should record usage and fall back to a heuristic analysis once the budget is spent', async () => {
+    const provider = pricedProvider();
+    aiService.setProvider(provider);
+    const input = {
+      projectId: 5,
+      jobId: 1,
+      jobName: 'test',
+      logs: 'FAIL src/list.test.js\nError: boom',
+      errorBlocks: [{ tool: 'jest', test: 'renders list', file: 'src/list.test.js', line: 12, message: 'TypeError: items is undefined', context: ['TypeError: items is undefined'] }]
+    };
+
+    const first = await aiService.analyzeFailure(input);
+    const second = await aiService.analyzeFailure({ ...input, jobId: 2 });
+
+    expect(first.root_cause).toBe('items is undefined');
+    expect(provider.calls).toHaveLength(1);
+    expect(second).toMatchObject({
+      source: 'heuristic',
+      root_cause: 'jest failure in renders list: TypeError: items is undefined (src/list.test.js:12)',
+      budget_exceeded: { scope: 'project', period: 'daily', limit_usd: 0.01, spent_usd: 0.021 }
+    });
+  });
+
+  test('should let a project with an unlimited override keep calling the model', async () => {
+    const provider = pricedProvider();
+    aiService.setProvider(provider);
+
+    await aiService.analyzeFailure({ projectId: 99, jobId: 1, jobName: 'test', logs: 'Error: boom' });
+    const second = await aiService.analyzeFailure({ projectId: 99, jobId: 2, jobName: 'test', logs: 'Error: boom' });
+
+    expect(provider.calls).toHaveLength(2);
+    expect(second.source).toBeUndefined();
+  });
+});
+
+describe('budgetService.usageReport', () => {
+  beforeAll(() => aiUsageStore.init());
+
+  test('should report spend per project against its budget', async () => {
+    await aiUsageStore.recordCall({ projectId: 7, model: 'gpt-4o-mini', promptTokens: 10, completionTokens: 5, costUsd: 0.002 });
+    // last month's calls do not count for today
+    await aiUsageStore.recordCall({ projectId: 7, costUsd: 5, at: budgetService.periodStart('monthly') - 10 });
+
+    const report = await budgetService.usageReport({ projectId: 7 });
+
+    expect(report.projects).toEqual([{
+      project_id: '7',
+      daily: { calls: 1, prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.002, budget_usd: 0.01, exhausted: false },
+      monthly: { calls: 1, prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.002, budget_usd: null, exhausted: false }
+    }]);
+    expect(report.global.daily.budget_usd).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const express = require('express');
+const request = require('supertest');
+const jobQueue = require('../db/jobQueue');
+const deliveryStore = require('../db/deliveryStore');
+const webhookRoutes = require('../routes/webhook');
+
+const baseEvent = {
+  object_kind: 'build',
+  build_id: 501,
+  build_name: 'test',
+  build_stage: 'test',
+  build_status: 'failed',
+  pipeline_id: 8,
+  project_id: 12,
+  sha: 'def456'
+};
+
+describe('deliveryStore.recordDelivery', () => {
+  beforeAll(() => deliveryStore.init());
+
+  test('should flag a repeated event UUID before a repeated payload', async () => {
+    const first = await deliveryStore.recordDelivery({ eventUuid: 'uuid-1', payloadHash: 'h1' });
+    expect(first.duplicate).toBe(false);
+
+    const byUuid = await deliveryStore.recordDelivery({ eventUuid: 'uuid-1', payloadHash: 'h2' });
+    expect(byUuid).toMatchObject({ duplicate: true, reason: 'duplicate_event_uuid' });
+
+    const byHash = await deliveryStore.recordDelivery({ eventUuid: 'uuid-2', payloadHash: 'h1' });
+    expect(byHash).toMatchObject({ duplicate: true, reason: 'duplicate_payload' });
+  });
+
+  test('should accept a delivery again after it is released', async () => {
+    const first = await deliveryStore.recordDelivery({ eventUuid: 'uuid-3', payloadHash: 'h3' });
+    await deliveryStore.releaseDelivery(first.id);
+    const again = await deliveryStore.recordDelivery({ eventUuid: 'uuid-3', payloadHash: 'h3' });
+    expect(again.duplicate).toBe(false);
+  });
+});
+
+describe('POST /webhook delivery checks', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook', webhookRoutes);
+
+  beforeAll(async () => {
+    await jobQueue.init();
+    await deliveryStore.init();
+  });
+
+  test('should drop a GitLab re-delivery with the same event UUID', async () => {
+    const first = await request(app).post('/webhook').set('X-Gitlab-Event-UUID', 'evt-1').send(baseEvent);
+    expect(first.status).toBe(202);
+
+    const retry = await request(app).post('/webhook').set('X-Gitlab-Event-UUID', 'evt-1').send(baseEvent);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toMatchObject({ msg: 'delivery-dropped', reason: 'duplicate_event_uuid' });
+    expect(await jobQueue.stats()).toMatchObject({ pending: 1 });
+  });
+
+  test('should drop an identical payload without a UUID header', async () => {
+    const event = { ...baseEvent, build_id: 502 };
+    expect((await request(app).post('/webhook').send(event)).status).toBe(202);
+
+    const retry = await request(app).post('/webhook').send(event);
+    expect(retry.body).toMatchObject({ msg: 'delivery-dropped', reason: 'duplicate_payload' });
+  });
+
+  test('should reject events older than the max age', async () => {
+    const event = { ...baseEvent, build_id: 503, build_finished_at: '2021-02-23 02:41:37 UTC' };
+    const res = await request(app).post('/webhook').send(event);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ msg: 'delivery-dropped', reason: 'stale_event' });
+  });
+});
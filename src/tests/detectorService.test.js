@@ -0,0 +1,129 @@
+const detectorService = require('../services/detectorService');
+const gitlabService = require('../services/gitlabService');
+const { parseYarnLock, parseRequirements, parseGoSum } = require('../utils/lockfileParser');
+const { compareVersions } = require('../services/advisoryDb');
+
+jest.mock('../services/gitlabService', () => ({
+  getFileAtCommit: jest.fn(),
+  getCommitDiff: jest.fn()
+}));
+
+const FILES = {
+  'package-lock.json': JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app' },
+      'node_modules/lodash': { version: '4.17.15' },
+      'node_modules/express': { version: '4.21.2' }
+    }
+  }),
+  'requirements.txt': 'requests==2.28.0\n# pinned for py3.8\npyyaml==6.0\n',
+  'deploy/upload.js': 'const s3 = new S3({\n  accessKeyId: "AKIAZ7Q4M2XW9RTB3KLP"\n});\n'
+};
+
+describe('lockfileParser', () => {
+  test('should parse classic and berry yarn.lock entries', () => {
+    const classic = '"@babel/core@^7.0.0", "@babel/core@^7.1.0":\n  version "7.12.3"\n';
+    const berry = '"minimist@npm:^1.2.0":\n  version: 1.2.5\n';
+    expect(parseYarnLock(classic)).toEqual([{ ecosystem: 'npm', package: '@babel/core', version: '7.12.3' }]);
+    expect(parseYarnLock(berry)).toEqual([{ ecosystem: 'npm', package: 'minimist', version: '1.2.5' }]);
+  });
+
+  test('should only keep exact pins from requirements.txt', () => {
+    const out = parseRequirements('Django>=3.0\nPyYAML[extra]==5.3 ; python_version>"3"\n-r base.txt\n');
+    expect(out).toEqual([{ ecosystem: 'PyPI', package: 'pyyaml', version: '5.3' }]);
+  });
+
+  test('should collapse go.sum module and go.mod lines', () => {
+    const out = parseGoSum('golang.org/x/text v0.3.7 h1:abc=\ngolang.org/x/text v0.3.7/go.mod h1:def=\n');
+    expect(out).toEqual([{ ecosystem: 'Go', package: 'golang.org/x/text', version: '0.3.7' }]);
+  });
+
+  test('should only keep the go.sum version the build selects', () => {
+    const out = parseGoSum([
+      'golang.org/x/text v0.3.0/go.mod h1:a=',
+      'golang.org/x/text v0.3.7 h1:b=',
+      'golang.org/x/text v0.3.7/go.mod h1:c=',
+      'golang.org/x/net v0.0.0-20190620200207-3b0461eec859/go.mod h1:d=',
+      'golang.org/x/net v0.17.0 h1:e=',
+      'golang.org/x/net v0.17.0/go.mod h1:f='
+    ].join('\n'));
+    expect(out).toEqual([
+      { ecosystem: 'Go', package: 'golang.org/x/text', version: '0.3.7' },
+      { ecosystem: 'Go', package: 'golang.org/x/net', version: '0.17.0' }
+    ]);
+  });
+});
+
+describe('advisoryDb.compareVersions', () => {
+  test('should order numeric segments and pre-releases', () => {
+    expect(compareVersions('4.17.9', '4.17.21')).toBe(-1);
+    expect(compareVersions('v0.17.0', '0.17.0')).toBe(0);
+    expect(compareVersions('2.0.0rc1', '2.0.0')).toBe(-1);
+  });
+
+  test('should compare numeric pre-release parts as numbers', () => {
+    expect(compareVersions('2.0.0rc9', '2.0.0rc10')).toBe(-1);
+    expect(compareVersions('1.0.0-beta.11', '1.0.0-beta.2')).toBe(1);
+    expect(compareVersions('1.0.0-alpha', '1.0.0-alpha.1')).toBe(-1);
+    expect(compareVersions('1.0.0-1', '1.0.0-alpha')).toBe(-1);
+    expect(compareVersions('2.0.0a1', '2.0.0b1')).toBe(-1);
+  });
+
+  test('should order PEP 440 dev, pre-, post- and final releases', () => {
+    expect(compareVersions('2.31.0.post1', '2.31.0')).toBe(1);
+    expect(compareVersions('2.31.0.post1', '2.31.1')).toBe(-1);
+    expect(compareVersions('1.0.dev1', '1.0a1')).toBe(-1);
+    expect(compareVersions('1.0a1', '1.0b1')).toBe(-1);
+    expect(compareVersions('1.0b2', '1.0rc1')).toBe(-1);
+    expect(compareVersions('1.0rc1', '1.0')).toBe(-1);
+    expect(compareVersions('1.0a1.dev1', '1.0a1')).toBe(-1);
+    expect(compareVersions('1.0.post1.dev1', '1.0.post1')).toBe(-1);
+    expect(compareVersions('1.0.post1.dev1', '1.0')).toBe(1);
+    expect(compareVersions('1.0alpha1', '1.0a1')).toBe(0);
+    expect(compareVersions('1.0c1', '1.0rc1')).toBe(0);
+  });
+});
+
+describe('detectorService.loadAndVerifyArtifacts', () => {
+  beforeEach(() => {
+    gitlabService.getFileAtCommit.mockImplementation(async (_projectId, filePath) => FILES[filePath] || null);
+    gitlabService.getCommitDiff.mockResolvedValue([
+      { new_path: 'deploy/upload.js', deleted_file: false },
+      { new_path: 'package-lock.json', deleted_file: false },
+      { new_path: 'old/secrets.env', deleted_file: true }
+    ]);
+  });
+
+  test('should split vulnerable pins into high and other findings', async () => {
+    const result = await detectorService.loadAndVerifyArtifacts({ projectId: 1, commitSha: 'abc' });
+
+    const high = result.dependencyHigh.map(d => `${d.package}@${d.version}:${d.advisory}`);
+    expect(high).toEqual(expect.arrayContaining([
+      'lodash@4.17.15:GHSA-35jh-r3h4-6jhm',
+      'lodash@4.17.15:GHSA-p6mc-m468-83gw'
+    ]));
+    expect(high.some(h => h.startsWith('pyyaml'))).toBe(false);
+    expect(result.dependencyOther).toEqual([
+      expect.objectContaining({ package: 'requests', version: '2.28.0', advisory: 'GHSA-j8r2-6x86-q33q', severity: 'moderate' })
+    ]);
+    expect(result.metadata.lockfiles.map(l => l.file)).toEqual(['package-lock.json', 'requirements.txt']);
+  });
+
+  test('should produce verified repoHits for credentials in touched files', async () => {
+    const result = await detectorService.loadAndVerifyArtifacts({ projectId: 1, commitSha: 'abc' });
+
+    expect(result.metadata.scannedFiles).toEqual(['deploy/upload.js']);
+    expect(result.repoHits).toEqual([
+      expect.objectContaining({ file: 'deploy/upload.js', line: 2, rule: 'aws_access_key', verified: true })
+    ]);
+    expect(JSON.stringify(result.repoHits)).not.toContain('AKIAZ7Q4M2XW9RTB3KLP');
+  });
+
+  test('should record fetch errors without failing the scan', async () => {
+    gitlabService.getFileAtCommit.mockRejectedValue(new Error('boom'));
+    const result = await detectorService.loadAndVerifyArtifacts({ projectId: 1, commitSha: 'abc' });
+    expect(result.dependencyHigh).toEqual([]);
+    expect(result.metadata.errors.length).toBeGreaterThan(0);
+  });
+});
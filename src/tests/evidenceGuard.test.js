@@ -0,0 +1,55 @@
+const { verifyClaims } = require('../utils/evidenceGuard');
+
+const logs = [
+  '$ npm ci',
+  'npm ERR! code ETARGET',
+  'npm ERR! notarget No matching version found for lodash@5.0.0.',
+  'npm ERR! A complete log of this run can be found in: /root/.npm/_logs/debug.log'
+].join('\n');
+
+const analysis = {
+  stage: 'install',
+  category: 'dependency',
+  root_cause: 'lodash@5.0.0 is not published; package.json pins it (see CVE-2021-23337)',
+  suggested_fix: 'Pin lodash to 4.17.21 in package.json',
+  confidence: 0.8,
+  explain: 'npm could not resolve the version.',
+  evidence_lines: ['npm ERR! notarget   No matching version found for lodash@5.0.0.', 'npm ERR! peer dep missing: react@18'],
+  affected_files: ['package.json', 'src/deps/lock.js'],
+  reproduction_commands: ['npm ci'],
+  blocking: true
+};
+
+describe('evidenceGuard.verifyClaims', () => {
+  test('should remove unverifiable quotes and files, flag prose claims and scale confidence', () => {
+    const out = verifyClaims(analysis, { logs });
+
+    expect(out.evidence_lines).toEqual(['npm ERR! notarget   No matching version found for lodash@5.0.0.']);
+    // package.json is not in the log either
+    expect(out.affected_files).toEqual([]);
+    expect(out.evidence_check.claims).toEqual([
+      { type: 'log_line', value: analysis.evidence_lines[0], verified: true, found_in: 'trace', action: 'kept' },
+      { type: 'log_line', value: analysis.evidence_lines[1], verified: false, found_in: null, action: 'removed' },
+      { type: 'file', value: 'package.json', verified: false, found_in: null, action: 'removed' },
+      { type: 'file', value: 'src/deps/lock.js', verified: false, found_in: null, action: 'removed' },
+      { type: 'package', value: 'lodash', verified: true, found_in: 'trace', action: 'kept' },
+      { type: 'advisory', value: 'CVE-2021-23337', verified: false, found_in: null, action: 'flagged' }
+    ]);
+    expect(out.evidence_check).toMatchObject({ verified: 2, total: 6, confidence_before: 0.8 });
+    expect(out.confidence).toBe(0.27);
+  });
+
+  test('should accept claims backed by detector evidence', () => {
+    const evidence = { dependencyHigh: [{ package: 'lodash', version: '4.17.20', advisory: 'CVE-2021-23337' }] };
+    const out = verifyClaims({ ...analysis, evidence_lines: [], affected_files: [] }, { logs, evidence });
+
+    expect(out.evidence_check.claims.find(c => c.type === 'advisory')).toMatchObject({ verified: true, found_in: 'detector' });
+    expect(out.confidence).toBe(0.8);
+  });
+
+  test('should leave confidence alone when there is nothing to check', () => {
+    const out = verifyClaims({ ...analysis, root_cause: 'npm failed', suggested_fix: 'retry', evidence_lines: [], affected_files: [] }, { logs });
+    expect(out.confidence).toBe(0.8);
+    expect(out.evidence_check).toEqual({ verified: 0, total: 0, confidence_before: 0.8, claims: [] });
+  });
+});
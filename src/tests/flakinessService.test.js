@@ -0,0 +1,51 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const jobHistoryStore = require('../db/jobHistoryStore');
+const flakinessService = require('../services/flakinessService');
+
+let nextJobId = 1;
+function run(projectId, jobName, status, commitSha, ref = 'main') {
+  return flakinessService.recordOutcome({ projectId, jobId: nextJobId++, jobName, ref, commitSha, pipelineId: 1, status });
+}
+
+describe('flakinessService.flipRate', () => {
+  test('should count result changes between consecutive counted runs', () => {
+    expect(flakinessService.flipRate(['success', 'failed', 'success', 'success'])).toBeCloseTo(2 / 3);
+    expect(flakinessService.flipRate(['failed', 'canceled', 'failed'])).toBe(0);
+    expect(flakinessService.flipRate(['failed'])).toBe(0);
+  });
+});
+
+describe('flakinessService.assess', () => {
+  beforeAll(() => jobHistoryStore.init());
+
+  test('should flag a job that failed and passed on the same commit', async () => {
+    await run(1, 'test', 'failed', 'c1');
+    await run(1, 'test', 'success', 'c1');
+
+    const result = await flakinessService.assess({ projectId: 1, jobName: 'test', ref: 'main', commitSha: 'c1' });
+    expect(result).toMatchObject({ flaky: true, same_commit: true, reasons: ['passed_and_failed_on_same_commit'] });
+    expect(result.score).toBeGreaterThanOrEqual(flakinessService.FLAKY_FLIP_THRESHOLD);
+  });
+
+  test('should flag a job whose results keep flipping across commits', async () => {
+    const statuses = ['success', 'failed', 'success', 'failed', 'success', 'failed'];
+    for (const [i, status] of statuses.entries()) await run(2, 'e2e', status, `sha${i}`);
+
+    const result = await flakinessService.assess({ projectId: 2, jobName: 'e2e', ref: 'main', commitSha: 'sha5' });
+    expect(result).toMatchObject({ flaky: true, same_commit: false, samples: 6, score: 1 });
+  });
+
+  test('should not flag a job that broke and stayed broken', async () => {
+    const statuses = ['success', 'success', 'success', 'failed', 'failed', 'failed'];
+    for (const [i, status] of statuses.entries()) await run(3, 'build', status, `b${i}`);
+
+    const result = await flakinessService.assess({ projectId: 3, jobName: 'build', ref: 'main', commitSha: 'b5' });
+    expect(result).toMatchObject({ flaky: false, reasons: [] });
+  });
+
+  test('should ignore a run that was already recorded', async () => {
+    expect(await jobHistoryStore.recordOutcome({ projectId: 4, jobId: 900, jobName: 'lint', status: 'failed' })).toBe(true);
+    expect(await jobHistoryStore.recordOutcome({ projectId: 4, jobId: 900, jobName: 'lint', status: 'failed' })).toBe(false);
+  });
+});
@@ -0,0 +1,171 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.GITLAB_TOKEN = 'test-token';
+
+const fetch = require('node-fetch');
+const gitlabService = require('../services/gitlabService');
+const repoContentCache = require('../services/repoContentCache');
+
+jest.mock('node-fetch', () => jest.fn());
+const { Response } = jest.requireActual('node-fetch');
+
+const SHA = 'a'.repeat(40);
+
+describe('gitlabService.getFileAtCommit', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    repoContentCache.clear();
+  });
+
+  test('should return raw content and cache it per project, path and SHA', async () => {
+    fetch.mockImplementation(async () => new Response('line1\nline2\n', { status: 200 }));
+
+    const first = await gitlabService.getFileAtCommit(7, 'src/app.js', SHA);
+    const second = await gitlabService.getFileAtCommit(7, './src/app.js', SHA);
+
+    expect(first).toBe('line1\nline2\n');
+    expect(second).toBe(first);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toContain('/projects/7/repository/files/src%2Fapp.js/raw?ref=' + SHA);
+  });
+
+  test('should return null for a missing file and remember it', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ message: '404 File Not Found' }), { status: 404 }));
+
+    expect(await gitlabService.getFileAtCommit(7, 'yarn.lock', SHA)).toBeNull();
+    expect(await gitlabService.getFileAtCommit(7, 'yarn.lock', SHA)).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should throw REF_NOT_FOUND when the commit does not exist', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ message: '404 Commit Not Found' }), { status: 404 }));
+
+    await expect(gitlabService.getFileAtCommit(7, 'a.js', SHA)).rejects.toMatchObject({ code: 'REF_NOT_FOUND' });
+  });
+
+  test('should refuse files over the size limit', async () => {
+    fetch.mockImplementation(async () => new Response('x'.repeat(4096), { status: 200, headers: { 'Content-Length': '4096' } }));
+
+    await expect(gitlabService.getFileAtCommit(7, 'big.bin', SHA, { maxBytes: 2048 }))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+  });
+
+  test('should return the base64 payload from the files API', async () => {
+    const content = Buffer.from('hello').toString('base64');
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ size: 5, encoding: 'base64', content }), { status: 200 }));
+
+    const out = await gitlabService.getFileAtCommit(7, 'logo.png', SHA, { encoding: 'base64' });
+
+    expect(Buffer.from(out, 'base64').toString()).toBe('hello');
+    expect(fetch.mock.calls[0][0]).toContain('/repository/files/logo.png?ref=');
+  });
+
+  test('should not cache mutable refs such as branch names', async () => {
+    fetch.mockImplementation(async () => new Response('v1', { status: 200 }));
+
+    await gitlabService.getFileAtCommit(7, 'a.js', 'main');
+    await gitlabService.getFileAtCommit(7, 'a.js', 'main');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('gitlabService.createIssue', () => {
+  beforeEach(() => fetch.mockReset());
+
+  test('should create confidential issues on request', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ iid: 4 }), { status: 201 }));
+
+    await gitlabService.createIssue(7, 'Leak', 'body', ['ai:security'], { confidential: true });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ title: 'Leak', description: 'body', labels: 'ai:security', confidential: true });
+  });
+});
+
+describe('gitlabService.updateIssueState', () => {
+  beforeEach(() => fetch.mockReset());
+
+  test('should PUT the state event and added labels', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ iid: 3, state: 'opened' }), { status: 200 }));
+
+    await gitlabService.updateIssueState(7, 3, 'reopen', { addLabels: ['regression'] });
+
+    const [url, opts] = fetch.mock.calls[0];
+    expect(url).toContain('/projects/7/issues/3');
+    expect(opts.method).toBe('PUT');
+    expect(JSON.parse(opts.body)).toEqual({ state_event: 'reopen', add_labels: 'regression' });
+  });
+
+  test('should reject unknown state events', async () => {
+    await expect(gitlabService.updateIssueState(7, 3, 'delete')).rejects.toThrow('Invalid issue state event');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('gitlabService.openJobTrace', () => {
+  beforeEach(() => fetch.mockReset());
+
+  const readAll = async (trace) => {
+    const parts = [];
+    for await (const chunk of trace.chunks) parts.push(chunk);
+    return Buffer.concat(parts).toString();
+  };
+
+  test('should request only the tail and report where it starts', async () => {
+    fetch.mockImplementation(async () => new Response('tail of log', { status: 206, headers: { 'Content-Range': 'bytes 9000-9010/9011' } }));
+
+    const trace = await gitlabService.openJobTrace(7, 42, { tailBytes: 11 });
+
+    expect(fetch.mock.calls[0][1].headers.Range).toBe('bytes=-11');
+    expect(trace).toMatchObject({ method: 'range', startOffset: 9000, totalBytes: 9011 });
+    expect(await readAll(trace)).toBe('tail of log');
+  });
+
+  test('should stream the full trace when the range is ignored', async () => {
+    fetch.mockImplementation(async () => new Response('whole log', { status: 200 }));
+
+    const trace = await gitlabService.openJobTrace(7, 42, { tailBytes: 11 });
+
+    expect(trace).toMatchObject({ method: 'full', startOffset: 0 });
+    expect(await readAll(trace)).toBe('whole log');
+  });
+});
+
+describe('gitlabService.getPipelineGraph', () => {
+  beforeEach(() => fetch.mockReset());
+
+  test('should return stages and job dependencies from GraphQL', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({
+      data: {
+        project: {
+          pipeline: {
+            stages: { nodes: [{ name: 'build' }, { name: 'test' }] },
+            jobs: {
+              nodes: [
+                { name: 'compile', schedulingType: 'STAGE', stage: { name: 'build' }, needs: { nodes: [] } },
+                { name: 'unit', schedulingType: 'DAG', stage: { name: 'test' }, needs: { nodes: [{ name: 'compile' }] } }
+              ]
+            }
+          }
+        }
+      }
+    }), { status: 200 }));
+
+    const graph = await gitlabService.getPipelineGraph(7, 'group/app', 99);
+
+    expect(graph).toEqual({
+      stages: ['build', 'test'],
+      jobs: [
+        { name: 'compile', stage: 'build', schedulingType: 'stage', needs: [] },
+        { name: 'unit', stage: 'test', schedulingType: 'dag', needs: ['compile'] }
+      ]
+    });
+    const [url, opts] = fetch.mock.calls[0];
+    expect(url).toMatch(/\/api\/graphql$/);
+    expect(JSON.parse(opts.body).variables).toEqual({ fullPath: 'group/app', pipelineId: 'gid://gitlab/Ci::Pipeline/99' });
+  });
+
+  test('should throw on GraphQL errors', async () => {
+    fetch.mockImplementation(async () => new Response(JSON.stringify({ errors: [{ message: 'not authorized' }] }), { status: 200 }));
+
+    await expect(gitlabService.getPipelineGraph(7, 'group/app', 99)).rejects.toThrow('not authorized');
+  });
+});
@@ -0,0 +1,53 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const fpStore = require('../db/fingerprintStore');
+const analysisHistoryStore = require('../db/analysisHistoryStore');
+const historyService = require('../services/historyService');
+const { buildPrompt } = require('../services/aiService');
+
+const TIMEOUT = '[jest] ApiClient › fetches users (src/api.test.js:12)\n  thrown: Exceeded timeout of 5000 ms for a test.';
+const OOM = 'FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory';
+
+describe('historyService.findSimilar', () => {
+  beforeAll(async () => {
+    await fpStore.init();
+    await analysisHistoryStore.init();
+    await historyService.recordAnalysis({ projectId: 5, issueIid: 10, jobName: 'test', text: TIMEOUT, analysis: { root_cause: 'API mock not started', suggested_fix: 'start the mock server in beforeAll' } });
+    await historyService.recordAnalysis({ projectId: 5, issueIid: 11, jobName: 'build', text: OOM, analysis: { root_cause: 'webpack runs out of heap', suggested_fix: 'raise --max-old-space-size' } });
+    await fpStore.insertMappingAtomic({ fingerprint: 'v2:hist', projectId: 5, issueIid: 10 });
+    await fpStore.setIssueStatus(5, 10, 'closed');
+  });
+
+  test('should return the most similar past case with its resolution', async () => {
+    const text = '[jest] ApiClient › fetches users (src/api.test.js:40)\n  thrown: Exceeded timeout of 10000 ms for a test.';
+    const [best, ...rest] = await historyService.findSimilar({ projectId: 5, text });
+
+    expect(best).toMatchObject({ issue_iid: 10, status: 'closed', root_cause: 'API mock not started' });
+    expect(best.similarity).toBeGreaterThan(0.8);
+    expect(rest).toEqual([]);
+  });
+
+  test('should not match other projects or unrelated failures', async () => {
+    expect(await historyService.findSimilar({ projectId: 6, text: TIMEOUT })).toEqual([]);
+    expect(await historyService.findSimilar({ projectId: 5, text: 'npm ERR! code E404 registry 404 Not Found' })).toEqual([]);
+  });
+
+  test('should keep the earlier diagnosis when the AI was unavailable', async () => {
+    expect(await historyService.recordAnalysis({ projectId: 5, issueIid: 11, text: OOM, analysis: { root_cause: 'AI_UNAVAILABLE' } })).toBe(false);
+    const [match] = await historyService.findSimilar({ projectId: 5, text: OOM });
+    expect(match).toMatchObject({ issue_iid: 11, root_cause: 'webpack runs out of heap' });
+  });
+});
+
+describe('aiService.buildPrompt', () => {
+  test('should label similar past cases as unverified hints', () => {
+    const prompt = buildPrompt({
+      jobName: 'test',
+      logs: 'timeout',
+      similarCases: [{ issue_iid: 10, status: 'closed', similarity: 0.91, job_name: 'test', root_cause: 'API mock not started', suggested_fix: 'start the mock' }]
+    });
+    expect(prompt).toContain('Similar past failures in this project');
+    expect(prompt).toContain('NOT verified evidence');
+    expect(prompt).toContain('Past case 1: issue #10 (resolved, similarity 0.91, job "test")');
+  });
+});
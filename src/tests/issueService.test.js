@@ -1,12 +1,24 @@
+process.env.FP_DB_FILE = ':memory:';
+
 const issueService = require('../services/issueService');
 const gitlabService = require('../services/gitlabService');
+const fpStore = require('../db/fingerprintStore');
+const { makeFingerprint, normStr } = require('../utils/aiHelpers');
 
 // mock gitlab service
 jest.mock('../services/gitlabService', () => ({
-  createIssue: jest.fn().mockResolvedValue({ iid: 42, title: '[AUTO] test issue' })
+  createIssue: jest.fn().mockResolvedValue({ iid: 42, title: '[AUTO] test issue' }),
+  createIssueComment: jest.fn().mockResolvedValue({}),
+  searchOpenIssues: jest.fn().mockResolvedValue([]),
+  updateIssueState: jest.fn().mockResolvedValue({}),
+  updateIssueLabels: jest.fn().mockResolvedValue({}),
+  getFileAtCommit: jest.fn().mockResolvedValue(null),
+  getIssue: jest.fn().mockResolvedValue({ state: 'opened' })
 }));
 
 describe('issueService.createIssueFromAnalysis', () => {
+  beforeAll(() => fpStore.init());
+
   test('should call gitlabService.createIssue', async () => {
     const analysis = {
       stage: 'build',
@@ -16,7 +28,8 @@ describe('issueService.createIssueFromAnalysis', () => {
     };
 
     const job = { name: 'build-job' };
-    const result = await issueService.createIssueFromAnalysis(123, {
+    const event = { build_id: 7, build_name: 'build-job' };
+    const result = await issueService.createIssueFromAnalysis(event, 123, {
       pipelineId: 1,
       job,
       analysis
@@ -25,4 +38,283 @@ describe('issueService.createIssueFromAnalysis', () => {
     expect(gitlabService.createIssue).toHaveBeenCalled();
     expect(result.iid).toBe(42);
   });
+
+  test('should comment on the same issue when the failure recurs on another pipeline', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 50 });
+    const analysis = { stage: 'test', root_cause: 'assertion', suggested_fix: 'fix test', confidence: 0.9 };
+    const job = { name: 'unit' };
+
+    await issueService.createIssueFromAnalysis({ build_id: 10 }, 321, {
+      pipelineId: 100, job, analysis, commitSha: 'aaa', logExcerpt: '10:00:01 Error: expected 3 (120 ms)'
+    });
+    const again = await issueService.createIssueFromAnalysis({ build_id: 11 }, 321, {
+      pipelineId: 101, job, analysis, commitSha: 'bbb', logExcerpt: '11:30:45 Error: expected 3 (98 ms)'
+    });
+
+    expect(gitlabService.createIssue).toHaveBeenCalledTimes(1);
+    expect(again).toEqual({ existing: true, issue_iid: 50, reopened: false });
+  });
+
+  test('should still resolve fingerprints recorded by the legacy algorithm', async () => {
+    gitlabService.createIssue.mockClear();
+    const logExcerpt = 'Error: disk full';
+    const legacy = makeFingerprint({ projectId: 555, jobId: 3, pipelineId: 9, commitSha: 'ccc', excerpt: normStr(logExcerpt).slice(0, 200) });
+    await fpStore.insertMappingAtomic({ fingerprint: legacy, projectId: 555, issueIid: 77 });
+
+    const result = await issueService.createIssueFromAnalysis({ build_id: 3 }, 555, {
+      pipelineId: 9, job: { name: 'build' }, analysis: { root_cause: 'disk', confidence: 0.9 }, commitSha: 'ccc', logExcerpt
+    });
+
+    expect(result).toEqual({ existing: true, issue_iid: 77, reopened: false });
+    expect(gitlabService.createIssue).not.toHaveBeenCalled();
+    expect((await fpStore.getByFingerprint(legacy)).fp_version).toBe(1);
+  });
+});
+
+describe('issueService flaky failures', () => {
+  const flakiness = { flaky: true, score: 0.5, samples: 6, reasons: ['flip_rate_above_threshold'], same_commit: false };
+
+  beforeAll(() => fpStore.init());
+
+  test('should label flaky failures and never mark them critical', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 60 });
+    const analysis = { stage: 'test', root_cause: 'leaked api key in fixture', suggested_fix: 'rotate', confidence: 0.9, category: 'security' };
+
+    await issueService.createIssueFromAnalysis({ build_id: 1 }, 800, {
+      pipelineId: 1, job: { name: 'integration' }, analysis, logExcerpt: 'Error: socket hang up', flakiness
+    });
+
+    const [, , description, labels] = gitlabService.createIssue.mock.calls[0];
+    expect(labels).toEqual(expect.arrayContaining(['flaky', 'severity:low']));
+    expect(labels).not.toContain('severity:critical');
+    expect(description).toContain('**Flakiness:** score 0.5 over 6 runs');
+  });
+
+
+  test('should label the open issues of a job once it passes on a failed commit', async () => {
+    gitlabService.updateIssueLabels.mockClear();
+    expect(await issueService.markFlaky(800, { jobName: 'integration', flakiness })).toEqual([60]);
+    expect(gitlabService.updateIssueLabels).toHaveBeenCalledWith(800, 60, { add: ['flaky'] });
+  });
+});
+
+describe('issueService trace sections', () => {
+  beforeAll(() => fpStore.init());
+
+  test('should list job section timings and mark the failing section', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 61 });
+    const traceSections = {
+      failing: 'restore_cache',
+      timings: [{ name: 'get_sources', duration_sec: 4, failed: false }, { name: 'restore_cache', duration_sec: 95, failed: true }]
+    };
+
+    await issueService.createIssueFromAnalysis({ build_id: 2 }, 801, {
+      pipelineId: 2, job: { name: 'build' }, analysis: { root_cause: 'cache', confidence: 0.9 }, logExcerpt: 'FATAL: cache extraction failed', traceSections
+    });
+
+    const description = gitlabService.createIssue.mock.calls[0][2];
+    expect(description).toContain('| `get_sources` | 4s |');
+    expect(description).toContain('| `restore_cache` ❌ | 1m 35s |');
+  });
+});
+
+describe('issueService failure categories', () => {
+  beforeAll(() => fpStore.init());
+
+  test('should label by category and list evidence, files and reproduction commands', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 62 });
+    const analysis = {
+      stage: 'lint',
+      category: 'compile',
+      root_cause: 'secret-sauce.ts does not type-check',
+      suggested_fix: 'fix the type',
+      confidence: 0.9,
+      evidence_lines: ['src/secret-sauce.ts(3,7): error TS2322'],
+      affected_files: ['src/secret-sauce.ts'],
+      reproduction_commands: ['npx tsc --noEmit'],
+      blocking: true
+    };
+
+    await issueService.createIssueFromAnalysis({ build_id: 3 }, 802, {
+      pipelineId: 3, job: { name: 'lint' }, analysis, logExcerpt: 'error TS2322'
+    });
+
+    const [, , description, labels] = gitlabService.createIssue.mock.calls[0];
+    // no security labels from words in the root cause
+    expect(labels).toEqual(['ai:analysis', 'category:compile']);
+    expect(description).toContain('**Category:** compile');
+    expect(description).toContain('- `src/secret-sauce.ts`');
+    expect(description).toContain('```sh\nnpx tsc --noEmit\n```');
+  });
+});
+
+describe('issueService claim verification', () => {
+  beforeAll(() => fpStore.init());
+
+  test('should show which claims were verified and the lowered confidence', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 63 });
+    const analysis = {
+      stage: 'test', category: 'test-assertion', root_cause: 'bad fixture', suggested_fix: 'fix', confidence: 0.45,
+      evidence_check: {
+        verified: 1,
+        total: 2,
+        confidence_before: 0.9,
+        claims: [
+          { type: 'file', value: 'src/a.js', verified: true, found_in: 'trace', action: 'kept' },
+          { type: 'advisory', value: 'CVE-2020-0001', verified: false, found_in: null, action: 'flagged' }
+        ]
+      }
+    };
+
+    await issueService.createIssueFromAnalysis({ build_id: 4 }, 803, { pipelineId: 4, job: { name: 'test' }, analysis, logExcerpt: 'Error: a' });
+
+    const description = gitlabService.createIssue.mock.calls[0][2];
+    expect(description).toContain('- Claim check: 1 of 2 claims found in the job log or detector evidence (confidence lowered from 0.9 to 0.45).');
+    expect(description).toContain('  - ✅ file `src/a.js` (found in job log)');
+    expect(description).toContain('  - ⚠️ advisory `CVE-2020-0001` not found — unverified, treat with care');
+  });
+
+  test('should auto-create when every claim checks out and the affected files exist at the commit', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 64 }).mockResolvedValueOnce({ iid: 65 });
+    gitlabService.getFileAtCommit.mockImplementation(async (_projectId, filePath) => (filePath === 'src/app.js' ? 'const a = 1;\nexpect(a).toBe(2);\n' : null));
+    const analysis = (file) => ({
+      stage: 'test', category: 'test-assertion', root_cause: 'wrong expectation', suggested_fix: 'fix', confidence: 0.3,
+      evidence_lines: ['expect(a).toBe(2)'],
+      affected_files: [file],
+      evidence_check: { verified: 2, total: 2, confidence_before: 0.3, claims: [] }
+    });
+
+    await issueService.createIssueFromAnalysis({ build_id: 5 }, 804, { pipelineId: 5, job: { name: 'test' }, analysis: analysis('src/app.js:2'), logExcerpt: 'Error: b', commitSha: 'abc' });
+    await issueService.createIssueFromAnalysis({ build_id: 6 }, 805, { pipelineId: 6, job: { name: 'test' }, analysis: analysis('src/gone.js'), logExcerpt: 'Error: c', commitSha: 'abc' });
+
+    expect(gitlabService.getFileAtCommit).toHaveBeenCalledWith(804, 'src/app.js', 'abc');
+    const [verified, missing] = gitlabService.createIssue.mock.calls;
+    expect(verified[3]).toContain('ai:validated');
+    expect(verified[3]).not.toContain('ai:unverified');
+    expect(verified[2]).toContain('- Every AI claim was found in the job log or detector evidence, and the affected files exist at commit abc.');
+    expect(missing[3]).toContain('ai:unverified');
+    expect(missing[3]).not.toContain('ai:validated');
+  });
+});
+
+describe('issueService similar past issues', () => {
+  beforeAll(() => fpStore.init());
+
+  test('should link the similar earlier issues', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 62 });
+    const similarCases = [{ issue_iid: 12, status: 'closed', similarity: 0.87, root_cause: 'registry outage' }];
+
+    await issueService.createIssueFromAnalysis({ build_id: 3 }, 802, {
+      pipelineId: 3, job: { name: 'install' }, analysis: { root_cause: 'registry', confidence: 0.9 }, logExcerpt: 'npm ERR! code E503', similarCases
+    });
+
+    expect(gitlabService.createIssue.mock.calls[0][2]).toContain('- #12 (resolved, 87% similar): registry outage');
+  });
+});
+
+describe('issueService.recordJobSuccess', () => {
+  const analysis = { stage: 'test', root_cause: 'timeout', suggested_fix: 'raise timeout', confidence: 0.9 };
+  const job = { name: 'e2e 1/2' };
+  const logExcerpt = 'Error: Timeout of 5000ms exceeded';
+
+  beforeAll(() => fpStore.init());
+
+  test('should close the issue after enough green runs and reopen it as a regression', async () => {
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 90 });
+    await issueService.createIssueFromAnalysis({ build_id: 1 }, 700, { pipelineId: 1, job, analysis, logExcerpt });
+
+    expect(await issueService.recordJobSuccess(700, { jobName: 'e2e 2/2', pipelineId: 2 })).toEqual({ tracked: 1, closed: [] });
+    await issueService.recordJobSuccess(700, { jobName: 'e2e 1/2', pipelineId: 3 });
+    expect(gitlabService.updateIssueState).not.toHaveBeenCalled();
+
+    const third = await issueService.recordJobSuccess(700, { jobName: 'e2e 1/2', pipelineId: 4 });
+    expect(third.closed).toEqual([90]);
+    expect(gitlabService.updateIssueState).toHaveBeenCalledWith(700, 90, 'close');
+    expect(await issueService.recordJobSuccess(700, { jobName: 'e2e 1/2', pipelineId: 5 })).toEqual({ tracked: 0, closed: [] });
+
+    gitlabService.createIssueComment.mockClear();
+    const again = await issueService.createIssueFromAnalysis({ build_id: 6 }, 700, { pipelineId: 6, job, analysis, logExcerpt });
+    expect(again).toEqual({ existing: true, issue_iid: 90, reopened: true });
+    expect(gitlabService.updateIssueState).toHaveBeenCalledWith(700, 90, 'reopen', { addLabels: ['regression'] });
+    expect(gitlabService.createIssueComment.mock.calls[0][2]).toContain('Regression');
+  });
+
+  test('should count a replayed green job only once', async () => {
+    gitlabService.updateIssueState.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 92 });
+    await issueService.createIssueFromAnalysis({ build_id: 1 }, 702, { pipelineId: 1, job, analysis, logExcerpt });
+
+    for (let i = 0; i < 3; i++) {
+      expect(await issueService.recordJobSuccess(702, { jobName: 'e2e 1/2', pipelineId: 2, jobId: 501 })).toEqual({ tracked: 1, closed: [] });
+    }
+    expect(gitlabService.updateIssueState).not.toHaveBeenCalled();
+
+    await issueService.recordJobSuccess(702, { jobName: 'e2e 1/2', pipelineId: 3, jobId: 502 });
+    const third = await issueService.recordJobSuccess(702, { jobName: 'e2e 1/2', pipelineId: 4, jobId: 503 });
+    expect(third.closed).toEqual([92]);
+  });
+
+  test('should restart the green streak when the failure recurs before closing', async () => {
+    gitlabService.updateIssueState.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 91 });
+    const lint = { name: 'lint' };
+    await issueService.createIssueFromAnalysis({ build_id: 1 }, 701, { pipelineId: 1, job: lint, analysis, logExcerpt });
+
+    await issueService.recordJobSuccess(701, { jobName: 'lint', pipelineId: 2 });
+    await issueService.recordJobSuccess(701, { jobName: 'lint', pipelineId: 3 });
+    await issueService.createIssueFromAnalysis({ build_id: 4 }, 701, { pipelineId: 4, job: lint, analysis, logExcerpt });
+    await issueService.recordJobSuccess(701, { jobName: 'lint', pipelineId: 5 });
+
+    expect(gitlabService.updateIssueState).not.toHaveBeenCalled();
+  });
+});
+
+describe('issueService.reportSecretLeak', () => {
+  const job = { id: 77, name: 'deploy', web_url: 'https://gitlab.example.com/g/p/-/jobs/77' };
+  const findings = [{ rule: 'aws_access_key', line: 120 }, { rule: 'env_assignment', line: 121 }];
+
+  beforeAll(() => fpStore.init());
+
+  test('should open a confidential security issue naming the job, rule and line', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 95 });
+
+    const issue = await issueService.reportSecretLeak(800, { job, jobName: 'deploy', pipelineId: 9, findings });
+
+    expect(issue.iid).toBe(95);
+    const [projectId, title, description, labels, opts] = gitlabService.createIssue.mock.calls[0];
+    expect(projectId).toBe(800);
+    expect(title).toContain('deploy');
+    expect(labels).toEqual(['ai:security', 'severity:critical']);
+    expect(opts).toEqual({ confidential: true });
+    expect(description).toContain('| `aws_access_key` | ~120 |');
+    expect(description).toMatch(/Rotate/);
+  });
+
+  test('should comment on the existing issue, reopen it only when closed in GitLab, and never auto-close it', async () => {
+    gitlabService.createIssue.mockClear();
+    gitlabService.createIssueComment.mockClear();
+    gitlabService.updateIssueState.mockClear();
+
+    const again = await issueService.reportSecretLeak(800, { job, jobName: 'deploy', pipelineId: 10, findings: findings.slice(0, 1) });
+
+    expect(again).toEqual({ existing: true, issue_iid: 95 });
+    expect(gitlabService.createIssue).not.toHaveBeenCalled();
+    expect(gitlabService.createIssueComment.mock.calls[0][1]).toBe(95);
+    expect(gitlabService.updateIssueState).not.toHaveBeenCalled();
+
+    // closed by a person in GitLab; the local mapping still says open
+    gitlabService.getIssue.mockResolvedValueOnce({ state: 'closed' });
+    await issueService.reportSecretLeak(800, { job, jobName: 'deploy', pipelineId: 10, findings: findings.slice(0, 1) });
+    expect(gitlabService.getIssue).toHaveBeenCalledWith(800, 95);
+    expect(gitlabService.updateIssueState).toHaveBeenCalledWith(800, 95, 'reopen');
+    expect(await issueService.recordJobSuccess(800, { jobName: 'deploy', pipelineId: 11 })).toEqual({ tracked: 0, closed: [] });
+  });
 });
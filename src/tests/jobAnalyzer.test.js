@@ -0,0 +1,123 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const fpStore = require('../db/fingerprintStore');
+const jobHistoryStore = require('../db/jobHistoryStore');
+const analysisHistoryStore = require('../db/analysisHistoryStore');
+const jobQueue = require('../db/jobQueue');
+const gitlabService = require('../services/gitlabService');
+const traceService = require('../services/traceService');
+const detectorService = require('../services/detectorService');
+const aiService = require('../services/aiService');
+const issueService = require('../services/issueService');
+const jobAnalyzer = require('../services/jobAnalyzer');
+const analysisWorker = require('../services/analysisWorker');
+const { createScriptedProvider } = require('../services/providers');
+
+jest.mock('../services/gitlabService', () => ({
+  createIssue: jest.fn().mockResolvedValue({ iid: 61 }),
+  createIssueComment: jest.fn().mockResolvedValue({}),
+  searchOpenIssues: jest.fn().mockResolvedValue([]),
+  updateIssueState: jest.fn().mockResolvedValue({}),
+  updateIssueLabels: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/traceService', () => ({
+  ...jest.requireActual('../services/traceService'),
+  loadJobTrace: jest.fn()
+}));
+jest.mock('../services/detectorService', () => ({
+  loadAndVerifyArtifacts: jest.fn()
+}));
+
+const TRACE = 'npm audit\nfound 1 high severity vulnerability in lodash\nnpm ERR! audit failed';
+
+const failedJob = (id, extra = {}) => ({
+  event: { object_kind: 'build', build_id: id, build_name: 'audit', build_status: 'failed', ref: 'main' },
+  projectId: 8,
+  pipelineId: 300 + id,
+  job: { id, name: 'audit' },
+  jobName: 'audit',
+  commitSha: 'c0ffee',
+  ...extra
+});
+
+describe('jobAnalyzer.analyzeSingleJob', () => {
+  let provider;
+
+  beforeAll(async () => {
+    await fpStore.init();
+    await jobHistoryStore.init();
+    await analysisHistoryStore.init();
+    await jobQueue.init();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    traceService.loadJobTrace.mockResolvedValue({ text: TRACE, truncated: false, method: 'full' });
+    detectorService.loadAndVerifyArtifacts.mockResolvedValue({
+      repoHits: [],
+      dependencyHigh: [{ package: 'lodash', version: '4.17.15', ecosystem: 'npm', advisory: 'GHSA-p6mc-m468-83gw', aliases: ['CVE-2020-8203'], severity: 'high', fixed: '4.17.19', file: 'package-lock.json' }],
+      dependencyOther: [],
+      metadata: { checked_at: new Date().toISOString() }
+    });
+    provider = createScriptedProvider([{
+      stage: 'test',
+      category: 'security',
+      root_cause: 'lodash 4.17.15 is affected by CVE-2020-8203',
+      suggested_fix: 'Upgrade lodash to 4.17.19',
+      confidence: 0.8,
+      explain: 'npm audit fails on the prototype pollution advisory for lodash@4.17.15.',
+      evidence_lines: ['npm ERR! audit failed'],
+      affected_files: ['package-lock.json'],
+      reproduction_commands: ['npm audit'],
+      blocking: true
+    }]);
+    aiService.setProvider(provider);
+  });
+
+  afterAll(() => aiService.setProvider(null));
+
+  test('should give the model the detector findings and verify claims against them', async () => {
+    const result = await jobAnalyzer.analyzeSingleJob(failedJob(41));
+
+    expect(provider.calls).toHaveLength(1);
+    expect(provider.calls[0].prompt).toContain('GHSA-p6mc-m468-83gw');
+    expect(provider.calls[0].prompt).toContain('CVE-2020-8203');
+    expect(provider.calls[0].prompt).not.toContain('checked_at');
+    const claims = result.analysis.evidence_check.claims;
+    expect(claims).toEqual(expect.arrayContaining([expect.objectContaining({ value: 'CVE-2020-8203', verified: true, found_in: 'detector' })]));
+    expect(gitlabService.createIssue).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not open a leak issue for ordinary KEY=value lines', async () => {
+    const reportSecretLeak = jest.spyOn(issueService, 'reportSecretLeak');
+    const raw = `NODE_ENV=production\nCI_COMMIT_BRANCH=feature/long-name\n${TRACE}`;
+    traceService.loadJobTrace.mockImplementation(async (_projectId, _jobId, { redactor }) => ({ text: redactor.redact(raw, { lineOffset: 0 }), truncated: false, method: 'full' }));
+
+    await jobAnalyzer.analyzeSingleJob(failedJob(42));
+
+    expect(reportSecretLeak).not.toHaveBeenCalled();
+    reportSecretLeak.mockRestore();
+  });
+
+  test('should only retry the issue write after the issue could not be filed', async () => {
+    const reportSecretLeak = jest.spyOn(issueService, 'reportSecretLeak');
+    const raw = `export AWS=AKIA1234567890ABCDEF\n${TRACE}`;
+    traceService.loadJobTrace.mockImplementation(async (_projectId, _jobId, { redactor }) => ({ text: redactor.redact(raw, { lineOffset: 0 }), truncated: false, method: 'full' }));
+    // the leak issue is filed, the analysis issue is not
+    gitlabService.createIssue.mockResolvedValueOnce({ iid: 62 }).mockRejectedValueOnce(new Error('503 Service Unavailable'));
+
+    const id = await jobQueue.enqueue({ kind: 'job', payload: failedJob(43, { jobName: 'deploy', job: { id: 43, name: 'deploy' } }) });
+    const entry = await jobQueue.claimNext();
+    await analysisWorker.processEntry(entry);
+
+    const retry = await jobQueue.getById(id);
+    expect(retry).toMatchObject({ status: 'pending', payload: { pendingIssue: { status: 'issue_created_ai', reason: 'issue_creation_failed' } } });
+    await analysisWorker.processEntry({ ...retry, attempts: 2 });
+
+    expect((await jobQueue.getById(id)).status).toBe('done');
+    expect(provider.calls).toHaveLength(1);
+    expect(reportSecretLeak).toHaveBeenCalledTimes(1);
+    expect(gitlabService.createIssue).toHaveBeenCalledTimes(3);
+    reportSecretLeak.mockRestore();
+  });
+});
@@ -0,0 +1,104 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const express = require('express');
+const request = require('supertest');
+const jobQueue = require('../db/jobQueue');
+const deliveryStore = require('../db/deliveryStore');
+const analysisWorker = require('../services/analysisWorker');
+const jobAnalyzer = require('../services/jobAnalyzer');
+const webhookRoutes = require('../routes/webhook');
+
+jest.mock('../services/jobAnalyzer', () => ({
+  ...jest.requireActual('../services/jobAnalyzer'),
+  analyzeSingleJob: jest.fn()
+}));
+
+const jobEvent = {
+  object_kind: 'build',
+  build_id: 99,
+  build_name: 'test',
+  build_stage: 'test',
+  build_status: 'failed',
+  pipeline_id: 5,
+  project_id: 12,
+  sha: 'abc123'
+};
+
+describe('jobQueue', () => {
+  beforeAll(() => jobQueue.init());
+
+  test('should retry with backoff and dead-letter after max attempts', async () => {
+    const id = await jobQueue.enqueue({ kind: 'job', payload: { n: 1 }, maxAttempts: 2 });
+
+    const first = await jobQueue.claimNext();
+    expect(first).toMatchObject({ id, status: 'running', attempts: 1, payload: { n: 1 } });
+    expect(await jobQueue.claimNext()).toBeNull();
+
+    expect(await jobQueue.fail(id, 'boom', { retryAt: 0 })).toBe('pending');
+    const second = await jobQueue.claimNext();
+    expect(second.attempts).toBe(2);
+    expect(await jobQueue.fail(id, 'boom again')).toBe('dead');
+
+    expect(await jobQueue.getById(id)).toMatchObject({ status: 'dead', last_error: 'boom again' });
+  });
+
+  test('should not hand out entries scheduled in the future', async () => {
+    const id = await jobQueue.enqueue({ kind: 'job', payload: {}, runAt: Math.floor(Date.now() / 1000) + 3600 });
+    expect(await jobQueue.claimNext()).toBeNull();
+    expect((await jobQueue.getById(id)).status).toBe('pending');
+  });
+
+  test('should recover entries left running by a previous process', async () => {
+    const id = await jobQueue.enqueue({ kind: 'job', payload: {} });
+    await jobQueue.claimNext();
+
+    expect(await jobQueue.recoverStale()).toBe(1);
+    expect((await jobQueue.getById(id)).status).toBe('pending');
+    await jobQueue.complete(id);
+  });
+});
+
+describe('analysisWorker.processEntry', () => {
+  test('should mark entries done or reschedule them on retryable failures', async () => {
+    jobAnalyzer.analyzeSingleJob
+      .mockResolvedValueOnce({ status: 'failed', reason: 'failed_to_fetch_trace', error: '502' })
+      .mockResolvedValueOnce({ status: 'issue_created_ai' });
+
+    const id = await jobQueue.enqueue({ kind: 'job', payload: { jobName: 'test' } });
+    await analysisWorker.processEntry(await jobQueue.claimNext());
+    const retried = await jobQueue.getById(id);
+    expect(retried.status).toBe('pending');
+    expect(retried.run_at).toBeGreaterThan(Math.floor(Date.now() / 1000));
+
+    const id2 = await jobQueue.enqueue({ kind: 'job', payload: { jobName: 'test' } });
+    await analysisWorker.processEntry(await jobQueue.claimNext());
+    expect((await jobQueue.getById(id2)).status).toBe('done');
+  });
+});
+
+describe('POST /webhook', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook', webhookRoutes);
+
+  beforeAll(() => deliveryStore.init());
+
+  test('should queue a failed job and answer 202 without analyzing inline', async () => {
+    jobAnalyzer.analyzeSingleJob.mockClear();
+
+    const res = await request(app).post('/webhook').send(jobEvent);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ ok: true, msg: 'job-queued', job: 'test' });
+    expect(jobAnalyzer.analyzeSingleJob).not.toHaveBeenCalled();
+    const queued = await jobQueue.getById(res.body.queueId);
+    expect(queued).toMatchObject({ kind: 'job', status: 'pending' });
+    expect(queued.payload).toMatchObject({ projectId: 12, pipelineId: 5, jobName: 'test', commitSha: 'abc123' });
+  });
+
+  test('should ignore jobs that are not monitored', async () => {
+    const res = await request(app).post('/webhook').send({ ...jobEvent, build_name: 'deploy', build_stage: 'deploy' });
+    expect(res.status).toBe(200);
+    expect(res.body.msg).toBe('job-not-monitored');
+  });
+});
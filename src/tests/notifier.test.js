@@ -0,0 +1,171 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.NOTIFY_BASE_BACKOFF_MS = '10';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-notify-'));
+process.env.NOTIFY_CONFIG_PATH = path.join(configDir, 'notifications.json');
+
+const connection = require('../db/connection');
+const auditStore = require('../db/auditStore');
+const fpStore = require('../db/fingerprintStore');
+const notifier = require('../services/notifier');
+const issueService = require('../services/issueService');
+
+jest.mock('../services/gitlabService', () => ({
+  createIssue: jest.fn().mockResolvedValue({ iid: 31, web_url: 'https://gitlab.example.com/acme/web/-/issues/31' }),
+  createIssueComment: jest.fn().mockResolvedValue({}),
+  searchOpenIssues: jest.fn().mockResolvedValue([]),
+  updateIssueState: jest.fn().mockResolvedValue({}),
+  updateIssueLabels: jest.fn().mockResolvedValue({})
+}));
+
+const received = [];
+let retryCalls = 0;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, raw: body, body: JSON.parse(body) });
+    let status = 200;
+    if (req.url === '/retry' && ++retryCalls === 1) status = 503;
+    if (req.url === '/rejected') status = 400;
+    res.writeHead(status).end();
+  });
+});
+
+const SECRET = 'hook-secret';
+const notification = (extra = {}) => ({
+  action: 'created',
+  project_id: 200,
+  project_path: 'acme/web',
+  pipeline_id: 9,
+  job: 'unit',
+  branch: 'main',
+  category: 'test-assertion',
+  severity: 'high',
+  confidence: 0.8,
+  root_cause: 'expected 2 to equal 3',
+  issue_iid: 5,
+  issue_url: 'https://gitlab.example.com/acme/web/-/issues/5',
+  ...extra
+});
+const at = (p) => received.filter(r => r.path === p);
+const auditTypes = async () => (await auditStore.list({ limit: 1000 })).map(r => r.type);
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  fs.writeFileSync(process.env.NOTIFY_CONFIG_PATH, JSON.stringify({
+    channels: {
+      oncall: { type: 'slack', url: `${base}/slack` },
+      siem: { type: 'webhook', url: `${base}/hook`, secret: SECRET },
+      retry: { type: 'slack', url: `${base}/retry` },
+      rejected: { type: 'slack', url: `${base}/rejected` },
+      platform: { type: 'teams', url: `${base}/teams`, rate_limit: 2, window_sec: 3600 },
+      unsigned: { type: 'webhook', url: `${base}/hook` }
+    },
+    routes: [
+      { channels: ['oncall'], projects: ['acme/*'], branches: ['main', 'release/*'], min_severity: 'high' },
+      { channels: ['siem'], actions: ['secret_leak'] },
+      { channels: ['retry'], projects: [201] },
+      { channels: ['rejected'], projects: [202] },
+      { channels: ['platform'], projects: [203], categories: ['infra'] },
+      { channels: ['unsigned'] }
+    ]
+  }));
+  await connection.open();
+  await auditStore.init();
+  await fpStore.init();
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  received.length = 0;
+});
+
+describe('notifier.channelsFor', () => {
+  test('should route on project, branch, severity, category and action', () => {
+    expect(notifier.channelsFor(notification())).toEqual(['oncall']);
+    expect(notifier.channelsFor(notification({ branch: 'feature/x' }))).toEqual([]);
+    expect(notifier.channelsFor(notification({ severity: 'medium' }))).toEqual([]);
+    expect(notifier.channelsFor(notification({ project_path: 'other/web' }))).toEqual([]);
+    expect(notifier.channelsFor(notification({ action: 'secret_leak', severity: 'critical', branch: null }))).toEqual(['siem']);
+    expect(notifier.channelsFor(notification({ project_id: 203, project_path: null, category: 'infra' }))).toEqual(['platform']);
+  });
+});
+
+describe('notifier.notify', () => {
+  test('should post a Slack message with a link to the issue', async () => {
+    expect(notifier.notify(notification())).toEqual({ oncall: 'sent' });
+    await notifier.flush();
+
+    expect(at('/slack')).toHaveLength(1);
+    expect(at('/slack')[0].body.text).toBe('*[high] New issue: unit in acme/web (main)* <https://gitlab.example.com/acme/web/-/issues/5|#5>\ntest-assertion · expected 2 to equal 3');
+    expect(await auditTypes()).toContain('notify.sent');
+  });
+
+  test('should sign generic webhook deliveries', async () => {
+    notifier.notify(notification({ action: 'secret_leak', severity: 'critical', branch: null, project_path: null }));
+    await notifier.flush();
+
+    const [delivery] = at('/hook');
+    const expected = crypto.createHmac('sha256', SECRET).update(`${delivery.headers['x-guardian-timestamp']}.${delivery.raw}`).digest('hex');
+    expect(delivery.headers['x-guardian-signature']).toBe(`sha256=${expected}`);
+    expect(delivery.headers['x-guardian-event']).toBe('notification');
+    expect(delivery.body).toMatchObject({ event: 'notification', notification: { action: 'secret_leak', issue_iid: 5 } });
+  });
+
+  test('should retry failed deliveries but not rejected messages', async () => {
+    notifier.notify(notification({ project_id: 201, project_path: null }));
+    notifier.notify(notification({ project_id: 202, project_path: null }));
+    await notifier.flush();
+
+    expect(at('/retry')).toHaveLength(2);
+    expect(at('/rejected')).toHaveLength(1);
+    const failed = (await auditStore.list({ type: 'notify.failed', limit: 10 })).map(r => r.data);
+    expect(failed).toEqual([expect.objectContaining({ channel: 'rejected', error: 'status 400', notifications: 1 })]);
+  });
+
+  test('should batch notifications over the rate limit into one digest', async () => {
+    const results = [1, 2, 3, 4, 5].map(i => notifier.notify(notification({ project_id: 203, project_path: null, category: 'infra', job: `job-${i}` })));
+    expect(results.map(r => r.platform)).toEqual(['sent', 'sent', 'held', 'held', 'held']);
+    await new Promise(r => setTimeout(r, 50));
+    expect(at('/teams')).toHaveLength(2);
+
+    await notifier.flush();
+    const teams = at('/teams');
+    expect(teams).toHaveLength(3);
+    expect(teams[0].body).toMatchObject({ '@type': 'MessageCard', title: '[high] New issue: job-1 in project 203 (main)' });
+    expect(teams[2].body.title).toBe('Guardian digest: 3 notifications');
+    expect(teams[2].body.sections.map(s => s.activityTitle)).toEqual([
+      '[high] New issue: job-3 in project 203 (main)',
+      '[high] New issue: job-4 in project 203 (main)',
+      '[high] New issue: job-5 in project 203 (main)'
+    ]);
+  });
+});
+
+describe('issueService notifications', () => {
+  test('should notify the routed channels when an issue is created', async () => {
+    const event = { build_id: 71, build_name: 'unit', ref: 'release/2.1', project: { id: 200, path_with_namespace: 'acme/web' } };
+    await issueService.createIssueFromAnalysis(event, 200, {
+      pipelineId: 12,
+      job: { id: 71, name: 'unit' },
+      analysis: { stage: 'test', category: 'test-assertion', root_cause: 'snapshot mismatch', suggested_fix: 'update the snapshot', confidence: 0.9, blocking: true },
+      logExcerpt: 'FAIL src/app.test.js'
+    });
+    await notifier.flush();
+
+    expect(at('/slack')).toHaveLength(1);
+    expect(at('/slack')[0].body.text).toContain('[high] New issue: unit in acme/web (release/2.1)* <https://gitlab.example.com/acme/web/-/issues/31|#31>');
+  });
+});
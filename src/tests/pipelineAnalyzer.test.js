@@ -0,0 +1,204 @@
+process.env.FP_DB_FILE = ':memory:';
+
+const fpStore = require('../db/fingerprintStore');
+const jobHistoryStore = require('../db/jobHistoryStore');
+const analysisHistoryStore = require('../db/analysisHistoryStore');
+const jobQueue = require('../db/jobQueue');
+const gitlabService = require('../services/gitlabService');
+const traceService = require('../services/traceService');
+const detectorService = require('../services/detectorService');
+const historyService = require('../services/historyService');
+const aiService = require('../services/aiService');
+const analysisWorker = require('../services/analysisWorker');
+const pipelineAnalyzer = require('../services/pipelineAnalyzer');
+const { createScriptedProvider } = require('../services/providers');
+
+jest.mock('../services/gitlabService', () => ({
+  getPipelineJobs: jest.fn(),
+  getPipelineGraph: jest.fn(),
+  createIssue: jest.fn().mockResolvedValue({ iid: 77 }),
+  createIssueComment: jest.fn().mockResolvedValue({}),
+  searchOpenIssues: jest.fn().mockResolvedValue([]),
+  updateIssueState: jest.fn().mockResolvedValue({}),
+  updateIssueLabels: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/traceService', () => ({
+  ...jest.requireActual('../services/traceService'),
+  loadJobTrace: jest.fn()
+}));
+
+jest.mock('../services/detectorService', () => ({
+  loadAndVerifyArtifacts: jest.fn()
+}));
+
+const NO_FINDINGS = { repoHits: [], dependencyHigh: [], dependencyOther: [] };
+
+const JOBS = [
+  { id: 11, name: 'compile', stage: 'build', status: 'failed' },
+  { id: 12, name: 'lint', stage: 'test', status: 'failed' },
+  { id: 13, name: 'unit', stage: 'test', status: 'failed' },
+  { id: 14, name: 'deploy', stage: 'deploy', status: 'canceled' }
+];
+
+const GRAPH = {
+  stages: ['build', 'test', 'deploy'],
+  jobs: [
+    { name: 'compile', stage: 'build', schedulingType: 'stage', needs: [] },
+    { name: 'lint', stage: 'test', schedulingType: 'dag', needs: [] },
+    { name: 'unit', stage: 'test', schedulingType: 'dag', needs: ['compile'] },
+    { name: 'deploy', stage: 'deploy', schedulingType: 'stage', needs: [] }
+  ]
+};
+
+const TRACES = {
+  11: 'npm ci\nnpm ERR! code E404\nnpm ERR! 404 Not Found - GET https://registry.npmjs.org/left-padx',
+  12: 'eslint .\nsrc/app.js\n  3:1  error  Unexpected var, use let or const instead  no-var',
+  13: 'jest\nError: Cannot find module \'../dist/app\' from \'test/app.test.js\''
+};
+
+const EVENT = {
+  object_kind: 'pipeline',
+  project: { id: 9, path_with_namespace: 'group/app' },
+  object_attributes: { id: 500, ref: 'main', status: 'failed', stages: ['build', 'test', 'deploy'] }
+};
+
+const roles = (classified) => Object.fromEntries(classified.jobs.map(j => [j.name, j.role]));
+
+describe('pipelineAnalyzer.classifyJobs', () => {
+  test('should follow needs to tell the root job from its casualties', () => {
+    const classified = pipelineAnalyzer.classifyJobs(JOBS, GRAPH);
+
+    expect(classified.root.name).toBe('compile');
+    expect(roles(classified)).toEqual({ compile: 'root', lint: 'independent', unit: 'casualty', deploy: 'casualty' });
+    expect(classified.jobs.find(j => j.name === 'unit')).toMatchObject({ needs: ['compile'], upstreamFailed: ['compile'] });
+  });
+
+  test('should fall back to stage order without the job graph', () => {
+    const jobs = [
+      { id: 3, name: 'docs', stage: 'prepare', status: 'failed', allow_failure: true },
+      { id: 4, name: 'compile', stage: 'build', status: 'failed' },
+      { id: 5, name: 'unit', stage: 'test', status: 'failed' }
+    ];
+
+    const classified = pipelineAnalyzer.classifyJobs(jobs, null, ['prepare', 'build', 'test']);
+
+    expect(roles(classified)).toEqual({ docs: 'independent', compile: 'root', unit: 'casualty' });
+    expect(classified.jobs.find(j => j.name === 'unit').upstreamFailed).toEqual(['compile']);
+  });
+
+  test('should keep the graph root when the model names an unknown or canceled job', () => {
+    const classified = pipelineAnalyzer.classifyJobs(JOBS, GRAPH);
+    const merged = pipelineAnalyzer.mergeRoles(classified, classified.jobs, {
+      root_job: 'deploy',
+      jobs: [{ name: 'deploy', role: 'root', reason: 'x' }, { name: 'ghost', role: 'casualty', reason: 'y' }]
+    });
+
+    expect(merged.root_job).toBe('compile');
+    expect(merged.jobs.map(j => [j.name, j.role])).toEqual([['compile', 'root'], ['lint', 'independent'], ['unit', 'casualty'], ['deploy', 'casualty']]);
+  });
+});
+
+describe('pipelineAnalyzer.analyzePipeline', () => {
+  let provider;
+
+  beforeAll(async () => {
+    await fpStore.init();
+    await jobHistoryStore.init();
+    await analysisHistoryStore.init();
+    await jobQueue.init();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gitlabService.getPipelineJobs.mockResolvedValue(JOBS);
+    gitlabService.getPipelineGraph.mockResolvedValue(GRAPH);
+    detectorService.loadAndVerifyArtifacts.mockResolvedValue(NO_FINDINGS);
+    traceService.loadJobTrace.mockImplementation(async (projectId, jobId) => ({ text: TRACES[jobId] || '', truncated: false, method: 'full' }));
+    provider = createScriptedProvider([{
+      stage: 'build',
+      category: 'dependency',
+      root_cause: 'The package left-padx does not exist in the npm registry',
+      suggested_fix: 'Fix the package name in package.json',
+      confidence: 0.8,
+      explain: 'compile failed to install dependencies, so unit found no build output.',
+      evidence_lines: ['npm ERR! 404 Not Found - GET https://registry.npmjs.org/left-padx'],
+      affected_files: [],
+      reproduction_commands: ['npm ci'],
+      blocking: true,
+      root_job: 'compile',
+      jobs: [
+        { name: 'compile', role: 'root', reason: 'npm install failed' },
+        { name: 'lint', role: 'independent', reason: 'lint error in src/app.js' },
+        { name: 'unit', role: 'casualty', reason: 'dist/app was never built' }
+      ]
+    }]);
+    aiService.setProvider(provider);
+  });
+
+  afterAll(() => aiService.setProvider(null));
+
+  test('should make one model call and file one issue with a per-job breakdown', async () => {
+    const result = await pipelineAnalyzer.analyzePipeline({ event: EVENT, projectId: 9, pipelineId: 500, commitSha: null });
+
+    expect(result).toMatchObject({ status: 'issue_created_pipeline', jobs: 4, analysis: { root_job: 'compile', category: 'dependency' } });
+    expect(provider.calls).toHaveLength(1);
+    expect(provider.calls[0].prompt).toContain('"unit" (stage "test", status failed)');
+    expect(provider.calls[0].prompt).toContain('failed upstream: "compile"');
+    expect(gitlabService.getPipelineGraph).toHaveBeenCalledWith(9, 'group/app', 500);
+
+    expect(gitlabService.createIssue).toHaveBeenCalledTimes(1);
+    const [, title, description] = gitlabService.createIssue.mock.calls[0];
+    expect(title).toContain('| compile |');
+    expect(description).toContain('| `compile` (build) | **root** | npm install failed |');
+    expect(description).toContain('| `unit` (test) | casualty | dist/app was never built |');
+    expect(description).toContain('| `deploy` (deploy) | casualty | depends on failed jobs compile, lint, unit |');
+  });
+
+  test('should give the model the detector findings and similar cases for the pipeline commit', async () => {
+    detectorService.loadAndVerifyArtifacts.mockResolvedValue({
+      ...NO_FINDINGS,
+      dependencyHigh: [{ package: 'lodash', version: '4.17.15', ecosystem: 'npm', advisory: 'GHSA-p6mc-m468-83gw', aliases: ['CVE-2020-8203'], severity: 'high', fixed: '4.17.19', file: 'package-lock.json' }]
+    });
+    const findSimilar = jest.spyOn(historyService, 'findSimilar').mockResolvedValue([
+      { issue_iid: 12, status: 'closed', similarity: 0.82, job_name: 'compile', root_cause: 'A typo in a package name', suggested_fix: 'Fix the name' }
+    ]);
+    provider = createScriptedProvider([{
+      stage: 'build',
+      category: 'security',
+      root_cause: 'lodash 4.17.15 is affected by CVE-2020-8203',
+      suggested_fix: 'Upgrade lodash to 4.17.19',
+      confidence: 0.8,
+      explain: 'compile failed, so unit found no build output.',
+      evidence_lines: [],
+      affected_files: [],
+      reproduction_commands: [],
+      blocking: true,
+      root_job: 'compile',
+      jobs: [{ name: 'compile', role: 'root', reason: 'x' }, { name: 'lint', role: 'independent', reason: 'y' }, { name: 'unit', role: 'casualty', reason: 'z' }]
+    }]);
+    aiService.setProvider(provider);
+
+    const result = await pipelineAnalyzer.analyzePipeline({ event: EVENT, projectId: 9, pipelineId: 503, commitSha: 'c0ffee' });
+    findSimilar.mockRestore();
+
+    expect(detectorService.loadAndVerifyArtifacts).toHaveBeenCalledTimes(1);
+    expect(detectorService.loadAndVerifyArtifacts.mock.calls[0][0]).toMatchObject({ projectId: 9, pipelineId: 503, jobId: 11, commitSha: 'c0ffee' });
+    expect(provider.calls[0].prompt).toContain('GHSA-p6mc-m468-83gw');
+    expect(provider.calls[0].prompt).toContain('Past case 1: issue #12');
+    expect(result.analysis.evidence_check.claims).toEqual(expect.arrayContaining([expect.objectContaining({ value: 'CVE-2020-8203', verified: true, found_in: 'detector' })]));
+    expect(result.analysis._detectorSummary.dependencyHigh).toHaveLength(1);
+    // the first test already filed the compile failure, so this one is appended to it
+    expect(gitlabService.createIssueComment.mock.calls[0][2]).toContain('- #12 (resolved, 82% similar): A typo in a package name');
+  });
+
+  test('should analyze pipelines with several failed jobs as a whole and fan out single failures', async () => {
+    await analysisWorker.processEntry({ id: 1, kind: 'pipeline', attempts: 1, payload: { event: EVENT, projectId: 9, pipelineId: 501 } });
+    expect(provider.calls).toHaveLength(1);
+    expect(await jobQueue.claimNext()).toBeNull();
+
+    gitlabService.getPipelineJobs.mockResolvedValue([JOBS[0], { id: 15, name: 'unit', stage: 'test', status: 'success' }]);
+    await analysisWorker.processEntry({ id: 2, kind: 'pipeline', attempts: 1, payload: { event: EVENT, projectId: 9, pipelineId: 502 } });
+    expect(provider.calls).toHaveLength(1);
+    expect(await jobQueue.claimNext()).toMatchObject({ kind: 'job', payload: { jobName: 'compile', pipelineId: 502 } });
+  });
+});
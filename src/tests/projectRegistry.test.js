@@ -0,0 +1,184 @@
+process.env.FP_DB_FILE = ':memory:';
+process.env.ADMIN_API_TOKEN = 'admin-secret';
+process.env.GUARDIAN_ENCRYPTION_KEY = 'a1'.repeat(32);
+process.env.GITLAB_TOKEN = 'global-token';
+process.env.GITLAB_WEBHOOK_SECRET = 'global-secret';
+
+const express = require('express');
+const request = require('supertest');
+const fetch = require('node-fetch');
+const connection = require('../db/connection');
+const jobQueue = require('../db/jobQueue');
+const deliveryStore = require('../db/deliveryStore');
+const secretBox = require('../utils/secretBox');
+const projectRegistry = require('../services/projectRegistry');
+const gitlabService = require('../services/gitlabService');
+const webhookRoutes = require('../routes/webhook');
+const apiRoutes = require('../routes/api');
+
+jest.mock('node-fetch', () => jest.fn());
+const { Response } = jest.requireActual('node-fetch');
+
+const jobEvent = (projectId, path, extra = {}) => ({
+  object_kind: 'build',
+  build_id: 900 + projectId,
+  build_name: 'test',
+  build_stage: 'test',
+  build_status: 'failed',
+  pipeline_id: 5,
+  project_id: projectId,
+  project: { id: projectId, path_with_namespace: path },
+  sha: 'abc123',
+  ...extra
+});
+
+describe('secretBox', () => {
+  test('should round-trip sealed values bound to their location', () => {
+    const sealed = secretBox.seal('glpat-abc', 'project_registry:project:7:token');
+
+    expect(sealed).toMatch(/^v1:/);
+    expect(sealed).not.toContain('glpat-abc');
+    expect(secretBox.open(sealed, 'project_registry:project:7:token')).toBe('glpat-abc');
+    expect(() => secretBox.open(sealed, 'project_registry:project:8:token')).toThrow(/cannot be decrypted/);
+  });
+});
+
+describe('projectRegistry', () => {
+  beforeAll(async () => {
+    await projectRegistry.register({ scope: 'group', ref: 'acme', name: 'Acme', token: 'group-token', webhookSecret: 'group-secret', settings: { min_confidence: 0.8, monitored_jobs: ['test'] } });
+    await projectRegistry.register({ scope: 'project', ref: '42', token: 'project-token', settings: { min_confidence: 0.5 } });
+  });
+
+  test('should store tokens encrypted and never list them', async () => {
+    const rows = await connection.all('SELECT token_enc, webhook_secret_enc FROM project_registry');
+    expect(JSON.stringify(rows)).not.toMatch(/group-token|project-token|group-secret/);
+
+    const entries = await projectRegistry.list();
+    expect(entries.find(e => e.ref === 'acme')).toMatchObject({ scope: 'group', has_token: true, has_webhook_secret: true });
+    expect(JSON.stringify(entries)).not.toMatch(/_enc|v1:/);
+  });
+
+  test('should let the project entry override its group', async () => {
+    const resolved = await projectRegistry.resolve(42, { path: 'acme/platform/api' });
+
+    expect(resolved.entries.map(e => e.ref)).toEqual(['acme', '42']);
+    expect(resolved).toMatchObject({ token: 'project-token', webhookSecret: 'group-secret', settings: { min_confidence: 0.5, monitored_jobs: ['test'] } });
+    expect((await projectRegistry.resolve(43, { path: 'acme-other/api' })).entries).toEqual([]);
+  });
+
+  test('should keep stored secrets unless replaced or cleared', async () => {
+    await projectRegistry.register({ scope: 'project', ref: '42', settings: { min_confidence: 0.5 } });
+    expect((await projectRegistry.resolve(42)).token).toBe('project-token');
+
+    await projectRegistry.register({ scope: 'project', ref: '42', token: null, settings: { min_confidence: 0.5 } });
+    expect((await projectRegistry.resolve(42)).token).toBeNull();
+    await projectRegistry.register({ scope: 'project', ref: '42', token: 'project-token', settings: { min_confidence: 0.5 } });
+  });
+
+  test('should reject invalid entries', async () => {
+    await expect(projectRegistry.register({ scope: 'project', ref: 'acme/api' })).rejects.toMatchObject({ status: 400 });
+    await expect(projectRegistry.register({ scope: 'group', ref: 'acme', settings: { min_confidence: 2 } })).rejects.toThrow(/min_confidence/);
+    await expect(projectRegistry.register({ scope: 'group', ref: 'acme', settings: { colour: 'red' } })).rejects.toThrow(/unknown setting/);
+  });
+});
+
+describe('gitlabService credentials', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(async () => new Response('[]', { status: 200 }));
+  });
+
+  test('should call GitLab with the token registered for the project or its group', async () => {
+    await projectRegistry.rememberPath(77, 'acme/tools');
+
+    await gitlabService.getPipelineJobs(42, 1);
+    await gitlabService.getPipelineJobs(77, 1);
+    await gitlabService.getPipelineJobs(99, 1);
+
+    expect(fetch.mock.calls.map(([, opts]) => opts.headers['PRIVATE-TOKEN'])).toEqual(['project-token', 'group-token', 'global-token']);
+  });
+});
+
+describe('POST /webhook with registered projects', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook', webhookRoutes);
+
+  // project paths as GitLab reports them
+  const PATHS = { 50: 'acme/web', 51: 'acme/web-2', 52: 'acme/api', 60: 'other/web' };
+
+  beforeAll(async () => {
+    await jobQueue.init();
+    await deliveryStore.init();
+  });
+
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(async (url) => {
+      const id = url.match(/\/projects\/(\d+)$/)[1];
+      return PATHS[id] ? new Response(JSON.stringify({ id: Number(id), path_with_namespace: PATHS[id] }), { status: 200 }) : new Response('{}', { status: 404 });
+    });
+  });
+
+  test('should check the webhook secret of the project group instead of the global one', async () => {
+    const rejected = await request(app).post('/webhook').set('X-Gitlab-Token', 'global-secret').send(jobEvent(50, 'acme/web'));
+    expect(rejected.status).toBe(401);
+
+    const accepted = await request(app).post('/webhook').set('X-Gitlab-Token', 'group-secret').send(jobEvent(50, 'acme/web'));
+    expect(accepted.status).toBe(202);
+    expect(await projectRegistry.resolve(50)).toMatchObject({ token: 'group-token' });
+  });
+
+  test('should match groups by the path GitLab reports, not the one in the payload', async () => {
+    const spoofed = await request(app).post('/webhook').set('X-Gitlab-Token', 'global-secret').send(jobEvent(52, 'other/api'));
+    expect(spoofed.status).toBe(401);
+    expect(await projectRegistry.pathOf(52)).toBeNull();
+
+    const accepted = await request(app).post('/webhook').set('X-Gitlab-Token', 'group-secret').send(jobEvent(52, 'other/api'));
+    expect(accepted.status).toBe(202);
+    expect(await projectRegistry.pathOf(52)).toBe('acme/api');
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(expect.arrayContaining([expect.stringMatching(/\/projects\/52$/)]));
+  });
+
+  test('should not look up project paths for requests without a known secret', async () => {
+    const res = await request(app).post('/webhook').set('X-Gitlab-Token', 'guess').send(jobEvent(53, 'acme/web'));
+    expect(res.status).toBe(401);
+    expect((await request(app).post('/webhook').send(jobEvent(54, 'acme/web'))).status).toBe(401);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should apply the monitored jobs of the project', async () => {
+    const res = await request(app).post('/webhook').set('X-Gitlab-Token', 'group-secret')
+      .send(jobEvent(51, 'acme/web', { build_name: 'lint', build_stage: 'quality' }));
+    expect(res.body.msg).toBe('job-not-monitored');
+
+    const global = await request(app).post('/webhook').set('X-Gitlab-Token', 'global-secret')
+      .send(jobEvent(60, 'acme/web', { build_name: 'lint', build_stage: 'quality' }));
+    expect(global.status).toBe(202);
+    expect(await projectRegistry.pathOf(60)).toBeNull();
+  });
+});
+
+describe('PUT /api/registry/:scope/:ref', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  test('should register a group by its encoded path without echoing the token', async () => {
+    const res = await request(app)
+      .put('/api/registry/group/beta%2Fbackend')
+      .set('X-Admin-Token', 'admin-secret')
+      .send({ name: 'Beta backend', token: 'beta-token', settings: { ai_rules_mode: 'first' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ scope: 'group', ref: 'beta/backend', has_token: true, settings: { ai_rules_mode: 'first' } });
+    expect(res.text).not.toContain('beta-token');
+    expect(await projectRegistry.resolve(70, { path: 'beta/backend/svc' })).toMatchObject({ token: 'beta-token' });
+  });
+
+  test('should reject invalid settings', async () => {
+    const res = await request(app).put('/api/registry/project/12').set('X-Admin-Token', 'admin-secret').send({ settings: { auto_close_green_runs: -1 } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/auto_close_green_runs/);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rulesPath = path.join(os.tmpdir(), `failure-rules-${process.pid}.json`);
+process.env.FAILURE_RULES_PATH = rulesPath;
+
+const ruleEngine = require('../services/ruleEngine');
+const aiService = require('../services/aiService');
+const { createScriptedProvider } = require('../services/providers');
+const { validateAnalysis } = require('../utils/analysisSchema');
+
+const samples = {
+  'node-heap-oom': 'FATAL ERROR: Ineffective mark-compacts near heap limit Allocation failed - JavaScript heap out of memory',
+  'oom-killed': 'ERROR: Job failed: command terminated with exit code 137',
+  'disk-full': 'Error: ENOSPC: no space left on device, write \'/builds/app/dist/bundle.js\'',
+  'npm-eresolve': 'npm ERR! code ERESOLVE',
+  'docker-daemon-unreachable': 'Cannot connect to the Docker daemon at unix:///var/run/docker.sock. Is the docker daemon running?',
+  'pip-resolution-conflict': 'ERROR: Could not find a version that satisfies the requirement torch==9.9.9 (from versions: 2.0.0)',
+  'tls-certificate-error': 'x509: certificate signed by unknown authority',
+  'registry-rate-limited': 'toomanyrequests: You have reached your pull rate limit. You may increase the limit by authenticating.',
+  'missing-env-var': 'Error: environment variable DATABASE_URL is not set'
+};
+
+afterEach(() => {
+  if (fs.existsSync(rulesPath)) fs.unlinkSync(rulesPath);
+});
+
+describe('ruleEngine.analyze', () => {
+  test.each(Object.entries(samples))('should match the bundled %s rule with a valid analysis', (id, line) => {
+    const res = ruleEngine.analyze({ jobName: 'build', logs: `$ make\n${line}\nCleaning up project directory` });
+
+    expect(res).toMatchObject({ source: 'rules', rule_id: id, stage: 'build', evidence_lines: [line.trim()] });
+    expect(validateAnalysis(res, { allowExtra: true }).errors).toEqual([]);
+  });
+
+  test('should fill rule details from named groups', () => {
+    expect(ruleEngine.analyze({ logs: samples['docker-daemon-unreachable'] }).root_cause).toContain('Daemon endpoint: unix:///var/run/docker.sock.');
+    expect(ruleEngine.analyze({ logs: samples['missing-env-var'] }).root_cause).toContain('Missing variable: DATABASE_URL.');
+    expect(ruleEngine.analyze({ logs: samples['pip-resolution-conflict'] }).root_cause).toContain('No available version satisfies torch==9.9.9.');
+  });
+
+  test('should mark non-blocking rules', () => {
+    expect(ruleEngine.analyze({ logs: samples['registry-rate-limited'] }).blocking).toBe(false);
+  });
+
+  test('should match lines of the extracted error blocks', () => {
+    const res = ruleEngine.analyze({ logs: 'nothing here', errorBlocks: [{ message: 'build failed', context: [samples['disk-full']] }] });
+    expect(res.rule_id).toBe('disk-full');
+  });
+
+  test('should return null when no rule matches', () => {
+    expect(ruleEngine.analyze({ logs: 'TypeError: Cannot read property \'map\' of undefined\n    at src/index.js:42:10' })).toBeNull();
+  });
+});
+
+describe('ruleEngine.loadRules', () => {
+  test('should try local rules first, replace bundled ids and drop disabled ones', () => {
+    fs.writeFileSync(rulesPath, JSON.stringify({
+      rules: [
+        { id: 'artifactory-down', category: 'infra', patterns: ['artifactory\\.acme\\.io.*503'], root_cause: 'Artifactory is down.', suggested_fix: 'Retry later.', confidence: 0.8 },
+        { id: 'disk-full', category: 'infra', patterns: ['ENOSPC'], root_cause: 'Runner disk full.', suggested_fix: 'Call the runner team.' },
+        { id: 'broken', category: 'nonsense', patterns: ['x'], root_cause: 'x', suggested_fix: 'x' }
+      ],
+      disabled: ['registry-rate-limited']
+    }));
+
+    const ids = ruleEngine.loadRules().map(r => r.id);
+    expect(ids.slice(0, 2)).toEqual(['artifactory-down', 'disk-full']);
+    expect(ids.filter(id => id === 'disk-full')).toHaveLength(1);
+    expect(ids).not.toContain('broken');
+    expect(ids).not.toContain('registry-rate-limited');
+
+    expect(ruleEngine.analyze({ logs: 'GET https://artifactory.acme.io/api/npm 503' }).rule_id).toBe('artifactory-down');
+    expect(ruleEngine.analyze({ logs: samples['disk-full'] }).suggested_fix).toBe('Call the runner team.');
+    expect(ruleEngine.analyze({ logs: samples['registry-rate-limited'] })).toBeNull();
+  });
+});
+
+describe('aiService.analyzeFailure with offline rules', () => {
+  afterEach(() => aiService.setProvider(null));
+
+  test('should fall back to a matching rule when the provider fails', async () => {
+    aiService.setProvider(createScriptedProvider([new Error('401 invalid api key')]));
+
+    const res = await aiService.analyzeFailure({ jobName: 'test-job', logs: `$ npm test\n${samples['node-heap-oom']}` });
+
+    expect(res).toMatchObject({ source: 'rules', rule_id: 'node-heap-oom', category: 'infra' });
+    expect(res.ai_error).toBeTruthy();
+  });
+});
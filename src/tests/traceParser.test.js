@@ -0,0 +1,70 @@
+const traceParser = require('../utils/traceParser');
+
+const ESC = String.fromCharCode(27);
+const start = (ts, name, opts = '') => `${ESC}[0Ksection_start:${ts}:${name}${opts}\r${ESC}[0K`;
+const end = (ts, name) => `${ESC}[0Ksection_end:${ts}:${name}\r${ESC}[0K`;
+
+const trace = [
+  'Running with gitlab-runner 16.5.0',
+  `${start(100, 'prepare_executor', '[collapsed=true]')}Preparing the "docker" executor`,
+  end(105, 'prepare_executor'),
+  `${start(105, 'restore_cache')}Restoring cache`,
+  end(107, 'restore_cache'),
+  `${start(107, 'step_script')}${ESC}[36;1mExecuting "step_script" stage${ESC}[0;m`,
+  `${ESC}[32;1m$ npm test${ESC}[0;m`,
+  `${start(108, 'tests')}Running tests`,
+  'FAIL src/a.test.js',
+  end(150, 'tests'),
+  end(181, 'step_script'),
+  `${start(181, 'after_script')}Running after_script`,
+  end(182, 'after_script'),
+  `${ESC}[31;1mERROR: Job failed: exit code 1${ESC}[0;m`
+].join('\n');
+
+describe('traceParser.parseTrace', () => {
+  test('should split the trace into named sections with durations', () => {
+    const parsed = traceParser.parseTrace(trace);
+    expect(traceParser.sectionTimings(parsed)).toEqual([
+      { name: 'prepare_executor', duration_sec: 5, failed: false, partial: false },
+      { name: 'restore_cache', duration_sec: 2, failed: false, partial: false },
+      { name: 'step_script', duration_sec: 74, failed: true, partial: false },
+      { name: 'after_script', duration_sec: 1, failed: false, partial: false }
+    ]);
+    expect(parsed.sections.find(s => s.name === 'tests')).toMatchObject({ depth: 1, duration_sec: 42 });
+  });
+
+  test('should use the failing section and the job result as analysis input, without ANSI codes', () => {
+    const parsed = traceParser.parseTrace(trace);
+    const text = traceParser.analysisText(parsed, trace);
+    expect(text).toBe('Executing "step_script" stage\n$ npm test\nRunning tests\nFAIL src/a.test.js\nERROR: Job failed: exit code 1');
+  });
+
+  test('should blame a runner section that reported an error', () => {
+    const raw = [
+      `${start(1, 'prepare_executor')}Preparing`,
+      'ERROR: Failed to pull image "node:99"',
+      end(9, 'prepare_executor'),
+      'ERROR: Job failed: failed to pull image'
+    ].join('\n');
+    expect(traceParser.parseTrace(raw).failingSection.name).toBe('prepare_executor');
+  });
+
+  test('should blame a section that never ended', () => {
+    const raw = `${start(1, 'get_sources')}Fetching\n${end(3, 'get_sources')}\n${start(3, 'restore_cache')}Restoring cache\nkilled`;
+    const parsed = traceParser.parseTrace(raw);
+    expect(parsed.failingSection.name).toBe('restore_cache');
+    expect(traceParser.formatDuration(parsed.failingSection.duration_sec)).toBe('n/a (did not finish)');
+  });
+
+  test('should keep a section whose start was cut off a tail-only trace', () => {
+    const raw = `$ npm test\nFAIL src/a.test.js\n${end(180, 'step_script')}\n${start(180, 'after_script')}cleanup\n${end(181, 'after_script')}\nERROR: Job failed: exit code 1`;
+    const parsed = traceParser.parseTrace(raw);
+    expect(parsed.failingSection).toMatchObject({ name: 'step_script', partial: true, duration_sec: null });
+    expect(traceParser.analysisText(parsed, raw)).toBe('$ npm test\nFAIL src/a.test.js\nERROR: Job failed: exit code 1');
+  });
+
+  test('should fall back to the cleaned trace when there are no sections', () => {
+    const raw = `${ESC}[31mplain log${ESC}[0m`;
+    expect(traceParser.analysisText(traceParser.parseTrace(raw), raw)).toBe('plain log');
+  });
+});
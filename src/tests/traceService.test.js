@@ -0,0 +1,39 @@
+jest.mock('../services/gitlabService', () => ({
+  openJobTrace: jest.fn()
+}));
+
+const gitlabService = require('../services/gitlabService');
+const traceService = require('../services/traceService');
+
+describe('traceService.loadJobTrace', () => {
+  test('should decode, redact and bound a chunked trace', async () => {
+    const euro = Buffer.from('€ AKIA1234567890ABCDEF\n');
+    gitlabService.openJobTrace.mockResolvedValueOnce({
+      // the multi-byte character is split across chunks
+      chunks: [Buffer.from('partial\nline 1\n'), euro.subarray(0, 1), euro.subarray(1), Buffer.from('line 3')],
+      method: 'range',
+      startOffset: 512,
+      totalBytes: 2048
+    });
+
+    const trace = await traceService.loadJobTrace(7, 42, { tailBytes: 1024, maxLines: 2 });
+
+    expect(gitlabService.openJobTrace).toHaveBeenCalledWith(7, 42, { tailBytes: 1024 });
+    expect(trace).toMatchObject({ truncated: true, method: 'range', totalBytes: 2048, lines: 2, droppedLines: 1 });
+    expect(trace.text).toBe('€ [REDACTED_AWS_KEY]\nline 3');
+  });
+});
+
+describe('traceService.focusWindow', () => {
+  const log = Array.from({ length: 500 }, (_, i) => `line ${i}`).join('\n');
+
+  test('should centre the window on the error line and keep the job result', () => {
+    const out = traceService.focusWindow(log, 100, { before: 2, after: 1, tailLines: 1 }).split('\n');
+    expect(out).toEqual(['... 98 earlier lines omitted ...', 'line 98', 'line 99', 'line 100', 'line 101', '... 397 lines omitted ...', 'line 499']);
+  });
+
+  test('should use the end of the log without an error line', () => {
+    const out = traceService.focusWindow(log, null, { maxChars: 20 });
+    expect(out).toBe('...TRUNCATED...\n97\nline 498\nline 499');
+  });
+});
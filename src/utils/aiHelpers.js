@@ -1,5 +1,7 @@
 // backend/src/utils/aiHelpers.js
 const crypto = require('crypto');
+const { stripAnsi } = require('./traceParser');
+const { validateAnalysis } = require('./analysisSchema');
 
 
 function clampConfidence(v) {
@@ -41,42 +43,142 @@ function makeFingerprint(
 }
 
 
+// Current fingerprint algorithm. v1 = makeFingerprint (per pipeline/commit), v2 = makeSignatureFingerprint.
+const FINGERPRINT_VERSION = 2;
+
+// Volatile fragments stripped from log lines before they are used as a failure signature (order matters)
+const SIGNATURE_NORMALIZERS = [
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|\s?[+-]\d{2}:?\d{2}|\s?UTC)?/g, '<ts>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\b/g, '<ts>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,}\b/gi, '<hex>'],
+  [/(?:\/tmp|\/var\/folders|\/private\/var)\/[^\s:'")]+/g, '<tmp>'],
+  [/[A-Za-z]:\\Users\\[^\\]+\\AppData\\Local\\Temp\\[^\s:'")]+/g, '<tmp>'],
+  [/\/builds\/[^\s/]+\/\d+\//g, '/builds/'],
+  [/\b(jobs?|builds?|pipelines?)([\s/#:]+)\d+\b/gi, '$1$2<id>'],
+  [/\b\d+(?:\.\d+)?\s?(?:ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hours?)\b/gi, '<dur>'],
+  [/\b(line)\s+\d+/gi, '$1 <n>'],
+  [/(\.[A-Za-z]{1,6}|<tmp>):\d+(?::\d+)?/g, '$1:<n>'],
+  [/\b\d{3,}\b/g, '<n>']
+];
+
+// Lines that carry the failure itself (errors, assertions) or a stack frame pointing at it
+const ERROR_LINE_RE = /\b(error|err!|fail|failed|failure|exception|fatal|panic|assert(?:ion)?|expected|traceback|cannot|could not|not found|undefined|denied|segmentation fault)\b/i;
+const STACK_FRAME_RE = /^\s*(?:at\s+\S|File\s+"|#\d+\s|\S+\.(?:go|rs|java|kt|py|rb|js|ts):<n>)/;
+
+/**
+ * Strip timestamps, durations, ids, hex hashes, temp paths and line numbers from one log line.
+ */
+function normalizeSignatureLine(line) {
+  let out = stripAnsi(line);
+  for (const [re, replacement] of SIGNATURE_NORMALIZERS) out = out.replace(re, replacement);
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pick the normalized lines that identify a failure: the first error lines plus the stack
+ * frames right after them. Falls back to the last non-empty lines when nothing looks like an error.
+ */
+function extractErrorSignature(excerpt, { maxFrames = 5 } = {}) {
+  const lines = String(excerpt || '').split('\n').map(normalizeSignatureLine).filter(Boolean);
+  const frames = [];
+  for (const line of lines) {
+    if (frames.length >= maxFrames) break;
+    if ((ERROR_LINE_RE.test(line) || (frames.length > 0 && STACK_FRAME_RE.test(line))) && !frames.includes(line)) {
+      frames.push(line);
+    }
+  }
+  return frames.length > 0 ? frames : lines.slice(-maxFrames);
+}
+
+/**
+ * Job name without the parallel/matrix suffix ("rspec 2/4" -> "rspec").
+ */
+function canonicalSignatureJobName(jobName) {
+  return normStr(jobName).replace(/\s+\d+\/\d+$/, '').replace(/:\s*\[.*\]$/, '');
+}
+
+/**
+ * v2 fingerprint: project + job name + normalized top error frames, so the same failure on a
+ * new commit or pipeline resolves to the same issue. Returned as `v2:<hash>`.
+ */
+function makeSignatureFingerprint({ projectId, jobName = '', excerpt = '' }, { maxFrames = 5, useHmac = true } = {}) {
+  const piece = [
+    normStr(projectId),
+    canonicalSignatureJobName(jobName),
+    extractErrorSignature(excerpt, { maxFrames }).join('\n')
+  ].join(':');
+
+  const hmacKey = process.env.FP_HMAC_KEY || '';
+  const h = useHmac && hmacKey ? crypto.createHmac('sha256', hmacKey) : crypto.createHash('sha256');
+  h.update(piece);
+  return `v${FINGERPRINT_VERSION}:${h.digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Fingerprint of the secret-leak security issue of a job: one issue per project and job,
+ * whatever credential leaked. Returned as `leak:<hash>`.
+ */
+function makeSecretLeakFingerprint({ projectId, jobName = '' }) {
+  const piece = ['secret-leak', normStr(projectId), canonicalSignatureJobName(jobName)].join(':');
+  const hmacKey = process.env.FP_HMAC_KEY || '';
+  const h = hmacKey ? crypto.createHmac('sha256', hmacKey) : crypto.createHash('sha256');
+  h.update(piece);
+  return `leak:${h.digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * True when `obj` satisfies the analysis schema (utils/analysisSchema.js); fields added
+ * after the model call (cached, source, _detectorSummary, ...) are ignored.
+ */
 function isValidAnalysis(obj) {
   if (!obj || typeof obj !== 'object') return false;
 
   // If we have deterministic findings, treat as valid
   if (obj._detectorSummary) return true;
 
-  if (!obj.stage || !obj.root_cause || obj.confidence === undefined) return false;
-  if (typeof obj.root_cause !== 'string') return false;
-  if (typeof obj.suggested_fix !== 'string') return false;
-
-  return true;
+  return validateAnalysis(obj, { allowExtra: true }).valid;
 }
 
+// Findings of each kind passed to the model
+const DETECTOR_SUMMARY_MAX_ITEMS = 20;
+
+/**
+ * Detector findings as evidence for the prompt and the claim check: no metadata or
+ * timestamps, so the same findings always give the same analysis cache key. Null when
+ * there are no findings.
+ */
 function buildDetectorSummary(detectorResult) {
   if (!detectorResult || typeof detectorResult !== 'object') return null;
 
+  const dependency = (d) => ({
+    package: d.package,
+    version: d.version,
+    ecosystem: d.ecosystem || null,
+    advisory: d.advisory || null,
+    aliases: d.aliases || [],
+    severity: d.severity || 'high',
+    fixed: d.fixed || null,
+    file: d.file || null,
+    verified: true
+  });
+  const list = (items, map) => (Array.isArray(items) ? items.slice(0, DETECTOR_SUMMARY_MAX_ITEMS).map(map) : []);
+
   const summary = {
-    repoHits: Array.isArray(detectorResult.repoHits)
-      ? detectorResult.repoHits.map((h) => ({
-          file: h.file,
-          line: h.line,
-          match: h.match,
-          verified: !!h.verified
-        }))
-      : [],
-
-    dependencyHigh: Array.isArray(detectorResult.dependencyHigh)
-      ? detectorResult.dependencyHigh.map((d) => ({
-          package: d.package,
-          version: d.version,
-          severity: d.severity || 'high',
-          verified: true
-        }))
-      : []
+    repoHits: list(detectorResult.repoHits, (h) => ({
+      file: h.file,
+      line: h.line,
+      rule: h.rule || null,
+      match: h.match,
+      verified: !!h.verified,
+      reason: h.reason || null
+    })),
+    dependencyHigh: list(detectorResult.dependencyHigh, dependency),
+    dependencyOther: list(detectorResult.dependencyOther, dependency)
   };
 
+  if (summary.repoHits.length + summary.dependencyHigh.length + summary.dependencyOther.length === 0) return null;
   return summary;
 }
 
@@ -106,6 +208,12 @@ function hashContent(str, slice = 200) {
 module.exports = {
   clampConfidence,
   makeFingerprint,
+  makeSignatureFingerprint,
+  makeSecretLeakFingerprint,
+  canonicalSignatureJobName,
+  normalizeSignatureLine,
+  extractErrorSignature,
+  FINGERPRINT_VERSION,
   isValidAnalysis,
   normStr,
 
@@ -0,0 +1,197 @@
+// backend/src/utils/analysisSchema.js
+'use strict';
+
+/**
+ * Versioned contract of an AI failure analysis.
+ *
+ * ANALYSIS_SCHEMA is a JSON Schema (draft-07 subset) that is embedded in the prompt and
+ * enforced on every model response by validateAnalysis(), a small hand-written
+ * validator for the keywords used here: type, enum, const, required, properties,
+ * additionalProperties, items, minItems/maxItems, minLength/maxLength, minimum/maximum.
+ * Errors carry JSON paths ("$.evidence_lines[2]") so a corrective retry can name them.
+ */
+
+const SCHEMA_VERSION = 2;
+
+// Failure taxonomy; issue labels (category:<name>), severity and metrics are derived from it
+const CATEGORIES = {
+  dependency: 'package install/resolution failures, vulnerable or missing dependencies',
+  'test-assertion': 'a test ran and its assertion or expectation failed',
+  compile: 'compilation, type-check, lint or build errors in the project code',
+  infra: 'runner, network, disk, docker or registry problems outside the project code',
+  timeout: 'the job or a step exceeded its time limit',
+  config: 'CI configuration, missing variables or credentials, wrong environment settings',
+  security: 'leaked secrets, failed security scans, policy violations',
+  flaky: 'non-deterministic failure that passes on retry without code changes',
+  unknown: 'none of the above, or not determinable from the evidence'
+};
+
+const stringList = (maxItems, maxLength) => ({ type: 'array', maxItems, items: { type: 'string', minLength: 1, maxLength } });
+
+const ANALYSIS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `urn:guardian:analysis:v${SCHEMA_VERSION}`,
+  title: 'CI failure analysis',
+  type: 'object',
+  required: ['stage', 'category', 'root_cause', 'suggested_fix', 'confidence', 'explain', 'evidence_lines', 'affected_files', 'reproduction_commands', 'blocking'],
+  additionalProperties: false,
+  properties: {
+    schema_version: { const: SCHEMA_VERSION },
+    stage: { type: 'string', minLength: 1, maxLength: 200 },
+    category: { type: 'string', enum: Object.keys(CATEGORIES) },
+    root_cause: { type: 'string', minLength: 1, maxLength: 1000 },
+    suggested_fix: { type: 'string', minLength: 1, maxLength: 2000 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    explain: { type: 'string', maxLength: 2000 },
+    evidence_lines: stringList(10, 500),
+    affected_files: stringList(20, 300),
+    reproduction_commands: stringList(10, 500),
+    blocking: { type: 'boolean' }
+  }
+};
+
+// Role of each failed job in a pipeline analysis
+const JOB_ROLES = {
+  root: 'the job whose own failure broke the pipeline',
+  casualty: 'failed or was canceled only because an upstream job failed (missing artifacts, cascading errors)',
+  independent: 'failed for an unrelated reason of its own'
+};
+
+// Pipeline-level analysis: the job analysis of the root job plus the per-job breakdown
+const PIPELINE_ANALYSIS_SCHEMA = {
+  ...ANALYSIS_SCHEMA,
+  $id: `urn:guardian:pipeline-analysis:v${SCHEMA_VERSION}`,
+  title: 'CI pipeline failure analysis',
+  required: [...ANALYSIS_SCHEMA.required, 'root_job', 'jobs'],
+  properties: {
+    ...ANALYSIS_SCHEMA.properties,
+    root_job: { type: 'string', minLength: 1, maxLength: 200 },
+    jobs: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['name', 'role', 'reason'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          role: { type: 'string', enum: Object.keys(JOB_ROLES) },
+          reason: { type: 'string', maxLength: 500 }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateNode(value, schema, path, errors) {
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `must be of type ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      // undefined is not a JSON value; treated as absent (reported by `required`)
+      if (value[key] === undefined) continue;
+      if (props[key]) {
+        validateNode(value[key], props[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed model response. Returns { valid, errors: [{ path, message }] }.
+ * With `allowExtra`, properties outside the schema (fields added after the model call,
+ * such as `cached` or `_detectorSummary`) are ignored.
+ */
+function validateAnalysis(obj, { schema = ANALYSIS_SCHEMA, allowExtra = false } = {}) {
+  const errors = [];
+  validateNode(obj, allowExtra ? { ...schema, additionalProperties: true } : schema, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function formatErrors(errors, max = 10) {
+  const shown = errors.slice(0, max).map(e => `${e.path} ${e.message}`);
+  if (errors.length > max) shown.push(`(${errors.length - max} more)`);
+  return shown.join('; ');
+}
+
+/**
+ * Lossless clean-up before validation: confidence clamped to 0..1, strings trimmed,
+ * the category lower-cased. Anything else wrong is left for the validator to report.
+ */
+function coerceAnalysis(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return obj;
+  const out = { ...obj };
+  if (typeof out.confidence === 'number') out.confidence = Math.max(0, Math.min(1, out.confidence));
+  for (const key of ['stage', 'root_cause', 'suggested_fix', 'explain']) {
+    if (typeof out[key] === 'string') out[key] = out[key].trim();
+  }
+  if (typeof out.category === 'string') out.category = out.category.trim().toLowerCase();
+  return out;
+}
+
+/**
+ * Fill the v2 fields of an analysis that was not produced by the model (fallbacks, heuristics).
+ */
+function withDefaults(analysis) {
+  return {
+    category: 'unknown',
+    evidence_lines: [],
+    affected_files: [],
+    reproduction_commands: [],
+    blocking: true,
+    ...analysis
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CATEGORIES,
+  JOB_ROLES,
+  ANALYSIS_SCHEMA,
+  PIPELINE_ANALYSIS_SCHEMA,
+  validateAnalysis,
+  coerceAnalysis,
+  formatErrors,
+  withDefaults
+};
@@ -0,0 +1,119 @@
+// backend/src/utils/evidenceGuard.js
+'use strict';
+
+/**
+ * Hallucination guard for AI analyses.
+ *
+ * Every concrete claim in an analysis is looked up in what the model was shown: the
+ * sanitized trace (log window + extracted error blocks) and the detector evidence.
+ * Claims are the quoted `evidence_lines`, the `affected_files`, and file paths,
+ * package@version references and CVE/GHSA ids mentioned in the prose fields.
+ * Quoted lines and listed files that cannot be found are removed; prose claims cannot be
+ * cut out of a sentence, so they are flagged. Confidence is scaled by the verified share.
+ */
+
+const PROSE_FIELDS = ['root_cause', 'suggested_fix', 'explain'];
+
+const ADVISORY_RE = /\b(CVE-\d{4}-\d{4,}|GHSA(?:-[23456789cfghjmpqrvwx]{4}){3})\b/gi;
+const PACKAGE_RE = /(?:^|[\s("'`])((?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*)@v?(\d+\.\d+[\w.+-]*)/gi;
+const FILE_RE = /(?:^|[\s("'`])((?:[\w.-]+\/)+[\w.-]+\.[A-Za-z0-9]{1,8})(?::\d+)*/g;
+
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function uniqueMatches(text, re, group = 1) {
+  const out = [];
+  for (const m of String(text || '').matchAll(re)) {
+    const value = m[group].replace(/[.,;:]+$/, '');
+    if (!out.includes(value)) out.push(value);
+  }
+  return out;
+}
+
+/**
+ * Text the claims are checked against: { trace, detector } (normalized for line lookups).
+ */
+function buildHaystack({ logs = '', errorBlocks = [], evidence = null }) {
+  const blockText = (errorBlocks || []).map(b => [b.file, b.test, b.message, ...(b.context || [])].filter(Boolean).join('\n')).join('\n');
+  const trace = `${logs}\n${blockText}`;
+  let detector = '';
+  if (evidence && typeof evidence === 'object') {
+    try {
+      detector = JSON.stringify(evidence);
+    } catch (e) {
+      detector = '';
+    }
+  }
+  return {
+    trace,
+    traceNormalized: normalize(trace),
+    traceLower: trace.toLowerCase(),
+    detector,
+    detectorLower: detector.toLowerCase()
+  };
+}
+
+function locate(haystack, value, { caseSensitive = true, normalized = false } = {}) {
+  if (normalized) {
+    const needle = normalize(value);
+    if (needle && haystack.traceNormalized.includes(needle)) return 'trace';
+    return needle && haystack.detector.includes(needle) ? 'detector' : null;
+  }
+  if (caseSensitive) {
+    if (haystack.trace.includes(value)) return 'trace';
+    return haystack.detector.includes(value) ? 'detector' : null;
+  }
+  const lower = value.toLowerCase();
+  if (haystack.traceLower.includes(lower)) return 'trace';
+  return haystack.detectorLower.includes(lower) ? 'detector' : null;
+}
+
+/**
+ * Verify the claims of `analysis` against the sanitized trace and detector evidence.
+ * Returns the guarded analysis with unverifiable evidence lines / files removed,
+ * confidence scaled by verified/total, and
+ * `evidence_check: { verified, total, confidence_before, claims: [{ type, value, verified, found_in, action }] }`.
+ */
+function verifyClaims(analysis, { logs = '', errorBlocks = [], evidence = null } = {}) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+  const haystack = buildHaystack({ logs, errorBlocks, evidence });
+  const claims = [];
+  const check = (type, value, opts, action) => {
+    const foundIn = locate(haystack, value, opts);
+    claims.push({ type, value, verified: !!foundIn, found_in: foundIn, action: foundIn ? 'kept' : action });
+    return !!foundIn;
+  };
+
+  const out = { ...analysis };
+  if (Array.isArray(analysis.evidence_lines)) {
+    out.evidence_lines = analysis.evidence_lines.filter(line => check('log_line', line, { normalized: true }, 'removed'));
+  }
+  if (Array.isArray(analysis.affected_files)) {
+    out.affected_files = analysis.affected_files.filter(file => check('file', file, {}, 'removed'));
+  }
+
+  const prose = PROSE_FIELDS.map(f => (typeof analysis[f] === 'string' ? analysis[f] : '')).join('\n');
+  const listedFiles = new Set(claims.filter(c => c.type === 'file').map(c => c.value));
+  for (const file of uniqueMatches(prose, FILE_RE)) {
+    if (!listedFiles.has(file)) check('file', file, {}, 'flagged');
+  }
+  for (const pkg of uniqueMatches(prose, PACKAGE_RE)) {
+    check('package', pkg, { caseSensitive: false }, 'flagged');
+  }
+  for (const id of uniqueMatches(prose, ADVISORY_RE)) {
+    check('advisory', id.toUpperCase(), { caseSensitive: false }, 'flagged');
+  }
+
+  const verified = claims.filter(c => c.verified).length;
+  const confidenceBefore = typeof analysis.confidence === 'number' ? analysis.confidence : 0;
+  if (claims.length > 0) {
+    out.confidence = Math.round(confidenceBefore * (verified / claims.length) * 100) / 100;
+  }
+  out.evidence_check = { verified, total: claims.length, confidence_before: confidenceBefore, claims };
+  return out;
+}
+
+module.exports = {
+  verifyClaims
+};
@@ -0,0 +1,163 @@
+// backend/src/utils/lockfileParser.js
+'use strict';
+
+const { compareVersions } = require('./versions');
+
+/**
+ * Parsers that turn lockfile contents into a flat list of pinned packages:
+ *   [{ ecosystem, package, version }]
+ *
+ * Only exact pins are returned; ranges and unpinned requirements are skipped
+ * because they cannot be matched deterministically against advisories.
+ */
+
+function dedupe(entries) {
+  const seen = new Set();
+  const out = [];
+  for (const e of entries) {
+    const key = `${e.ecosystem}:${e.package}@${e.version}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(e);
+  }
+  return out;
+}
+
+/**
+ * package-lock.json (lockfileVersion 1, 2 and 3).
+ */
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const out = [];
+
+  // v2/v3: flat "packages" map keyed by install path
+  if (lock.packages && typeof lock.packages === 'object') {
+    for (const [key, meta] of Object.entries(lock.packages)) {
+      if (!key || !meta || meta.link || !meta.version) continue;
+      const idx = key.lastIndexOf('node_modules/');
+      if (idx === -1) continue;
+      const name = meta.name || key.slice(idx + 'node_modules/'.length);
+      out.push({ ecosystem: 'npm', package: name, version: meta.version });
+    }
+    return dedupe(out);
+  }
+
+  // v1: nested "dependencies" tree
+  const walk = (deps) => {
+    if (!deps || typeof deps !== 'object') return;
+    for (const [name, meta] of Object.entries(deps)) {
+      if (meta && meta.version && !String(meta.version).startsWith('file:')) {
+        out.push({ ecosystem: 'npm', package: name, version: meta.version });
+      }
+      if (meta && meta.dependencies) walk(meta.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+  return dedupe(out);
+}
+
+function packageNameFromYarnSpec(spec) {
+  const s = spec.trim().replace(/^"|"$/g, '');
+  // berry: "lodash@npm:^4.17.21"
+  const npmIdx = s.indexOf('@npm:');
+  if (npmIdx > 0) return s.slice(0, npmIdx);
+  // classic: "lodash@^4.17.21" / "@babel/core@^7.0.0"
+  const at = s.lastIndexOf('@');
+  return at > 0 ? s.slice(0, at) : s;
+}
+
+/**
+ * yarn.lock (classic v1 and berry).
+ */
+function parseYarnLock(content) {
+  const out = [];
+  const lines = String(content).split('\n');
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    if (!/^\s/.test(line) && line.trim().endsWith(':')) {
+      const header = line.trim().slice(0, -1);
+      if (header.startsWith('__metadata')) {
+        current = null;
+        continue;
+      }
+      const firstSpec = header.split(',')[0];
+      current = packageNameFromYarnSpec(firstSpec);
+      continue;
+    }
+
+    if (!current) continue;
+    const m = line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+    if (m) {
+      out.push({ ecosystem: 'npm', package: current, version: m[1] });
+      current = null;
+    }
+  }
+  return dedupe(out);
+}
+
+/**
+ * requirements.txt — only `name==version` pins are considered.
+ */
+function parseRequirements(content) {
+  const out = [];
+  for (const raw of String(content).split('\n')) {
+    const line = raw.replace(/#.*$/, '').split(';')[0].trim();
+    if (!line || line.startsWith('-')) continue;
+    const m = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*===?\s*([A-Za-z0-9.+!_-]+)/);
+    if (!m) continue;
+    out.push({
+      ecosystem: 'PyPI',
+      package: m[1].toLowerCase().replace(/[._]+/g, '-'),
+      version: m[2]
+    });
+  }
+  return dedupe(out);
+}
+
+/**
+ * go.sum — each module appears with a content hash and a /go.mod hash. go.sum also keeps
+ * versions that minimal version selection passed over, so only the highest version of
+ * each module (the one the build uses) is returned.
+ */
+function parseGoSum(content) {
+  const selected = new Map();
+  for (const raw of String(content).split('\n')) {
+    const parts = raw.trim().split(/\s+/);
+    if (parts.length < 3) continue;
+    const [mod, ver] = parts;
+    const version = ver.replace(/\/go\.mod$/, '').replace(/^v/, '').replace(/\+incompatible$/, '');
+    const current = selected.get(mod);
+    if (!current || compareVersions(version, current) > 0) selected.set(mod, version);
+  }
+  return [...selected].map(([mod, version]) => ({ ecosystem: 'Go', package: mod, version }));
+}
+
+const PARSERS = {
+  'package-lock.json': parsePackageLock,
+  'yarn.lock': parseYarnLock,
+  'requirements.txt': parseRequirements,
+  'go.sum': parseGoSum
+};
+
+/**
+ * Pick a parser by file basename and return pinned packages.
+ * Returns null when the file type is not supported.
+ */
+function parseLockfile(filePath, content) {
+  const base = String(filePath || '').split('/').pop();
+  const parser = PARSERS[base];
+  if (!parser) return null;
+  return parser(content);
+}
+
+module.exports = {
+  parseLockfile,
+  parsePackageLock,
+  parseYarnLock,
+  parseRequirements,
+  parseGoSum,
+  SUPPORTED_LOCKFILES: Object.keys(PARSERS)
+};
@@ -1,54 +1,126 @@
 // backend/src/utils/logParser.js
 const crypto = require('crypto');
+const { cleanTrace, stripAnsi } = require('./traceParser');
+const { createRedactor } = require('./redaction');
 
-function sanitize(raw) {
-  if (!raw) return '';
-  let s = String(raw);
+/**
+ * Redact with the given redactor (see utils/redaction.js), or with the global rules.
+ */
+function redact(raw, redactor = null) {
+  return (redactor || createRedactor()).redact(raw);
+}
 
-  // PEM blocks
-  s = s.replace(/-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g, '[REDACTED_PEM]');
+/**
+ * Clean, redact and truncate a log for issues and prompts. Returns a string.
+ * Pass a `redactor` to apply project rules / allowlists and count what was redacted.
+ */
+function sanitize(raw, { redactor = null } = {}) {
+  if (!raw) return '';
+  // ANSI colours and GitLab section markers carry no information for issues or prompts
+  const s = redact(cleanTrace(raw), redactor);
 
-  // AWS Access Keys
-  s = s.replace(/\b(AKIA|ASIA)[A-Z0-9]{16}\b/g, '[REDACTED_AWS_KEY]');
+  // Truncate long logs but keep the last context
+  const max = 6000;
+  if (s.length > max) {
+    const tail = s.slice(-max);
+    return `...TRUNCATED...\n${tail}`;
+  }
 
-  // Google API keys
-  s = s.replace(/\bAIza[0-9A-Za-z\-_]{35}\b/g, '[REDACTED_GOOGLE_KEY]');
+  return s;
+}
 
-  // GitHub tokens (ghp_…)
-  s = s.replace(/\bghp_[A-Za-z0-9]{36}\b/g, '[REDACTED_GITHUB_TOKEN]');
+/**
+ * sanitize() plus the redaction report: { text, report: { total, rules, allowlisted } }.
+ * The report names rules and counts only, never the redacted values.
+ */
+function sanitizeWithReport(raw, { projectId = null, allowlist = [] } = {}) {
+  const redactor = createRedactor({ projectId, allowlist });
+  return { text: sanitize(raw, { redactor }), report: redactor.report() };
+}
 
-  // Slack tokens (xoxb, xoxp)
-  s = s.replace(/\bxox[baprs]-[A-Za-z0-9-]{10,}\b/g, '[REDACTED_SLACK_TOKEN]');
+// Per-line cap and the most text held back while waiting for a newline / PEM end marker
+const MAX_TRACE_LINE_CHARS = 8192;
+const MAX_PENDING_CHARS = 256 * 1024;
 
-  // OAuth Client secrets
-  s = s.replace(/\b[0-9a-fA-F]{32}\b/g, '[REDACTED_OAUTH_SECRET]');
+/**
+ * Incremental redaction for large traces. Text is written chunk by chunk, redacted on
+ * line boundaries (an unterminated PEM block is held back until its END marker) and only
+ * the last `maxLines` lines are kept in a fixed-size ring buffer, so memory stays bounded
+ * whatever the size of the trace.
+ *
+ * `skipFirstLine` drops everything up to the first newline (a trace fetched from a byte
+ * offset starts mid-line). `redactor` defaults to the global rules.
+ * end() returns { text, lines, droppedLines }.
+ */
+function createRedactingTail({ maxLines = 20000, maxLineChars = MAX_TRACE_LINE_CHARS, skipFirstLine = false, redactor = null } = {}) {
+  const active = redactor || createRedactor();
+  const ring = new Array(maxLines);
+  let next = 0;
+  let count = 0;
+  let dropped = 0;
+  let seen = 0;
+  let pending = '';
+  let skipping = skipFirstLine;
 
-  // Bearer tokens
-  s = s.replace(/Bearer\s+[A-Za-z0-9\-\._~\+\/]+=*/gi, 'Bearer [REDACTED_TOKEN]');
+  function pushLine(line) {
+    ring[next] = line.length > maxLineChars ? `${line.slice(0, maxLineChars)} ...[LINE_TRUNCATED]` : line;
+    next = (next + 1) % maxLines;
+    if (count < maxLines) count++;
+    else dropped++;
+  }
 
-  // JWTs
-  s = s.replace(/\b[A-Za-z0-9-_]{20,}\.[A-Za-z0-9-_]{20,}\.[A-Za-z0-9-_]{20,}\b/g, '[REDACTED_JWT]');
+  function flush(text) {
+    // colour codes could split a secret; section markers are kept for parseTrace()
+    for (const line of active.redact(stripAnsi(text), { lineOffset: seen }).split('\n')) pushLine(line);
+    seen += text.split('\n').length;
+  }
 
-  // Generic long tokens
-  s = s.replace(/\b[A-Za-z0-9\-_]{40,}\b/g, '[REDACTED_TOKEN]');
+  function write(chunk) {
+    pending += chunk;
+    if (skipping) {
+      const nl = pending.indexOf('\n');
+      if (nl < 0) {
+        pending = '';
+        return;
+      }
+      pending = pending.slice(nl + 1);
+      skipping = false;
+    }
 
-  // Emails
-  s = s.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, '[REDACTED_EMAIL]');
+    let cut = pending.lastIndexOf('\n');
+    if (cut < 0) {
+      if (pending.length > MAX_PENDING_CHARS) {
+        // a single huge line: keep its head and drop the rest of it
+        flush(pending.slice(0, maxLineChars));
+        pending = '';
+        skipping = true;
+      }
+      return;
+    }
 
-  // IPv4
-  s = s.replace(/\b(?:\d{1,3}\.){3}\d{1,3}\b/g, '[REDACTED_IP]');
+    // keep an unterminated PEM block together so it is redacted as a whole
+    const pemStart = pending.lastIndexOf('-----BEGIN', cut);
+    if (pemStart >= 0 && pending.length - pemStart < MAX_PENDING_CHARS) {
+      const pemEnd = pending.indexOf('-----END', pemStart);
+      if (pemEnd < 0 || pemEnd > cut) {
+        cut = pending.lastIndexOf('\n', pemStart);
+        if (cut < 0) return;
+      }
+    }
 
-  // Env var leaks like KEY=xxxx
-  s = s.replace(/\b[A-Z0-9_]{3,}=['"]?[A-Za-z0-9\/+=\-_!@#$%^&*]{10,}['"]?/g, '[REDACTED_ENV_VAR]');
+    flush(pending.slice(0, cut));
+    pending = pending.slice(cut + 1);
+  }
 
-  // Truncate long logs but keep the last context
-  const max = 6000;
-  if (s.length > max) {
-    const tail = s.slice(-max);
-    return `...TRUNCATED...\n${tail}`;
+  function end() {
+    if (pending) flush(pending);
+    pending = '';
+    const lines = [];
+    for (let i = 0; i < count; i++) lines.push(ring[(next - count + i + maxLines) % maxLines]);
+    return { text: lines.join('\n'), lines: count, droppedLines: dropped };
   }
 
-  return s;
+  return { write, end };
 }
 
 function tailAndSanitize(raw, tailLines = 150) {
@@ -67,8 +139,322 @@ function traceHash(raw) {
   return h.digest('hex').slice(0, 12); // short hash
 }
 
+// --- Toolchain error extraction ---
+
+
+// BuildKit step output prefix: "#8 2.301 npm ERR! ..."
+const BUILDKIT_PREFIX_RE = /^#\d+ \d+\.\d+ /;
+
+function cleanLine(line) {
+  return cleanTrace(line).replace(BUILDKIT_PREFIX_RE, '');
+}
+
+function makeBlock(tool, index, lines, { test = null, file = null, line = null, message = '' } = {}) {
+  return { tool, test, file, line: line != null ? Number(line) : null, message: message.trim(), index, context: lines };
+}
+
+// Collect lines after `start` until `stop(line)` is true or `max` lines were taken
+function collect(lines, start, max, stop) {
+  const out = [];
+  for (let i = start; i < lines.length && out.length < max; i++) {
+    if (i > start && stop(lines[i], i)) break;
+    out.push(lines[i]);
+  }
+  return out;
+}
+
+// First "path:line" reference in a block, skipping dependency frames
+function findFileRef(blockLines, extRe) {
+  const re = new RegExp(`([\\w./@-]+\\.(?:${extRe})):(\\d+)`);
+  for (const l of blockLines) {
+    if (l.includes('node_modules') || l.includes('site-packages')) continue;
+    const m = l.match(re);
+    if (m) return { file: m[1].replace(/^\.\//, ''), line: m[2] };
+  }
+  return { file: null, line: null };
+}
+
+/**
+ * Error extractors, one per toolchain. Each takes the cleaned log lines and returns
+ * blocks { tool, test, file, line, message, index, context[] }.
+ */
+const ERROR_EXTRACTORS = [
+  {
+    tool: 'jest',
+    extract(lines, max) {
+      const blocks = [];
+      let suiteFile = null;
+      lines.forEach((l, i) => {
+        const fail = l.match(/^\s*FAIL\s+(\S+\.(?:[cm]?[jt]sx?))/);
+        if (fail) suiteFile = fail[1];
+        const m = l.match(/^\s*● (.+)$/);
+        if (!m || /^\s*● Console\s*$/.test(l)) return;
+        const ctx = collect(lines, i, max, (x) => /^\s*● /.test(x) || /^(Test Suites|Tests):/.test(x) || /^\s*(PASS|FAIL)\s/.test(x));
+        const message = (ctx.slice(1).find(x => x.trim()) || '').trim();
+        const ref = findFileRef(ctx, '[cm]?[jt]sx?');
+        blocks.push(makeBlock('jest', i, ctx, { test: m[1].trim(), file: ref.file || suiteFile, line: ref.line, message }));
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'mocha',
+    extract(lines, max) {
+      const start = lines.findIndex(l => /^\s*\d+ failing\b/.test(l));
+      if (start < 0) return [];
+      const blocks = [];
+      for (let i = start + 1; i < lines.length; i++) {
+        const m = lines[i].match(/^\s*(\d+)\) (.+)$/);
+        if (!m) continue;
+        const ctx = collect(lines, i, max, (x) => /^\s*\d+\) /.test(x));
+        const titleParts = [m[2].trim()];
+        for (const x of ctx.slice(1)) {
+          if (!x.trim() || /Error|expected/i.test(x)) break;
+          titleParts.push(x.trim().replace(/:$/, ''));
+        }
+        const message = (ctx.find(x => /\w*Error\b|expected/i.test(x)) || '').trim();
+        const ref = findFileRef(ctx, '[cm]?[jt]sx?');
+        blocks.push(makeBlock('mocha', i, ctx, { test: titleParts.join(' ').replace(/:$/, ''), file: ref.file, line: ref.line, message }));
+      }
+      return blocks;
+    }
+  },
+  {
+    tool: 'npm',
+    extract(lines) {
+      const blocks = [];
+      for (let i = 0; i < lines.length; i++) {
+        if (!/^npm (ERR!|error) /.test(lines[i])) continue;
+        const ctx = collect(lines, i, 30, (x) => !/^npm (ERR!|error)/.test(x));
+        const body = ctx.map(x => x.replace(/^npm (ERR!|error)\s?/, '').trim());
+        const code = (body.find(x => /^code /.test(x)) || '').replace(/^code /, '');
+        const script = (body.join('\n').match(/(?:Failed at the \S+ (\S+) script|lifecycle script "?(\S+?)"? failed)/) || []);
+        const message = body.find(x => x && !/^(code|errno|syscall|path|A complete log|\s*$|\d+ verbose)/.test(x) && !/^Lifecycle script/.test(x)) || code;
+        blocks.push(makeBlock('npm', i, ctx, { test: script[1] || script[2] || null, message: code && !message.includes(code) ? `${code}: ${message}` : message }));
+        i += ctx.length - 1;
+      }
+      return blocks;
+    }
+  },
+  {
+    tool: 'yarn',
+    extract(lines) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        const classic = l.match(/^error (.+)$/);
+        const berry = l.match(/^➤ YN\d{4}: (.*(?:ERR|[Ee]rror|failed).*)$/);
+        const m = classic || berry;
+        // "error Command failed with exit code 1." only adds information when it is the sole yarn error
+        if (!m || (/^error Command failed with exit code/.test(l) && blocks.length > 0)) return;
+        blocks.push(makeBlock('yarn', i, [l], { message: m[1] }));
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'pytest',
+    extract(lines, max) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        const m = l.match(/^(FAILED|ERROR) (\S+?\.py)(?:::(\S+))?(?: - (.*))?$/);
+        if (!m) return;
+        const test = m[3] || null;
+        // Pull the "E ..." lines from the matching section in the FAILURES report
+        const name = test ? test.split('::').pop().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : null;
+        const headerRe = name ? new RegExp(`^_{3,} (?:\\S+\\.)?${name} _{3,}$`) : null;
+        const header = headerRe ? lines.findIndex(x => headerRe.test(x)) : -1;
+        const ctx = header >= 0 ? collect(lines, header, max, (x) => /^_{3,} .+ _{3,}$/.test(x) || /^={3,}/.test(x)) : [l];
+        const loc = ctx.map(x => x.match(/^(\S+\.py):(\d+): \w+/)).find(Boolean);
+        const eLine = ctx.find(x => /^E\s+/.test(x));
+        blocks.push(makeBlock('pytest', i, ctx, {
+          test,
+          file: loc ? loc[1] : m[2],
+          line: loc ? loc[2] : null,
+          message: m[4] || (eLine ? eLine.replace(/^E\s+/, '') : m[1])
+        }));
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'maven',
+    extract(lines) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        if (!/^\[ERROR\] /.test(l)) return;
+        const text = l.replace(/^\[ERROR\]\s+/, '');
+        if (!text || /^(->|Re-run Maven|To see the full|For more information|\[Help|After correcting|mvn <args>|$)/.test(text)) return;
+        const compile = text.match(/^(\S+\.(?:java|kt|scala)):\[(\d+),\d+\] (.+)$/);
+        const testFail = text.match(/^([\w.$]+)\.(\w+):(\d+) (.+)$/);
+        if (compile) {
+          blocks.push(makeBlock('maven', i, [l], { file: compile[1], line: compile[2], message: compile[3] }));
+        } else if (testFail) {
+          blocks.push(makeBlock('maven', i, [l], { test: `${testFail[1]}.${testFail[2]}`, line: testFail[3], message: testFail[4] }));
+        } else if (/^Failed to execute goal|^Tests run:.*Fail|^BUILD FAILURE|COMPILATION ERROR/.test(text)) {
+          blocks.push(makeBlock('maven', i, [l], { message: text }));
+        }
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'gradle',
+    extract(lines, max) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        const testFail = l.match(/^(\S+) > (.+) FAILED$/);
+        const javac = l.match(/^(\S+\.(?:java|groovy)):(\d+): error: (.+)$/);
+        const kotlin = l.match(/^e: (?:file:\/\/)?(\S+\.kts?):(\d+):\d+ (.+)$/);
+        if (testFail) {
+          const ctx = collect(lines, i, Math.min(max, 6), (x) => !/^\s/.test(x));
+          const ref = findFileRef(ctx, 'java|kt|groovy|scala');
+          blocks.push(makeBlock('gradle', i, ctx, { test: `${testFail[1]}.${testFail[2]}`, file: ref.file, line: ref.line, message: (ctx[1] || '').trim() }));
+        } else if (javac || kotlin) {
+          const m = javac || kotlin;
+          blocks.push(makeBlock('gradle', i, [l], { file: m[1], line: m[2], message: m[3] }));
+        } else if (/^\* What went wrong:/.test(l)) {
+          const ctx = collect(lines, i, Math.min(max, 8), (x) => /^\* /.test(x));
+          blocks.push(makeBlock('gradle', i, ctx, { message: ctx.slice(1).map(x => x.trim()).filter(Boolean).join(' ') }));
+        }
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'go',
+    extract(lines, max) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        const fail = l.match(/^\s*--- FAIL: (\S+)/);
+        const build = l.match(/^(\.?\/?[\w./-]+\.go):(\d+):\d+: (.+)$/);
+        if (fail) {
+          const ctx = collect(lines, i, max, (x) => /^\s*--- (FAIL|PASS|SKIP):|^(FAIL|ok)\s/.test(x));
+          const ref = ctx.slice(1).map(x => x.match(/^\s+([\w./-]+\.go):(\d+): (.*)$/)).find(Boolean);
+          blocks.push(makeBlock('go', i, ctx, { test: fail[1], file: ref ? ref[1] : null, line: ref ? ref[2] : null, message: ref ? ref[3] : '' }));
+        } else if (build) {
+          blocks.push(makeBlock('go', i, [l], { file: build[1].replace(/^\.\//, ''), line: build[2], message: build[3] }));
+        } else if (/^panic: /.test(l)) {
+          const ctx = collect(lines, i, max, (x) => /^(FAIL|ok)\s/.test(x));
+          const ref = findFileRef(ctx.slice(1), 'go');
+          blocks.push(makeBlock('go', i, ctx, { file: ref.file, line: ref.line, message: l }));
+        }
+      });
+      return blocks;
+    }
+  },
+  {
+    tool: 'docker',
+    extract(lines, max) {
+      const blocks = [];
+      lines.forEach((l, i) => {
+        const legacy = l.match(/^The command '(.+)' returned a non-zero code: (\d+)$/);
+        if (legacy) {
+          blocks.push(makeBlock('docker', i, [l], { test: legacy[1], message: `returned a non-zero code: ${legacy[2]}` }));
+          return;
+        }
+        // BuildKit: "ERROR: failed to solve: process "/bin/sh -c npm ci" did not complete successfully: exit code: 1"
+        const solve = l.match(/^ERROR: failed to solve: (.+)$/);
+        if (!solve) return;
+        const window = lines.slice(Math.max(0, i - max + 1), i + 1);
+        let step = null;
+        for (let j = window.length - 1; j >= 0 && !step; j--) {
+          const m = window[j].match(/^ > \[([^\]]+)\] (.+?):?$/) || window[j].match(/^#\d+ \[([^\]]+)\] (.+)$/);
+          if (m) step = `[${m[1]}] ${m[2]}`;
+        }
+        const ctx = window.filter(x => /^(?:#\d+ | > |------)/.test(x) || x === l);
+        blocks.push(makeBlock('docker', i, ctx, { test: step, message: solve[1] }));
+      });
+      return blocks;
+    }
+  }
+];
+
+// Generic fallback: the last "$ command" before the runner's exit code line
+function extractShellExit(lines, max) {
+  const exitIdx = lines.findIndex(l => /(?:Job failed: exit code|exited with code|Command exited with|exit status) \d+/i.test(l));
+  if (exitIdx < 0) return [];
+  let cmdIdx = -1;
+  for (let i = exitIdx - 1; i >= 0; i--) {
+    if (/^\$ /.test(lines[i])) { cmdIdx = i; break; }
+  }
+  const code = lines[exitIdx].match(/(\d+)\s*$/);
+  const ctx = cmdIdx >= 0 ? lines.slice(Math.max(cmdIdx, exitIdx - max + 1), exitIdx + 1) : [lines[exitIdx]];
+  return [makeBlock('shell', exitIdx, ctx, {
+    test: cmdIdx >= 0 ? lines[cmdIdx].replace(/^\$ /, '') : null,
+    message: `exit code ${code ? code[1] : 'unknown'}`
+  })];
+}
+
+/**
+ * Run the toolchain extractors over a raw job trace.
+ * Returns up to `maxBlocks` redacted error blocks in log order:
+ *   [{ tool, test, file, line, message, index, context }]
+ * When no toolchain extractor matches, the shell exit-code block (if any) is returned.
+ */
+function extractErrorBlocks(raw, { maxBlocks = 10, contextLines = 15, redactor = null } = {}) {
+  if (!raw) return [];
+  const lines = String(raw).split('\n').map(cleanLine);
+
+  let blocks = [];
+  for (const extractor of ERROR_EXTRACTORS) {
+    try {
+      blocks.push(...extractor.extract(lines, contextLines));
+    } catch (e) {
+      // an extractor choking on unusual output must not hide the others' results
+    }
+  }
+  if (blocks.length === 0) blocks = extractShellExit(lines, contextLines);
+
+  const seen = new Set();
+  return blocks
+    .sort((a, b) => a.index - b.index)
+    .filter((b) => {
+      const key = `${b.tool}|${b.test}|${b.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxBlocks)
+    .map(b => ({
+      ...b,
+      test: b.test ? redact(b.test, redactor) : null,
+      message: redact(b.message, redactor),
+      context: b.context.slice(0, contextLines).map(l => redact(l, redactor))
+    }));
+}
+
+/**
+ * Human/AI readable rendering of error blocks.
+ */
+function formatErrorBlocks(blocks) {
+  return blocks.map((b) => {
+    const where = b.file ? ` (${b.file}${b.line ? `:${b.line}` : ''})` : '';
+    const label = `${b.test ? ` ${b.test}` : ''}${where}`;
+    const head = `[${b.tool}]${label}${b.message ? `${label ? ' —' : ''} ${b.message}` : ''}`;
+    return [head, ...b.context.map(l => `  ${l}`)].join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Excerpt for issues and prompts: the formatted error blocks, or the sanitized last
+ * `fallbackLines` lines when no extractor matched. Returns { excerpt, blocks }.
+ */
+function buildErrorExcerpt(raw, { fallbackLines = 40, maxBlocks = 10, contextLines = 15, maxLines = 120, redactor = null } = {}) {
+  const blocks = extractErrorBlocks(raw, { maxBlocks, contextLines, redactor });
+  if (blocks.length > 0) {
+    return { excerpt: formatErrorBlocks(blocks).split('\n').slice(0, maxLines).join('\n'), blocks };
+  }
+  return { excerpt: sanitize(raw, { redactor }).split('\n').slice(-fallbackLines).join('\n'), blocks };
+}
+
 module.exports = {
   sanitize,
+  sanitizeWithReport,
+  redact,
+  extractErrorBlocks,
+  formatErrorBlocks,
+  buildErrorExcerpt,
+  createRedactingTail,
 
   // new helpers
   tailAndSanitize,
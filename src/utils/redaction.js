@@ -0,0 +1,273 @@
+// backend/src/utils/redaction.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Configurable log redaction.
+ *
+ * Built-in detectors (DEFAULT_RULES) can be tuned, disabled or extended from a JSON
+ * config file (REDACTION_CONFIG_PATH, default: data/redaction.json):
+ *   {
+ *     "rules": [
+ *       { "name": "acme_token", "pattern": "\\bacme_[A-Za-z0-9]{32}\\b", "secret": true },
+ *       { "name": "generic_token", "entropy": 4.5 }
+ *     ],
+ *     "disabled": ["ipv4"],
+ *     "allow": ["^build-cache-[0-9a-f]+$"],
+ *     "projects": { "42": { "disabled": ["email"], "rules": [], "allow": [] } }
+ *   }
+ * A rule entry named like an existing rule overrides its fields; new rules run before
+ * the built-in ones. `entropy` is the minimum Shannon entropy (bits/char) a value needs
+ * to be redacted, `findingEntropy` the minimum a redacted `secret` value needs to also be
+ * reported as a credential finding, `allow` lists regexes for values that are kept. When a pattern has a
+ * named group `value`, only that part of the match is replaced. Replacements are literal.
+ *
+ * The file is re-read whenever its mtime changes. Redactors count what they replace
+ * per rule; reports never contain the redacted values.
+ */
+
+const DATA_DIR = path.resolve(process.env.FP_DB_DIR || path.join(__dirname, '../../data'));
+const CONFIG_PATH = path.resolve(process.env.REDACTION_CONFIG_PATH || path.join(DATA_DIR, 'redaction.json'));
+
+// Allowlisted literals shorter than this would protect too much text
+const MIN_ALLOWLIST_LENGTH = 7;
+// Credential findings remembered per redactor (counts stay exact beyond this)
+const MAX_FINDINGS = 50;
+
+/**
+ * Built-in detectors, applied in order.
+ *
+ * `secret: true` marks credential formats; they are shared with the repository
+ * secret scanner (utils/secretScanner.js). `provider: true` marks formats that
+ * identify a specific vendor credential rather than a generic heuristic. `finding: false`
+ * keeps a credential rule out of the log leak findings (it still redacts).
+ */
+const DEFAULT_RULES = [
+  // PEM blocks
+  { name: 'pem_block', secret: true, provider: true, regex: /-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g, replacement: '[REDACTED_PEM]' },
+
+  // AWS Access Keys
+  { name: 'aws_access_key', secret: true, provider: true, regex: /\b(AKIA|ASIA)[A-Z0-9]{16}\b/g, replacement: '[REDACTED_AWS_KEY]' },
+
+  // Google API keys
+  { name: 'google_api_key', secret: true, provider: true, regex: /\bAIza[0-9A-Za-z\-_]{35}\b/g, replacement: '[REDACTED_GOOGLE_KEY]' },
+
+  // GitHub tokens (ghp_…)
+  { name: 'github_token', secret: true, provider: true, regex: /\bghp_[A-Za-z0-9]{36}\b/g, replacement: '[REDACTED_GITHUB_TOKEN]' },
+
+  // Slack tokens (xoxb, xoxp)
+  { name: 'slack_token', secret: true, provider: true, regex: /\bxox[baprs]-[A-Za-z0-9-]{10,}\b/g, replacement: '[REDACTED_SLACK_TOKEN]' },
+
+  // OAuth client secrets: 32 hex chars are only a secret next to a secret-looking key (bare ones are checksums)
+  { name: 'oauth_client_secret', secret: true, regex: /\b(?:client|oauth|app)[_-]?secret["']?\s*[:=]\s*["']?(?<value>[0-9a-fA-F]{32})\b/gi, replacement: '[REDACTED_OAUTH_SECRET]' },
+
+  // Bearer tokens; only random-looking ones are reported as leaked credentials
+  { name: 'bearer_token', secret: true, regex: /Bearer\s+(?<value>[A-Za-z0-9\-._~+/]+=*)/gi, replacement: '[REDACTED_TOKEN]', findingEntropy: 3.5 },
+
+  // JWTs
+  { name: 'jwt', secret: true, regex: /\b[A-Za-z0-9-_]{20,}\.[A-Za-z0-9-_]{20,}\.[A-Za-z0-9-_]{20,}\b/g, replacement: '[REDACTED_JWT]' },
+
+  // Generic long tokens; hex-only values are commit SHAs and checksums
+  { name: 'generic_token', secret: true, regex: /\b[A-Za-z0-9\-_]{40,}\b/g, replacement: '[REDACTED_TOKEN]', entropy: 4, allow: [/^[0-9a-fA-F]+$/] },
+
+  // Emails
+  { name: 'email', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, replacement: '[REDACTED_EMAIL]' },
+
+  // IPv4
+  { name: 'ipv4', regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g, replacement: '[REDACTED_IP]' },
+
+  // Env var leaks like KEY=xxxx; most in job logs are ordinary build settings, so they are not log findings
+  { name: 'env_assignment', secret: true, finding: false, regex: /\b[A-Z0-9_]{3,}=['"]?[A-Za-z0-9/+=\-_!@#$%^&*]{10,}['"]?/g, replacement: '[REDACTED_ENV_VAR]' }
+];
+
+let cache = { mtimeMs: -1, config: {}, rules: new Map() };
+
+function shannonEntropy(str) {
+  const s = String(str || '');
+  if (!s.length) return 0;
+  const freq = {};
+  for (const ch of s) freq[ch] = (freq[ch] || 0) + 1;
+  let h = 0;
+  for (const k of Object.keys(freq)) {
+    const p = freq[k] / s.length;
+    h -= p * Math.log2(p);
+  }
+  return h;
+}
+
+function toRegex(source, flags = '') {
+  const re = source instanceof RegExp ? source : new RegExp(source, flags);
+  return re.flags.includes('g') ? re : new RegExp(re.source, `${re.flags}g`);
+}
+
+function compileAllow(list, rule = null) {
+  const out = [];
+  for (const source of list || []) {
+    try {
+      out.push(source instanceof RegExp ? source : new RegExp(source));
+    } catch (err) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'redaction.allow_ignored', rule, reason: err && err.message ? err.message : String(err) }));
+    }
+  }
+  return out;
+}
+
+/**
+ * Apply one config layer ({ rules, disabled }) on top of a rule list.
+ */
+function applyLayer(rules, layer) {
+  let out = rules.slice();
+  const added = [];
+  for (const entry of (layer && layer.rules) || []) {
+    if (!entry || !entry.name) continue;
+    const idx = out.findIndex(r => r.name === entry.name);
+    try {
+      const patch = { ...entry };
+      delete patch.pattern;
+      delete patch.flags;
+      if (entry.pattern) patch.regex = toRegex(entry.pattern, entry.flags || '');
+      if (entry.allow) patch.allow = compileAllow(entry.allow, entry.name);
+      if (idx >= 0) {
+        out[idx] = { ...out[idx], ...patch };
+      } else if (patch.regex) {
+        added.push({ replacement: `[REDACTED_${entry.name.toUpperCase()}]`, ...patch });
+      } else {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'redaction.rule_ignored', rule: entry.name, reason: 'missing_pattern' }));
+      }
+    } catch (err) {
+      console.warn(JSON.stringify({ level: 'warn', msg: 'redaction.rule_ignored', rule: entry.name, reason: err && err.message ? err.message : String(err) }));
+    }
+  }
+  out = added.concat(out);
+  const disabled = new Set((layer && layer.disabled) || []);
+  return out.filter(r => !disabled.has(r.name) && r.enabled !== false);
+}
+
+function readConfig() {
+  let stat;
+  try {
+    stat = fs.statSync(CONFIG_PATH);
+  } catch (e) {
+    if (cache.mtimeMs !== 0) cache = { mtimeMs: 0, config: {}, rules: new Map() };
+    return cache.config;
+  }
+  if (stat.mtimeMs !== cache.mtimeMs) {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) || {};
+    } catch (err) {
+      // keep redacting with the built-in rules rather than not at all
+      console.error(JSON.stringify({ level: 'error', msg: 'redaction.config_invalid', path: CONFIG_PATH, error: err && err.message ? err.message : String(err) }));
+    }
+    cache = { mtimeMs: stat.mtimeMs, config, rules: new Map() };
+  }
+  return cache.config;
+}
+
+/**
+ * Effective { rules, allow } for a project (built-ins + global config + project overrides).
+ * Pass `config` to use a config object instead of the config file.
+ */
+function rulesFor(projectId = null, config = null) {
+  const cfg = config || readConfig();
+  const key = projectId != null ? String(projectId) : '';
+  if (!config && cache.rules.has(key)) return cache.rules.get(key);
+
+  const project = (key && cfg.projects && cfg.projects[key]) || null;
+  let rules = applyLayer(DEFAULT_RULES, cfg);
+  if (project) rules = applyLayer(rules, project);
+  const allow = compileAllow([].concat(cfg.allow || [], (project && project.allow) || []));
+
+  const effective = { rules, allow };
+  if (!config) cache.rules.set(key, effective);
+  return effective;
+}
+
+/**
+ * Create a redactor for one run.
+ *
+ * `allowlist` holds literal values that must survive redaction, e.g. the commit SHAs
+ * of the pipeline being analyzed. The returned { redact(text, { lineOffset }), report(), findings() }
+ * keeps counting across redact() calls; report() is { total, rules: { name: count }, allowlisted }.
+ * findings() lists the credential (`secret`) redactions as [{ rule, line }]; lines are only
+ * known when the caller passes the `lineOffset` of the text (0 for its first line).
+ */
+function createRedactor({ projectId = null, allowlist = [], config = null } = {}) {
+  const { rules, allow } = rulesFor(projectId, config);
+  const literals = [...new Set(allowlist.filter(v => typeof v === 'string' && v.length >= MIN_ALLOWLIST_LENGTH))];
+  const counts = {};
+  const found = [];
+  let allowlisted = 0;
+
+  function isAllowed(rule, value) {
+    return (rule.allow || []).some(re => re.test(value)) || allow.some(re => re.test(value));
+  }
+
+  function recordFinding(rule, value, s, offset, lineOffset) {
+    if (!rule.secret || rule.finding === false || found.length >= MAX_FINDINGS) return;
+    if (rule.findingEntropy && shannonEntropy(value) < rule.findingEntropy) return;
+    // approximate: earlier multi-line replacements (PEM blocks) shift later lines up
+    const line = lineOffset === null ? null : lineOffset + s.slice(0, offset).split('\n').length;
+    if (!found.some(f => f.rule === rule.name && f.line === line)) found.push({ rule: rule.name, line });
+  }
+
+  function redact(text, { lineOffset = null } = {}) {
+    let s = String(text);
+
+    // swap allowlisted literals for placeholders no rule can match
+    literals.forEach((value, i) => {
+      const parts = s.split(value);
+      if (parts.length > 1) {
+        allowlisted += parts.length - 1;
+        s = parts.join(`\uE000${i}\uE001`);
+      }
+    });
+
+    for (const rule of rules) {
+      const input = s;
+      s = s.replace(rule.regex, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const offset = args[args.length - (groups ? 3 : 2)];
+        const value = groups && groups.value !== undefined ? groups.value : match;
+        if (rule.entropy && shannonEntropy(value) < rule.entropy) return match;
+        if (isAllowed(rule, value)) {
+          allowlisted++;
+          return match;
+        }
+        counts[rule.name] = (counts[rule.name] || 0) + 1;
+        recordFinding(rule, value, input, offset, lineOffset);
+        return value === match ? rule.replacement : match.replace(value, rule.replacement);
+      });
+    }
+
+    if (literals.length > 0) {
+      s = s.replace(/\uE000(\d+)\uE001/g, (_m, i) => literals[Number(i)]);
+    }
+    return s;
+  }
+
+  function report() {
+    return {
+      total: Object.values(counts).reduce((a, b) => a + b, 0),
+      rules: { ...counts },
+      allowlisted
+    };
+  }
+
+  function findings() {
+    return found.map(f => ({ ...f }));
+  }
+
+  return { redact, report, findings };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  createRedactor,
+  rulesFor,
+  shannonEntropy,
+  CONFIG_PATH
+};
@@ -0,0 +1,63 @@
+// backend/src/utils/secretBox.js
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Encryption at rest for credentials stored in the database (AES-256-GCM).
+ *
+ * The key comes from GUARDIAN_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64,
+ * e.g. `openssl rand -base64 32`. Sealed values look like `v1:<iv>:<tag>:<ciphertext>`
+ * (base64). `aad` binds a value to where it is stored, so a ciphertext copied into
+ * another row or column does not decrypt.
+ */
+
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+function loadKey() {
+  const raw = String(process.env.GUARDIAN_ENCRYPTION_KEY || '').trim();
+  if (!raw) throw new Error('GUARDIAN_ENCRYPTION_KEY not configured');
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) throw new Error('GUARDIAN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  return key;
+}
+
+function isConfigured() {
+  try {
+    loadKey();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function seal(plaintext, aad = '') {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(), iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a sealed value; throws when the key or `aad` is wrong or the value was altered.
+ */
+function open(sealed, aad = '') {
+  const [version, iv, tag, ciphertext] = String(sealed || '').split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext == null) throw new Error('not a sealed value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('sealed value cannot be decrypted (wrong GUARDIAN_ENCRYPTION_KEY or tampered value)');
+  }
+}
+
+module.exports = {
+  seal,
+  open,
+  isConfigured
+};
@@ -0,0 +1,121 @@
+// backend/src/utils/secretScanner.js
+'use strict';
+
+const { DEFAULT_RULES, shannonEntropy } = require('./redaction');
+
+/**
+ * Scan file contents for hard-coded credentials.
+ *
+ * Reuses the built-in credential rules from utils/redaction (the ones sanitize() redacts)
+ * and adds Shannon-entropy checks so that hashes, fixtures and placeholders are
+ * not reported as leaks. Each hit is { file, line, match, rule, verified, entropy, reason }
+ * where `match` is always masked.
+ */
+
+const ENTROPY_THRESHOLD = Number(process.env.SECRET_ENTROPY_THRESHOLD || 3.5);
+const PROVIDER_ENTROPY_THRESHOLD = Number(process.env.SECRET_PROVIDER_ENTROPY_THRESHOLD || 3.0);
+
+// Placeholders commonly found in docs, samples and tests
+const PLACEHOLDER_RE = /example|sample|dummy|placeholder|changeme|your[_-]?|x{6,}|0{8,}|(.)\1{7,}/i;
+
+// Keyword assignments in source/config files, e.g. api_key = "..." or password: '...'
+const ASSIGNMENT_PATTERN = {
+  name: 'keyword_assignment',
+  regex: /\b\w*?(?:api[_-]?key|secret|passw(?:or)?d|token|access[_-]?key)\w*["']?\s*[:=]\s*["']([^"'\s]{12,})["']/gi
+};
+
+const SCAN_PATTERNS = DEFAULT_RULES.filter(p => p.secret).concat([ASSIGNMENT_PATTERN]);
+
+/**
+ * Mask a secret, keeping a short prefix/suffix so reviewers can recognise it.
+ */
+function maskSecret(value) {
+  const s = String(value || '');
+  if (s.startsWith('-----BEGIN')) {
+    const header = s.split('\n')[0];
+    return `${header} [MASKED]`;
+  }
+  if (s.length <= 8) return '*'.repeat(s.length);
+  return `${s.slice(0, 4)}${'*'.repeat(Math.min(16, s.length - 6))}${s.slice(-2)}`;
+}
+
+function lineNumberAt(content, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (content.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Decide whether a raw pattern match is a credential.
+ * Returns null to drop the match, or { verified, entropy, reason }.
+ */
+function classify(pattern, secretValue, fullMatch) {
+  if (pattern.name === 'pem_block') {
+    if (!/PRIVATE KEY/.test(fullMatch)) return null;
+    return { verified: true, entropy: null, reason: 'private_key_block' };
+  }
+
+  const entropy = Number(shannonEntropy(secretValue).toFixed(2));
+  if (PLACEHOLDER_RE.test(secretValue)) return null;
+
+  if (pattern.provider) {
+    if (entropy < PROVIDER_ENTROPY_THRESHOLD) return null;
+    return { verified: true, entropy, reason: `${pattern.name}_format` };
+  }
+
+  // Generic heuristics: bare hex strings are almost always hashes/checksums,
+  // unless they are assigned to a credential-looking key
+  if (/^[0-9a-f]+$/i.test(secretValue) && pattern !== ASSIGNMENT_PATTERN) return null;
+  if (entropy < ENTROPY_THRESHOLD) return null;
+  return { verified: false, entropy, reason: `${pattern.name}_high_entropy` };
+}
+
+/**
+ * Scan text content of a single file.
+ */
+function scanContent(file, content) {
+  const text = String(content || '');
+  const hits = [];
+  const seen = new Set();
+
+  for (const pattern of SCAN_PATTERNS) {
+    const re = new RegExp(pattern.regex.source, pattern.regex.flags.includes('g') ? pattern.regex.flags : `${pattern.regex.flags}g`);
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const fullMatch = m[0];
+      const secretValue = pattern === ASSIGNMENT_PATTERN
+        ? m[1]
+        : m.groups && m.groups.value !== undefined
+          ? m.groups.value
+          : fullMatch.replace(/^Bearer\s+/i, '').replace(/^[A-Z0-9_]{3,}=['"]?/, '').replace(/['"]$/, '');
+
+      const verdict = classify(pattern, secretValue, fullMatch);
+      if (!verdict) continue;
+
+      const line = lineNumberAt(text, m.index);
+      const key = `${line}:${secretValue}`;
+      if (seen.has(key)) continue; // same secret caught by a broader pattern
+      seen.add(key);
+
+      hits.push({
+        file,
+        line,
+        match: maskSecret(pattern.name === 'pem_block' ? fullMatch : secretValue),
+        rule: pattern.name,
+        verified: verdict.verified,
+        entropy: verdict.entropy,
+        reason: verdict.reason
+      });
+    }
+  }
+
+  return hits.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  scanContent,
+  shannonEntropy,
+  maskSecret
+};
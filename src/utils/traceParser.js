@@ -0,0 +1,156 @@
+// backend/src/utils/traceParser.js
+
+/**
+ * GitLab job trace parsing.
+ *
+ * Runner traces wrap each phase of a job in collapsible section markers:
+ *   \e[0Ksection_start:1700000000:restore_cache[collapsed=true]\r\e[0KRestoring cache
+ *   ...
+ *   \e[0Ksection_end:1700000012:restore_cache\r\e[0K
+ * and colour output with ANSI escape codes. parseTrace() strips both and splits
+ * the trace into named sections with their durations.
+ */
+
+const ANSI_RE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;?]*[A-Za-z]`, 'g');
+const SECTION_MARKER_RE = /section_(start|end):(\d+):([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\r?/g;
+
+// Sections that run the user's job script (build_script on older runners)
+const SCRIPT_SECTIONS = ['step_script', 'build_script'];
+// after_script failures do not fail the job
+const NON_FAILING_SECTIONS = ['after_script'];
+// Runner-level failures (image pull, cache, artifacts) print these inside the section they hit
+const RUNNER_ERROR_RE = /^(ERROR|FATAL): (?!Job failed)/;
+
+function stripAnsi(text) {
+  return String(text || '').replace(ANSI_RE, '');
+}
+
+/**
+ * Remove ANSI codes, section markers and carriage returns from a trace.
+ */
+function cleanTrace(text) {
+  return stripAnsi(text).replace(SECTION_MARKER_RE, '').replace(/\r/g, '');
+}
+
+/**
+ * Split a raw trace into sections.
+ * Returns {
+ *   sections: [{ name, depth, start, end, duration_sec, lines[], terminated }],
+ *   preamble: lines before the first section,
+ *   trailer: lines after the last top-level section (e.g. "ERROR: Job failed: exit code 1"),
+ *   failingSection: the section the job most likely failed in, or null
+ * }
+ * Nested (user-defined) sections are listed too, with depth > 0; their lines also
+ * belong to the enclosing section. When the trace is only a tail, a section_end without
+ * its start yields a `partial` section holding the lines seen before it (no duration).
+ */
+function parseTrace(raw) {
+  const sections = [];
+  const stack = [];
+  const preamble = [];
+  let trailer = [];
+
+  for (const rawLine of stripAnsi(raw).split('\n')) {
+    let line = rawLine;
+    let m;
+    SECTION_MARKER_RE.lastIndex = 0;
+    while ((m = SECTION_MARKER_RE.exec(rawLine)) !== null) {
+      const [, kind, ts, name] = m;
+      if (kind === 'start') {
+        const section = { name, depth: stack.length, start: Number(ts), end: null, duration_sec: null, lines: [], terminated: false };
+        sections.push(section);
+        stack.push(section);
+        trailer = [];
+      } else {
+        // close the matching section (and anything left open inside it)
+        const idx = stack.map(s => s.name).lastIndexOf(name);
+        if (idx >= 0) {
+          for (const open of stack.splice(idx)) {
+            open.end = Number(ts);
+            open.duration_sec = Math.max(0, open.end - open.start);
+            open.terminated = open.name === name;
+          }
+        } else if (stack.length === 0) {
+          // tail of a trace fetched from an offset: the section started before it
+          const lines = sections.length === 0 ? preamble.splice(0) : trailer;
+          sections.push({ name, depth: 0, start: null, end: Number(ts), duration_sec: null, lines, terminated: true, partial: true });
+          trailer = [];
+        }
+      }
+    }
+    line = line.replace(SECTION_MARKER_RE, '').replace(/\r/g, '');
+    if (!line.trim() && line !== rawLine) continue;
+
+    if (stack.length > 0) {
+      for (const open of stack) open.lines.push(line);
+    } else if (sections.length === 0) {
+      preamble.push(line);
+    } else {
+      trailer.push(line);
+    }
+  }
+
+  const result = { sections, preamble, trailer, failingSection: null };
+  result.failingSection = findFailingSection(result);
+  return result;
+}
+
+/**
+ * Pick the section the job failed in:
+ *  1. a section that never ended (runner died or was killed mid-section),
+ *  2. a section where the runner itself reported an error (image pull, cache, artifacts),
+ *  3. the script section (step_script / build_script),
+ *  4. the last top-level section that can fail the job.
+ */
+function findFailingSection({ sections }) {
+  const top = sections.filter(s => s.depth === 0);
+  if (top.length === 0) return null;
+
+  const unterminated = top.filter(s => !s.terminated);
+  if (unterminated.length > 0) return unterminated[unterminated.length - 1];
+
+  const runnerError = top.find(s => !NON_FAILING_SECTIONS.includes(s.name) && s.lines.some(l => RUNNER_ERROR_RE.test(l.trim())));
+  if (runnerError) return runnerError;
+
+  const script = top.filter(s => SCRIPT_SECTIONS.includes(s.name));
+  if (script.length > 0) return script[script.length - 1];
+
+  const failing = top.filter(s => !NON_FAILING_SECTIONS.includes(s.name));
+  return failing.length > 0 ? failing[failing.length - 1] : top[top.length - 1];
+}
+
+/**
+ * Text to analyze: the failing section plus the trailer (job result lines).
+ * Falls back to the whole cleaned trace when there are no sections.
+ */
+function analysisText(parsed, raw) {
+  if (!parsed.failingSection) return cleanTrace(raw);
+  return parsed.failingSection.lines.concat(parsed.trailer).join('\n');
+}
+
+/**
+ * Compact per-section timings: [{ name, duration_sec, failed, partial }] for top-level sections.
+ */
+function sectionTimings(parsed) {
+  return parsed.sections
+    .filter(s => s.depth === 0)
+    .map(s => ({ name: s.name, duration_sec: s.duration_sec, failed: s === parsed.failingSection, partial: Boolean(s.partial) }));
+}
+
+function formatDuration(sec) {
+  if (sec === null || sec === undefined) return 'n/a (did not finish)';
+  if (sec < 60) return `${sec}s`;
+  const m = Math.floor(sec / 60);
+  return `${m}m ${sec % 60}s`;
+}
+
+module.exports = {
+  stripAnsi,
+  cleanTrace,
+  parseTrace,
+  findFailingSection,
+  analysisText,
+  sectionTimings,
+  formatDuration,
+  SECTION_MARKER_RE
+};
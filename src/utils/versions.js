@@ -0,0 +1,80 @@
+// backend/src/utils/versions.js
+'use strict';
+
+// PEP 440 spellings of the same pre-release and post-release markers
+const ALIASES = { alpha: 'a', beta: 'b', c: 'rc', pre: 'rc', preview: 'rc', rev: 'post', r: 'post' };
+
+function splitVersion(v) {
+  const clean = String(v || '').trim().replace(/^v/, '').split('+')[0];
+  const dash = clean.indexOf('-');
+  const main = dash === -1 ? clean : clean.slice(0, dash);
+  const pre = dash === -1 ? '' : clean.slice(dash + 1);
+  // split python-style pre-releases such as 2.0.0rc1 into main/pre
+  const m = main.match(/^([0-9.]+)([a-z].*)?$/i);
+  return {
+    nums: (m ? m[1] : main).split('.').filter(Boolean).map(x => parseInt(x, 10) || 0),
+    pre: pre || (m && m[2]) || ''
+  };
+}
+
+function suffixParts(suffix) {
+  return (suffix.match(/\d+|[a-z]+/gi) || []).map(p => (/^\d+$/.test(p) ? p : ALIASES[p.toLowerCase()] || p.toLowerCase()));
+}
+
+/**
+ * Where a suffix sorts relative to its release, as in PEP 440:
+ * dev (0) < pre-release such as a/b/rc or a semver tag (1) < release (2) < post (3).
+ */
+function phaseOf(parts) {
+  if (parts.length === 0) return 2;
+  if (parts[0] === 'dev') return 0;
+  if (parts[0] === 'post') return 3;
+  return 1;
+}
+
+/**
+ * Compare suffixes of the same phase part by part: numbers numerically (rc9 < rc10) and before
+ * words, as in semver. A longer suffix sorts after its prefix (alpha < alpha.1), unless it
+ * continues with a dev release (1.0a1.dev1 < 1.0a1).
+ */
+function compareParts(pa, pb) {
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if (i >= pa.length) return pb[i] === 'dev' ? 1 : -1;
+    if (i >= pb.length) return pa[i] === 'dev' ? -1 : 1;
+    const na = /^\d+$/.test(pa[i]);
+    const nb = /^\d+$/.test(pb[i]);
+    if (na && nb) {
+      const diff = parseInt(pa[i], 10) - parseInt(pb[i], 10);
+      if (diff !== 0) return diff < 0 ? -1 : 1;
+    } else if (na !== nb) {
+      return na ? -1 : 1;
+    } else if (pa[i] !== pb[i]) {
+      if (pa[i] === 'dev' || pb[i] === 'dev') return pa[i] === 'dev' ? -1 : 1;
+      return pa[i] < pb[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Compare two version strings. Returns -1, 0 or 1.
+ * Handles semver, PEP 440 style dev, pre- and post-releases (1.0.dev1 < 1.0a1 < 1.0rc1 < 1.0
+ * < 1.0.post1) and Go's `v` prefix well enough for advisory range matching.
+ */
+function compareVersions(a, b) {
+  const va = splitVersion(a);
+  const vb = splitVersion(b);
+  const len = Math.max(va.nums.length, vb.nums.length);
+  for (let i = 0; i < len; i++) {
+    const x = va.nums[i] || 0;
+    const y = vb.nums[i] || 0;
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  const pa = suffixParts(va.pre);
+  const pb = suffixParts(vb.pre);
+  const phase = phaseOf(pa) - phaseOf(pb);
+  if (phase !== 0) return phase < 0 ? -1 : 1;
+  return compareParts(pa, pb);
+}
+
+module.exports = { compareVersions };